@@ -0,0 +1,165 @@
+/**
+ * Achievements module for Veritaminal
+ * Defines the achievements as data and checks them against the career profile. Each achievement
+ * unlocks when a profile statistic reaches its target; statistics are either derived from the career
+ * record or counted from gameplay events ('decision', 'day_end', 'hint' and 'career_end'). Events from
+ * careers rewound with undo or restart day are not counted, so replaying a decision cannot count it twice.
+ * Progress and unlocks are stored in the persistent profile (see profile.js).
+ */
+
+import chalk from 'chalk';
+import { BORDER_SETTINGS } from './settings.js';
+import { ENDING_TITLES } from './outcomes.js';
+
+/**
+ * @typedef {object} Achievement
+ * @property {string} id - Stable identifier, used as the key in the profile.
+ * @property {string} name - Display name.
+ * @property {string} description - How to unlock it.
+ * @property {{stat: string, target: number}} condition - Unlocks when the statistic reaches the target.
+ */
+
+/**
+ * @typedef {object} AchievementProgress
+ * @property {Achievement} achievement - The achievement.
+ * @property {number} current - Current value of its statistic (capped at the target).
+ * @property {number} target - Value needed to unlock it.
+ * @property {boolean} unlocked - Whether it has been unlocked.
+ * @property {string|null} unlockedAt - When it was unlocked (ISO timestamp).
+ */
+
+// Counted statistics: each is advanced by one for every event of its type that matches
+const COUNTERS = {
+    perfectDays: {
+        event: 'day_end',
+        matches: (event) => event.decisions > 0 && event.correct === event.decisions && !event.unreached // Timed shifts must meet their target
+    },
+    hintlessCareers: {
+        event: 'career_end',
+        matches: (event) => event.completed && event.hintsUsed === 0
+    },
+    forgedPermitsCaught: {
+        event: 'decision',
+        flawTypes: ['permit_format', 'passport_number_mismatch', 'nationality_mismatch'], // Flaws that falsify the entry permit
+        matches: (event, counter) => event.decision === 'deny' && event.isCorrect && event.flaws.some(flaw => counter.flawTypes.includes(flaw.type))
+    }
+};
+
+// Derived statistics, read from the career record
+const DERIVED_STATS = {
+    bordersCompleted: (profile) => Object.values(profile.borders).filter(border => border.completed > 0).length,
+    endingsReached: (profile) => Object.keys(ENDING_TITLES).filter(type => profile.endings[type] > 0).length
+};
+
+/** @type {Achievement[]} */
+const ACHIEVEMENTS = [
+    {
+        id: 'perfect_day',
+        name: "Perfect Day",
+        description: "Get every decision of a day right (and meet the target on a timed shift).",
+        condition: { stat: 'perfectDays', target: 1 }
+    },
+    {
+        id: 'forgery_hunter',
+        name: "Forgery Hunter",
+        description: "Deny 10 travelers carrying a forged entry permit.",
+        condition: { stat: 'forgedPermitsCaught', target: 10 }
+    },
+    {
+        id: 'self_reliant',
+        name: "Self-Reliant",
+        description: "Complete an assignment without asking Veritas for a hint.",
+        condition: { stat: 'hintlessCareers', target: 1 }
+    },
+    {
+        id: 'well_travelled',
+        name: "Well Travelled",
+        description: `Complete an assignment at all ${BORDER_SETTINGS.length} borders.`,
+        condition: { stat: 'bordersCompleted', target: BORDER_SETTINGS.length }
+    },
+    {
+        id: 'every_ending',
+        name: "Every Ending",
+        description: `Reach all ${Object.keys(ENDING_TITLES).length} endings.`,
+        condition: { stat: 'endingsReached', target: Object.keys(ENDING_TITLES).length }
+    }
+];
+
+class AchievementManager {
+    /**
+     * Tracks achievement progress in the career profile.
+     * @param {import('./profile.js').ProfileManager} profileManager - Holds the persistent profile.
+     */
+    constructor(profileManager) {
+        this.profileManager = profileManager;
+    }
+
+    /**
+     * Gets the current value of a statistic.
+     * @param {string} stat - Counter or derived statistic name.
+     * @returns {number}
+     */
+    getStat(stat) {
+        const profile = this.profileManager.profile;
+        if (DERIVED_STATS[stat]) {
+            return DERIVED_STATS[stat](profile);
+        }
+        return profile.stats[stat] || 0;
+    }
+
+    /**
+     * Advances the counters matching a gameplay event and unlocks any achievement that reached its target.
+     * Counters skip events from rewound careers. The caller saves the profile.
+     * @param {object} event - Gameplay event, with its `type` and `rewound`.
+     * @returns {{changed: boolean, unlocked: Achievement[]}} Whether the profile changed, and the new unlocks.
+     */
+    handleEvent(event) {
+        const stats = this.profileManager.profile.stats;
+        let changed = false;
+        for (const [stat, counter] of Object.entries(COUNTERS)) {
+            if (!event.rewound && counter.event === event.type && counter.matches(event, counter)) {
+                stats[stat] = (stats[stat] || 0) + 1;
+                changed = true;
+            }
+        }
+        const unlocked = this.checkUnlocks();
+        return { changed: changed || unlocked.length > 0, unlocked };
+    }
+
+    /**
+     * Unlocks every locked achievement whose statistic has reached its target.
+     * @returns {Achievement[]} The achievements unlocked by this check.
+     */
+    checkUnlocks() {
+        const unlocks = this.profileManager.profile.achievements;
+        const unlocked = ACHIEVEMENTS.filter(achievement =>
+            !unlocks[achievement.id] && this.getStat(achievement.condition.stat) >= achievement.condition.target
+        );
+        unlocked.forEach(achievement => {
+            unlocks[achievement.id] = { unlockedAt: new Date().toISOString() };
+            console.log(chalk.magenta(`Achievements: Unlocked ${achievement.name}`));
+        });
+        return unlocked;
+    }
+
+    /**
+     * Gets the progress of every achievement, in definition order.
+     * @returns {AchievementProgress[]}
+     */
+    getProgress() {
+        const unlocks = this.profileManager.profile.achievements;
+        return ACHIEVEMENTS.map(achievement => {
+            const { stat, target } = achievement.condition;
+            const unlock = unlocks[achievement.id];
+            return {
+                achievement,
+                current: unlock ? target : Math.min(this.getStat(stat), target),
+                target,
+                unlocked: Boolean(unlock),
+                unlockedAt: unlock?.unlockedAt ?? null
+            };
+        });
+    }
+}
+
+export { AchievementManager, ACHIEVEMENTS };
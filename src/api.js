@@ -1,13 +1,26 @@
 /**
  * API module for Veritaminal
- * Handles interactions with the Google Gemini AI API for generating game content.
+ * Handles interactions with the configured LLM provider (see providers.js) for generating game content.
  */
 
-import { GoogleGenAI, Type } from '@google/genai';
 import dotenv from 'dotenv';
 import chalk from 'chalk';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createProvider } from './providers.js';
+import { Cassette, CassetteMismatchError } from './cassette.js';
+import { generatePermitNumber, planTraveler, finalizeDocument, formatDocumentForPrompt } from './documents.js';
+import { DEFAULT_CALENDAR_START } from './dates.js';
+import { AITransport, getTransportConfigFromEnv } from './transport.js';
+import {
+    getSettingTemplates,
+    generateOfflineName,
+    generateOfflineDocument,
+    judgeOfflineDocument,
+    generateOfflineHint,
+    generateOfflineAnswer,
+    generateOfflineNarrative
+} from './offline.js';
 
 // Load environment variables
 dotenv.config();
@@ -16,42 +29,181 @@ dotenv.config();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const apiKey = process.env.GEMINI_API_KEY;
+// --- LLM Provider ---
+// Selected from VERITAMINAL_PROVIDER (gemini, openai, scripted, offline); see providers.js.
+// Without a provider (offline, or no GEMINI_API_KEY) content comes from the offline engine in offline.js.
+/** @type {import('./providers.js').LLMProvider | null} */
+let provider = null;
+try {
+    provider = createProvider();
+} catch (error) {
+    if (error.code !== 'MISSING_API_KEY') {
+        console.error(chalk.red(error.message));
+        process.exit(1); // Exit if the provider is misconfigured
+    }
+    console.warn(chalk.yellow(`${error.message} Running in offline mode with procedural content.`));
+}
+
+/**
+ * Replaces the active LLM provider (e.g. to switch endpoints at runtime).
+ * @param {import('./providers.js').LLMProvider | null} newProvider - The provider to use, or null for offline mode.
+ */
+function setProvider(newProvider) {
+    provider = newProvider;
+    console.log(chalk.blue(`AI provider set to ${provider ? provider.describe() : 'offline'}`));
+}
+
+/**
+ * Checks whether content is generated offline (no LLM provider configured and no cassette replaying).
+ * @returns {boolean} True in offline mode.
+ */
+function isOfflineMode() {
+    return provider === null && cassette?.mode !== 'replay';
+}
+
+// --- Record/Replay Cassette ---
+/** @type {Cassette | null} */
+let cassette = null;
+
+/**
+ * Starts recording every AI request/response pair to a cassette file.
+ * @async
+ * @param {string} filepath - Path of the cassette file to write.
+ * @returns {Promise<Cassette>} The recording cassette.
+ */
+async function startRecording(filepath) {
+    cassette = await Cassette.record(filepath, { provider: provider ? provider.describe() : 'offline' });
+    return cassette;
+}
+
+/**
+ * Starts replaying AI responses from a cassette file instead of calling the provider.
+ * @async
+ * @param {string} filepath - Path of the cassette file to read.
+ * @returns {Promise<Cassette>} The replaying cassette.
+ */
+async function startReplay(filepath) {
+    cassette = await Cassette.replay(filepath);
+    return cassette;
+}
+
+/**
+ * Gets the active cassette, if any.
+ * @returns {Cassette | null}
+ */
+function getCassette() {
+    return cassette;
+}
+
+/**
+ * Sends a request to the provider, recording or replaying it through the cassette when one is active.
+ * @async
+ * @param {import('./providers.js').GenerationRequest} request - The generation request.
+ * @returns {Promise<string>} Raw response text.
+ * @throws {CassetteMismatchError} In replay mode when the request was not recorded.
+ */
+async function requestCompletion(request) {
+    if (cassette?.mode === 'replay') {
+        const { response, error } = cassette.replayInteraction(request);
+        if (error) {
+            throw new Error(`(replayed) ${error}`); // Reproduce the recorded provider failure
+        }
+        return response;
+    }
+
+    try {
+        const responseText = await transport.send(
+            (signal) => provider.generate({ ...request, signal }),
+            request.systemType
+        );
+        if (cassette?.mode === 'record') {
+            await cassette.recordInteraction(request, responseText);
+        }
+        return responseText;
+    } catch (error) {
+        if (cassette?.mode === 'record') {
+            await cassette.recordInteraction(request, null, error);
+        }
+        throw error;
+    }
+}
+
+// --- Transport (timeouts, retries, circuit breaker) ---
+const transport = new AITransport(getTransportConfigFromEnv());
 
-if (!apiKey) {
-    console.error(chalk.red('No API key found. Please set GEMINI_API_KEY in your .env file.'));
-    process.exit(1); // Exit if no API key
+/**
+ * Checks whether the circuit breaker has degraded the session to offline content.
+ * @returns {boolean} True while degraded.
+ */
+function isAIDegraded() {
+    return provider !== null && cassette?.mode !== 'replay' && transport.isDegraded();
 }
 
-const ai = new GoogleGenAI({ apiKey: apiKey });
+/**
+ * Checks whether a call's content should come from the offline engine (offline mode or degraded
+ * transport). An active cassette records the decision, or replays the recorded one.
+ * @async
+ * @param {keyof SYSTEM_INSTRUCTIONS} systemType - System type of the call.
+ * @returns {Promise<boolean>}
+ */
+async function useOfflineContent(systemType) {
+    const offline = isOfflineMode() || isAIDegraded();
+    return cassette ? await cassette.decideOffline(systemType, offline) : offline;
+}
 
-// Define Model Name
-const MODEL_NAME = 'gemini-2.0-flash'; // Or use 'gemini-1.0-pro' or other suitable models
+/**
+ * Gets a summary of the AI backend for status displays.
+ * @returns {{mode: ('online'|'offline'|'degraded'|'replay'), provider: string, lastError: string|null}}
+ */
+function getAIStatus() {
+    let mode = 'online';
+    if (cassette?.mode === 'replay') mode = 'replay';
+    else if (isOfflineMode()) mode = 'offline';
+    else if (isAIDegraded()) mode = 'degraded';
+    return {
+        mode,
+        provider: provider ? provider.describe() : 'offline',
+        lastError: transport.getStatus().lastError
+    };
+}
+
+/**
+ * Gets the AI transport (e.g. to subscribe to circuit state changes).
+ * @returns {AITransport}
+ */
+function getTransport() {
+    return transport;
+}
+
+/**
+ * Gets the active LLM provider.
+ * @returns {import('./providers.js').LLMProvider}
+ */
+function getProvider() {
+    return provider;
+}
 
 // --- Global Document Context ---
-// This stores the current traveler's information for consistent AI context
+// This stores the current traveler's document for consistent AI context
 let currentDocumentContext = {
-    name: null,
-    permit: null,
-    backstory: null,
-    additional_fields: null,
-    setting: null
+    document: null,
+    setting: null,
+    date: null
 };
 
 /**
  * Sets the current document context for global access by AI functions
- * @param {object} document - The current traveler document
+ * @param {import('./documents.js').TravelerDocument} document - The current traveler document
  * @param {object} setting - The current border setting
+ * @param {string|null} [date=null] - Current game date (ISO) the traveler is inspected on
  */
-function setCurrentDocumentContext(document, setting) {
+function setCurrentDocumentContext(document, setting, date = null) {
     currentDocumentContext = {
-        name: document?.name || null,
-        permit: document?.permit || null,
-        backstory: document?.backstory || null,
-        additional_fields: document?.additional_fields || null,
-        setting: setting || null
+        document: document || null,
+        setting: setting || null,
+        date: date || null
     };
-    console.log(chalk.blue(`Document context set for: ${currentDocumentContext.name || 'Unknown'}`));
+    console.log(chalk.blue(`Document context set for: ${document?.name || 'Unknown'}`));
 }
 
 /**
@@ -59,17 +211,15 @@ function setCurrentDocumentContext(document, setting) {
  * @returns {string} Formatted context string
  */
 function getCurrentDocumentContext() {
-    if (!currentDocumentContext.name) {
+    if (!currentDocumentContext.document) {
         return "No current traveler document available.";
     }
     
     return `
 CURRENT TRAVELER CONTEXT:
-Name: ${currentDocumentContext.name}
-Permit: ${currentDocumentContext.permit}
-Backstory: ${currentDocumentContext.backstory}
-Additional Fields: ${JSON.stringify(currentDocumentContext.additional_fields || {})}
-Border Setting: ${currentDocumentContext.setting?.name || 'Unknown Setting'}`;
+${formatDocumentForPrompt(currentDocumentContext.document)}
+Border Setting: ${currentDocumentContext.setting?.name || 'Unknown Setting'}
+Today's Date: ${currentDocumentContext.date || 'Unknown'}`;
 }
 
 /**
@@ -77,24 +227,18 @@ Border Setting: ${currentDocumentContext.setting?.name || 'Unknown Setting'}`;
  */
 function clearCurrentDocumentContext() {
     currentDocumentContext = {
-        name: null,
-        permit: null,
-        backstory: null,
-        additional_fields: null,
-        setting: null
+        document: null,
+        setting: null,
+        date: null
     };
 }
 
 // --- JSDoc Typedefs (like Python's TypedDict) ---
 
-/**
- * @typedef {object} TravelerDocument
- * @property {string} name - Full name (first and last).
- * @property {string} backstory - Brief one-sentence backstory mentioning the name.
- * @property {object.<string, any>} [additional_fields] - Any relevant extra fields.
- */
+// Traveler documents follow the typed TravelerDocument schema in documents.js
 
 /**
+ * Advisory AI opinion on a document; correctness is scored against the document's ground truth.
  * @typedef {object} AIJudgment
  * @property {('approve'|'deny')} decision - The judgment decision.
  * @property {number} confidence - Confidence score (0.0 to 1.0).
@@ -108,13 +252,17 @@ const SYSTEM_INSTRUCTIONS = {
     You are a document generation system for a border control game called Veritaminal.
     Generate ONLY structured JSON data representing a traveler document with the following fields:
     - name: Full name (first and last) with no prefix or label (e.g., "John Doe").
+    - date_of_birth: Date of birth as YYYY-MM-DD; the traveler must be an adult on today's date (given in the prompt).
+    - nationality: One of the nationalities listed in the prompt, spelled exactly.
+    - occupation: The traveler's occupation, plausible for the stated purpose of visit.
     - backstory: Brief one-sentence backstory that MUST mention the generated name exactly.
-    - additional_fields: An object containing any relevant border-specific fields as key-value pairs (can be empty {}).
+    - additional_fields: An object of extra string fields such as stay duration or notes (can be empty {}).
+    The game fills in the permit, passport number, issuing authority, issue/expiry dates, purpose of visit and credentials itself, and prints the traveler's papers from these fields.
 
     RULES:
     - Generate unique names different from previously seen travelers (context will be provided).
     - Keep content appropriate for a general audience and non-political.
-    - Occasionally include subtle inconsistencies in the backstory or additional fields that a player might notice.
+    - Generate a LEGITIMATE traveler: every field must be consistent with the others and with the stated purpose of visit. The game plants any discrepancies itself afterwards.
     - Your entire output MUST be ONLY a single, valid JSON object. Do NOT include any text before or after the JSON object, including markdown formatting like \`\`\`json.
     - DO NOT include labels like "Name:" or "Backstory:" within the JSON values themselves.
     - Ensure the backstory accurately reflects the generated name.
@@ -127,12 +275,21 @@ const SYSTEM_INSTRUCTIONS = {
     - Remain neutral but observant. Do not reveal your own opinions or feelings.
     - Use clear, concise language (1-2 sentences).
     - Occasionally express a slight, dry, observant personality (e.g., "Interesting detail...", "One might note...").
-    - Analyze the provided document details (name, permit, backstory, setting context, recent history) to form your hint.
+    - Analyze the provided papers (passport, entry permit, border-specific papers), the backstory, setting context and recent history to form your hint. Fields shown on several papers should agree.
     - Reference the current traveler's specific information when providing hints.
 
     IMPORTANT: Avoid directly telling the player whether the document is valid/invalid or if they should approve/deny. Guide their attention to specific elements or inconsistencies. For example, instead of "The permit is wrong", say "The permit number format seems unusual for this region." Always refer to the specific traveler by name when relevant.
     `,
 
+    "traveler_interrogation": `
+    You are playing a traveler being questioned by a border control agent in the game Veritaminal.
+    Answer the agent's questions about your trip in character, in 1-2 sentences, in the first person or as a short scene.
+    - Stay consistent with your papers and backstory, and use your name.
+    - If your papers have problems (discrepancies between papers, expired dates, missing or doubtful credentials), you know it: become evasive, nervous or over-eager about them, without admitting anything.
+    - If your papers are in order, answer plainly.
+    - Never state whether you should be approved or denied.
+    `,
+
     "narrative_generation": `
     You are crafting a branching narrative for Veritaminal, a border control simulation game.
     Create a short, engaging story fragment (1-2 sentences, 25-50 words) that reflects the immediate consequence of the player's recent decision (approve/deny) and its correctness.
@@ -150,8 +307,10 @@ const SYSTEM_INSTRUCTIONS = {
     You are an expert document verification system for the border control game Veritaminal. Your task is to evaluate a traveler's document based on provided context and determine if it should be approved or denied.
 
     Consider the following factors in your evaluation:
-    - Document details: Name, Permit number, Backstory, any additional fields.
-    - Consistency: Check for internal consistency between the document fields. Does the backstory match the name? Are additional fields plausible?
+    - Document details: The traveler presents several papers (passport, entry permit and, when the purpose of visit requires it, a border-specific paper) plus a backstory and any additional fields.
+    - Cross-reference: The same field (name, passport number, nationality, date of birth) must agree on every paper that shows it.
+    - Dates: Compare the passport issue/expiry dates and the entry permit's validity with today's date (given in the context). Expired papers must be denied.
+    - Consistency: Check for internal consistency between the document fields. Does the backstory match the name? Does the purpose of visit require a credential, and is it present and genuine? Are the dates plausible?
     - Border Setting Context: Current border situation, specific rules, common issues for this location.
     - Game History/Memory: Recent player decisions, narrative events, rule changes. Patterns in traveler documents.
     - Subtle Discrepancies: Look for minor errors, unusual phrasing, or inconsistencies that might indicate forgery or issues.
@@ -169,43 +328,6 @@ const SYSTEM_INSTRUCTIONS = {
 
 // --- Helper Functions ---
 
-/**
- * Generates a permit number with controlled validity.
- * Format: Valid = 'P' + 4 digits. Invalid has variations.
- * @param {boolean} [valid=true] - Whether to generate a valid permit number.
- * @returns {string} A permit number (valid or invalid).
- */
-function generatePermitNumber(valid = true) {
-    const digits = (count) => Array.from({ length: count }, () => Math.floor(Math.random() * 10)).join('');
-    const randomLetter = (exclude = '') => {
-        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-        let letter;
-        do {
-            letter = alphabet[Math.floor(Math.random() * alphabet.length)];
-        } while (letter === exclude);
-        return letter;
-    };
-
-    if (valid) {
-        return 'P' + digits(4);
-    } else {
-        const errorType = ['wrong_prefix', 'wrong_length', 'non_digit'][Math.floor(Math.random() * 3)];
-
-        if (errorType === 'wrong_prefix') {
-            return randomLetter('P') + digits(4);
-        } else if (errorType === 'wrong_length') {
-            const length = Math.random() < 0.5 ? 3 : 5;
-            return 'P' + digits(length);
-        } else { // non_digit
-            let d = digits(3);
-            const nonDigit = Math.random() < 0.5 ? randomLetter() : '!@#$%^&*()_-+=<>?~`'[Math.floor(Math.random() * 20)];
-            const position = Math.floor(Math.random() * 4);
-            d = d.slice(0, position) + nonDigit + d.slice(position);
-            return 'P' + d.slice(0, 4); // Ensure final length is 5
-        }
-    }
-}
-
 /**
  * Attempts to parse JSON, cleaning common non-JSON text around it.
  * @param {string} text - The text potentially containing JSON.
@@ -232,14 +354,15 @@ function cleanAndParseJson(text) {
 // --- Core API Functions ---
 
 /**
- * Generates text using the Google Gemini AI API with specific system instructions.
+ * Generates text using the active LLM provider with specific system instructions.
  * @async
  * @param {string} prompt - The prompt to send to the API.
  * @param {keyof SYSTEM_INSTRUCTIONS} [systemType="document_generation"] - Type of system instruction to use.
  * @param {number} [maxTokens=200] - Maximum number of tokens for the response.
  * @param {number} [temperature=0.9] - Generation temperature.
  * @param {string | null} [responseMimeType=null] - Optional response MIME type (e.g., 'application/json').
- * @param {object | null} [responseSchema=null] - Optional response schema (use Type from @google/genai).
+ * @param {object | null} [responseSchema=null] - Optional provider-neutral JSON schema (lowercase types).
+ * @param {string | null} [customSystemInstruction=null] - Optional instruction overriding the system type's text.
  * @returns {Promise<string | object | null>} Generated text, parsed JSON object, or null on error.
  */
 async function generateApiResponse(
@@ -248,47 +371,27 @@ async function generateApiResponse(
     maxTokens = 200,
     temperature = 0.9,
     responseMimeType = null,
-    responseSchema = null
+    responseSchema = null,
+    customSystemInstruction = null
 ) {
-    const systemInstruction = SYSTEM_INSTRUCTIONS[systemType] || SYSTEM_INSTRUCTIONS["document_generation"];
+    const systemInstruction = customSystemInstruction
+        || SYSTEM_INSTRUCTIONS[systemType]
+        || SYSTEM_INSTRUCTIONS["document_generation"];
+
+    if (await useOfflineContent(systemType)) {
+        return null; // Callers fall back to the offline engine
+    }
 
     try {
-       
-
-        // console.log("Sending request to AI:", JSON.stringify(request, null, 2)); // Debugging
-
-        const response = await ai.models.generateContent({
-            model: MODEL_NAME,
-            contents: prompt,
-            config: {
-              maxOutputTokens: maxTokens,
-              temperature: temperature,
-              systemInstruction: systemInstruction,
-              responseMimeType: responseMimeType,
-              responseSchema: responseSchema,
-            }
-          });
-        // console.log("Received response from AI:", JSON.stringify(response, null, 2)); // Debugging
-
-        // if (!response || !response.candidates || response.candidates.length === 0) {
-        //      console.error(chalk.red(`API Error: No response or candidates found. Finish reason: ${response?.promptFeedback?.blockReason || response?.candidates?.[0]?.finishReason || 'Unknown'}`));
-        //      if (response?.promptFeedback?.blockReason) {
-        //          console.error(chalk.red(`Prompt Feedback Block Reason: ${response.promptFeedback.blockReason}`));
-        //          console.error(chalk.red(`Safety Ratings: ${JSON.stringify(response.promptFeedback.safetyRatings)}`));
-        //      } else if (response?.candidates?.[0]?.finishReason !== 'STOP') {
-        //          console.error(chalk.red(`Candidate Finish Reason: ${response.candidates[0].finishReason}`));
-        //          console.error(chalk.red(`Safety Ratings: ${JSON.stringify(response.candidates[0].safetyRatings)}`));
-        //      }
-        //      return null;
-        // }
-
-        // const content = response.candidates[0].content;
-        // if (!content || !content.parts || content.parts.length === 0) {
-        //      console.error(chalk.red("API Error: No content parts in the response candidate."));
-        //      return null;
-        // }
-
-        const responseText = response.text;
+        const responseText = await requestCompletion({
+            prompt,
+            systemType,
+            systemInstruction,
+            maxTokens,
+            temperature,
+            responseMimeType,
+            responseSchema
+        });
 
         if (responseMimeType === 'application/json') {
             const jsonData = cleanAndParseJson(responseText);
@@ -298,13 +401,16 @@ async function generateApiResponse(
             }
              return jsonData;
         } else {
-            return responseText.trim();
+            return String(responseText ?? '').trim();
         }
 
     } catch (error) {
-        console.error(chalk.red(`Error generating content (${systemType}): ${error.message}`));
-        // console.error(error.stack); // Optionally log stack trace
-        return null; // Return null or throw error depending on desired handling
+        if (error instanceof CassetteMismatchError) {
+            throw error; // Never fall back silently when a replay diverges
+        }
+        const source = cassette?.mode === 'replay' ? 'cassette' : provider.describe();
+        console.error(chalk.red(`Error generating content (${systemType}) via ${source}: ${error.message}`));
+        return null;
     }
 }
 
@@ -314,24 +420,47 @@ async function generateApiResponse(
  * @async
  * @param {object} setting - The border setting details.
  * @param {string} usedNamesContext - Context about previously used names.
- * @returns {Promise<{name: string, permit: string, backstory: string, additional_fields: object} | null>} Document object or null on error.
+ * @param {string} [currentDate=DEFAULT_CALENDAR_START] - Current game date (ISO); papers are dated against it.
+ * @param {string[]|null} [requirements=null] - Rules in force today; defaults to the setting's base requirements.
+ * @param {string[]} [customRules=[]] - The inspector's custom rules; some travelers are asked to break them.
+ * @param {import('./difficulty.js').Difficulty} [difficulty] - The career's difficulty; decides the planted flaws.
+ * @param {Set<string>} [usedNames=new Set()] - Names already used in the career; offline travelers avoid them.
+ * @returns {Promise<import('./documents.js').TravelerDocument | null>} Document object or null on error.
  */
-async function generateDocumentForSetting(setting, usedNamesContext) {
+async function generateDocumentForSetting(setting, usedNamesContext, currentDate = DEFAULT_CALENDAR_START, requirements = null, customRules = [], difficulty = undefined, usedNames = new Set()) {
     // Clear previous document context before generating new one
     clearCurrentDocumentContext();
     
-    // Decide validity locally
-    const shouldBeValidPermit = Math.random() < 0.7; // 70% chance of valid permit format
+    // Decide legitimacy and planted flaws up front; they become the document's hidden ground truth
+    const plan = planTraveler(setting, currentDate, difficulty);
+
+    // Permit is generated locally as valid; a permit flaw is planted afterwards if planned
+    const permit = generatePermitNumber(true);
+
+    if (await useOfflineContent('document_generation')) {
+        const offlineDocument = finalizeDocument(generateOfflineDocument(setting, permit, plan.purpose, plan.date, usedNames), permit, plan, setting);
+        setCurrentDocumentContext(offlineDocument, setting, plan.date);
+        return offlineDocument;
+    }
+
+    const nationalities = Object.keys(getSettingTemplates(setting).nationalities);
 
     const contextPrompt = `
 Border Setting: ${setting.name}
 Situation: ${setting.situation}
-Current Document Requirements: ${setting.document_requirements.join(', ')}
+Current Document Requirements: ${(requirements || setting.document_requirements).join(', ')}
 Common Issues at this Border: ${setting.common_issues.join(', ')}
 
 ${usedNamesContext}
 
-Generate a traveler document JSON object for someone crossing this border, following the rules outlined in the system instruction. Ensure the backstory mentions the name exactly and that all fields are internally consistent.
+Today's date: ${plan.date}
+Purpose of visit: ${plan.purpose}
+Nationalities at this crossing: ${nationalities.join(', ')}
+${customRules.length > 0 ? `
+Inspector's Custom Rules: ${customRules.join('; ')}
+About one traveler in three should break one of the custom rules (through nationality, occupation or date of birth) so the inspector's rules are tested.
+` : ''}
+Generate a traveler document JSON object for someone crossing this border for the purpose above, following the rules outlined in the system instruction. Ensure the backstory mentions the name exactly and that all fields are internally consistent.
 `;
 
     const maxTokens = 300; // Increased token limit for potentially complex JSON
@@ -345,21 +474,25 @@ Generate a traveler document JSON object for someone crossing this border, follo
             maxTokens,
             temperature,
             'application/json',
-            // Define the expected JSON schema (matching Python TypedDict/System Instruction)
+            // Define the expected JSON schema (provider-neutral, matching Python TypedDict/System Instruction)
             {
-                type: Type.OBJECT,
+                type: 'object',
                 properties: {
-                    'name': { type: Type.STRING, description: "Full name (first and last)" },
-                    'backstory': { type: Type.STRING, description: "One-sentence backstory mentioning the name" },
+                    'name': { type: 'string', description: "Full name (first and last)" },
+                    'date_of_birth': { type: 'string', description: "Date of birth as YYYY-MM-DD" },
+                    'nationality': { type: 'string', enum: nationalities },
+                    'occupation': { type: 'string', description: "Occupation matching the purpose of visit" },
+                    'backstory': { type: 'string', description: "One-sentence backstory mentioning the name" },
                     'additional_fields': {
-                        type: Type.OBJECT,
-                        description: "Key-value pairs for extra info, can be empty object {}",
+                        type: 'object',
+                        description: "Extra string fields, can be empty object {}",
                         properties: {
-                            'note': { type: Type.STRING, description: "Optional note about the traveler" }
+                            'stay_duration': { type: 'string', description: "Planned length of stay" },
+                            'note': { type: 'string', description: "Optional note about the traveler" }
                         }
                     }
                 },
-                required: ['name', 'backstory', 'additional_fields']
+                required: ['name', 'date_of_birth', 'nationality', 'occupation', 'backstory', 'additional_fields']
             }
         );
 
@@ -367,82 +500,36 @@ Generate a traveler document JSON object for someone crossing this border, follo
             // Clean the received data just in case
             const name = String(jsonData.name).trim().replace(/^name:\s*/i, '');
             const backstory = String(jsonData.backstory).trim();
-            const additional_fields = (typeof jsonData.additional_fields === 'object' && jsonData.additional_fields !== null) 
-                ? jsonData.additional_fields 
-                : {};
 
             // Basic consistency check: Does backstory mention the name? (Case-insensitive)
             if (!backstory.toLowerCase().includes(name.toLowerCase().split(' ')[0])) { // Check first name at least
                 console.warn(chalk.yellow(`Generated backstory might not contain the name "${name}". Backstory: "${backstory}"`));
             }
 
-            // Generate permit number locally based on calculated validity
-            const permit = generatePermitNumber(shouldBeValidPermit);
-
-            // Create final document
-            const finalDocument = { name, permit, backstory, additional_fields };
+            // Validate against the typed schema and plant the planned flaws
+            const finalDocument = finalizeDocument({ ...jsonData, name, backstory }, permit, plan, setting);
             
             // Set global context for this document
-            setCurrentDocumentContext(finalDocument, setting);
+            setCurrentDocumentContext(finalDocument, setting, plan.date);
 
             console.log(chalk.green(`Generated document successfully for ${name}`));
             return finalDocument;
         }
     } catch (error) {
+        if (error instanceof CassetteMismatchError) {
+            throw error;
+        }
         console.error(chalk.red(`Error during document generation: ${error.message}`));
     }
 
-    // If we reach here, the API call failed or returned invalid data - use fallback
-    console.error(chalk.red("Failed to generate valid document from API. Using fallback."));
-    
-    // Generate a completely fallback document with random names and simple backstory
-    const fallbackName = await generateCleanName(usedNamesContext);
-    const permit = generatePermitNumber(shouldBeValidPermit);
-    
-    // Create a simple backstory that mentions the name
-    const backstoryOptions = [
-        `${fallbackName} is seeking entry under standard procedures.`,
-        `${fallbackName} claims to be visiting family in the area.`,
-        `${fallbackName} is traveling for business purposes.`,
-        `${fallbackName} wishes to attend a local cultural event.`,
-        `${fallbackName} states they are here for a brief tourism visit.`
-    ];
-    const fallbackBackstory = backstoryOptions[Math.floor(Math.random() * backstoryOptions.length)];
-    
-    // Create some simple additional fields based on the border setting
-    const fallbackAdditionalFields = {};
-    
-    // Add a random field based on setting
-    const possibleFields = {
-        "visaType": ["Tourist", "Business", "Family", "Diplomatic"],
-        "stayDuration": ["3 days", "1 week", "10 days", "30 days"],
-        "visaExpiry": ["2025-06-01", "2025-07-15", "2025-05-30", "2025-08-22"],
-        "entryCount": ["Single", "Multiple"]
-    };
-    
-    // Add 1-2 random fields
-    const fieldKeys = Object.keys(possibleFields);
-    const numFields = Math.floor(Math.random() * 2) + 1; // 1-2 fields
-    
-    for (let i = 0; i < numFields; i++) {
-        const randomKey = fieldKeys[Math.floor(Math.random() * fieldKeys.length)];
-        const values = possibleFields[randomKey];
-        fallbackAdditionalFields[randomKey] = values[Math.floor(Math.random() * values.length)];
-    }
-    
-    console.log(chalk.blue(`Gameplay: Document generated for ${fallbackName}`));
-    
-    // Create final fallback document
-    const fallbackDocument = {
-        name: fallbackName,
-        permit: permit,
-        backstory: fallbackBackstory,
-        additional_fields: fallbackAdditionalFields
-    };
-    
+    // If we reach here, the API call failed or returned invalid data - use the offline engine
+    console.error(chalk.red("Failed to generate valid document from API. Using offline fallback."));
+
+    const fallbackDocument = finalizeDocument(generateOfflineDocument(setting, permit, plan.purpose, plan.date, usedNames), permit, plan, setting);
+
     // Set global context for this fallback document
-    setCurrentDocumentContext(fallbackDocument, setting);
-    
+    setCurrentDocumentContext(fallbackDocument, setting, plan.date);
+
     return fallbackDocument;
 }
 
@@ -453,6 +540,10 @@ Generate a traveler document JSON object for someone crossing this border, follo
  * @returns {Promise<string>} A clean name, or a fallback name on error.
  */
 async function generateCleanName(usedNamesContext) {
+    if (await useOfflineContent('document_generation')) {
+        return generateOfflineName();
+    }
+
     const prompt = `
 ${usedNamesContext}
 
@@ -476,21 +567,22 @@ Return ONLY the name with no additional text, labels, or formatting. Example: "J
     }
 
     console.error(chalk.red("Failed to generate clean name from API. Using fallback."));
-    // Fallback random name generation
-    const firstNames = ["Alex", "Sam", "Jordan", "Morgan", "Casey", "Taylor", "Chris", "Dana"];
-    const lastNames = ["Smith", "Jones", "Garcia", "Chen", "Patel", "Müller", "Kim", "Singh"];
-    return `${firstNames[Math.floor(Math.random() * firstNames.length)]} ${lastNames[Math.floor(Math.random() * lastNames.length)]}`;
+    return generateOfflineName();
 }
 
 
 /**
  * Gets a hint from Veritas about the document.
  * @async
- * @param {object} doc - The document to analyze { name, permit, backstory, ... }.
+ * @param {import('./documents.js').TravelerDocument} doc - The document to analyze.
  * @param {string} memoryContext - Context from the memory manager.
  * @returns {Promise<string>} A hint from Veritas, or a default message on error.
  */
 async function getVeritasHint(doc, memoryContext) {
+    if (await useOfflineContent('veritas_assistant')) {
+        return generateOfflineHint(doc, currentDocumentContext.setting, currentDocumentContext.date);
+    }
+
     const currentContext = getCurrentDocumentContext();
     
     const prompt = `
@@ -499,10 +591,7 @@ ${memoryContext}
 ${currentContext}
 
 Analyze this traveler's complete information:
-Name: ${doc.name}
-Permit: ${doc.permit}
-Backstory: ${doc.backstory}
-Additional Fields: ${JSON.stringify(doc.additional_fields || {})}
+${formatDocumentForPrompt(doc)}
 
 Provide a subtle hint about potential issues or confirmations based on the document's internal consistency, the current border setting context, and recent history. Reference the traveler by name (${doc.name}) in your hint when appropriate. Follow the Veritas persona guidelines.
 `;
@@ -512,15 +601,51 @@ Provide a subtle hint about potential issues or confirmations based on the docum
     if (hintText && typeof hintText === 'string') {
         return hintText;
     } else {
-        console.error(chalk.red("Failed to get Veritas hint."));
-        return "Veritas remains silent for now.";
+        console.error(chalk.red("Failed to get Veritas hint. Using offline hint."));
+        return generateOfflineHint(doc, currentDocumentContext.setting, currentDocumentContext.date);
+    }
+}
+
+/**
+ * Interrogates the traveler: the traveler answers the inspector's questions about their trip, in character.
+ * @async
+ * @param {import('./documents.js').TravelerDocument} doc - The traveler's document.
+ * @param {string} memoryContext - Context from the memory manager.
+ * @returns {Promise<string>} The traveler's answer, or an offline answer on error.
+ */
+async function interrogateTraveler(doc, memoryContext) {
+    if (await useOfflineContent('traveler_interrogation')) {
+        return generateOfflineAnswer(doc, currentDocumentContext.setting, currentDocumentContext.date);
+    }
+
+    const currentContext = getCurrentDocumentContext();
+
+    const prompt = `
+${memoryContext}
+
+${currentContext}
+
+Your papers:
+${formatDocumentForPrompt(doc)}
+
+The agent asks ${doc.name} about the purpose of the visit, their work and their papers. Answer as ${doc.name}.
+`;
+
+    const answerText = await generateApiResponse(prompt, "traveler_interrogation", 100, 0.9);
+
+    if (answerText && typeof answerText === 'string') {
+        return answerText;
+    } else {
+        console.error(chalk.red("Failed to get the traveler's answer. Using offline answer."));
+        return generateOfflineAnswer(doc, currentDocumentContext.setting, currentDocumentContext.date);
     }
 }
 
 /**
  * Uses AI to judge if a document should be approved or denied.
+ * The judgment is an advisory opinion; scoring uses the document's planted ground truth.
  * @async
- * @param {object} doc - The document to judge { name, permit, backstory, ... }.
+ * @param {import('./documents.js').TravelerDocument} doc - The document to judge.
  * @param {string} settingContext - Context about the border setting.
  * @param {string} memoryContext - Context about game history.
  * @returns {Promise<AIJudgment>} Judgment results.
@@ -542,6 +667,12 @@ async function aiJudgeDocument(doc, settingContext, memoryContext) {
         };
     }
 
+    if (await useOfflineContent('ai_judgment')) {
+        const offlineJudgment = judgeOfflineDocument(doc, currentDocumentContext.setting, currentDocumentContext.date);
+        console.log(chalk.blue(`Offline Judge Result: ${offlineJudgment.decision} (Confidence: ${offlineJudgment.confidence.toFixed(2)})`));
+        return offlineJudgment;
+    }
+
     // --- Proceed with AI Judgment for potentially valid formats ---
     const currentContext = getCurrentDocumentContext();
     
@@ -553,10 +684,7 @@ ${memoryContext}
 ${currentContext}
 
 DOCUMENT TO EVALUATE:
-Name: ${doc.name}
-Permit: ${doc.permit}
-Backstory: ${doc.backstory}
-Additional Fields: ${JSON.stringify(doc.additional_fields || {})}
+${formatDocumentForPrompt(doc)}
 
 Evaluate this document based on all provided context (rules, situation, history, document details, and internal consistency).
 Cross-reference the traveler's name (${doc.name}) across all fields to ensure consistency.
@@ -575,14 +703,14 @@ Return ONLY the JSON judgment object as specified in the system instructions.
         'application/json',
         // Define the expected JSON schema
         {
-            type: Type.OBJECT,
+            type: 'object',
             properties: {
-                'decision': { type: Type.STRING, enum: ["approve", "deny"] },
-                'confidence': { type: Type.NUMBER, format: "float" },
-                'reasoning': { type: Type.STRING },
+                'decision': { type: 'string', enum: ["approve", "deny"] },
+                'confidence': { type: 'number', format: "float" },
+                'reasoning': { type: 'string' },
                 'suspicious_elements': {
-                    type: Type.ARRAY,
-                    items: { type: Type.STRING }
+                    type: 'array',
+                    items: { type: 'string' }
                 }
             },
             required: ['decision', 'confidence', 'reasoning', 'suspicious_elements']
@@ -602,26 +730,9 @@ Return ONLY the JSON judgment object as specified in the system instructions.
                 : []
         };
 
-        // Gameplay Balance Override (as in Python) - 30% chance to flip
-        if (Math.random() < 0.30) {
-             console.log(chalk.magenta("AI Judge: Applying gameplay balance flip."));
-             const originalDecision = finalJudgment.decision;
-             finalJudgment.decision = originalDecision === "approve" ? "deny" : "approve";
-             finalJudgment.reasoning = `[Balanced] ${finalJudgment.reasoning}`; // Indicate flip for debugging
-             // Lower confidence slightly when flipping
-             finalJudgment.confidence = Math.max(0.1, Math.min(0.7, finalJudgment.confidence * 0.8));
-         }
-
     } else {
-        console.error(chalk.red("Failed to get valid AI judgment JSON. Using fallback judgment."));
-        // Fallback judgment with balanced probability
-        const fallbackDecision = Math.random() > 0.4 ? "approve" : "deny"; // 60% approve bias fallback
-        finalJudgment = {
-            decision: fallbackDecision,
-            confidence: Math.random() * 0.3 + 0.5, // Confidence between 0.5 and 0.8
-            reasoning: "AI judgment failed or was invalid. Standard verification procedures applied.",
-            suspicious_elements: []
-        };
+        console.error(chalk.red("Failed to get valid AI judgment JSON. Using offline judgment."));
+        finalJudgment = judgeOfflineDocument(doc, currentDocumentContext.setting, currentDocumentContext.date);
     }
 
      console.log(chalk.blue(`AI Judge Result: ${finalJudgment.decision} (Confidence: ${finalJudgment.confidence.toFixed(2)})`));
@@ -640,19 +751,24 @@ Return ONLY the JSON judgment object as specified in the system instructions.
 async function generateNarrativeUpdate(currentState, decision, isCorrect, memoryContext) {
     const corruption = currentState.corruption ?? 0;
     const trust = currentState.trust ?? 0;
+    if (await useOfflineContent('narrative_generation')) {
+        return generateOfflineNarrative(currentState, decision, isCorrect, currentDocumentContext.document, currentDocumentContext.setting);
+    }
+
     const currentContext = getCurrentDocumentContext();
+    const travelerName = currentDocumentContext.document?.name;
 
     const prompt = `
 ${memoryContext}
 
 ${currentContext}
 
-Player decision: ${decision} (for traveler: ${currentDocumentContext.name || 'Unknown'})
+Player decision: ${decision} (for traveler: ${travelerName || 'Unknown'})
 Decision correctness: ${isCorrect ? 'correct' : 'incorrect'}
 Current corruption level: ${corruption}
 Current trust level: ${trust}
 
-Generate a brief narrative update (1-2 sentences) describing the immediate consequence or observation related to this specific decision involving ${currentDocumentContext.name || 'the traveler'}. Reference the traveler's name and backstory when creating the narrative. Consider the game context and traveler details provided. Follow the narrative generation guidelines.
+Generate a brief narrative update (1-2 sentences) describing the immediate consequence or observation related to this specific decision involving ${travelerName || 'the traveler'}. Reference the traveler's name and backstory when creating the narrative. Consider the game context and traveler details provided. Follow the narrative generation guidelines.
 `;
 
     const narrativeText = await generateApiResponse(prompt, "narrative_generation", 100, 0.9);
@@ -660,13 +776,8 @@ Generate a brief narrative update (1-2 sentences) describing the immediate conse
     if (narrativeText && typeof narrativeText === 'string') {
         return narrativeText;
     } else {
-        console.error(chalk.red("Failed to generate narrative update."));
-        // Simple fallback based on correctness
-        // Better fallback that uses current context if available
-        const travelerName = currentDocumentContext.name || "the traveler";
-        return isCorrect
-            ? `The processing queue moves along smoothly as ${travelerName} proceeds.`
-            : `A moment of hesitation, but you proceed with ${travelerName}.`;
+        console.error(chalk.red("Failed to generate narrative update. Using offline narrative."));
+        return generateOfflineNarrative(currentState, decision, isCorrect, currentDocumentContext.document, currentDocumentContext.setting);
     }
 }
 
@@ -676,10 +787,22 @@ export {
     generatePermitNumber,
     generateDocumentForSetting,
     getVeritasHint,
+    interrogateTraveler,
     aiJudgeDocument,
     generateNarrativeUpdate,
     generateCleanName, // Export if needed elsewhere, e.g., for fallbacks
     setCurrentDocumentContext,
     getCurrentDocumentContext,
-    clearCurrentDocumentContext
+    clearCurrentDocumentContext,
+    generateApiResponse,
+    setProvider,
+    getProvider,
+    isOfflineMode,
+    isAIDegraded,
+    getAIStatus,
+    getTransport,
+    startRecording,
+    startReplay,
+    getCassette,
+    CassetteMismatchError
 };
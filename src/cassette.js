@@ -0,0 +1,264 @@
+/**
+ * Cassette module for Veritaminal
+ * Records every AI request/response pair to a cassette file and replays them by prompt hash,
+ * giving deterministic careers for bug reports and tests. The seed of each career played while
+ * recording is kept in the cassette's metadata, so a replay starts its careers from the same seeds.
+ * Calls served by the offline engine while recording (offline mode, or the transport's circuit
+ * breaker open) are recorded too, by system type and call number, so a replay falls back at the same calls.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import chalk from 'chalk';
+
+const CASSETTE_VERSION = 1;
+
+/**
+ * Raised in replay mode when a request has no matching recorded response.
+ */
+class CassetteMismatchError extends Error {
+    /**
+     * @param {string} message - Summary of the mismatch.
+     * @param {object} details - The unmatched request and the next unused recording.
+     */
+    constructor(message, details) {
+        super(message);
+        this.name = 'CassetteMismatchError';
+        this.details = details;
+    }
+}
+
+/**
+ * Shortens a prompt for error messages.
+ * @param {string} text - The prompt text.
+ * @param {number} [length=160] - Maximum length.
+ * @returns {string}
+ */
+function preview(text, length = 160) {
+    const flat = String(text ?? '').replace(/\s+/g, ' ').trim();
+    return flat.length > length ? `${flat.slice(0, length)}...` : flat;
+}
+
+class Cassette {
+    /**
+     * A cassette in either record or replay mode.
+     * @param {string} filepath - Absolute path of the cassette file.
+     * @param {('record'|'replay')} mode - Cassette mode.
+     */
+    constructor(filepath, mode) {
+        this.filepath = filepath;
+        this.mode = mode;
+        /** @type {Array<{index: number, hash?: string, systemType: string, prompt?: string, response: string|null, error?: string, offline?: boolean, call?: number}>} */
+        this.interactions = [];
+        this.queues = new Map(); // hash -> recorded interactions not yet replayed
+        this.offlineCalls = new Set(); // 'systemType#call' of recorded offline calls not yet replayed
+        this.callCounts = new Map(); // systemType -> calls so far (see decideOffline)
+        this.replayedCount = 0;
+        this.seedsReplayed = 0; // Recorded career seeds already handed out in replay mode
+        this.metadata = {};
+    }
+
+    /**
+     * Computes the hash identifying a request. Sampling parameters are excluded so
+     * tweaking temperature does not invalidate a cassette.
+     * @param {import('./providers.js').GenerationRequest} request - The generation request.
+     * @returns {string} Hex digest.
+     */
+    static hashRequest(request) {
+        const key = JSON.stringify({
+            systemType: request.systemType,
+            systemInstruction: request.systemInstruction,
+            prompt: request.prompt,
+            responseMimeType: request.responseMimeType || null,
+            responseSchema: request.responseSchema || null
+        });
+        return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+    }
+
+    /**
+     * Opens a new cassette for recording (overwrites any existing file on first write).
+     * @async
+     * @param {string} filepath - Path of the cassette file.
+     * @param {object} [metadata={}] - Extra metadata stored in the file (e.g. provider).
+     * @returns {Promise<Cassette>}
+     */
+    static async record(filepath, metadata = {}) {
+        const cassette = new Cassette(path.resolve(filepath), 'record');
+        cassette.metadata = { ...metadata, createdAt: new Date().toISOString() };
+        await fs.mkdir(path.dirname(cassette.filepath), { recursive: true });
+        await cassette.save();
+        console.log(chalk.blue(`Cassette: Recording AI interactions to ${cassette.filepath}`));
+        return cassette;
+    }
+
+    /**
+     * Loads an existing cassette for replay.
+     * @async
+     * @param {string} filepath - Path of the cassette file.
+     * @returns {Promise<Cassette>}
+     * @throws {Error} If the file cannot be read or is not a cassette.
+     */
+    static async replay(filepath) {
+        const cassette = new Cassette(path.resolve(filepath), 'replay');
+        const data = JSON.parse(await fs.readFile(cassette.filepath, 'utf8'));
+        if (!data || !Array.isArray(data.interactions)) {
+            throw new Error(`${cassette.filepath} is not a Veritaminal cassette.`);
+        }
+        cassette.metadata = data.metadata || {};
+        cassette.interactions = data.interactions;
+        cassette.interactions.forEach(interaction => {
+            if (interaction.offline) {
+                cassette.offlineCalls.add(`${interaction.systemType}#${interaction.call}`);
+                return;
+            }
+            if (!cassette.queues.has(interaction.hash)) {
+                cassette.queues.set(interaction.hash, []);
+            }
+            cassette.queues.get(interaction.hash).push(interaction);
+        });
+        console.log(chalk.blue(`Cassette: Replaying ${cassette.interactions.length} AI interactions from ${cassette.filepath}`));
+        return cassette;
+    }
+
+    /**
+     * Writes the cassette to disk.
+     * @async
+     */
+    async save() {
+        const data = {
+            version: CASSETTE_VERSION,
+            metadata: this.metadata,
+            interactions: this.interactions
+        };
+        await fs.writeFile(this.filepath, JSON.stringify(data, null, 2), 'utf8');
+    }
+
+    /**
+     * Records one request/response pair and flushes the cassette to disk.
+     * @async
+     * @param {import('./providers.js').GenerationRequest} request - The generation request.
+     * @param {string|null} response - Raw response text (null if the provider failed).
+     * @param {Error|null} [error=null] - Provider error, replayed as a failure.
+     */
+    async recordInteraction(request, response, error = null) {
+        const interaction = {
+            index: this.interactions.length,
+            hash: Cassette.hashRequest(request),
+            systemType: request.systemType,
+            prompt: request.prompt,
+            response
+        };
+        if (error) {
+            interaction.error = error.message;
+        }
+        this.interactions.push(interaction);
+        await this.save();
+    }
+
+    /**
+     * Serves the recorded response for a request.
+     * @param {import('./providers.js').GenerationRequest} request - The generation request.
+     * @returns {{response: string|null, error: string|null}} The recorded response or provider error.
+     * @throws {CassetteMismatchError} If no unused recording matches the request hash.
+     */
+    replayInteraction(request) {
+        const hash = Cassette.hashRequest(request);
+        const queue = this.queues.get(hash);
+
+        if (!queue || queue.length === 0) {
+            const nextUnused = [...this.queues.values()]
+                .flat()
+                .sort((a, b) => a.index - b.index)[0] || null;
+            const reason = queue ? 'all recordings for this prompt were already replayed' : 'no recording has this prompt hash';
+            throw new CassetteMismatchError(
+                `Cassette mismatch on request #${this.replayedCount + 1} (${request.systemType}, hash ${hash}): ${reason}.`,
+                {
+                    request: { hash, systemType: request.systemType, prompt: preview(request.prompt) },
+                    expected: nextUnused
+                        ? { index: nextUnused.index, hash: nextUnused.hash, systemType: nextUnused.systemType, prompt: preview(nextUnused.prompt) }
+                        : null
+                }
+            );
+        }
+
+        const interaction = queue.shift();
+        this.replayedCount += 1;
+        return { response: interaction.response ?? null, error: interaction.error ?? null };
+    }
+
+    /**
+     * Decides whether an AI call is served by the offline engine. Recording keeps the live decision
+     * when it is offline; replay gives the recorded decision instead, so a replay does not depend on
+     * the clock or the circuit breaker.
+     * @async
+     * @param {string} systemType - System type of the call; calls are numbered per system type.
+     * @param {boolean} offline - The live decision (ignored in replay mode).
+     * @returns {Promise<boolean>} True if the call is served by the offline engine.
+     */
+    async decideOffline(systemType, offline) {
+        const call = (this.callCounts.get(systemType) ?? 0) + 1;
+        this.callCounts.set(systemType, call);
+        if (this.mode === 'replay') {
+            const recorded = this.offlineCalls.delete(`${systemType}#${call}`);
+            if (recorded) {
+                this.replayedCount += 1;
+            }
+            return recorded;
+        }
+        if (offline) {
+            this.interactions.push({ index: this.interactions.length, systemType, call, offline: true, response: null });
+            await this.save();
+        }
+        return offline;
+    }
+
+    /**
+     * Notes the seed a career started from while recording, and flushes the cassette to disk.
+     * Does nothing in replay mode.
+     * @async
+     * @param {string} seed - The career's seed.
+     */
+    async recordSeed(seed) {
+        if (this.mode !== 'record') {
+            return;
+        }
+        this.metadata.seeds = [...(this.metadata.seeds || []), seed];
+        await this.save();
+    }
+
+    /**
+     * Gets the seeds of the careers recorded on the cassette, in the order they started.
+     * @returns {string[]} Empty for cassettes recorded before seeds were kept.
+     */
+    getRecordedSeeds() {
+        return [...(this.metadata.seeds || [])];
+    }
+
+    /**
+     * Hands out the seed of the next recorded career in replay mode.
+     * @returns {string|null} The seed, or null if there is none (record mode, every recorded career
+     *   already started, or a cassette recorded before seeds were kept).
+     */
+    takeSeed() {
+        if (this.mode !== 'replay') {
+            return null;
+        }
+        const seed = this.metadata.seeds?.[this.seedsReplayed] ?? null;
+        if (seed !== null) {
+            this.seedsReplayed += 1;
+            console.log(chalk.blue(`Cassette: Replaying career ${this.seedsReplayed} with recorded seed ${seed}`));
+        }
+        return seed;
+    }
+
+    /**
+     * Number of recorded interactions not yet replayed.
+     * @returns {number}
+     */
+    getRemainingCount() {
+        return [...this.queues.values()].reduce((total, queue) => total + queue.length, 0) + this.offlineCalls.size;
+    }
+}
+
+export { Cassette, CassetteMismatchError };
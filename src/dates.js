@@ -0,0 +1,102 @@
+/**
+ * Dates module for Veritaminal
+ * ISO date helpers (YYYY-MM-DD, UTC) shared by the in-game calendar, document generation and validation.
+ */
+
+// First day of a career when the border setting has no calendar_start
+const DEFAULT_CALENDAR_START = '1987-03-02';
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Parses an ISO date string (YYYY-MM-DD) as a UTC date.
+ * @param {string} value - The date string.
+ * @returns {Date|null} The date, or null if the string is not a real calendar date.
+ */
+function parseDate(value) {
+    const match = ISO_DATE_PATTERN.exec(String(value ?? '').trim());
+    if (!match) return null;
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    // Reject rollovers such as 1987-02-30
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    return date;
+}
+
+/**
+ * Formats a date as an ISO date string (YYYY-MM-DD).
+ * @param {Date} date - The date.
+ * @returns {string}
+ */
+function formatDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Formats an ISO date string for display (e.g. "2 Mar 1987").
+ * @param {string} value - The ISO date.
+ * @returns {string} The display date, or the input unchanged if it is not a valid date.
+ */
+function formatLongDate(value) {
+    const date = parseDate(value);
+    if (!date) return String(value ?? '');
+    return `${date.getUTCDate()} ${MONTH_NAMES[date.getUTCMonth()]} ${date.getUTCFullYear()}`;
+}
+
+/**
+ * Checks whether a value is a valid ISO date string.
+ * @param {string} value - The value to check.
+ * @returns {boolean}
+ */
+function isValidDate(value) {
+    return parseDate(value) !== null;
+}
+
+/**
+ * Adds days to an ISO date string.
+ * @param {string} value - The ISO date.
+ * @param {number} days - Days to add (may be negative).
+ * @returns {string} The new ISO date.
+ */
+function addDays(value, days) {
+    const date = parseDate(value);
+    date.setUTCDate(date.getUTCDate() + days);
+    return formatDate(date);
+}
+
+/**
+ * Adds whole years to an ISO date string (Feb 29 rolls over to Mar 1).
+ * @param {string} value - The ISO date.
+ * @param {number} years - Years to add (may be negative).
+ * @returns {string} The new ISO date.
+ */
+function addYears(value, years) {
+    const date = parseDate(value);
+    date.setUTCFullYear(date.getUTCFullYear() + years);
+    return formatDate(date);
+}
+
+/**
+ * Compares two ISO date strings.
+ * @param {string} a - First ISO date.
+ * @param {string} b - Second ISO date.
+ * @returns {number} Negative if a is before b, 0 if equal, positive if after.
+ */
+function compareDates(a, b) {
+    return parseDate(a) - parseDate(b);
+}
+
+export {
+    DEFAULT_CALENDAR_START,
+    parseDate,
+    formatDate,
+    formatLongDate,
+    isValidDate,
+    addDays,
+    addYears,
+    compareDates
+};
@@ -0,0 +1,178 @@
+/**
+ * Difficulty module for Veritaminal
+ * Defines the difficulty presets as data. A difficulty sets how far corruption and trust may drift
+ * before the career ends, how many flaws a forged traveler's papers carry and how subtle they are,
+ * how many Veritas hints the inspector may ask for each day, and the points a correct decision earns.
+ * The difficulty is part of the game configuration, so it is kept in the save.
+ */
+
+// Difficulty used by new careers and by saves from before difficulties existed
+const DEFAULT_DIFFICULTY_ID = 'officer';
+
+// How hard a planted flaw is to spot (see FLAW_TYPES in documents.js)
+const FLAW_SUBTLETY = {
+    1: "obvious",          // Wrong at a glance on a single field
+    2: "careful reading",  // Found by checking a field against the rules or today's date
+    3: "cross-referencing" // Found only by comparing the papers with each other
+};
+
+/**
+ * @typedef {object} Difficulty
+ * @property {string} id - 'trainee', 'officer', 'inspector' or 'custom'.
+ * @property {string} name - Display name.
+ * @property {string} description - One-line summary for the menu.
+ * @property {number} corruptionLimit - The career ends when corruption reaches this level.
+ * @property {number} trustLimit - The career ends when trust falls to minus this level.
+ * @property {{min: number, max: number}} flawsPerTraveler - Flaws planted in a forged traveler's papers.
+ * @property {{min: number, max: number}} flawSubtlety - Subtlety of the planted flaws (see FLAW_SUBTLETY).
+ * @property {number|null} hintsPerDay - Veritas hints allowed each day; null for no limit.
+ * @property {number} scoreMultiplier - Points earned by a correct decision.
+ */
+
+/** @type {Object<string, Difficulty>} */
+const DIFFICULTY_PRESETS = {
+    trainee: {
+        id: 'trainee',
+        name: "Trainee",
+        description: "Forgeries give themselves away, Veritas always answers, and the service forgives more mistakes.",
+        corruptionLimit: 7,
+        trustLimit: 7,
+        flawsPerTraveler: { min: 1, max: 2 },
+        flawSubtlety: { min: 1, max: 2 },
+        hintsPerDay: null,
+        scoreMultiplier: 0.5
+    },
+    officer: {
+        id: 'officer',
+        name: "Officer",
+        description: "The standard posting.",
+        corruptionLimit: 5,
+        trustLimit: 5,
+        flawsPerTraveler: { min: 1, max: 1 },
+        flawSubtlety: { min: 1, max: 3 },
+        hintsPerDay: 3,
+        scoreMultiplier: 1
+    },
+    inspector: {
+        id: 'inspector',
+        name: "Inspector",
+        description: "Only careful forgeries, one hint a day, and little patience for mistakes. Double points.",
+        corruptionLimit: 3,
+        trustLimit: 3,
+        flawsPerTraveler: { min: 1, max: 1 },
+        flawSubtlety: { min: 2, max: 3 },
+        hintsPerDay: 1,
+        scoreMultiplier: 2
+    }
+};
+
+// Allowed values for a custom difficulty: [lowest, highest]; all are whole numbers except the score multiplier
+const CUSTOM_LIMITS = {
+    corruptionLimit: [1, 20],
+    trustLimit: [1, 20],
+    flawsPerTraveler: [1, 3],
+    flawSubtlety: [1, 3],
+    hintsPerDay: [0, 20],
+    scoreMultiplier: [0.1, 5]
+};
+
+/**
+ * Lists the difficulty presets, easiest first.
+ * @returns {Difficulty[]}
+ */
+function getDifficultyPresets() {
+    return Object.values(DIFFICULTY_PRESETS).map(preset => structuredClone(preset));
+}
+
+/**
+ * Gets a copy of a difficulty preset.
+ * @param {string} [id=DEFAULT_DIFFICULTY_ID] - Preset ID.
+ * @returns {Difficulty|null} The preset, or null if there is no such preset.
+ */
+function getDifficultyPreset(id = DEFAULT_DIFFICULTY_ID) {
+    return DIFFICULTY_PRESETS[id] ? structuredClone(DIFFICULTY_PRESETS[id]) : null;
+}
+
+/**
+ * Checks that a number lies within the custom limits for a field, and is a whole number unless
+ * the field is the score multiplier.
+ * @param {string} field - Key in CUSTOM_LIMITS.
+ * @param {number} value - The value.
+ * @param {string} label - Field name for the error message.
+ * @throws {Error} If the value is not a number within the limits, or not a whole number where one is needed.
+ */
+function checkCustomValue(field, value, label) {
+    const [lowest, highest] = CUSTOM_LIMITS[field];
+    const wholeNumber = field !== 'scoreMultiplier';
+    if (typeof value !== 'number' || Number.isNaN(value) || value < lowest || value > highest || (wholeNumber && !Number.isInteger(value))) {
+        throw new Error(`${label} must be ${wholeNumber ? 'a whole number ' : ''}between ${lowest} and ${highest}.`);
+    }
+}
+
+/**
+ * Creates a custom difficulty from a base difficulty and the values the player changed.
+ * @param {Partial<Difficulty>} values - Values to change.
+ * @param {Difficulty} [base=getDifficultyPreset()] - Difficulty to start from.
+ * @returns {Difficulty} The custom difficulty.
+ * @throws {Error} If a value is outside the allowed range.
+ */
+function createCustomDifficulty(values, base = getDifficultyPreset()) {
+    const difficulty = { ...structuredClone(base), ...structuredClone(values), id: 'custom', name: "Custom", description: "Your own settings." };
+    checkCustomValue('corruptionLimit', difficulty.corruptionLimit, "Corruption limit");
+    checkCustomValue('trustLimit', difficulty.trustLimit, "Trust limit");
+    checkCustomValue('flawsPerTraveler', difficulty.flawsPerTraveler.min, "Fewest flaws per forged traveler");
+    checkCustomValue('flawsPerTraveler', difficulty.flawsPerTraveler.max, "Most flaws per forged traveler");
+    checkCustomValue('flawSubtlety', difficulty.flawSubtlety.min, "Most obvious flaw subtlety");
+    checkCustomValue('flawSubtlety', difficulty.flawSubtlety.max, "Subtlest flaw subtlety");
+    if (difficulty.hintsPerDay !== null) {
+        checkCustomValue('hintsPerDay', difficulty.hintsPerDay, "Hints per day");
+    }
+    checkCustomValue('scoreMultiplier', difficulty.scoreMultiplier, "Score multiplier");
+    if (difficulty.flawsPerTraveler.min > difficulty.flawsPerTraveler.max || difficulty.flawSubtlety.min > difficulty.flawSubtlety.max) {
+        throw new Error("The lower end of a range cannot be above its upper end.");
+    }
+    return difficulty;
+}
+
+/**
+ * Gets the corruption and trust levels at which the narrative warns the inspector and ends the career.
+ * Warnings come at half the limit.
+ * @param {Difficulty} difficulty - The difficulty.
+ * @returns {{corruptionWarning: number, corruptionGameOver: number, trustWarning: number, trustGameOver: number}}
+ */
+function getThresholds(difficulty) {
+    return {
+        corruptionWarning: Math.max(1, Math.floor(difficulty.corruptionLimit / 2)),
+        corruptionGameOver: difficulty.corruptionLimit,
+        trustWarning: -Math.max(1, Math.floor(difficulty.trustLimit / 2)),
+        trustGameOver: -difficulty.trustLimit
+    };
+}
+
+/**
+ * Describes a difficulty's settings, one line per setting.
+ * @param {Difficulty} difficulty - The difficulty.
+ * @returns {string[]}
+ */
+function describeDifficulty(difficulty) {
+    const range = ({ min, max }, format = String) => min === max ? format(min) : `${format(min)} to ${format(max)}`;
+    const flaws = difficulty.flawsPerTraveler;
+    return [
+        `Career ends at corruption ${difficulty.corruptionLimit} or trust -${difficulty.trustLimit}`,
+        `Forged papers carry ${range(flaws)} flaw${flaws.max === 1 ? '' : 's'}, ${range(difficulty.flawSubtlety, level => FLAW_SUBTLETY[level])}`,
+        difficulty.hintsPerDay === null ? "Veritas hints: no limit" : `Veritas hints: ${difficulty.hintsPerDay} a day`,
+        `Points per correct decision: ${difficulty.scoreMultiplier}`
+    ];
+}
+
+export {
+    DIFFICULTY_PRESETS,
+    DEFAULT_DIFFICULTY_ID,
+    FLAW_SUBTLETY,
+    CUSTOM_LIMITS,
+    getDifficultyPresets,
+    getDifficultyPreset,
+    createCustomDifficulty,
+    getThresholds,
+    describeDifficulty
+};
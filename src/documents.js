@@ -0,0 +1,654 @@
+/**
+ * Documents module for Veritaminal
+ * Defines the typed traveler document schema and builds documents: permit numbers, validation, the papers
+ * bundle, the up-front legitimacy decision and the planted flaws stored as hidden ground truth on each document.
+ */
+
+import chalk from 'chalk';
+import { getSettingTemplates, generateOfflineName, generateOfflineIdentity, generatePassportNumber, generateOfflineDocument } from './offline.js';
+import { DEFAULT_CALENDAR_START, isValidDate, compareDates, addDays, addYears } from './dates.js';
+import { assemblePapers, getPaper, setDocumentField, setPaperField, removePaper, formatFieldName } from './papers.js';
+import { getFieldKey } from './rules.js';
+import { random, pick, randomInt, shuffle } from './random.js';
+import { getDifficultyPreset } from './difficulty.js';
+
+// Share of travelers whose papers are entirely in order
+const LEGITIMATE_RATE = 0.6;
+
+/**
+ * @typedef {object} TravelerDocument
+ * @property {string} name - Full name (first and last).
+ * @property {string} permit - Entry permit number ('P' followed by 4 digits when valid).
+ * @property {string} date_of_birth - ISO date (YYYY-MM-DD).
+ * @property {string} nationality - Nationality of the traveler.
+ * @property {string} issuing_authority - Authority that issued the traveler's papers.
+ * @property {string} issue_date - ISO date the papers were issued.
+ * @property {string} expiry_date - ISO date the passport expires.
+ * @property {string} permit_expiry - ISO date the entry permit expires.
+ * @property {string} purpose_of_visit - Purpose of visit (decides which credentials are required).
+ * @property {string} occupation - Occupation of the traveler.
+ * @property {string} passport_number - Passport number (nationality prefix and six digits).
+ * @property {Object<string, string>} credentials - Setting-specific credentials keyed by credential field.
+ * @property {import('./papers.js').Paper[]} papers - Papers presented by the traveler (passport, entry permit, border paper).
+ * @property {string} backstory - Brief one-sentence backstory mentioning the name.
+ * @property {Object<string, string>} additional_fields - Free-form extras (stay duration, entry count, notes).
+ * @property {GroundTruth} [ground_truth] - Hidden planted flaws (never shown to the player or AI).
+ */
+
+/**
+ * Typed document fields in display order. `type` is 'string' or 'date' (ISO YYYY-MM-DD).
+ * Credentials, papers, backstory and additional fields are listed separately.
+ * @type {Array<{key: string, label: string, type: ('string'|'date')}>}
+ */
+const DOCUMENT_FIELDS = [
+    { key: 'name', label: 'Name', type: 'string' },
+    { key: 'permit', label: 'Permit', type: 'string' },
+    { key: 'date_of_birth', label: 'Date of Birth', type: 'date' },
+    { key: 'nationality', label: 'Nationality', type: 'string' },
+    { key: 'passport_number', label: 'Passport Number', type: 'string' },
+    { key: 'occupation', label: 'Occupation', type: 'string' },
+    { key: 'purpose_of_visit', label: 'Purpose of Visit', type: 'string' },
+    { key: 'issuing_authority', label: 'Issuing Authority', type: 'string' },
+    { key: 'issue_date', label: 'Issue Date', type: 'date' },
+    { key: 'expiry_date', label: 'Expiry Date', type: 'date' },
+    { key: 'permit_expiry', label: 'Permit Valid Until', type: 'date' }
+];
+
+// Identity fields the generator (AI or offline) may supply; the rest are set by the game
+const GENERATED_IDENTITY_FIELDS = ['date_of_birth', 'nationality', 'occupation'];
+
+/**
+ * @typedef {object} PlantedFlaw
+ * @property {string} type - Key in FLAW_TYPES, or 'regulation' for a break of a regulation in force (see applyRegulations).
+ * @property {string} field - Document field the flaw was planted in.
+ * @property {string} description - What is wrong, shown to the player after the decision.
+ */
+
+/**
+ * @typedef {object} GroundTruth
+ * @property {boolean} legitimate - True if the traveler should be approved.
+ * @property {PlantedFlaw[]} flaws - Flaws planted in the document (empty when legitimate).
+ */
+
+/**
+ * @typedef {object} TravelerPlan
+ * @property {boolean} legitimate - Whether the traveler is legitimate.
+ * @property {string[]} flawTypes - Flaw types to plant, in order of preference.
+ * @property {number} [flawCount=1] - Number of flaws to plant (see Difficulty.flawsPerTraveler).
+ * @property {string} purpose - Purpose of visit the generator must use.
+ * @property {string} date - Current game date (ISO) the traveler arrives on.
+ */
+
+// --- Helpers ---
+
+/**
+ * Formats a field key for prose (e.g. "trade_visa_stamp" -> "trade visa stamp").
+ * @param {string} field - The field key.
+ * @returns {string}
+ */
+function humanizeField(field) {
+    return field.replace(/_/g, ' ');
+}
+
+/**
+ * Keeps only the string-valued entries of a free-form object.
+ * @param {any} value - The candidate object.
+ * @returns {Object<string, string>}
+ */
+function toStringMap(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
+    return Object.fromEntries(
+        Object.entries(value)
+            .filter(([, entry]) => ['string', 'number', 'boolean'].includes(typeof entry))
+            .map(([key, entry]) => [key, String(entry).trim()])
+            .filter(([, entry]) => entry !== '')
+    );
+}
+
+/**
+ * Generates a permit number with controlled validity.
+ * Format: Valid = 'P' + 4 digits. Invalid has variations.
+ * @param {boolean} [valid=true] - Whether to generate a valid permit number.
+ * @returns {string} A permit number (valid or invalid).
+ */
+function generatePermitNumber(valid = true) {
+    const digits = (count) => Array.from({ length: count }, () => Math.floor(random() * 10)).join('');
+    const randomLetter = (exclude = '') => {
+        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+        let letter;
+        do {
+            letter = alphabet[Math.floor(random() * alphabet.length)];
+        } while (letter === exclude);
+        return letter;
+    };
+
+    if (valid) {
+        return 'P' + digits(4);
+    } else {
+        const errorType = ['wrong_prefix', 'wrong_length', 'non_digit'][Math.floor(random() * 3)];
+
+        if (errorType === 'wrong_prefix') {
+            return randomLetter('P') + digits(4);
+        } else if (errorType === 'wrong_length') {
+            const length = random() < 0.5 ? 3 : 5;
+            return 'P' + digits(length);
+        } else { // non_digit
+            let d = digits(3);
+            const nonDigit = random() < 0.5 ? randomLetter() : '!@#$%^&*()_-+=<>?~`'[Math.floor(random() * 19)];
+            const position = Math.floor(random() * 4);
+            d = d.slice(0, position) + nonDigit + d.slice(position);
+            return 'P' + d.slice(0, 4); // Ensure final length is 5
+        }
+    }
+}
+
+// --- Flaw Catalog ---
+
+/**
+ * Picks a different surname for a full name.
+ * @param {string} name - The full name.
+ * @returns {string} The first name with another surname.
+ */
+function withOtherSurname(name) {
+    const firstName = name.split(' ')[0];
+    let surname;
+    do {
+        surname = generateOfflineName().split(' ').slice(1).join(' ');
+    } while (name.endsWith(surname));
+    return `${firstName} ${surname}`;
+}
+
+/**
+ * Flaws that can be planted in a clean document. `applies` says whether the flaw can be planted
+ * in a given document; `plant` mutates the document (and its papers) and returns the planted flaw.
+ * Both receive the document, the setting and the traveler plan (for the current game date).
+ * Flaws with `needsBorderPaper` only apply to travelers whose purpose requires the setting's credential.
+ * Cross-reference flaws change a field on one paper so it disagrees with the others.
+ * `subtlety` says how hard the flaw is to spot (see FLAW_SUBTLETY in difficulty.js), and `touches`
+ * names the parts of the papers it changes, so that two flaws in one document never undo each other.
+ * @type {Object<string, {label: string, subtlety: number, touches: string[], needsBorderPaper?: boolean, applies: function(object, object, TravelerPlan): boolean, plant: function(object, object, TravelerPlan): PlantedFlaw}>}
+ */
+const FLAW_TYPES = {
+    permit_format: {
+        label: "Invalid permit format",
+        subtlety: 1,
+        touches: ['permit'],
+        applies: () => true,
+        plant: (doc) => {
+            setDocumentField(doc, 'permit', generatePermitNumber(false));
+            return { type: 'permit_format', field: 'papers.entry_permit.permit', description: `Permit '${doc.permit}' is not 'P' followed by 4 digits.` };
+        }
+    },
+    name_mismatch: {
+        label: "Name mismatch",
+        subtlety: 2,
+        touches: ['name', 'backstory'],
+        applies: (doc) => typeof doc.backstory === 'string' && doc.backstory.includes(doc.name),
+        plant: (doc) => {
+            const otherName = withOtherSurname(doc.name);
+            doc.backstory = doc.backstory.split(doc.name).join(otherName);
+            return { type: 'name_mismatch', field: 'backstory', description: `Backstory names '${otherName}' but the papers say '${doc.name}'.` };
+        }
+    },
+    single_name: {
+        label: "Incomplete name",
+        subtlety: 1,
+        touches: ['name'],
+        applies: (doc) => typeof doc.name === 'string' && doc.name.trim().split(/\s+/).length >= 2,
+        plant: (doc) => {
+            setDocumentField(doc, 'name', doc.name.trim().split(/\s+/)[0]);
+            return { type: 'single_name', field: 'name', description: `Name '${doc.name}' has no surname.` };
+        }
+    },
+    missing_authorization: {
+        label: "Missing setting-specific authorization",
+        subtlety: 1,
+        touches: ['credential', 'border_paper'],
+        needsBorderPaper: true,
+        applies: (doc, setting) => requiresCredential(doc, setting),
+        plant: (doc, setting) => {
+            const { credential } = getSettingTemplates(setting);
+            delete doc.credentials[credential.field];
+            removePaper(doc, 'border_paper');
+            return {
+                type: 'missing_authorization',
+                field: `credentials.${credential.field}`,
+                description: `No ${credential.title}, required for ${doc.purpose_of_visit}.`
+            };
+        }
+    },
+    forged_authorization: {
+        label: "Forged setting-specific authorization",
+        subtlety: 2,
+        touches: ['credential'],
+        needsBorderPaper: true,
+        applies: (doc, setting) => requiresCredential(doc, setting),
+        plant: (doc, setting) => {
+            const { credential } = getSettingTemplates(setting);
+            setDocumentField(doc, credential.field, pick(credential.forged));
+            return {
+                type: 'forged_authorization',
+                field: `credentials.${credential.field}`,
+                description: `The ${humanizeField(credential.field)} '${doc.credentials[credential.field]}' is not genuine.`
+            };
+        }
+    },
+    passport_name_mismatch: {
+        label: "Passport name differs from the other papers",
+        subtlety: 3,
+        touches: ['name'],
+        applies: (doc) => getPaper(doc, 'passport') !== null && doc.name.trim().split(/\s+/).length >= 2,
+        plant: (doc) => {
+            const otherName = withOtherSurname(doc.name);
+            setPaperField(doc, 'passport', 'name', otherName);
+            return { type: 'passport_name_mismatch', field: 'papers.passport.name', description: `Passport is issued to '${otherName}' but the entry permit names '${doc.name}'.` };
+        }
+    },
+    passport_number_mismatch: {
+        label: "Passport number differs between papers",
+        subtlety: 3,
+        touches: ['passport_number'],
+        applies: (doc) => getPaper(doc, 'entry_permit') !== null,
+        plant: (doc) => {
+            let otherNumber;
+            do {
+                otherNumber = generatePassportNumber(doc.nationality);
+            } while (otherNumber === doc.passport_number);
+            setPaperField(doc, 'entry_permit', 'passport_number', otherNumber);
+            return { type: 'passport_number_mismatch', field: 'papers.entry_permit.passport_number', description: `Entry permit lists passport ${otherNumber}, but the passport is ${doc.passport_number}.` };
+        }
+    },
+    nationality_mismatch: {
+        label: "Nationality differs between papers",
+        subtlety: 3,
+        touches: ['nationality'],
+        applies: (doc, setting) => getPaper(doc, 'entry_permit') !== null
+            && Object.keys(getSettingTemplates(setting).nationalities).length > 1,
+        plant: (doc, setting) => {
+            const otherNationality = pick(Object.keys(getSettingTemplates(setting).nationalities).filter(n => n !== doc.nationality));
+            setPaperField(doc, 'entry_permit', 'nationality', otherNationality);
+            return { type: 'nationality_mismatch', field: 'papers.entry_permit.nationality', description: `Entry permit says ${otherNationality}, but the passport says ${doc.nationality}.` };
+        }
+    },
+    expired_passport: {
+        label: "Expired passport",
+        subtlety: 2,
+        touches: ['passport_dates'],
+        applies: (doc) => getPaper(doc, 'passport') !== null,
+        plant: (doc, setting, plan) => {
+            const expiry = addDays(plan.date, -(1 + Math.floor(random() * 120)));
+            setDocumentField(doc, 'expiry_date', expiry);
+            setDocumentField(doc, 'issue_date', addYears(expiry, -5));
+            return { type: 'expired_passport', field: 'papers.passport.expiry_date', description: `Passport expired on ${expiry}, before today's date (${plan.date}).` };
+        }
+    },
+    expired_permit: {
+        label: "Expired entry permit",
+        subtlety: 2,
+        touches: ['permit_expiry'],
+        applies: (doc) => getPaper(doc, 'entry_permit') !== null,
+        plant: (doc, setting, plan) => {
+            const expiry = addDays(plan.date, -(1 + Math.floor(random() * 30)));
+            setDocumentField(doc, 'permit_expiry', expiry);
+            return { type: 'expired_permit', field: 'papers.entry_permit.permit_expiry', description: `Entry permit expired on ${expiry}, before today's date (${plan.date}).` };
+        }
+    },
+    birth_date_mismatch: {
+        label: "Date of birth differs between papers",
+        subtlety: 3,
+        touches: ['border_paper'],
+        needsBorderPaper: true,
+        applies: (doc) => getPaper(doc, 'border_paper') !== null,
+        plant: (doc) => {
+            const paper = getPaper(doc, 'border_paper');
+            const shift = pick([-1, 1]) * (random() < 0.5 ? 365 * (1 + Math.floor(random() * 3)) : 1 + Math.floor(random() * 40));
+            const otherDate = addDays(doc.date_of_birth, shift);
+            setPaperField(doc, 'border_paper', 'date_of_birth', otherDate);
+            return { type: 'birth_date_mismatch', field: 'papers.border_paper.date_of_birth', description: `${paper.title} gives a birth date of ${otherDate}, but the passport says ${doc.date_of_birth}.` };
+        }
+    }
+};
+
+/**
+ * Checks whether a document's purpose of visit requires the setting's credential.
+ * @param {object} doc - The traveler document.
+ * @param {object} setting - The border setting.
+ * @returns {boolean}
+ */
+function requiresCredential(doc, setting) {
+    const purpose = doc.purpose_of_visit;
+    return Boolean(purpose) && getSettingTemplates(setting).credential.appliesTo.includes(purpose);
+}
+
+// --- Planning & Planting ---
+
+/**
+ * Decides up front whether a traveler is legitimate and which flaws to plant.
+ * Flaws on the border paper force a purpose of visit that needs the credential.
+ * The difficulty decides how many flaws a forged traveler carries and how subtle they are.
+ * @param {object} setting - The border setting.
+ * @param {string} [date=DEFAULT_CALENDAR_START] - Current game date (ISO).
+ * @param {import('./difficulty.js').Difficulty} [difficulty=getDifficultyPreset()] - The career's difficulty.
+ * @returns {TravelerPlan} The plan.
+ */
+function planTraveler(setting, date = DEFAULT_CALENDAR_START, difficulty = getDifficultyPreset()) {
+    const templates = getSettingTemplates(setting);
+    const legitimate = random() < LEGITIMATE_RATE;
+
+    if (legitimate) {
+        return { legitimate, flawTypes: [], purpose: pick(templates.purposes), date };
+    }
+
+    const { min, max } = difficulty.flawSubtlety;
+    let eligible = Object.keys(FLAW_TYPES).filter(type => FLAW_TYPES[type].subtlety >= min && FLAW_TYPES[type].subtlety <= max);
+    if (eligible.length === 0) {
+        // A subtlety range no flaw type falls in (e.g. a hand-edited save) still gets a flawed traveler
+        console.warn(chalk.yellow(`Documents: No flaw type has a subtlety between ${min} and ${max}; planting any flaw type.`));
+        eligible = Object.keys(FLAW_TYPES);
+    }
+    const flawType = pick(eligible);
+    const purpose = FLAW_TYPES[flawType].needsBorderPaper
+        ? pick(templates.credential.appliesTo)
+        : pick(templates.purposes);
+    const flawCount = randomInt(difficulty.flawsPerTraveler.min, difficulty.flawsPerTraveler.max);
+
+    // Further flaws come from the other eligible types, then the fallbacks in case the preferred
+    // flaws cannot be planted in the generated document
+    const extras = flawCount > 1 ? shuffle(eligible.filter(type => type !== flawType)) : [];
+    const fallbacks = ['passport_number_mismatch', 'name_mismatch', 'single_name', 'permit_format']
+        .filter(type => type !== flawType && !extras.includes(type) && eligible.includes(type));
+    return { legitimate, flawTypes: [flawType, ...extras, ...fallbacks], flawCount, purpose, date };
+}
+
+// --- Schema ---
+
+/**
+ * Validates a document against the typed schema (types, date formats, date order and the papers list).
+ * Game-rule violations such as a malformed permit are flaws, not schema errors.
+ * @param {TravelerDocument} doc - The document to validate.
+ * @returns {string[]} Schema errors (empty if the document is valid).
+ */
+function validateDocument(doc) {
+    if (!doc || typeof doc !== 'object') {
+        return ["Document is not an object."];
+    }
+    const errors = [];
+    DOCUMENT_FIELDS.forEach(({ key, label, type }) => {
+        const value = doc[key];
+        if (typeof value !== 'string' || value.trim() === '') {
+            errors.push(`${label} is missing.`);
+        } else if (type === 'date' && !isValidDate(value)) {
+            errors.push(`${label} '${value}' is not a YYYY-MM-DD date.`);
+        }
+    });
+    if (typeof doc.backstory !== 'string' || doc.backstory.trim() === '') {
+        errors.push("Backstory is missing.");
+    }
+    if (!Array.isArray(doc.papers) || doc.papers.length === 0
+        || doc.papers.some(paper => !paper || typeof paper.title !== 'string' || !paper.fields || typeof paper.fields !== 'object')) {
+        errors.push("papers must be a non-empty list of { type, title, fields }.");
+    }
+    ['credentials', 'additional_fields'].forEach(key => {
+        const value = doc[key];
+        if (!value || typeof value !== 'object' || Array.isArray(value)
+            || Object.values(value).some(entry => typeof entry !== 'string')) {
+            errors.push(`${key} must be an object of strings.`);
+        }
+    });
+    if (errors.length === 0) {
+        if (compareDates(doc.date_of_birth, doc.issue_date) >= 0) {
+            errors.push("Date of Birth must be before the Issue Date.");
+        }
+        if (compareDates(doc.issue_date, doc.expiry_date) >= 0) {
+            errors.push("Issue Date must be before the Expiry Date.");
+        }
+    }
+    return errors;
+}
+
+/**
+ * Builds a clean, schema-valid document for a plan from generator output (AI or offline).
+ * Generator-supplied identity fields are kept when valid; anything missing or malformed is
+ * filled from the offline engine. Purpose, credentials and issuing details follow the plan and setting.
+ * @param {object} raw - Generator output; needs at least name and backstory.
+ * @param {string} permit - The (valid) permit number.
+ * @param {TravelerPlan} plan - The traveler plan.
+ * @param {object} setting - The border setting.
+ * @returns {TravelerDocument} The clean document.
+ * @throws {Error} If the result still fails validation (e.g. no name).
+ */
+function buildDocument(raw, permit, plan, setting) {
+    const templates = getSettingTemplates(setting);
+    const identity = generateOfflineIdentity(setting, plan.purpose, plan.date);
+    const doc = {
+        name: String(raw?.name ?? '').trim(),
+        permit,
+        ...identity,
+        purpose_of_visit: plan.purpose,
+        credentials: {},
+        backstory: String(raw?.backstory ?? '').trim(),
+        additional_fields: toStringMap(raw?.additional_fields)
+    };
+
+    const replaced = [];
+    GENERATED_IDENTITY_FIELDS.forEach(key => {
+        const value = typeof raw?.[key] === 'string' ? raw[key].trim() : '';
+        if (!value) return;
+        const fieldType = DOCUMENT_FIELDS.find(field => field.key === key).type;
+        const validNationality = key !== 'nationality' || templates.nationalities[value] !== undefined;
+        if ((fieldType === 'date' && !isValidDate(value)) || !validNationality) {
+            replaced.push(`${key}='${value}'`);
+            return;
+        }
+        doc[key] = value;
+    });
+    // Papers are issued by the nationality's own authority, to a holder at least 16 years old
+    doc.issuing_authority = templates.nationalities[doc.nationality];
+    doc.passport_number = generatePassportNumber(doc.nationality);
+    if (compareDates(doc.date_of_birth, addYears(doc.issue_date, -16)) > 0) {
+        replaced.push(`date_of_birth='${doc.date_of_birth}'`);
+        doc.date_of_birth = identity.date_of_birth;
+    }
+    if (replaced.length > 0) {
+        console.warn(chalk.yellow(`Documents: Replaced invalid generated fields for ${doc.name}: ${replaced.join(', ')}`));
+    }
+
+    if (requiresCredential(doc, setting)) {
+        doc.credentials[templates.credential.field] = pick(templates.credential.valid);
+    }
+    doc.papers = assemblePapers(doc, templates.credential);
+
+    const errors = validateDocument(doc);
+    if (errors.length > 0) {
+        throw new Error(`Generated document failed validation: ${errors.join(' ')}`);
+    }
+    return doc;
+}
+
+/**
+ * Plants the planned flaws in a clean document, in order of preference. Each flaw must be plantable
+ * in the document as already flawed and must not touch a part of the papers another flaw changed.
+ * The result carries the hidden `ground_truth` used for scoring.
+ * @param {TravelerDocument} doc - Clean document (see buildDocument).
+ * @param {TravelerPlan} plan - The traveler plan.
+ * @param {object} setting - The border setting.
+ * @returns {TravelerDocument} The document with `ground_truth` attached.
+ */
+function plantFlaws(doc, plan, setting) {
+    /** @type {PlantedFlaw[]} */
+    const flaws = [];
+    const touched = new Set(); // Parts of the papers changed by the flaws planted so far
+    if (!plan.legitimate) {
+        for (const type of plan.flawTypes) {
+            if (flaws.length >= (plan.flawCount ?? 1)) {
+                break;
+            }
+            const flawType = FLAW_TYPES[type];
+            if (!flawType.touches.some(part => touched.has(part)) && flawType.applies(doc, setting, plan)) {
+                flaws.push(flawType.plant(doc, setting, plan));
+                flawType.touches.forEach(part => touched.add(part));
+            }
+        }
+        if (flaws.length === 0) {
+            flaws.push(FLAW_TYPES.permit_format.plant(doc, setting, plan));
+        }
+    }
+
+    doc.ground_truth = { legitimate: flaws.length === 0, flaws };
+    console.log(chalk.blue(`Documents: Planted ${flaws.length} flaw(s) for ${doc.name}${flaws.length ? ` (${flaws.map(f => f.type).join(', ')})` : ''}`));
+    return doc;
+}
+
+/**
+ * Reconciles a document's ground truth with the regulations in force on the day it is inspected:
+ * a planted flaw that only breaks a requirement not in force (scheduled for a later day, replaced or
+ * retired) is lifted, and a requirement in force that the papers break without a planted flaw
+ * becomes a 'regulation' flaw. Flaws and rule failures are matched by field key.
+ * @param {TravelerDocument} doc - Document with `ground_truth` attached.
+ * @param {object} failures - Rule failures for the document.
+ * @param {Array<{field: string, description: string, value: string|null}>} [failures.violated=[]] - Failed rules in force.
+ * @param {Array<{field: string}>} [failures.lifted=[]] - Failed requirements that are not in force.
+ * @returns {TravelerDocument} The document with its ground truth updated.
+ */
+function applyRegulations(doc, { violated = [], lifted = [] }) {
+    const violatedKeys = new Set(violated.map(failure => getFieldKey(failure.field)));
+    const liftedKeys = new Set(lifted.map(failure => getFieldKey(failure.field)));
+
+    const flaws = (doc.ground_truth?.flaws || []).filter(flaw =>
+        violatedKeys.has(getFieldKey(flaw.field)) || !liftedKeys.has(getFieldKey(flaw.field)));
+    const liftedCount = (doc.ground_truth?.flaws || []).length - flaws.length;
+
+    violated.forEach(failure => {
+        if (!flaws.some(flaw => getFieldKey(flaw.field) === getFieldKey(failure.field))) {
+            flaws.push({
+                type: 'regulation',
+                field: failure.field,
+                description: `${formatFieldName(getFieldKey(failure.field))} '${failure.value ?? 'missing'}' breaks the regulation: ${failure.description}`
+            });
+        }
+    });
+
+    if (liftedCount > 0 || flaws.length !== (doc.ground_truth?.flaws || []).length) {
+        console.log(chalk.blue(`Documents: Applied regulations to ${doc.name}: ${liftedCount} flaw(s) lifted, ${flaws.length} in force`));
+    }
+    doc.ground_truth = { legitimate: flaws.length === 0, flaws };
+    return doc;
+}
+
+/**
+ * Builds, validates and plants flaws in one step.
+ * @param {object} raw - Generator output (see buildDocument).
+ * @param {string} permit - The (valid) permit number.
+ * @param {TravelerPlan} plan - The traveler plan.
+ * @param {object} setting - The border setting.
+ * @returns {TravelerDocument} The final document with `ground_truth` attached.
+ * @throws {Error} If the generator output cannot be turned into a valid document.
+ */
+function finalizeDocument(raw, permit, plan, setting) {
+    return plantFlaws(buildDocument(raw, permit, plan, setting), plan, setting);
+}
+
+/**
+ * Generates a sample of offline documents covering every purpose of visit and every flaw type,
+ * used to see which rules the generator actually exercises (see lint.js).
+ * @param {object} setting - The border setting.
+ * @param {string} [date=DEFAULT_CALENDAR_START] - Current game date (ISO).
+ * @param {number} [perCase=10] - Documents per purpose and per flaw type.
+ * @returns {TravelerDocument[]} The documents, with `ground_truth` attached.
+ */
+function generateSampleDocuments(setting, date = DEFAULT_CALENDAR_START, perCase = 10) {
+    const templates = getSettingTemplates(setting);
+    const plans = [
+        ...templates.purposes.map(purpose => ({ legitimate: true, flawTypes: [], purpose, date })),
+        ...Object.entries(FLAW_TYPES).map(([flawType, { needsBorderPaper }]) => ({
+            legitimate: false,
+            flawTypes: [flawType],
+            purposes: needsBorderPaper ? templates.credential.appliesTo : templates.purposes,
+            date
+        }))
+    ];
+
+    const documents = [];
+    plans.forEach(({ purposes, ...plan }) => {
+        for (let i = 0; i < perCase; i++) {
+            const travelerPlan = { ...plan, purpose: plan.purpose || pick(purposes) };
+            const permit = generatePermitNumber(true);
+            documents.push(finalizeDocument(generateOfflineDocument(setting, permit, travelerPlan.purpose, date), permit, travelerPlan, setting));
+        }
+    });
+    return documents;
+}
+
+// --- Presentation ---
+
+/**
+ * Formats a document's visible papers for AI prompts (never includes the ground truth).
+ * Documents without papers fall back to the typed fields.
+ * @param {TravelerDocument} doc - The traveler document.
+ * @returns {string} One block per paper plus the traveler's statement.
+ */
+function formatDocumentForPrompt(doc) {
+    const lines = [];
+    if (Array.isArray(doc?.papers) && doc.papers.length > 0) {
+        doc.papers.forEach(paper => {
+            lines.push(`${paper.title.toUpperCase()}:`);
+            Object.entries(paper.fields).forEach(([key, value]) => {
+                lines.push(`- ${DOCUMENT_FIELDS.find(field => field.key === key)?.label || formatFieldName(key)}: ${value}`);
+            });
+        });
+    } else {
+        DOCUMENT_FIELDS.forEach(({ key, label }) => lines.push(`${label}: ${doc?.[key] ?? 'N/A'}`));
+    }
+    lines.push(`Backstory: ${doc?.backstory ?? 'N/A'}`);
+    lines.push(`Additional Fields: ${JSON.stringify(doc?.additional_fields || {})}`);
+    return lines.join('\n');
+}
+
+/**
+ * Summarizes a document's typed fields for the memory history (no backstory or ground truth).
+ * @param {TravelerDocument} doc - The traveler document.
+ * @returns {object} Compact typed summary.
+ */
+function summarizeDocument(doc) {
+    const summary = Object.fromEntries(DOCUMENT_FIELDS.map(({ key }) => [key, doc?.[key] ?? null]));
+    summary.credentials = { ...(doc?.credentials || {}) };
+    summary.papers = (doc?.papers || []).map(paper => paper.title);
+    return summary;
+}
+
+/**
+ * Gets the hidden ground truth of a document.
+ * @param {object} doc - The traveler document.
+ * @returns {GroundTruth|null} The ground truth, or null for documents generated without one.
+ */
+function getGroundTruth(doc) {
+    return doc?.ground_truth || null;
+}
+
+/**
+ * Gets the decision that is correct for a document according to its ground truth.
+ * @param {object} doc - The traveler document.
+ * @returns {('approve'|'deny')} The correct decision.
+ */
+function getExpectedDecision(doc) {
+    return getGroundTruth(doc)?.legitimate ? 'approve' : 'deny';
+}
+
+export {
+    generatePermitNumber,
+    planTraveler,
+    buildDocument,
+    plantFlaws,
+    applyRegulations,
+    finalizeDocument,
+    generateSampleDocuments,
+    validateDocument,
+    formatDocumentForPrompt,
+    summarizeDocument,
+    getGroundTruth,
+    getExpectedDecision,
+    requiresCredential,
+    DOCUMENT_FIELDS,
+    FLAW_TYPES,
+    LEGITIMATE_RATE
+};
@@ -0,0 +1,277 @@
+/**
+ * Economy module for Veritaminal
+ * The inspector's pay and household. Each correct decision earns a wage and each mistake draws a
+ * fine of the same amount. At the end of every day the rent is due and the inspector chooses which
+ * household expenses to pay; unpaid food and heat wear down the family's health, and sick family
+ * members need medicine to recover. Falling behind on the rent or losing the whole family ends the
+ * career (see outcomes.js). The savings, the family, the rent owed and the ledger are kept in the
+ * saved gameState.
+ */
+
+// Savings a new career starts with
+const STARTING_SAVINGS = 20;
+
+// Pay for a full day of correct decisions, spread over the day's travelers (see getWage)
+const DAILY_WAGE = 60;
+
+// Days the rent can go unpaid; the landlord evicts the family when it is this many days behind
+const EVICTION_AFTER_DAYS = 2;
+
+/**
+ * @typedef {object} Expense
+ * @property {string} name - Display name.
+ * @property {number} cost - Credits a day.
+ * @property {boolean} [required] - Always due; the rent cannot be skipped, only owed.
+ * @property {boolean} [whenSick] - Only offered while a family member is sick.
+ * @property {string} description - What paying it does, for the end-of-day screen.
+ */
+
+/** @type {Object<string, Expense>} */
+const EXPENSES = {
+    rent: { name: "Rent", cost: 20, required: true, description: `Due every day; ${EVICTION_AFTER_DAYS} days behind and the family is evicted` },
+    food: { name: "Food", cost: 10, description: "Unfed, every family member weakens" },
+    heat: { name: "Heat", cost: 5, description: "In a cold home, every family member weakens" },
+    medicine: { name: "Medicine", cost: 15, whenSick: true, description: "Sick family members recover instead of getting worse" }
+};
+
+// Health levels of a family member, from dead to healthy (the index is the health value)
+const HEALTH_LEVELS = ["Dead", "Gravely ill", "Sick", "Weak", "Tired", "Healthy"];
+const MAX_HEALTH = HEALTH_LEVELS.length - 1;
+const SICK_HEALTH = 2; // At or below this level a family member needs medicine
+
+// The inspector's family at the start of a career
+const FAMILY = [
+    { id: 'partner', name: "Partner" },
+    { id: 'child', name: "Child" },
+    { id: 'parent', name: "Parent" }
+];
+
+// Display names of ledger items that are not expenses
+const INCOME_ITEMS = {
+    wages: "Wages",
+    fines: "Fines"
+};
+
+/**
+ * @typedef {object} FamilyMember
+ * @property {string} id - Member ID.
+ * @property {string} name - Display name.
+ * @property {number} health - Index into HEALTH_LEVELS.
+ */
+
+/**
+ * @typedef {object} LedgerEntry
+ * @property {number} day - Day of the entry.
+ * @property {string} item - 'wages', 'fines' or an expense ID.
+ * @property {number} amount - Credits, negative for money going out.
+ * @property {number} [count] - Decisions behind a wages or fines entry.
+ */
+
+/**
+ * Creates the family of a new career, all healthy.
+ * @returns {FamilyMember[]}
+ */
+function createFamily() {
+    return FAMILY.map(member => ({ ...member, health: MAX_HEALTH }));
+}
+
+/**
+ * Gets the wage a correct decision earns (and a mistake is fined): a full day's wage spread over
+ * the day's travelers, so days of any length pay the same.
+ * @param {number} travelersPerDay - Travelers per day (the shift's target when shifts are timed).
+ * @returns {number} Credits per traveler.
+ */
+function getWage(travelersPerDay) {
+    return Math.max(1, Math.round(DAILY_WAGE / travelersPerDay));
+}
+
+/**
+ * Formats an amount of credits.
+ * @param {number} amount - Credits.
+ * @param {boolean} [signed=false] - Show a plus sign on positive amounts.
+ * @returns {string} e.g. "35 cr" or "+12 cr".
+ */
+function formatCredits(amount, signed = false) {
+    return `${signed && amount > 0 ? '+' : ''}${amount} cr`;
+}
+
+/**
+ * Gets the display name of a ledger item.
+ * @param {string} item - 'wages', 'fines' or an expense ID.
+ * @returns {string}
+ */
+function getLedgerItemName(item) {
+    return INCOME_ITEMS[item] ?? EXPENSES[item]?.name ?? item;
+}
+
+/**
+ * Adds credits to the ledger, combining them with the day's earlier entry for the same item.
+ * @param {LedgerEntry[]} ledger - The saved ledger.
+ * @param {number} day - The day.
+ * @param {string} item - 'wages', 'fines' or an expense ID.
+ * @param {number} amount - Credits, negative for money going out.
+ * @returns {LedgerEntry[]} The updated ledger.
+ */
+function addLedgerEntry(ledger, day, item, amount) {
+    const existing = ledger.find(entry => entry.day === day && entry.item === item);
+    if (!existing) {
+        return [...ledger, { day, item, amount, count: 1 }];
+    }
+    return ledger.map(entry => entry === existing ? { ...entry, amount: entry.amount + amount, count: entry.count + 1 } : entry);
+}
+
+/**
+ * Checks whether a family member needs medicine.
+ * @param {FamilyMember} member - The family member.
+ * @returns {boolean}
+ */
+function isSick(member) {
+    return member.health > 0 && member.health <= SICK_HEALTH;
+}
+
+/**
+ * Checks whether the whole family has died.
+ * @param {FamilyMember[]} family - The family.
+ * @returns {boolean}
+ */
+function isFamilyLost(family) {
+    return family.length > 0 && family.every(member => member.health <= 0);
+}
+
+/**
+ * Lists the expenses due at the end of a day, with the credits owed for each. The rent includes
+ * the days still owed; medicine is only offered while someone is sick.
+ * @param {{family: FamilyMember[], rentOwed: number}} household - The saved household state.
+ * @returns {Array<Expense & {id: string, owed: number}>}
+ */
+function getDueExpenses({ family, rentOwed }) {
+    return Object.entries(EXPENSES)
+        .filter(([, expense]) => !expense.whenSick || family.some(isSick))
+        .map(([id, expense]) => ({ id, ...expense, owed: expense.cost * (id === 'rent' ? rentOwed + 1 : 1) }));
+}
+
+/**
+ * Chooses the expenses to pay when the inspector does not choose: everything, in order, while
+ * the savings last after the rent.
+ * @param {{savings: number, family: FamilyMember[], rentOwed: number}} household - The saved household state.
+ * @returns {string[]} IDs of the optional expenses to pay.
+ */
+function getDefaultExpenses(household) {
+    const due = getDueExpenses(household);
+    const rent = due.find(expense => expense.required);
+    let left = household.savings - (household.savings >= rent.owed ? rent.owed : 0);
+    return due.filter(expense => !expense.required).filter(expense => {
+        if (expense.owed > left) {
+            return false;
+        }
+        left -= expense.owed;
+        return true;
+    }).map(expense => expense.id);
+}
+
+/**
+ * Settles the end of a day: takes the rent if the savings cover it (otherwise it is owed), pays the
+ * chosen expenses the savings still cover, and updates the family's health:
+ * - every unpaid food or heat bill costs each family member one health level;
+ * - a sick family member gets one level better with medicine and one worse without;
+ * - a family member who is not sick is healthy again once food and heat are both paid.
+ * @param {{savings: number, family: FamilyMember[], rentOwed: number, ledger: LedgerEntry[]}} household - The saved household state.
+ * @param {number} day - The day that is ending.
+ * @param {string[]} paid - IDs of the optional expenses the inspector chose to pay.
+ * @returns {{savings: number, family: FamilyMember[], rentOwed: number, ledger: LedgerEntry[], paid: string[], report: string[], died: string[]}}
+ *   The updated household state, the IDs of the expenses paid (rent included), one report line per event, and the family members who died.
+ */
+function settleDay(household, day, paid) {
+    let { savings, rentOwed, ledger } = household;
+    const report = [];
+    const paidToday = [];
+    getDueExpenses(household).forEach(expense => {
+        if (!expense.required && !paid.includes(expense.id)) {
+            return;
+        }
+        if (expense.owed > savings) {
+            if (expense.required) {
+                rentOwed += 1;
+                report.push(`You could not pay the rent; ${rentOwed} day(s) owed.`);
+            } else {
+                report.push(`You could not afford the ${expense.name.toLowerCase()}.`);
+            }
+            return;
+        }
+        savings -= expense.owed;
+        ledger = addLedgerEntry(ledger, day, expense.id, -expense.owed);
+        paidToday.push(expense.id);
+        if (expense.required) {
+            rentOwed = 0;
+        }
+    });
+
+    const hardship = ['food', 'heat'].filter(id => !paidToday.includes(id)).length;
+    const medicine = paidToday.includes('medicine');
+    const died = [];
+    const family = household.family.map(member => {
+        if (member.health <= 0) {
+            return member;
+        }
+        let health = member.health - hardship;
+        if (isSick(member)) {
+            health += medicine ? 1 : -1;
+        } else if (hardship === 0 && member.health < MAX_HEALTH) {
+            health = MAX_HEALTH;
+        }
+        health = Math.max(0, Math.min(MAX_HEALTH, health));
+        if (health === 0) {
+            died.push(member.name);
+            report.push(`Your ${member.name.toLowerCase()} has died.`);
+        } else if (health !== member.health) {
+            report.push(`Your ${member.name.toLowerCase()} is ${HEALTH_LEVELS[health].toLowerCase()}.`);
+        }
+        return { ...member, health };
+    });
+
+    return { savings, family, rentOwed, ledger, paid: paidToday, report, died };
+}
+
+/**
+ * Describes the family's health.
+ * @param {FamilyMember[]} family - The family.
+ * @returns {string} e.g. "Partner: Healthy, Child: Sick, Parent: Weak".
+ */
+function describeFamily(family) {
+    return family.map(member => `${member.name}: ${HEALTH_LEVELS[member.health]}`).join(', ');
+}
+
+/**
+ * Describes the economy of a game configuration, one line per fact.
+ * @param {{travelersPerDay: number}} gameConfig - The game configuration.
+ * @returns {string[]}
+ */
+function describeEconomy(gameConfig) {
+    const wage = formatCredits(getWage(gameConfig.travelersPerDay));
+    return [
+        `You start with ${formatCredits(STARTING_SAVINGS)} in savings and a family of ${FAMILY.length} (${FAMILY.map(member => member.name.toLowerCase()).join(', ')})`,
+        `Each correct decision pays ${wage}; each mistake is fined ${wage}`,
+        `Every evening: ${Object.values(EXPENSES).map(expense => `${expense.name.toLowerCase()} ${formatCredits(expense.cost)}`).join(', ')}`
+    ];
+}
+
+export {
+    STARTING_SAVINGS,
+    DAILY_WAGE,
+    EVICTION_AFTER_DAYS,
+    EXPENSES,
+    HEALTH_LEVELS,
+    MAX_HEALTH,
+    createFamily,
+    getWage,
+    formatCredits,
+    getLedgerItemName,
+    addLedgerEntry,
+    isSick,
+    isFamilyLost,
+    getDueExpenses,
+    getDefaultExpenses,
+    settleDay,
+    describeFamily,
+    describeEconomy
+};
@@ -9,9 +9,21 @@ import { MemoryManager } from './memory.js';
 import { SettingsManager } from './settings.js';
 import {
     generateDocumentForSetting,
-    aiJudgeDocument
+    aiJudgeDocument,
+    interrogateTraveler,
+    setCurrentDocumentContext,
+    getCassette
     // Import other API functions if needed directly by gameplay
 } from './api.js';
+import { getGroundTruth, getExpectedDecision, applyRegulations, generateSampleDocuments } from './documents.js';
+import { formatLongDate } from './dates.js';
+import { compileCheck, evaluateCheck, resolveField, getFieldKey, parseRule } from './rules.js';
+import { getPaper } from './papers.js';
+import { lintRuleSet } from './lint.js';
+import { seedRandom, getRandomState, setRandomState, withSeed } from './random.js';
+import { OutcomeEngine, getEndingTitle } from './outcomes.js';
+import { TIME_COSTS, UNREACHED_PENALTY, getShiftLength, formatClock } from './shift.js';
+import { getWage, addLedgerEntry, getDueExpenses, getDefaultExpenses, settleDay, getLedgerItemName, formatCredits } from './economy.js';
 
 /**
  * Represents a verification rule for documents.
@@ -21,29 +33,79 @@ class Rule {
      * Initialize a rule.
      * @param {string} name - Name of the rule.
      * @param {string} description - Description of the rule.
-     * @param {function(object): boolean} checkFunction - Function that checks if a document follows this rule.
+     * @param {function(object, import('./rules.js').RuleContext=): boolean|null} checkFunction - Function that checks if a
+     *   document follows this rule, or null for a descriptive rule left to the inspector's judgment.
+     * @param {import('./rules.js').RuleCheck|null} [spec=null] - The declarative check the function was compiled from.
      */
-    constructor(name, description, checkFunction) {
+    constructor(name, description, checkFunction, spec = null) {
         this.name = name;
         this.description = description;
-        this.checkFunction = checkFunction; // Primarily for display/reference now
+        this.checkFunction = checkFunction;
+        this.spec = spec;
+        this.machineChecked = typeof checkFunction === 'function';
     }
 
     /**
-     * Check if a document follows this rule (primarily for reference, AI makes main decision).
+     * Creates a machine-checked rule from a declarative rule check.
+     * @param {string} name - Name of the rule.
+     * @param {string} description - Description of the rule.
+     * @param {import('./rules.js').RuleCheck} spec - The rule check.
+     * @returns {Rule}
+     * @throws {Error} If the rule check is malformed.
+     */
+    static fromSpec(name, description, spec) {
+        return new Rule(name, description, compileCheck(spec), spec);
+    }
+
+    /**
+     * Evaluates a document against this rule. Descriptive rules always pass.
      * @param {object} document - The document to check.
-     * @returns {boolean} True if the document follows this rule, False otherwise.
+     * @param {import('./rules.js').RuleContext} [context={}] - Evaluation context (current game date).
+     * @returns {import('./rules.js').CheckResult} Whether the document passes and, for rules built from a
+     *   rule check, the field that violates it.
      */
-    check(document) {
+    evaluate(document, context = {}) {
+        if (!this.machineChecked) {
+            return { passed: true, field: null };
+        }
         try {
-            return this.checkFunction(document);
+            if (this.spec) {
+                return evaluateCheck(this.spec, document, context);
+            }
+            return { passed: Boolean(this.checkFunction(document, context)), field: null };
         } catch (e) {
             console.error(chalk.red(`Error checking rule "${this.name}": ${e.message}`));
-            return false; // Fail safe
+            return { passed: false, field: null }; // Fail safe
         }
     }
+
+    /**
+     * Check if a document follows this rule. Descriptive rules always pass.
+     * @param {object} document - The document to check.
+     * @param {import('./rules.js').RuleContext} [context={}] - Evaluation context (current game date).
+     * @returns {boolean} True if the document follows this rule, False otherwise.
+     */
+    check(document, context = {}) {
+        return this.evaluate(document, context).passed;
+    }
 }
 
+/**
+ * @typedef {object} RuleResult
+ * @property {Rule} rule - The rule.
+ * @property {('pass'|'fail'|'manual')} status - Outcome; 'manual' for rules that are not machine-checked.
+ * @property {string|null} field - Address of the field that violated the rule.
+ * @property {string|null} paper - Title of the paper the violating field is printed on.
+ * @property {string|null} value - Value of the violating field.
+ * @property {import('./documents.js').PlantedFlaw|null} flaw - The planted flaw behind the failure.
+ */
+
+/**
+ * @typedef {object} RuleBreakdown
+ * @property {RuleResult[]} results - One result per rule, in rule order.
+ * @property {import('./documents.js').PlantedFlaw[]} uncaughtFlaws - Planted flaws no machine-checked rule caught.
+ */
+
 
 class GameplayManager {
     /**
@@ -59,35 +121,66 @@ class GameplayManager {
         this.settingsManager = new SettingsManager();
         this._initializeRules();
         /** @type {import('./api.js').AIJudgment | null} */
-        this.aiJudgment = null; // Stores the AI's judgment of the current document
+        this.aiJudgment = null; // The AI's advisory opinion on the current document
+        this.pendingDecision = false; // True while the current document awaits the inspector's decision
         this.gameCompleted = false; // Track if player has completed a full game
         this.travelersProcessedToday = 0;
-        // Get travelers per day from settings manager
+        this.listeners = []; // Game event listeners (see onGameEvent)
+        // Get travelers per day from settings manager (the shift's target when shifts are timed)
         this.travelersPerDay = this.settingsManager.getGameConfig().travelersPerDay;
+        /** @type {OutcomeEngine} */
+        this.outcomeEngine = new OutcomeEngine(this.settingsManager.getGameConfig()); // Decides when and how the career ends
     }
 
     /** Initialize basic verification rules (mainly for display/reference). */
     _initializeRules() {
         this.rules = [
-            new Rule(
+            Rule.fromSpec(
                 "Permit Format",
                 "Permits must start with 'P'.",
-                (doc) => typeof doc.permit === 'string' && doc.permit.startsWith("P")
+                { type: 'pattern', field: 'permit', pattern: '^P' }
             ),
-            new Rule(
+            Rule.fromSpec(
                 "Permit Number Length",
                 "Permit numbers must have 4 digits after the 'P' (total 5 chars).",
-                (doc) => typeof doc.permit === 'string' && doc.permit.length === 5
+                { type: 'pattern', field: 'permit', pattern: '^.{5}$' }
             ),
-             new Rule(
+            Rule.fromSpec(
                 "Permit Digits",
                 "Characters after 'P' in permit must be digits.",
-                (doc) => typeof doc.permit === 'string' && /^\d{4}$/.test(doc.permit.substring(1))
+                { type: 'pattern', field: 'permit', pattern: '^.\\d{4}$' }
             ),
-            new Rule(
+            Rule.fromSpec(
                 "Name Format",
                 "Traveler names must include at least a first and last name.",
-                (doc) => typeof doc.name === 'string' && doc.name.trim().split(/\s+/).length >= 2
+                { type: 'pattern', field: 'name', pattern: '^\\s*\\S+\\s+\\S' }
+            ),
+            Rule.fromSpec(
+                "Papers Agree",
+                "Name, date of birth, nationality and passport number must match on every paper.",
+                {
+                    type: 'all',
+                    checks: ['name', 'date_of_birth', 'nationality', 'passport_number'].map(field => ({
+                        type: 'same',
+                        fields: ['passport', 'entry_permit', 'border_paper'].map(paper => `papers.${paper}.${field}`)
+                    }))
+                }
+            ),
+            Rule.fromSpec(
+                "Passport Valid",
+                "Passports must not be expired or issued in the future.",
+                {
+                    type: 'all',
+                    checks: [
+                        { type: 'date', field: 'papers.passport.expiry_date', op: 'on_or_after', than: 'today' },
+                        { type: 'date', field: 'papers.passport.issue_date', op: 'on_or_before', than: 'today' }
+                    ]
+                }
+            ),
+            Rule.fromSpec(
+                "Entry Permit Valid",
+                "Entry permits must not be expired.",
+                { type: 'date', field: 'papers.entry_permit.permit_expiry', op: 'on_or_after', than: 'today' }
             )
         ];
     }
@@ -98,28 +191,72 @@ class GameplayManager {
      */
     addRule(rule) {
         this.rules.push(rule);
-        this.memoryManager.addRuleChange(rule.description);
+        this.memoryManager.addRuleChange({ action: 'add', description: rule.description, previous: null, check: rule.spec });
         console.log(chalk.blue(`Gameplay: Added rule - ${rule.description}`));
     }
 
+    /**
+     * Adds a player-authored custom rule written in the rule syntax (see parseRule in rules.js).
+     * The rule is in force immediately, including for the traveler currently at the desk.
+     * @param {string} ruleText - The rule as written.
+     * @returns {boolean} True if the rule was added, false if it already exists.
+     * @throws {Error} If the rule is not valid rule syntax.
+     */
+    addCustomRule(ruleText) {
+        const text = String(ruleText ?? '').trim();
+        const check = parseRule(text);
+        if (!this.settingsManager.addCustomRule(text)) {
+            return false;
+        }
+        this.memoryManager.addCustomRule(text);
+        this.memoryManager.addRuleChange({ action: 'add', description: text, previous: null, check });
+        console.log(chalk.blue(`Gameplay: Added custom rule - ${text}`));
+
+        if (this.currentDocument?.ground_truth) {
+            this._applyRegulations(this.currentDocument);
+        }
+        return true;
+    }
+
+    /**
+     * Removes a custom rule.
+     * @param {string} ruleText - The rule as written.
+     * @returns {boolean} True if the rule was removed.
+     */
+    removeCustomRule(ruleText) {
+        if (!this.settingsManager.removeCustomRule(ruleText)) {
+            return false;
+        }
+        this.memoryManager.removeCustomRule(ruleText);
+        this.memoryManager.addRuleChange({ action: 'retire', description: ruleText, previous: null, check: null });
+        console.log(chalk.blue(`Gameplay: Removed custom rule - ${ruleText}`));
+        return true;
+    }
+
     /**
      * Initializes a new game or loads state for the selected setting.
      * @param {string} [settingId=null] - ID of the border setting. If null, uses the first available.
+     * @param {string|null} [seed=null] - Seed for the career's randomness; null draws a new one. A replayed
+     *   cassette overrides it with the seed the career was recorded with.
      * @returns {object} The selected setting.
      */
-    async initializeGame(settingId = null) {
+    async initializeGame(settingId = null, seed = null) {
         console.log(chalk.blue("Gameplay: Initializing new game..."));
+        const cassette = getCassette();
+        const usedSeed = seedRandom(cassette?.takeSeed() ?? seed);
+        await cassette?.recordSeed(usedSeed); // So the cassette replays this career from the same seed
+        console.log(chalk.blue(`Gameplay: Career seed is ${usedSeed}`));
         // Reset game state for a new career/session
         this.score = 0;
         this.currentDocument = null;
         this.aiJudgment = null;
+        this.pendingDecision = false;
         this.gameCompleted = false;
         this.travelersProcessedToday = 0;
 
-        // Reset memory but keep used names from previous sessions (optional)
-        const usedNames = this.memoryManager.memory.usedNames;
+        // Reset memory, used names included: a career avoids only its own travelers' names, so a seed
+        // replays the same travelers whatever was played before in this session
         this.memoryManager.resetMemory();
-        this.memoryManager.memory.usedNames = usedNames; // Persist names across careers if desired
 
         // Select a setting
         const setting = settingId
@@ -128,17 +265,22 @@ class GameplayManager {
 
         this.settingsManager.selectSetting(setting.id); // Ensure it's set in settings manager
 
-        // Initialize memory with the selected setting
+        // Initialize memory with the selected setting and start its calendar
         this.memoryManager.setBorderSetting(setting);
+        this.memoryManager.startCalendar(setting.calendar_start);
+        this.settingsManager.setCurrentDay(this.memoryManager.memory.gameState.day);
         
-        // Update travelers per day from current settings
+        // Update travelers per day and the end conditions from current settings
         this.travelersPerDay = this.settingsManager.getGameConfig().travelersPerDay;
+        this.outcomeEngine = new OutcomeEngine(this.settingsManager.getGameConfig());
         
         this.memoryManager.addNarrativeEvent(
-            `You begin your shift at the ${setting.name}. Day ${this.memoryManager.memory.gameState.day}.`,
+            `You begin your shift at the ${setting.name}. Day ${this.memoryManager.memory.gameState.day}, ${formatLongDate(this.memoryManager.getCurrentDate())}.`,
             "start"
         );
 
+        this.takeSnapshot('day_start');
+
         // Start a new session with initial save
         await this.memoryManager.startNewSession();
 
@@ -164,15 +306,31 @@ class GameplayManager {
         const memoryContext = this.memoryManager.getMemoryContext();
 
         // Generate document content using API
-        const documentData = await generateDocumentForSetting(setting, usedNamesContext);
+        const documentData = await generateDocumentForSetting(
+            setting,
+            usedNamesContext,
+            this.memoryManager.getCurrentDate(),
+            this.settingsManager.getActiveRequirements().map(req => req.description),
+            this.settingsManager.customRules,
+            this.getDifficulty(),
+            this.memoryManager.memory.usedNames
+        );
 
         if (!documentData) {
             console.error(chalk.red("Gameplay Error: Failed to generate document content from API."));
             // Maybe return a predefined error document?
-             return { name: "Error", permit: "P0000", backstory: "Document generation failed.", is_valid: false, additional_fields: {} };
+             return {
+                 name: "Error", permit: "P0000", date_of_birth: "N/A", nationality: "N/A", occupation: "N/A",
+                 purpose_of_visit: "N/A", issuing_authority: "N/A", issue_date: "N/A", expiry_date: "N/A",
+                 credentials: {}, backstory: "Document generation failed.", is_valid: false, additional_fields: {},
+                 ground_truth: { legitimate: false, flaws: [{ type: 'generation_failed', field: 'name', description: 'Document generation failed.' }] }
+             };
         }
 
-        // Use AI to judge the generated document *before* showing to player
+        // Lift or add flaws according to the regulations in force today
+        this._applyRegulations(documentData);
+
+        // Ask the AI for an advisory opinion *before* showing to player (ground truth was planted at generation)
         this.aiJudgment = await aiJudgeDocument(documentData, settingContext, memoryContext);
 
         if (!this.aiJudgment) {
@@ -186,60 +344,56 @@ class GameplayManager {
              };
         }
 
-        // Store the AI's ground truth decision in the document object (for internal use/scoring)
+        // Mirror the planted ground truth on the document (for internal use/scoring)
         // Player does not see this directly.
-        documentData.is_valid = this.aiJudgment.decision === "approve";
+        documentData.is_valid = getExpectedDecision(documentData) === "approve";
 
         this.currentDocument = documentData;
-        console.log(chalk.green(`Gameplay: Document generated for ${this.currentDocument.name}. AI decision: ${this.aiJudgment.decision}`));
+        this.pendingDecision = true;
+        console.log(chalk.green(`Gameplay: Document generated for ${this.currentDocument.name}. Legitimate: ${documentData.is_valid}. AI opinion: ${this.aiJudgment.decision}`));
         return this.currentDocument;
     }
 
     /**
-     * Checks if a document is valid according to the AI's judgment.
+     * Checks if a document is valid according to the ground truth planted at generation.
      * @param {object} document - The document to check.
-     * @returns {boolean} True if the AI judged the document as valid ('approve').
+     * @returns {boolean} True if the traveler is legitimate and should be approved.
      */
     checkDocumentValidity(document) {
-        // The ground truth is now determined by the AI's judgment made during generation.
-        if (!this.aiJudgment) {
-            console.warn(chalk.yellow("Gameplay Warning: Checking validity without AI judgment available. Assuming invalid."));
-            return false; // Fail safe if AI judgment is missing
+        const groundTruth = getGroundTruth(document);
+        if (!groundTruth) {
+            console.warn(chalk.yellow("Gameplay Warning: Checking validity of a document without ground truth. Assuming invalid."));
+            return false; // Fail safe if the document was not generated with a plan
         }
-         // Compare against the stored AI judgment for *this specific document*
-         const documentName = document?.name;
-         const judgmentName = this.currentDocument?.name; // Ensure judgment matches current doc
-
-         if (documentName === judgmentName) {
-            return this.aiJudgment.decision === "approve";
-         } else {
-             console.error(chalk.red(`Gameplay Error: Attempting to check validity of document "${documentName}" but current AI judgment is for "${judgmentName}".`));
-             return false; // Mismatch, assume invalid
-         }
+        return groundTruth.legitimate;
     }
 
     /**
      * Processes the player's decision on the current document.
+     * Correctness is scored against the document's planted ground truth; the AI judgment is advisory.
      * @param {('approve'|'deny')} playerDecision - The player's decision.
-     * @returns {{isCorrect: boolean, pointsEarned: number}|null} Result or null if no document.
+     * @returns {{isCorrect: boolean, pointsEarned: number, expectedDecision: string}|null} Result or null if no document.
      */
     makeDecision(playerDecision) {
-        if (!this.currentDocument || !this.aiJudgment) {
-            console.error(chalk.red("Gameplay Error: No current document or AI judgment to make a decision on."));
+        if (!this.currentDocument) {
+            console.error(chalk.red("Gameplay Error: No current document to make a decision on."));
             return null;
         }
 
-        const aiDecision = this.aiJudgment.decision;
-        const isCorrect = playerDecision === aiDecision;
-        const confidence = this.aiJudgment.confidence ?? 0.5;
+        this.takeSnapshot('decision'); // Undo returns to this traveler, undecided
+
+        const expectedDecision = this.checkDocumentValidity(this.currentDocument) ? "approve" : "deny";
+        const isCorrect = playerDecision === expectedDecision;
 
-        // Calculate points (e.g., 1 point * confidence for correct, maybe negative for incorrect?)
-        // Simple scoring: 1 point * confidence if correct, 0 if incorrect.
-        const pointsEarned = isCorrect ? (1 * confidence) : 0;
+        // Simple scoring: the difficulty's points per correct decision, 0 if incorrect.
+        const pointsEarned = isCorrect ? this.getDifficulty().scoreMultiplier : 0;
         this.score += pointsEarned;
         this.score = Math.round(this.score * 100) / 100; // Keep score tidy
 
-        console.log(chalk.blue(`Gameplay: Player decided ${playerDecision}. AI decided ${aiDecision}. Correct: ${isCorrect}. Points: ${pointsEarned.toFixed(2)}. New Score: ${this.score}`));
+        console.log(chalk.blue(`Gameplay: Player decided ${playerDecision}. Expected ${expectedDecision} (AI advised ${this.aiJudgment?.decision ?? 'N/A'}). Correct: ${isCorrect}. Points: ${pointsEarned.toFixed(2)}. New Score: ${this.score}`));
+
+        // Pay: a wage for a correct decision, a fine of the same amount for a mistake
+        this.recordPay(isCorrect);
 
         // Update game state (corruption/trust) based on decision correctness
         this.updateGameState(playerDecision, isCorrect);
@@ -253,12 +407,28 @@ class GameplayManager {
         );
 
         this.travelersProcessedToday += 1;
+        this.pendingDecision = false;
+        this.spendTime('decision');
+        const gameState = this.memoryManager.memory.gameState;
+        this.memoryManager.updateGameState({
+            decisionsMade: gameState.decisionsMade + 1,
+            correctDecisions: gameState.correctDecisions + (isCorrect ? 1 : 0),
+            correctToday: gameState.correctToday + (isCorrect ? 1 : 0),
+            conditionProgress: this.outcomeEngine.recordDecision(gameState.conditionProgress, this.currentDocument, playerDecision, this.getRuleContext())
+        });
+        this.checkOutcome();
+        this._emit({
+            type: 'decision',
+            decision: playerDecision,
+            isCorrect,
+            flaws: getGroundTruth(this.currentDocument)?.flaws || []
+        });
 
         // Clear current document and judgment for the next one
         // this.currentDocument = null; // Keep it until end of day? Let's clear after decision.
         // this.aiJudgment = null;
 
-        return { isCorrect, pointsEarned };
+        return { isCorrect, pointsEarned, expectedDecision, ruleBreakdown: this.getRuleBreakdown() };
     }
 
     /**
@@ -322,117 +492,425 @@ class GameplayManager {
         if (Object.keys(stateUpdates).length > 0) {
             this.memoryManager.updateGameState(stateUpdates);
         }
-        
-        // Check for game over conditions based on corruption/trust
-        this.checkGameOverConditions();
     }
 
     /**
-     * Checks if game over conditions are met based on corruption/trust levels.
-     * @returns {boolean} True if a game over condition is met.
+     * Asks the outcome engine whether the career has ended, and marks the game completed the first time it has.
+     * @returns {import('./outcomes.js').Outcome}
      */
-    checkGameOverConditions() {
-        const gameState = this.memoryManager.memory.gameState;
-        const corruption = gameState.corruption;
-        const trust = gameState.trust;
-        
-        // Game over thresholds
-        const corruptionThreshold = 5;  // Game over if corruption reaches 5
-        const trustThreshold = -5;      // Game over if trust falls to -5
-        
-        // Check for corruption-based game over
-        if (corruption >= corruptionThreshold) {
-            console.log(chalk.red(`Gameplay: GAME OVER - Corruption level (${corruption}) exceeded threshold (${corruptionThreshold}).`));
-            this.gameCompleted = true;
-            this.memoryManager.addNarrativeEvent(
-                "Your continued tolerance of suspicious travelers has led to an investigation. Your career at border control is over.",
-                "game_over_corruption"
-            );
-            return true;
-        }
-        
-        // Check for trust-based game over
-        if (trust <= trustThreshold) {
-            console.log(chalk.red(`Gameplay: GAME OVER - Trust level (${trust}) fell below threshold (${trustThreshold}).`));
+    checkOutcome() {
+        const outcome = this.outcomeEngine.evaluate(this.memoryManager.memory.gameState);
+        if (outcome.isGameOver && !this.gameCompleted) {
+            console.log(chalk.blue(`Gameplay: Career over (${outcome.reason}) - ${getEndingTitle(outcome.endingType)}.`));
             this.gameCompleted = true;
-            this.memoryManager.addNarrativeEvent(
-                "Your excessive suspicion and denials have damaged relations. You've been reassigned away from border control.",
-                "game_over_trust"
-            );
-            return true;
+            this.memoryManager.addNarrativeEvent(outcome.endingMessage, `ending_${outcome.endingType}`);
         }
-        
-        return false;
+        return outcome;
     }
 
     /**
-     * Checks if the current day should end.
+     * Checks if the current day should end: when the shift clock runs out on timed shifts,
+     * otherwise once the day's travelers have been processed.
      * @returns {boolean} True if the day should end.
      */
     shouldEndDay() {
+        if (this.isTimed()) {
+            return this.memoryManager.memory.gameState.shiftMinutes >= getShiftLength(this.travelersPerDay);
+        }
         return this.travelersProcessedToday >= this.travelersPerDay;
     }
 
+    /**
+     * Checks whether the career's shifts are timed (see shift.js).
+     * @returns {boolean}
+     */
+    isTimed() {
+        return Boolean(this.settingsManager.getGameConfig().timedShifts);
+    }
+
+    /**
+     * Takes an action's time off the shift clock. Untimed shifts have no clock.
+     * @param {keyof TIME_COSTS} action - The action.
+     * @returns {number} Minutes spent.
+     */
+    spendTime(action) {
+        if (!this.isTimed()) {
+            return 0;
+        }
+        const minutes = TIME_COSTS[action];
+        const shiftMinutes = this.memoryManager.memory.gameState.shiftMinutes + minutes;
+        this.memoryManager.updateGameState({ shiftMinutes });
+        console.log(chalk.blue(`Gameplay: ${action} took ${minutes} minutes; the clock reads ${formatClock(shiftMinutes)}.`));
+        return minutes;
+    }
+
+    /**
+     * Gets the state of today's timed shift.
+     * @returns {{clock: string, minutesLeft: number, processed: number, target: number}|null} Null if shifts are not timed.
+     */
+    getShiftStatus() {
+        if (!this.isTimed()) {
+            return null;
+        }
+        const { shiftMinutes } = this.memoryManager.memory.gameState;
+        return {
+            clock: formatClock(shiftMinutes),
+            minutesLeft: Math.max(0, getShiftLength(this.travelersPerDay) - shiftMinutes),
+            processed: this.travelersProcessedToday,
+            target: this.travelersPerDay
+        };
+    }
+
+    /**
+     * Interrogates the traveler at the desk about their trip. Costs time on timed shifts.
+     * @async
+     * @returns {Promise<string|null>} The traveler's answer, or null if no traveler is at the desk.
+     */
+    async interrogate() {
+        if (!this.currentDocument) {
+            return null;
+        }
+        const answer = await interrogateTraveler(this.currentDocument, this.memoryManager.getMemoryContext());
+        this.spendTime('interrogate');
+        return answer;
+    }
+
 
     /**
-     * Advances to the next day in the game. Checks for game completion.
+     * Credits the wage for a correct decision, or takes the fine for a mistake, from the savings.
+     * @param {boolean} isCorrect - Whether the decision was correct.
+     * @returns {number} Credits gained (negative for a fine).
+     */
+    recordPay(isCorrect) {
+        const { savings, ledger, day } = this.memoryManager.memory.gameState;
+        const amount = isCorrect ? getWage(this.travelersPerDay) : -getWage(this.travelersPerDay);
+        this.memoryManager.updateGameState({
+            savings: savings + amount,
+            ledger: addLedgerEntry(ledger, day, isCorrect ? 'wages' : 'fines', amount)
+        });
+        console.log(chalk.blue(`Gameplay: ${isCorrect ? 'Wage' : 'Fine'} ${formatCredits(amount, true)}. Savings: ${formatCredits(savings + amount)}.`));
+        return amount;
+    }
+
+    /**
+     * Gets the household: savings, family, rent owed, the wage per traveler and today's ledger.
+     * @returns {{savings: number, family: import('./economy.js').FamilyMember[], rentOwed: number, wage: number, today: import('./economy.js').LedgerEntry[]}}
+     */
+    getHousehold() {
+        const { savings, family, rentOwed, ledger, day } = this.memoryManager.memory.gameState;
+        return { savings, family, rentOwed, wage: getWage(this.travelersPerDay), today: ledger.filter(entry => entry.day === day) };
+    }
+
+    /**
+     * Lists the expenses due at the end of today (see economy.getDueExpenses).
+     * @returns {Array<import('./economy.js').Expense & {id: string, owed: number}>}
+     */
+    getDueExpenses() {
+        return getDueExpenses(this.memoryManager.memory.gameState);
+    }
+
+    /**
+     * Gets the career's ledger, one entry per item and day.
+     * @returns {import('./economy.js').LedgerEntry[]}
+     */
+    getLedger() {
+        return this.memoryManager.memory.gameState.ledger;
+    }
+
+    /**
+     * Advances to the next day in the game: settles the household's expenses, runs the day's audits
+     * and checks for game completion.
+     * @param {string[]|null} [paidExpenses=null] - IDs of the optional expenses the inspector chose to pay;
+     *   null pays what the savings cover (see economy.getDefaultExpenses).
      * @returns {string} The day announcement message.
      */
-    advanceDay() {
+    advanceDay(paidExpenses = null) {
          console.log(chalk.blue(`Gameplay: Advancing day. Processed ${this.travelersProcessedToday} travelers.`));
+        const endingDay = this.memoryManager.memory.gameState.day;
+
+        // On timed shifts, travelers still waiting when the clock runs out cost points
+        const unreached = this.isTimed() ? Math.max(0, this.travelersPerDay - this.travelersProcessedToday) : 0;
+        let shiftReport = '';
+        if (unreached > 0) {
+            const penalty = unreached * UNREACHED_PENALTY * this.getDifficulty().scoreMultiplier;
+            this.score = Math.round((this.score - penalty) * 100) / 100;
+            shiftReport = `The shift ended with ${unreached} traveler(s) still waiting: -${penalty} points. `;
+            console.log(chalk.yellow(`Gameplay: ${unreached} traveler(s) short of the target of ${this.travelersPerDay}. Penalty ${penalty}. New Score: ${this.score}`));
+        }
+
+        // The evening's bills; unpaid ones wear down the family
+        const gameState = this.memoryManager.memory.gameState;
+        const settlement = settleDay(gameState, endingDay, paidExpenses ?? getDefaultExpenses(gameState));
+        const { report, died, paid, ...household } = settlement;
+        this.memoryManager.updateGameState(household);
+        died.forEach(name => this.memoryManager.addNarrativeEvent(`The inspector's ${name.toLowerCase()} died on day ${endingDay}.`, "family_death"));
+        const paidNames = paid.map(id => getLedgerItemName(id).toLowerCase());
+        const householdReport = `Evening: paid ${paidNames.length > 0 ? paidNames.join(', ') : 'nothing'}; savings ${formatCredits(household.savings)}. ${report.map(line => `${line} `).join('')}`;
+        console.log(chalk.blue(`Gameplay: ${householdReport.trim()}`));
+
+        this._emit({
+            type: 'day_end',
+            day: endingDay,
+            decisions: this.travelersProcessedToday,
+            correct: this.memoryManager.memory.gameState.correctToday,
+            unreached,
+            died: died.length
+        });
+
+        // Audits fall at the end of their day
+        const { progress, audits } = this.outcomeEngine.runAudits(this.memoryManager.memory.gameState, endingDay);
+        this.memoryManager.updateGameState({ conditionProgress: progress });
+        audits.forEach(audit => this.memoryManager.addNarrativeEvent(audit.message, audit.passed ? "audit_passed" : "audit_failed"));
+        const dayEndReport = shiftReport + householdReport + audits.map(audit => `${audit.message} `).join('');
+
         this.memoryManager.advanceDay();
+        this.memoryManager.updateGameState({ correctToday: 0, hintsToday: 0, shiftMinutes: 0 });
         const day = this.memoryManager.memory.gameState.day;
+        const date = formatLongDate(this.memoryManager.getCurrentDate());
         this.travelersProcessedToday = 0; // Reset counter for the new day
 
-        // Check if player has completed the target number of days
-        const totalDays = this.settingsManager.getGameConfig().totalDays;
-        if (day > totalDays) {
-            this.gameCompleted = true;
-            return `Assignment Complete: You have finished your ${totalDays}-day assignment.`;
+        // Check if the assignment is served or an audit ended it
+        const outcome = this.checkOutcome();
+        if (outcome.isGameOver) {
+            return outcome.reason === 'assignment'
+                ? `${dayEndReport}Assignment Complete: You have finished your ${this.outcomeEngine.totalDays}-day assignment.`
+                : `${dayEndReport}Assignment Over: ${getEndingTitle(outcome.endingType)}.`;
         }
 
-        // Example Day-specific events (can be expanded)
-        let message = "";
-        if (day === 3) {
-            message = `Day ${day}: New regulations are in effect. Increased scrutiny expected.`;
-            // Example: Add a temporary rule or just let narrative/AI handle it
-            this.memoryManager.addRuleChange("Increased scrutiny protocols active.");
-        } else if (day === 7) {
-            message = `Day ${day}: Border tensions are high. Security measures tightened.`;
-             this.memoryManager.addNarrativeEvent("Border tensions spike.", "event");
+        // Regulations from the setting's timeline take effect this morning
+        this.settingsManager.setCurrentDay(day);
+        const changes = this.settingsManager.getRegulationChanges(day);
+        changes.forEach(change => this.memoryManager.addRuleChange(change));
+
+        let message = dayEndReport;
+        if (changes.length > 0) {
+            message += `Day ${day} (${date}): New regulations are in effect. ${changes.length} rule change(s) in the morning bulletin.`;
         } else {
             const settingName = this.settingsManager.getCurrentSetting()?.name || "the border";
-            message = `Day ${day}: Another shift begins at the ${settingName}.`;
+            message += `Day ${day} (${date}): Another shift begins at the ${settingName}.`;
         }
 
         this.memoryManager.addNarrativeEvent(message, "day_change");
+        this.takeSnapshot('day_start');
         return message;
     }
 
+    /**
+     * Gets the career's difficulty.
+     * @returns {import('./difficulty.js').Difficulty}
+     */
+    getDifficulty() {
+        return this.settingsManager.getGameConfig().difficulty;
+    }
+
+    /**
+     * Describes the career's custom end conditions with the progress made towards them.
+     * @returns {string[]} One line per condition.
+     */
+    getEndConditionProgress() {
+        return this.outcomeEngine.describeProgress(this.memoryManager.memory.gameState.conditionProgress);
+    }
+
+    /**
+     * Gets how many more Veritas hints the inspector may ask for today.
+     * @returns {number|null} Hints left, or null if the difficulty sets no limit.
+     */
+    getHintsRemaining() {
+        const { hintsPerDay } = this.getDifficulty();
+        return hintsPerDay === null ? null : Math.max(0, hintsPerDay - this.memoryManager.memory.gameState.hintsToday);
+    }
+
+    /**
+     * Records that the inspector asked Veritas for a hint.
+     */
+    recordHint() {
+        const { hintsUsed, hintsToday } = this.memoryManager.memory.gameState;
+        this.memoryManager.updateGameState({ hintsUsed: hintsUsed === null ? null : hintsUsed + 1, hintsToday: hintsToday + 1 });
+        this.spendTime('hint');
+        this._emit({ type: 'hint' });
+    }
+
+    /**
+     * Registers a callback invoked with every game event: 'decision' ({decision, isCorrect, flaws}),
+     * 'day_end' ({day, decisions, correct, unreached, died}) and 'hint'. MainMenuManager adds 'career_end' when a career ends.
+     * Every event carries `rewound`: whether the career has used undo or restart day.
+     * @param {function(object): void} listener - Game event listener.
+     */
+    onGameEvent(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Sends a game event to the listeners.
+     * @param {object} event - The event, with its `type`.
+     * @private
+     */
+    _emit(event) {
+        const { rewound } = this.memoryManager.getRewindStatus();
+        this.listeners.forEach(listener => listener({ ...event, rewound }));
+    }
+
+    /**
+     * Records a rewind snapshot of the full engine state (see MemoryManager.takeSnapshot).
+     * @param {('decision'|'day_start')} kind - What the snapshot marks.
+     */
+    takeSnapshot(kind) {
+        this._syncMemory();
+        this.memoryManager.takeSnapshot(kind);
+    }
+
+    /**
+     * Undoes the latest decision of the day: the engine returns to the state it was in just before it,
+     * with the same traveler back at the desk awaiting a decision.
+     * @returns {object|null} The restored snapshot summary, or null if there is nothing to undo today.
+     */
+    undoLastDecision() {
+        const snapshot = this.memoryManager.restoreSnapshot('decision');
+        if (snapshot) {
+            this._restoreFromMemory();
+            console.log(chalk.blue(`Gameplay: Undid the decision on ${snapshot.traveler} (day ${snapshot.day}).`));
+        }
+        return snapshot;
+    }
+
+    /**
+     * Rolls the engine back to the start of the current day.
+     * @returns {object|null} The restored snapshot summary, or null if no day start was recorded.
+     */
+    restartDay() {
+        const snapshot = this.memoryManager.restoreSnapshot('day_start');
+        if (snapshot) {
+            this._restoreFromMemory();
+            console.log(chalk.blue(`Gameplay: Restarted day ${snapshot.day}.`));
+        }
+        return snapshot;
+    }
+
+    /**
+     * Gets the rule changes that took effect today, for the morning bulletin.
+     * @returns {object[]} Recorded rule changes (see MemoryManager.addRuleChange).
+     */
+    getMorningBulletin() {
+        const day = this.memoryManager.memory.gameState.day;
+        return this.memoryManager.memory.ruleChanges.filter(change => change.day === day);
+    }
+
     /**
      * Gets all current rules (basic + setting-specific).
      * @returns {Rule[]} List of all rules.
      */
     getAllRules() {
-        // Combine basic rules with setting-specific descriptions
-        const settingRules = this.settingsManager.getAllRules();
-        const combinedRules = [...this.rules]; // Start with basic checkable rules
+        const combinedRules = [...this.rules]; // Start with basic rules
 
-        // Add setting rules as descriptive rules
-        settingRules.forEach((desc, index) => {
+        // Compile setting and custom rules that have a rule check; the rest stay descriptive
+        let settingIndex = 0;
+        let customIndex = 0;
+        this.settingsManager.getRuleDefinitions().forEach(({ description, check, custom }) => {
+             const name = custom ? `Custom Rule ${++customIndex}` : `Setting Rule ${++settingIndex}`;
              // Avoid adding duplicates if basic rules cover setting rules
-             if (!combinedRules.some(r => r.description === desc)) {
-                 combinedRules.push(new Rule(`Setting Rule ${index + 1}`, desc, () => true)); // Non-checking function
+             if (combinedRules.some(r => r.description === description)) {
+                 return;
              }
+             combinedRules.push(check ? Rule.fromSpec(name, description, check) : new Rule(name, description, null));
         });
         return combinedRules;
     }
 
+    /**
+     * Lints the current rule set: contradicting rules, and rules a sample of generated
+     * travelers for the current border never exercises.
+     * @returns {import('./lint.js').LintReport}
+     */
+    lintRules() {
+        const setting = this.settingsManager.getCurrentSetting();
+        const context = this.getRuleContext();
+        // A fixed seed keeps the report stable and leaves the career's random sequence untouched
+        const samples = setting ? withSeed(`lint:${setting.id}`, () => generateSampleDocuments(setting, context.date || undefined)) : [];
+        const report = lintRuleSet(this.getAllRules(), samples, context);
+        console.log(chalk.blue(`Gameplay: Linted rules - ${report.conflicts.length} conflict(s), ${report.coverage.length} coverage note(s) over ${report.sampleSize} sample travelers`));
+        return report;
+    }
+
+    /**
+     * Gets the context rules are checked in.
+     * @returns {import('./rules.js').RuleContext}
+     */
+    getRuleContext() {
+        return { date: this.memoryManager.getCurrentDate() };
+    }
+
+    /**
+     * Runs every rule against a document and links each failure to the planted flaw behind it,
+     * matched by the violating field.
+     * @param {object} [document=this.currentDocument] - The document to check.
+     * @returns {RuleBreakdown}
+     */
+    getRuleBreakdown(document = this.currentDocument) {
+        const context = this.getRuleContext();
+        const flaws = getGroundTruth(document)?.flaws || [];
+        const caughtFlaws = new Set();
+
+        const results = this.getAllRules().map(rule => {
+            if (!rule.machineChecked) {
+                return { rule, status: 'manual', field: null, paper: null, value: null, flaw: null };
+            }
+            const { passed, field } = rule.evaluate(document, context);
+            if (passed) {
+                return { rule, status: 'pass', field: null, paper: null, value: null, flaw: null };
+            }
+            const flaw = field ? flaws.find(f => getFieldKey(f.field) === getFieldKey(field)) || null : null;
+            if (flaw) {
+                caughtFlaws.add(flaw);
+            }
+            const [root, paperType] = (field || '').split('.');
+            return {
+                rule,
+                status: 'fail',
+                field,
+                paper: root === 'papers' ? getPaper(document, paperType)?.title || null : null,
+                value: field ? resolveField(document, field, context) ?? null : null,
+                flaw
+            };
+        });
+
+        return { results, uncaughtFlaws: flaws.filter(flaw => !caughtFlaws.has(flaw)) };
+    }
+
+    /**
+     * Reconciles a new document's planted ground truth with the regulations in force today.
+     * @param {object} document - The generated document.
+     * @private
+     */
+    _applyRegulations(document) {
+        const context = this.getRuleContext();
+        const violated = this.getAllRules()
+            .filter(rule => rule.machineChecked)
+            .map(rule => ({ rule, result: rule.evaluate(document, context) }))
+            .filter(({ result }) => !result.passed && result.field)
+            .map(({ rule, result }) => ({
+                field: result.field,
+                description: rule.description,
+                value: resolveField(document, result.field, context) ?? null
+            }));
+        const lifted = this.settingsManager.getInactiveRequirements()
+            .map(requirement => evaluateCheck(requirement.check, document, context))
+            .filter(result => !result.passed && result.field);
+        applyRegulations(document, { violated, lifted });
+    }
+
     /** Gets the current score. */
     getScore() {
         return this.score;
     }
 
+    /**
+     * Gets the hidden ground truth of the current document.
+     * @returns {import('./documents.js').GroundTruth|null}
+     */
+    getGroundTruth() {
+        return getGroundTruth(this.currentDocument);
+    }
+
     /**
      * Gets the AI's reasoning for the current judgment.
      * @returns {string} The AI's reasoning or a default message.
@@ -452,6 +930,68 @@ class GameplayManager {
         return this.aiJudgment?.suspicious_elements || [];
     }
 
+    /**
+     * Restores the gameplay state from memory after a load or a rewind.
+     * @private
+     */
+    _restoreFromMemory() {
+        const gameState = this.memoryManager.memory.gameState;
+        this.score = gameState.score;
+
+        // Restore complete settings state from saved data
+        const savedSettings = this.memoryManager.getSavedSettings();
+        
+        // Restore game configuration
+        if (savedSettings.gameConfig) {
+            this.settingsManager.gameConfig = savedSettings.gameConfig;
+            this.travelersPerDay = savedSettings.gameConfig.travelersPerDay;
+        }
+        this.outcomeEngine = new OutcomeEngine(this.settingsManager.getGameConfig());
+        
+        // Set the correct border setting
+        if (savedSettings.currentSettingId) {
+            this.settingsManager.selectSetting(savedSettings.currentSettingId);
+        } else {
+            // Fallback to legacy border setting data or first setting
+            const loadedSetting = this.memoryManager.memory.borderSetting;
+            if (loadedSetting && loadedSetting.id) {
+                this.settingsManager.selectSetting(loadedSetting.id);
+            } else {
+                this.settingsManager.selectSetting(this.settingsManager.getAvailableSettings()[0].id);
+            }
+        }
+
+        // Restore custom rules (after selecting the setting, which clears them)
+        if (savedSettings.customRules) {
+            this.settingsManager.customRules = [...savedSettings.customRules];
+        }
+
+        // Older saves have no calendar date; derive it from the setting's calendar start
+        this.memoryManager.getCurrentDate();
+        this.settingsManager.setCurrentDay(this.memoryManager.memory.gameState.day);
+
+        // A career saved or rewound after it ended stays ended
+        this.gameCompleted = this.outcomeEngine.evaluate(gameState).isGameOver;
+        this.travelersProcessedToday = gameState.travelersProcessedToday;
+
+        // Continue the career's random sequence where it left off
+        if (this.memoryManager.memory.random) {
+            setRandomState(this.memoryManager.memory.random);
+        } else {
+            seedRandom();
+            this.memoryManager.memory.random = getRandomState();
+        }
+
+        // Resume with the traveler who was at the desk when the game was saved
+        const currentTraveler = this.memoryManager.memory.currentTraveler;
+        this.currentDocument = currentTraveler?.document || null;
+        this.aiJudgment = currentTraveler?.aiJudgment || null;
+        this.pendingDecision = Boolean(this.currentDocument);
+        if (this.pendingDecision) {
+            setCurrentDocumentContext(this.currentDocument, this.settingsManager.getCurrentSetting(), this.memoryManager.getCurrentDate());
+        }
+    }
+
     /**
      * Saves the current game state.
      * @async
@@ -459,16 +999,36 @@ class GameplayManager {
      */
     async saveGame() {
         console.log(chalk.blue("Gameplay: Attempting to save game..."));
-        
-        // Save complete settings state before saving to file
+        this._syncMemory();
+        return await this.memoryManager.saveGame(); // Filename handled by memory manager
+    }
+
+    /**
+     * Writes the gameplay state kept outside memory (settings, score, day progress and the traveler
+     * at the desk) into memory, so that saves and snapshots capture the full engine state.
+     * @private
+     */
+    _syncMemory() {
+        // Complete settings state
         const settingsData = {
             currentSetting: this.settingsManager.getCurrentSetting(),
             customRules: this.settingsManager.customRules,
             gameConfig: this.settingsManager.getGameConfig()
         };
         this.memoryManager.updateSettings(settingsData);
-        
-        return await this.memoryManager.saveGame(); // Filename handled by memory manager
+
+        // Engine state, including the traveler at the desk if the decision is still pending
+        this.memoryManager.updateGameState({ score: this.score, travelersProcessedToday: this.travelersProcessedToday });
+        this.memoryManager.setCurrentTraveler(this.pendingDecision ? this.currentDocument : null, this.aiJudgment);
+        this.memoryManager.memory.random = getRandomState();
+    }
+
+    /**
+     * Gets the seed the current career runs on.
+     * @returns {string|null}
+     */
+    getSeed() {
+        return this.memoryManager.memory.random?.seed ?? null;
     }
 
     /**
@@ -481,45 +1041,12 @@ class GameplayManager {
         console.log(chalk.blue(`Gameplay: Attempting to load game from ${filepath}...`));
         const success = await this.memoryManager.loadGame(filepath);
         if (success) {
-            // Restore gameplay state from loaded memory
-            this.score = this.memoryManager.memory.decisions.reduce((totalScore, decision) => {
-                 // Recalculate score based on loaded history if needed, or just load a saved score
-                 // For simplicity, let's assume score is saved/loaded directly if added to memory save format
-                 // Or we reset score on load and rely on future points. Let's reset.
-                 return 0; // Reset score on load for now.
-             }, 0);
-
-            // Restore complete settings state from saved data
-            const savedSettings = this.memoryManager.getSavedSettings();
-            
-            // Restore game configuration
-            if (savedSettings.gameConfig) {
-                this.settingsManager.gameConfig = { ...savedSettings.gameConfig };
-                this.travelersPerDay = savedSettings.gameConfig.travelersPerDay;
-            }
-            
-            // Restore custom rules
-            if (savedSettings.customRules) {
-                this.settingsManager.customRules = [...savedSettings.customRules];
-            }
-            
-            // Set the correct border setting
-            if (savedSettings.currentSettingId) {
-                this.settingsManager.selectSetting(savedSettings.currentSettingId);
-            } else {
-                // Fallback to legacy border setting data or first setting
-                const loadedSetting = this.memoryManager.memory.borderSetting;
-                if (loadedSetting && loadedSetting.id) {
-                    this.settingsManager.selectSetting(loadedSetting.id);
-                } else {
-                    this.settingsManager.selectSetting(this.settingsManager.getAvailableSettings()[0].id);
-                }
-            }
+            this._restoreFromMemory();
 
-            // Set game_completed flag if loaded day is past the limit
-            const totalDays = this.settingsManager.getGameConfig().totalDays;
-            this.gameCompleted = this.memoryManager.memory.gameState.day > totalDays;
-            this.travelersProcessedToday = 0; // Reset for the loaded day
+            // Saved after the day's last decision but before the day ended: end it now
+            if (!this.gameCompleted && !this.pendingDecision && this.shouldEndDay()) {
+                console.log(chalk.blue(`Gameplay: ${this.advanceDay()}`));
+            }
 
             console.log(chalk.green("Gameplay: Game loaded. State restored."));
             return true;
@@ -0,0 +1,146 @@
+/**
+ * Leaderboard module for Veritaminal
+ * Keeps the best runs on this machine in a local leaderboard file. There is one board per border
+ * setting and assignment configuration (days × travelers per day, difficulty preset and shift timer), so only
+ * comparable runs are ranked against each other. Careers that used undo or restart day, a custom
+ * difficulty or custom end conditions are not ranked.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+import { readRecordFile, writeRecordFile } from './profile.js';
+import { getDifficultyPreset, DEFAULT_DIFFICULTY_ID } from './difficulty.js';
+
+// Get the directory name of the current module
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+// Go one level up from src to get the project root
+const projectRoot = path.resolve(__dirname, '..');
+
+// Version of the leaderboard file format
+const LEADERBOARD_VERSION = 1;
+
+// Runs kept on each board
+const MAX_ENTRIES = 10;
+
+/**
+ * @typedef {object} LeaderboardEntry
+ * @property {string} name - Player name or initials.
+ * @property {number} score - Final score.
+ * @property {number|null} accuracy - Fraction of correct decisions, or null if none were made.
+ * @property {string} ending - Ending type reached (see ENDINGS in outcomes.js).
+ * @property {number} day - Last day served.
+ * @property {string} date - When the run ended (ISO timestamp).
+ */
+
+/**
+ * @typedef {object} Board
+ * @property {string} settingId - ID of the border setting.
+ * @property {string} borderName - Border name.
+ * @property {number} totalDays - Assignment length in days.
+ * @property {number} travelersPerDay - Travelers per day.
+ * @property {string} [difficulty] - Difficulty preset ID (boards from before difficulties are Officer boards).
+ * @property {boolean} [timedShifts] - Whether the runs had timed shifts.
+ * @property {LeaderboardEntry[]} entries - Best runs, best first.
+ */
+
+/**
+ * Gets the key of the board for a border and assignment configuration. The default difficulty and
+ * untimed shifts are left out of the key, so boards from before either existed stay in place.
+ * @param {string} settingId - ID of the border setting.
+ * @param {{totalDays: number, travelersPerDay: number, difficulty?: {id: string}, timedShifts?: boolean}} gameConfig - Assignment configuration.
+ * @returns {string} e.g. "eastokan_westoria:10x5", "eastokan_westoria:10x5:inspector" or "eastokan_westoria:10x5:timed".
+ */
+function getBoardKey(settingId, gameConfig) {
+    const difficulty = gameConfig.difficulty?.id ?? DEFAULT_DIFFICULTY_ID;
+    return `${settingId}:${gameConfig.totalDays}x${gameConfig.travelersPerDay}${difficulty === DEFAULT_DIFFICULTY_ID ? '' : `:${difficulty}`}${gameConfig.timedShifts ? ':timed' : ''}`;
+}
+
+/**
+ * Gets the display name of a board's difficulty.
+ * @param {Board} board - The board.
+ * @returns {string} e.g. "Officer".
+ */
+function getBoardDifficultyName(board) {
+    return getDifficultyPreset(board.difficulty ?? DEFAULT_DIFFICULTY_ID)?.name ?? board.difficulty;
+}
+
+class LeaderboardManager {
+    /**
+     * Manages the local leaderboard file.
+     * @param {string} [leaderboardDir="profile"] - Directory relative to project root to store the leaderboard in.
+     */
+    constructor(leaderboardDir = "profile") {
+        this.leaderboardFile = path.join(projectRoot, leaderboardDir, 'leaderboard.json');
+        /** @type {Object<string, Board>} */
+        this.boards = {};
+    }
+
+    /**
+     * Loads the leaderboard from disk. A missing or unreadable leaderboard starts empty.
+     * @async
+     */
+    async load() {
+        const data = await readRecordFile(this.leaderboardFile, LEADERBOARD_VERSION, "Leaderboard");
+        this.boards = data?.boards || {};
+    }
+
+    /**
+     * Writes the leaderboard to disk.
+     * @async
+     * @returns {Promise<boolean>} True if the leaderboard was saved.
+     */
+    async save() {
+        return await writeRecordFile(this.leaderboardFile, { version: LEADERBOARD_VERSION, boards: this.boards }, "Leaderboard");
+    }
+
+    /**
+     * Gets the rank a score would take on a board, without adding it.
+     * @param {string} settingId - ID of the border setting.
+     * @param {{totalDays: number, travelersPerDay: number}} gameConfig - Assignment configuration.
+     * @param {number} score - Final score.
+     * @returns {number|null} 1-based rank, or null if the score would not make the board.
+     */
+    getRank(settingId, gameConfig, score) {
+        const entries = this.boards[getBoardKey(settingId, gameConfig)]?.entries || [];
+        const rank = entries.filter(entry => entry.score >= score).length + 1;
+        return rank <= MAX_ENTRIES ? rank : null;
+    }
+
+    /**
+     * Adds a finished run to its board, keeping the best MAX_ENTRIES runs.
+     * Ties keep the earlier run ahead.
+     * @param {{settingId: string, borderName: string, gameConfig: {totalDays: number, travelersPerDay: number, difficulty: {id: string}}}} board - The board to add to.
+     * @param {LeaderboardEntry} entry - The run.
+     * @returns {number|null} 1-based rank of the run, or null if it did not make the board.
+     */
+    addEntry({ settingId, borderName, gameConfig }, entry) {
+        const key = getBoardKey(settingId, gameConfig);
+        const board = this.boards[key] ||= {
+            settingId, borderName, totalDays: gameConfig.totalDays, travelersPerDay: gameConfig.travelersPerDay,
+            difficulty: gameConfig.difficulty?.id ?? DEFAULT_DIFFICULTY_ID, timedShifts: Boolean(gameConfig.timedShifts), entries: []
+        };
+        const rank = this.getRank(settingId, gameConfig, entry.score);
+        if (rank === null) {
+            return null;
+        }
+        board.entries.splice(rank - 1, 0, entry);
+        board.entries = board.entries.slice(0, MAX_ENTRIES);
+        console.log(chalk.blue(`Leaderboard: ${entry.name} placed #${rank} on ${key} with ${entry.score}.`));
+        return rank;
+    }
+
+    /**
+     * Lists the boards that have runs, by border name and then configuration.
+     * @returns {Board[]}
+     */
+    getBoards() {
+        return Object.values(this.boards)
+            .filter(board => board.entries.length > 0)
+            .sort((a, b) => a.borderName.localeCompare(b.borderName) || a.totalDays - b.totalDays || a.travelersPerDay - b.travelersPerDay
+                || getBoardDifficultyName(a).localeCompare(getBoardDifficultyName(b)) || Number(Boolean(a.timedShifts)) - Number(Boolean(b.timedShifts)));
+    }
+}
+
+export { LeaderboardManager, getBoardKey, getBoardDifficultyName, MAX_ENTRIES };
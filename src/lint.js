@@ -0,0 +1,316 @@
+/**
+ * Lint module for Veritaminal
+ * Reviews the combined rule set (built-in, setting, regulation and custom rules) before a shift:
+ * finds rules that contradict each other, so no traveler could satisfy both, and rules that no
+ * generated traveler ever exercises.
+ *
+ * Contradictions are found between the field constraints inside the rule checks (see rules.js):
+ * allowed value lists, patterns (by length and by fixed character positions) and date bounds on
+ * the same field. Coverage is measured against a sample of generated documents.
+ */
+
+import { evaluateCheck, getFieldKey } from './rules.js';
+import { formatFieldName } from './papers.js';
+import { DEFAULT_CALENDAR_START, isValidDate, compareDates, addDays, addYears } from './dates.js';
+
+/**
+ * @typedef {object} RuleConflict
+ * @property {('error'|'warning')} severity - 'error' when no traveler can pass both rules, 'warning' when
+ *   only travelers matching one rule's condition cannot.
+ * @property {import('./gameplay.js').Rule[]} rules - The two rules in conflict.
+ * @property {string} field - Field key both rules constrain.
+ * @property {string} description - Why the rules cannot both pass.
+ */
+
+/**
+ * @typedef {object} RuleCoverage
+ * @property {import('./gameplay.js').Rule} rule - The rule.
+ * @property {('never_applies'|'never_fails'|'always_fails')} status - How the sample exercised the rule.
+ * @property {string} description - Explanation for the inspector.
+ */
+
+/**
+ * @typedef {object} LintReport
+ * @property {RuleConflict[]} conflicts - Contradicting rule pairs.
+ * @property {RuleCoverage[]} coverage - Rules the sample does not exercise, or that it always fails.
+ * @property {number} sampleSize - Number of sample documents coverage was measured on.
+ */
+
+// Field constraint check types compared for contradictions
+const CONSTRAINT_TYPES = ['pattern', 'one_of', 'none_of', 'date'];
+
+// Characters each pattern position is tested against, on top of the literals in the patterns
+const BASE_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789 -_./';
+
+// Reference date for comparing bounds that are relative to another field rather than today
+const FIELD_REFERENCE_DATE = '2000-01-01';
+
+/**
+ * Collects the field constraints of a check, flattening `all` and recording the condition of `when`.
+ * @param {import('./rules.js').RuleCheck} check - The check.
+ * @param {import('./rules.js').RuleCheck|null} [condition=null] - Condition the check applies under.
+ * @returns {Array<{check: import('./rules.js').RuleCheck, condition: import('./rules.js').RuleCheck|null}>}
+ */
+function collectConstraints(check, condition = null) {
+    switch (check.type) {
+        case 'all':
+            return check.checks.flatMap(inner => collectConstraints(inner, condition));
+        case 'when':
+            return collectConstraints(check.then, condition ? { type: 'all', checks: [condition, check.if] } : check.if);
+        default:
+            return CONSTRAINT_TYPES.includes(check.type) ? [{ check, condition }] : [];
+    }
+}
+
+/**
+ * Checks whether a single value satisfies a value constraint (pattern, one_of or none_of).
+ * @param {import('./rules.js').RuleCheck} check - The constraint.
+ * @param {string} value - The value.
+ * @returns {boolean}
+ */
+function allowsValue(check, value) {
+    return evaluateCheck({ ...check, field: 'value' }, { value }).passed;
+}
+
+/**
+ * Reads the shape of a simple regular expression: its length range and, when anchored, the characters
+ * allowed at each fixed position from the start and from the end. Patterns with groups or
+ * alternatives are not analysed.
+ * @param {string} pattern - Regular expression source.
+ * @param {string} [flags] - Regular expression flags.
+ * @returns {{min: number, max: number, prefix: Set<string>[], suffix: Set<string>[]}|null} The shape, or null.
+ */
+function readPatternShape(pattern, flags = '') {
+    const anchoredStart = pattern.startsWith('^');
+    const anchoredEnd = /(^|[^\\])\$$/.test(pattern);
+    const body = pattern.slice(anchoredStart ? 1 : 0, anchoredEnd ? -1 : undefined);
+    const alphabet = [...new Set(BASE_ALPHABET + pattern.replace(/[\\^$.*+?()[\]{}|]/g, ''))];
+
+    const atoms = [];
+    let i = 0;
+    while (i < body.length) {
+        let source;
+        if ('()|^$'.includes(body[i])) {
+            return null;
+        } else if (body[i] === '\\') {
+            source = body.slice(i, i + 2);
+        } else if (body[i] === '[') {
+            let close = i + 1;
+            while (close < body.length && body[close] !== ']') {
+                close += body[close] === '\\' ? 2 : 1;
+            }
+            if (close >= body.length) {
+                return null;
+            }
+            source = body.slice(i, close + 1);
+        } else {
+            source = body[i];
+        }
+        i += source.length;
+
+        const quantifier = /^(?:\{(\d+)(,(\d*))?\}|([?*+]))\??/.exec(body.slice(i));
+        let [min, max] = [1, 1];
+        if (quantifier) {
+            const [text, low, comma, high, symbol] = quantifier;
+            if (symbol) {
+                [min, max] = { '?': [0, 1], '*': [0, Infinity], '+': [1, Infinity] }[symbol];
+            } else {
+                min = Number(low);
+                max = comma ? (high ? Number(high) : Infinity) : min;
+            }
+            i += text.length;
+        }
+        const matcher = new RegExp(`^(?:${source})$`, flags);
+        atoms.push({ chars: new Set(alphabet.filter(char => matcher.test(char))), min, max });
+    }
+
+    // Characters at fixed positions, up to the first atom of variable length
+    const fixedPositions = (list) => {
+        const positions = [];
+        for (const atom of list) {
+            for (let n = 0; n < atom.min; n++) {
+                positions.push(atom.chars);
+            }
+            if (atom.max !== atom.min) {
+                break;
+            }
+        }
+        return positions;
+    };
+
+    return {
+        min: atoms.reduce((total, atom) => total + atom.min, 0),
+        max: anchoredStart && anchoredEnd ? atoms.reduce((total, atom) => total + atom.max, 0) : Infinity,
+        prefix: anchoredStart ? fixedPositions(atoms) : [],
+        suffix: anchoredEnd ? fixedPositions([...atoms].reverse()) : []
+    };
+}
+
+/**
+ * Gets the date bound a date check places on its field, resolved against a reference date.
+ * @param {import('./rules.js').RuleCheck} check - A `date` check.
+ * @param {string} reference - Date the `than` field stands for.
+ * @returns {{lower: boolean, date: string, strict: boolean}}
+ */
+function getDateBound(check, reference) {
+    return {
+        lower: check.op === 'after' || check.op === 'on_or_after',
+        date: addDays(addYears(reference, check.years || 0), check.days || 0),
+        strict: check.op === 'after' || check.op === 'before'
+    };
+}
+
+/**
+ * Explains why no value can satisfy two constraints on the same field, if that is the case.
+ * @param {import('./rules.js').RuleCheck} a - First constraint.
+ * @param {import('./rules.js').RuleCheck} b - Second constraint.
+ * @param {import('./rules.js').RuleContext} context - Lint context (current game date).
+ * @returns {string|null} The reason, or null if both can be satisfied (or it cannot be told).
+ */
+function explainContradiction(a, b, context) {
+    const label = formatFieldName(getFieldKey(a.field));
+
+    if (a.type === 'date' || b.type === 'date') {
+        if (a.type !== b.type || getFieldKey(a.than) !== getFieldKey(b.than)) {
+            return null;
+        }
+        const reference = a.than === 'today' ? context.date : FIELD_REFERENCE_DATE;
+        if (!isValidDate(reference)) {
+            return null;
+        }
+        const bounds = [getDateBound(a, reference), getDateBound(b, reference)];
+        const lower = bounds.find(bound => bound.lower);
+        const upper = bounds.find(bound => !bound.lower);
+        if (!lower || !upper) {
+            return null;
+        }
+        const cmp = compareDates(lower.date, upper.date);
+        if (cmp > 0 || (cmp === 0 && (lower.strict || upper.strict))) {
+            return a.than === 'today'
+                ? `${label} would have to be ${lower.strict ? 'after' : 'on or after'} ${lower.date} and ${upper.strict ? 'before' : 'on or before'} ${upper.date}.`
+                : `${label} would have to be both later and earlier than ${formatFieldName(getFieldKey(a.than))}.`;
+        }
+        return null;
+    }
+
+    // A listed value the other constraint allows is a witness that both can pass
+    const listed = [a, b].find(check => check.type === 'one_of');
+    if (listed) {
+        const other = listed === a ? b : a;
+        if (listed.values.some(value => allowsValue(other, value))) {
+            return null;
+        }
+        return `${label} must be one of ${listed.values.join(', ')}, and the other rule allows none of them.`;
+    }
+
+    if (a.type === 'pattern' && b.type === 'pattern') {
+        const [shapeA, shapeB] = [readPatternShape(a.pattern, a.flags), readPatternShape(b.pattern, b.flags)];
+        if (!shapeA || !shapeB) {
+            return null;
+        }
+        const both = `${label} cannot match both /${a.pattern}/ and /${b.pattern}/`;
+        if (shapeA.min > shapeB.max || shapeB.min > shapeA.max) {
+            return `${both} (they need different lengths).`;
+        }
+        for (const side of ['prefix', 'suffix']) {
+            const length = Math.min(shapeA[side].length, shapeB[side].length);
+            for (let n = 0; n < length; n++) {
+                if (![...shapeA[side][n]].some(char => shapeB[side][n].has(char))) {
+                    const position = side === 'prefix' ? `character ${n + 1}` : `character ${n + 1} from the end`;
+                    return `${both} (${position} differs).`;
+                }
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Finds pairs of rules that contradict each other. Two unconditional constraints that cannot both
+ * pass are an error; a conditional constraint that contradicts an unconditional one means the
+ * travelers matching the condition can never be approved, which is reported as a warning.
+ * @param {import('./gameplay.js').Rule[]} rules - Machine-checked rules.
+ * @param {import('./rules.js').RuleContext} context - Lint context (current game date).
+ * @returns {RuleConflict[]}
+ */
+function findConflicts(rules, context) {
+    const constraints = rules.flatMap(rule => collectConstraints(rule.spec).map(constraint => ({ rule, ...constraint })));
+    const conflicts = [];
+
+    constraints.forEach((first, i) => {
+        constraints.slice(i + 1).forEach(second => {
+            if (first.rule === second.rule || (first.condition && second.condition)
+                || getFieldKey(first.check.field) !== getFieldKey(second.check.field)) {
+                return;
+            }
+            // Report each pair of rules once
+            if (conflicts.some(conflict => conflict.rules.includes(first.rule) && conflict.rules.includes(second.rule))) {
+                return;
+            }
+            const reason = explainContradiction(first.check, second.check, context);
+            if (reason) {
+                const conditional = first.condition ? first.rule : second.condition ? second.rule : null;
+                conflicts.push({
+                    severity: conditional ? 'warning' : 'error',
+                    rules: [first.rule, second.rule],
+                    field: getFieldKey(first.check.field),
+                    description: conditional
+                        ? `${reason} Travelers covered by the condition of ${conditional.name} can never pass.`
+                        : `${reason} No traveler can pass both.`
+                });
+            }
+        });
+    });
+    // Errors first
+    return conflicts.sort((a, b) => (a.severity === 'error' ? 0 : 1) - (b.severity === 'error' ? 0 : 1));
+}
+
+/**
+ * Measures how a sample of generated documents exercises each rule: a rule is unexercised when its
+ * condition never applies or no document breaks it, and suspect when every document breaks it.
+ * @param {import('./gameplay.js').Rule[]} rules - Machine-checked rules.
+ * @param {object[]} documents - Sample documents.
+ * @param {import('./rules.js').RuleContext} context - Lint context (current game date).
+ * @returns {RuleCoverage[]}
+ */
+function findCoverageGaps(rules, documents, context) {
+    if (documents.length === 0) {
+        return [];
+    }
+    const gaps = [];
+    rules.forEach(rule => {
+        if (rule.spec.type === 'when' && !documents.some(doc => evaluateCheck(rule.spec.if, doc, context).passed)) {
+            gaps.push({ rule, status: 'never_applies', description: 'Its condition never applies to a generated traveler.' });
+            return;
+        }
+        const failures = documents.filter(doc => !rule.evaluate(doc, context).passed).length;
+        if (failures === 0) {
+            gaps.push({ rule, status: 'never_fails', description: 'No generated traveler breaks it, so it never decides a case.' });
+        } else if (failures === documents.length) {
+            gaps.push({ rule, status: 'always_fails', description: 'Every generated traveler breaks it, so no one can be approved.' });
+        }
+    });
+    return gaps;
+}
+
+/**
+ * Lints a rule set. Only machine-checked rules built from a rule check are analysed; descriptive
+ * rules are left to the inspector.
+ * @param {import('./gameplay.js').Rule[]} rules - The combined rule set (see GameplayManager.getAllRules).
+ * @param {object[]} [documents=[]] - Sample of generated documents to measure coverage on.
+ * @param {import('./rules.js').RuleContext} [context={}] - Lint context (current game date).
+ * @returns {LintReport}
+ */
+function lintRuleSet(rules, documents = [], context = {}) {
+    const checked = rules.filter(rule => rule.machineChecked && rule.spec);
+    const lintContext = { ...context, date: context.date || DEFAULT_CALENDAR_START };
+    return {
+        conflicts: findConflicts(checked, lintContext),
+        coverage: findCoverageGaps(checked, documents, lintContext),
+        sampleSize: documents.length
+    };
+}
+
+export {
+    lintRuleSet
+};
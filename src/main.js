@@ -7,8 +7,19 @@
 
 import chalk from 'chalk';
 import { MainMenuManager } from './mainMenu.js';
-import { getVeritasHint, generateNarrativeUpdate } from './api.js'; // Import specific API calls needed in the loop
+import {
+    getVeritasHint,
+    generateNarrativeUpdate,
+    startRecording,
+    startReplay,
+    getCassette,
+    getAIStatus,
+    getTransport,
+    isOfflineMode,
+    CassetteMismatchError
+} from './api.js'; // Import specific API calls needed in the loop
 import { NarrativeManager } from './narrative.js'; // Add missing import for NarrativeManager
+import { getDefaultExpenses, formatCredits, EVICTION_AFTER_DAYS } from './economy.js';
 
 // --- Argument Parsing ---
 // Basic argument parsing using process.argv
@@ -16,12 +27,27 @@ const args = process.argv.slice(2); // Skip 'node' and script path
 const options = {
     debug: args.includes('--debug'),
     load: null,
-    skipMenu: args.includes('--skip-menu')
+    skipMenu: args.includes('--skip-menu'),
+    record: null,
+    replay: null,
+    seed: null
 };
 const loadIndex = args.indexOf('--load');
 if (loadIndex !== -1 && args.length > loadIndex + 1) {
     options.load = args[loadIndex + 1]; // TODO: Resolve to absolute path if needed by loadGame
 }
+const recordIndex = args.indexOf('--record');
+if (recordIndex !== -1 && args.length > recordIndex + 1) {
+    options.record = args[recordIndex + 1];
+}
+const seedIndex = args.indexOf('--seed');
+if (seedIndex !== -1 && args.length > seedIndex + 1) {
+    options.seed = args[seedIndex + 1];
+}
+const replayIndex = args.indexOf('--replay');
+if (replayIndex !== -1 && args.length > replayIndex + 1) {
+    options.replay = args[replayIndex + 1];
+}
 
 // --- Logging Setup ---
 // Simple console logging, enhanced if debug flag is set
@@ -52,6 +78,15 @@ async function main() {
     const mainMenuManager = new MainMenuManager();
     const ui = mainMenuManager.ui; // Get UI instance
 
+    // Tell the player as soon as the AI transport degrades or recovers
+    getTransport().onStateChange((state) => {
+        if (state === 'open') {
+            ui.print("\n⚠ The AI service is not responding. Switching to offline content for now.", 'warning');
+        } else if (state === 'closed') {
+            ui.print("\nThe AI service is back online.", 'success');
+        }
+    });
+
     // Handle Ctrl+C gracefully
     process.on('SIGINT', async () => {
         logger.warn("\nCaught interrupt signal (Ctrl+C).");
@@ -61,6 +96,30 @@ async function main() {
     });
 
     try {
+        mainMenuManager.seed = options.seed;
+        await mainMenuManager.profileManager.load();
+        await mainMenuManager.leaderboardManager.load();
+
+        // Set up AI record/replay before anything can call the API
+        if (options.record && options.replay) {
+            logger.error("--record and --replay cannot be used together.");
+            process.exit(1);
+        }
+        if (options.record) {
+            if (isOfflineMode()) {
+                logger.warn("Recording while in offline mode: no AI calls will be made, so the cassette only records that content came from the offline engine.");
+            }
+            await startRecording(options.record);
+        } else if (options.replay) {
+            const cassette = await startReplay(options.replay);
+            // Replayed careers start from the cassette's seeds, one per career; only cassettes without seeds need --seed
+            const recordedSeeds = cassette.getRecordedSeeds();
+            if (options.seed !== null && recordedSeeds.length > 0) {
+                logger.error(`--seed cannot be used with this cassette: it starts its careers from the recorded seeds (${recordedSeeds.join(', ')}). Drop --seed to replay it.`);
+                process.exit(1);
+            }
+        }
+
         let startGameDirectly = options.skipMenu;
         let gameLoaded = false;
 
@@ -77,6 +136,9 @@ async function main() {
                 gameLoaded = true;
             } else {
                 logger.error(`Failed to load game from ${options.load}. Starting main menu.`);
+                if (mainMenuManager.gameplayManager.memoryManager.lastLoadError?.name === 'SaveIntegrityError') {
+                    logger.warn("The save is damaged; open Continue Previous Career and load it to restore a backup.");
+                }
                 startGameDirectly = false; // Fallback to menu if load fails
             }
         }
@@ -85,7 +147,7 @@ async function main() {
         if (startGameDirectly && !gameLoaded) {
              // --skip-menu without --load, start a default new game
              logger.info("--skip-menu detected, starting new game with default settings.");
-             await mainMenuManager.gameplayManager.initializeGame(); // Initialize default game
+             await mainMenuManager.gameplayManager.initializeGame(null, options.seed); // Initialize default game
              await runGameplayLoop(mainMenuManager);
         } else if (startGameDirectly && gameLoaded) {
              // Game loaded via --load, start gameplay
@@ -96,16 +158,89 @@ async function main() {
             await runMainMenuLoop(mainMenuManager);
         }
 
+        const cassette = getCassette();
+        if (cassette?.mode === 'replay' && cassette.getRemainingCount() > 0) {
+            logger.warn(`Replay finished with ${cassette.getRemainingCount()} recorded AI interactions unused.`);
+        }
+
         logger.info("Veritaminal finished gracefully.");
         process.exit(0);
 
     } catch (error) {
+        if (error instanceof CassetteMismatchError) {
+            reportCassetteMismatch(ui, error);
+            process.exit(1);
+        }
         logger.error("An unexpected error occurred in the main execution:", error);
         ui.print("\nAn unexpected critical error occurred. Check logs if available.", 'error');
         process.exit(1);
     }
 }
 
+/**
+ * Prints a replay divergence so it can be attached to a bug report.
+ * @param {import('./ui.js').TerminalUI} ui - The UI instance.
+ * @param {CassetteMismatchError} error - The mismatch error.
+ */
+function reportCassetteMismatch(ui, error) {
+    ui.print("\nREPLAY DIVERGED FROM CASSETTE", 'error');
+    ui.print(error.message, 'error');
+    const { request, expected } = error.details;
+    ui.print(`\nUnrecorded request (${request.systemType}, hash ${request.hash}):`, 'header');
+    ui.print(`  ${request.prompt}`, 'value');
+    if (expected) {
+        ui.print(`\nNext unused recording #${expected.index} (${expected.systemType}, hash ${expected.hash}):`, 'header');
+        ui.print(`  ${expected.prompt}`, 'value');
+    } else {
+        ui.print("\nEvery recorded interaction has already been replayed.", 'warning');
+    }
+}
+
+/**
+ * Runs the end-of-day household screen: shows the day's pay and the family, and lets the inspector
+ * choose which bills to pay. The rent is taken whenever the savings cover it.
+ * @async
+ * @param {import('./gameplay.js').GameplayManager} gameplayManager - The career.
+ * @param {import('./ui.js').TerminalUI} ui - The UI instance.
+ * @param {number} day - The day that is ending.
+ * @returns {Promise<string[]>} IDs of the optional bills to pay.
+ */
+async function chooseExpenses(gameplayManager, ui, day) {
+    const household = gameplayManager.getHousehold();
+    const expenses = gameplayManager.getDueExpenses();
+    const rent = expenses.find(expense => expense.required);
+    const optional = expenses.filter(expense => !expense.required);
+    let selected = getDefaultExpenses(household); // Everything the savings cover
+    let notice = household.savings < rent.owed ? `You cannot make rent tonight (${formatCredits(rent.owed)}). The landlord evicts families ${EVICTION_AFTER_DAYS} days behind.` : null;
+
+    while (true) {
+        ui.displayEvening(day, household, expenses, selected, notice);
+        notice = null;
+        const choice = await ui.getListChoice("Choose the bills to pay:", [
+            ...optional.map(expense => ({
+                name: `${selected.includes(expense.id) ? "Skip" : "Pay"} ${expense.name.toLowerCase()} (${formatCredits(expense.owed)})`,
+                value: expense.id
+            })),
+            { name: "Pay the marked bills and go to bed", value: null }
+        ]);
+        if (choice === null) {
+            return selected;
+        }
+        if (selected.includes(choice)) {
+            selected = selected.filter(id => id !== choice);
+            continue;
+        }
+        const committed = (household.savings >= rent.owed ? rent.owed : 0)
+            + optional.filter(expense => selected.includes(expense.id)).reduce((sum, expense) => sum + expense.owed, 0);
+        const expense = optional.find(item => item.id === choice);
+        if (household.savings - committed < expense.owed) {
+            notice = `You cannot afford the ${expense.name.toLowerCase()} as well.`;
+            continue;
+        }
+        selected = [...selected, choice];
+    }
+}
+
 /**
  * Runs the main menu loop.
  * @async
@@ -122,6 +257,9 @@ async function runMainMenuLoop(menuManager) {
             case '1': // Start New Career
                 startGame = await menuManager.startNewCareer();
                 break;
+            case '11': // Daily Challenge
+                startGame = await menuManager.startDailyChallenge();
+                break;
             case '2': // Continue Previous Career
                 startGame = await menuManager.continuePreviousCareer();
                 break;
@@ -134,7 +272,19 @@ async function runMainMenuLoop(menuManager) {
             case '5': // Game Configuration Settings
                 await menuManager.gameConfigurationSettings();
                 break;
-            case '6': // Quit Game
+            case '6': // Custom Rules
+                await menuManager.customRulesScreen();
+                break;
+            case '8': // Career Record
+                await menuManager.viewCareerRecord();
+                break;
+            case '9': // Achievements
+                await menuManager.viewAchievements();
+                break;
+            case '10': // Leaderboards
+                await menuManager.viewLeaderboards();
+                break;
+            case '7': // Quit Game
                 keepRunning = false;
                 menuManager.ui.print("\nThank you for playing Veritaminal!", 'success');
                 break;
@@ -163,10 +313,17 @@ async function runGameplayLoop(menuManager) {
     logger.debug("Entering gameplay loop.");
     const gameplayManager = menuManager.gameplayManager;
     const ui = menuManager.ui;
-    const narrativeManager = new NarrativeManager(); // Create fresh narrative state manager
+    const narrativeManager = new NarrativeManager(gameplayManager.outcomeEngine); // Create fresh narrative state manager
 
     let gameRunning = true;
 
+    /** Shows the status bar below the traveler's papers. */
+    const showStatus = () => ui.displayStatus(
+        narrativeManager.storyState.day, gameplayManager.getScore(), narrativeManager.getStateSummary(),
+        getAIStatus(), narrativeManager.storyState.date, gameplayManager.getHintsRemaining(), gameplayManager.getShiftStatus(),
+        gameplayManager.getHousehold()
+    );
+
     // Initial sync of narrative state from loaded/initialized memory
     narrativeManager.syncState(gameplayManager.memoryManager.memory.gameState);
     ui.clearScreen();
@@ -179,17 +336,22 @@ async function runGameplayLoop(menuManager) {
 
         // --- Start of Day / Check Game Over ---
         narrativeManager.syncState(gameplayManager.memoryManager.memory.gameState); // Sync state at start of loop/day
-        const { isGameOver, endingType, endingMessage } = narrativeManager.checkGameOver();
+        // The outcome engine decides every ending: limits, custom end conditions and the assignment's length
+        const outcome = gameplayManager.checkOutcome();
 
-        if (isGameOver) {
+        if (outcome.isGameOver) {
             try {
-                logger.info(`Game Over condition met: ${endingType}`);
-                ui.displayGameOver(endingType, endingMessage, gameplayManager.getScore());
-                menuManager.updateCareerStats(gameplayManager); // Update session stats
+                logger.info(`Career over (${outcome.reason}): ${outcome.endingType}`);
+                ui.displayGameOver(outcome.endingType, outcome.endingMessage, gameplayManager.getScore());
+                const careerRecorded = await menuManager.updateCareerStats(gameplayManager, outcome); // Update the career record
                 gameRunning = false; // Exit gameplay loop
                 
                 ui.clearScreen(); // Clear screen before the prompt
                 await new Promise(resolve => setTimeout(resolve, 50)); // Small delay
+                await menuManager.showAchievementToasts();
+                if (careerRecorded) {
+                    await menuManager.recordLeaderboardRun(gameplayManager, outcome.endingType);
+                }
 
                 try {
                     await ui.pressEnterToContinue("Press Enter to return to main menu...");
@@ -204,34 +366,10 @@ async function runGameplayLoop(menuManager) {
             continue; // Skip rest of the loop
         }
 
-        // Check for normal completion (e.g., finished Day 10)
-        if (gameplayManager.gameCompleted && !isGameOver) { // Ensure this doesn't run if already handled by isGameOver
-            try {
-                logger.info("Normal game completion condition met.");
-                const { endingType: normalEndingType, endingMessage: normalEndingMessage } = narrativeManager.getNormalEnding();
-                ui.displayGameOver(normalEndingType, normalEndingMessage, gameplayManager.getScore());
-                menuManager.updateCareerStats(gameplayManager);
-                gameRunning = false; // Exit gameplay loop
-
-                ui.clearScreen(); // Clear screen before the prompt
-                await new Promise(resolve => setTimeout(resolve, 50)); // Small delay
-                
-                try {
-                    await ui.pressEnterToContinue("Press Enter to return to main menu...");
-                } catch (inputError) {
-                    logger.error("CRITICAL: Error during ui.pressEnterToContinue after normal game completion.", inputError);
-                    // gameRunning is already false, loop will terminate.
-                }
-            } catch (error) {
-                logger.error("Error handling normal game completion:", error);
-                gameRunning = false; // Ensure we exit the gameplay loop even if there was an error
-            }
-            continue; // Skip rest of the loop
-        }
-
         // --- Process Traveler ---
         logger.debug(`Starting processing for traveler ${gameplayManager.travelersProcessedToday + 1} on day ${narrativeManager.storyState.day}`);
-        const document = await gameplayManager.generateDocument();
+        // A resumed game continues with the traveler who was at the desk when it was saved
+        const document = gameplayManager.pendingDecision ? gameplayManager.currentDocument : await gameplayManager.generateDocument();
         if (!document) {
             logger.error("Failed to generate document, cannot continue turn.");
             // Maybe try again or force end day? For now, log and wait.
@@ -240,8 +378,10 @@ async function runGameplayLoop(menuManager) {
             continue; // Try next iteration (might advance day below)
         }
 
-        ui.displayDocument(document);
-        ui.displayStatus(narrativeManager.storyState.day, gameplayManager.getScore(), narrativeManager.getStateSummary());
+        let paperIndex = 0; // Paper currently shown (passport first)
+        const paperCount = Math.max(1, (document.papers || []).length);
+        ui.displayDocument(document, paperIndex);
+        showStatus();
 
         // --- Player Command Loop ---
         let decisionMade = false;
@@ -254,7 +394,7 @@ async function runGameplayLoop(menuManager) {
                 case 'deny':
                     const decisionResult = gameplayManager.makeDecision(command);
                     if (decisionResult) {
-                        const { isCorrect } = decisionResult;
+                        const { isCorrect, ruleBreakdown } = decisionResult;
                         // Get narrative update based on the decision
                         const memoryContext = gameplayManager.memoryManager.getMemoryContext(); // Get fresh context
                         const narrativeUpdate = await generateNarrativeUpdate(
@@ -264,13 +404,15 @@ async function runGameplayLoop(menuManager) {
                             memoryContext
                         );
                         // Display feedback AFTER generating narrative
-                        ui.displayFeedback(isCorrect, narrativeUpdate, gameplayManager.aiJudgment);
+                        ui.displayFeedback(isCorrect, narrativeUpdate, gameplayManager.aiJudgment, gameplayManager.getGroundTruth(), ruleBreakdown);
 
                         // Check for milestones triggered by the state change (optional display)
                         const milestone = narrativeManager.checkMilestones();
                          if (milestone) {
                              ui.print(`\n${milestone}`, 'warning'); // Display milestone if triggered
                          }
+                        gameplayManager.memoryManager.updateGameState({ warningsIssued: { ...narrativeManager.warningsIssued } });
+                        await menuManager.showAchievementToasts();
 
                         decisionMade = true;
                         await gameplayManager.saveGame(); // Auto-save after each decision
@@ -281,30 +423,60 @@ async function runGameplayLoop(menuManager) {
                     }
                     break;
 
+                case 'next':
+                case 'prev':
+                    paperIndex = (paperIndex + (command === 'next' ? 1 : paperCount - 1)) % paperCount;
+                    gameplayManager.spendTime('paper');
+                    ui.displayDocument(document, paperIndex);
+                    showStatus();
+                    break;
+
                 case 'hint':
+                    if (gameplayManager.getHintsRemaining() === 0) {
+                        ui.print(`\nVeritas has no more hints for you today (${gameplayManager.getDifficulty().hintsPerDay} a day at ${gameplayManager.getDifficulty().name} difficulty).`, 'warning');
+                        break;
+                    }
                     const memoryContextHint = gameplayManager.memoryManager.getMemoryContext();
                     const hint = await getVeritasHint(document, memoryContextHint);
+                    gameplayManager.recordHint();
                     ui.displayVeritasHint(hint);
                     // Re-display document and status after hint
-                    ui.displayDocument(document);
-                    ui.displayStatus(narrativeManager.storyState.day, gameplayManager.getScore(), narrativeManager.getStateSummary());
+                    ui.displayDocument(document, paperIndex);
+                    showStatus();
                     break;
 
+                case 'ask': {
+                    const answer = await gameplayManager.interrogate();
+                    ui.displayDocument(document, paperIndex);
+                    ui.displayTravelerAnswer(document.name, answer);
+                    showStatus();
+                    break;
+                }
+
                 case 'rules':
+                    gameplayManager.spendTime('rules');
                     const rules = gameplayManager.getAllRules();
                     ui.displayRules(rules);
+                    ui.displayEndConditions(gameplayManager.getEndConditionProgress());
                     // Re-display after rules screen
                     await ui.pressEnterToContinue(); // Add pause after rules
-                    ui.displayDocument(document);
-                    ui.displayStatus(narrativeManager.storyState.day, gameplayManager.getScore(), narrativeManager.getStateSummary());
+                    ui.displayDocument(document, paperIndex);
+                    showStatus();
+                    break;
+
+                case 'ledger':
+                    ui.displayLedger(gameplayManager.getLedger(), gameplayManager.getHousehold().savings);
+                    await ui.pressEnterToContinue();
+                    ui.displayDocument(document, paperIndex);
+                    showStatus();
                     break;
 
                 case 'help':
                     ui.displayHelp();
                      // Re-display after help screen
                      await ui.pressEnterToContinue(); // Add pause after help
-                    ui.displayDocument(document);
-                    ui.displayStatus(narrativeManager.storyState.day, gameplayManager.getScore(), narrativeManager.getStateSummary());
+                    ui.displayDocument(document, paperIndex);
+                    showStatus();
                     break;
 
                 case 'save':
@@ -316,26 +488,54 @@ async function runGameplayLoop(menuManager) {
                     }
                      await ui.pressEnterToContinue();
                      // Re-display
-                    ui.displayDocument(document);
-                    ui.displayStatus(narrativeManager.storyState.day, gameplayManager.getScore(), narrativeManager.getStateSummary());
+                    ui.displayDocument(document, paperIndex);
+                    showStatus();
                     break;
 
+                case 'undo':
+                case 'restart': {
+                    // Rewind to before the latest decision, or to the start of the day
+                    const status = gameplayManager.memoryManager.getRewindStatus();
+                    if (command === 'undo' ? status.undoAvailable === 0 : !status.canRestartDay) {
+                        ui.print(command === 'undo' ? "\nThere is no decision to undo today." : "\nThis day cannot be restarted.", 'warning');
+                        break;
+                    }
+                    const confirmRewind = await ui.getListChoice(
+                        `${command === 'undo' ? "Undo your last decision?" : "Restart the day from its first traveler?"}${status.rewound ? '' : " A rewound career no longer counts toward the leaderboards or achievement progress."}`,
+                        [{ name: command === 'undo' ? "Yes, undo it" : "Yes, restart the day", value: true }, { name: "No, continue playing", value: false }]
+                    );
+                    if (!confirmRewind) {
+                        ui.displayDocument(document, paperIndex);
+                        showStatus();
+                        break;
+                    }
+                    const snapshot = command === 'undo' ? gameplayManager.undoLastDecision() : gameplayManager.restartDay();
+                    ui.print(command === 'undo'
+                        ? `\nDecision on ${snapshot.traveler} undone. The traveler is back at your desk.`
+                        : `\nDay ${snapshot.day} restarted.`, 'warning');
+                    await gameplayManager.saveGame();
+                    decisionMade = true; // The turn starts over from the restored state
+                    await ui.pressEnterToContinue();
+                    break;
+                }
+
                 case 'quit':
                     logger.info("Player initiated quit from gameplay loop.");
                     // Add confirmation?
                     const confirmQuit = await menuManager.ui.getListChoice(
-                         "Are you sure you want to quit to the main menu? (Progress is saved after each decision)",
+                         "Are you sure you want to quit to the main menu? (Progress, including the traveler at the desk, is saved)",
                          [{name: "Yes, quit", value: true}, {name: "No, continue playing", value: false}]
                     );
                     if (confirmQuit) {
+                        await gameplayManager.saveGame(); // Resume with this traveler next time
                         gameRunning = false; // Exit gameplay loop, will return to main menu loop
                         decisionMade = true; // Break inner command loop
                         ui.print("\nReturning to main menu...", 'warning');
                         await ui.pressEnterToContinue();
                     } else {
                         // Re-display
-                        ui.displayDocument(document);
-                        ui.displayStatus(narrativeManager.storyState.day, gameplayManager.getScore(), narrativeManager.getStateSummary());
+                        ui.displayDocument(document, paperIndex);
+                        showStatus();
                     }
                     break;
 
@@ -351,8 +551,8 @@ async function runGameplayLoop(menuManager) {
                          console.log(gameplayManager.aiJudgment); // Log full object
                          await ui.pressEnterToContinue();
                          // Re-display
-                        ui.displayDocument(document);
-                        ui.displayStatus(narrativeManager.storyState.day, gameplayManager.getScore(), narrativeManager.getStateSummary());
+                        ui.displayDocument(document, paperIndex);
+                        showStatus();
                      } else {
                           ui.print("\nInvalid command, or debug not enabled / no judgment available.", 'error');
                      }
@@ -360,6 +560,39 @@ async function runGameplayLoop(menuManager) {
 
 
                 default:
+                    // Custom rules: "rule add <rule>"
+                    if (/^rule(\s|$)/.test(command)) {
+                        if (!/^rule\s+add\b/.test(command)) {
+                            ui.print("\nUsage: rule add <rule>, e.g. 'rule add nationality is not Westorian'.", 'error');
+                            break;
+                        }
+                        let ruleText = command.replace(/^rule\s+add\b/, '').trim();
+                        if (!ruleText) {
+                            ui.displayRuleSyntax();
+                            ruleText = await ui.getUserInput('\nNew rule > ');
+                        }
+                        try {
+                            if (gameplayManager.addCustomRule(ruleText)) {
+                                ui.print(`\nCustom rule added and in force immediately: ${ruleText}`, 'success');
+                            } else {
+                                ui.print("\nThat rule is already in force.", 'warning');
+                            }
+                        } catch (ruleError) {
+                            ui.print(`\nInvalid rule: ${ruleError.message}`, 'error');
+                        }
+                        await ui.pressEnterToContinue();
+                        ui.displayDocument(document, paperIndex);
+                        showStatus();
+                        break;
+                    }
+                    // A paper number flips straight to that paper
+                    if (/^\d+$/.test(command) && Number(command) >= 1 && Number(command) <= paperCount) {
+                        paperIndex = Number(command) - 1;
+                        gameplayManager.spendTime('paper');
+                        ui.displayDocument(document, paperIndex);
+                        showStatus();
+                        break;
+                    }
                     logger.warn(`Invalid player command: ${command}`);
                     ui.print("\nInvalid command. Type 'help' for options.", 'error');
                     // No need to re-display here, loop continues
@@ -368,13 +601,28 @@ async function runGameplayLoop(menuManager) {
 
         // --- End of Turn / Advance Day ---
         if (gameRunning && decisionMade) {
-             // Check if day should end
-             if (gameplayManager.shouldEndDay()) {
+             // Check if day should end (a career that just ended has no next day)
+             if (gameplayManager.shouldEndDay() && !gameplayManager.gameCompleted) {
                   logger.info(`End of Day ${narrativeManager.storyState.day}.`);
-                  const dayMessage = gameplayManager.advanceDay(); // Advances day in memory
+                  const paidExpenses = await chooseExpenses(gameplayManager, ui, narrativeManager.storyState.day);
+                  const dayMessage = gameplayManager.advanceDay(paidExpenses); // Settles the bills and advances day in memory
                   narrativeManager.syncState(gameplayManager.memoryManager.memory.gameState); // Sync narrative manager day
                   ui.print(`\n${dayMessage}`, 'header');
+                  // The household's troubles show at the end of the day
+                  const milestone = gameplayManager.gameCompleted ? null : narrativeManager.checkMilestones();
+                  if (milestone) {
+                      ui.print(`\n${milestone}`, 'warning');
+                  }
+                  gameplayManager.memoryManager.updateGameState({ warningsIssued: { ...narrativeManager.warningsIssued } });
+                  await gameplayManager.saveGame(); // Keep the settled day, so quitting before the next one does not lose the expenses paid
+                  await menuManager.showAchievementToasts();
                   await ui.pressEnterToContinue("Press Enter to start the next day...");
+
+                  const bulletin = gameplayManager.getMorningBulletin();
+                  if (!gameplayManager.gameCompleted && bulletin.length > 0) {
+                      ui.displayBulletin(narrativeManager.storyState.day, narrativeManager.storyState.date, bulletin);
+                      await ui.pressEnterToContinue();
+                  }
              } else {
                   // Just processed one traveler, continue the current day
                   logger.debug(`Continuing Day ${narrativeManager.storyState.day}, traveler ${gameplayManager.travelersProcessedToday}/${gameplayManager.travelersPerDay}`);
@@ -4,12 +4,23 @@
  */
 
 import path from 'path';
-import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
 import chalk from 'chalk';
 import { GameplayManager } from './gameplay.js';
-import { SettingsManager } from './settings.js';
+import { SettingsManager, formatRuleChange } from './settings.js';
 import { TerminalUI } from './ui.js';
+import { isOfflineMode } from './api.js';
+import { parseRule } from './rules.js';
+import { SaveIntegrityError } from './memory.js';
+import { ProfileManager, getAccuracy } from './profile.js';
+import { AchievementManager } from './achievements.js';
+import { LeaderboardManager, getBoardDifficultyName } from './leaderboard.js';
+import { getDailySeed, hashSeed } from './random.js';
+import { getDifficultyPresets, createCustomDifficulty, describeDifficulty, CUSTOM_LIMITS } from './difficulty.js';
+import { ENDING_TITLES, getEndingTitle, parseEndCondition, getUnreachableAudits } from './outcomes.js';
+import { describeShiftTimer } from './shift.js';
+import { describeEconomy } from './economy.js';
+import { listSaveSlots, renameSaveSlot, deleteSaveSlot, exportCareer, importCareer } from './saves.js';
 
 // Helper to get project root
 const __filename = fileURLToPath(import.meta.url);
@@ -39,6 +50,15 @@ function ljust(text, width) {
     return text.padEnd(width);
 }
 
+/**
+ * Formats a decision accuracy as a percentage.
+ * @param {number|null} accuracy - Fraction of correct decisions, or null if none were made.
+ * @returns {string} e.g. "83%" or "n/a".
+ */
+function formatAccuracy(accuracy) {
+    return accuracy === null ? 'n/a' : `${Math.round(accuracy * 100)}%`;
+}
+
 class MainMenuManager {
     /**
      * Manages the main menu and game sessions.
@@ -47,47 +67,85 @@ class MainMenuManager {
         this.ui = new TerminalUI();
         this.gameplayManager = new GameplayManager();
         this.settingsManager = new SettingsManager(); // GameplayManager also has one, maybe share? For now, separate is ok.
-        // Basic career stats (not saved persistently yet, reset on each app start)
-        this.careerStats = {
-            gamesCompleted: 0,
-            totalScore: 0,
-            bordersServed: new Set(),
-            highestDayReached: 0
-        };
+        this.profileManager = new ProfileManager(); // Career record across app launches (loaded in main.js)
+        this.achievementManager = new AchievementManager(this.profileManager);
+        this.leaderboardManager = new LeaderboardManager(); // Best runs per border and configuration (loaded in main.js)
+        this.seed = null; // Seed for new careers (--seed); null draws a new one per career
+        this.pendingUnlocks = []; // Achievements unlocked since the last showAchievementToasts
+        this.profileChanged = false;
+        this.gameplayManager.onGameEvent(event => this._handleGameEvent(event));
+    }
+
+    /**
+     * Checks a gameplay event for achievement progress. Unlocks are shown, and the profile saved,
+     * by showAchievementToasts at the next pause in the game.
+     * @param {object} event - Gameplay event (see GameplayManager.onGameEvent).
+     * @private
+     */
+    _handleGameEvent(event) {
+        const { changed, unlocked } = this.achievementManager.handleEvent(event);
+        this.profileChanged ||= changed;
+        this.pendingUnlocks.push(...unlocked);
+    }
+
+    /**
+     * Saves achievement progress and shows a toast for each achievement unlocked since the last call.
+     * @async
+     */
+    async showAchievementToasts() {
+        if (this.profileChanged) {
+            this.profileChanged = false;
+            await this.profileManager.save();
+        }
+        this.pendingUnlocks.splice(0).forEach(achievement => {
+            this.ui.displayToast(`Achievement unlocked: ${achievement.name}`, achievement.description);
+        });
     }
 
     /**
      * Displays the main menu and gets user choice using inquirer.
      * @async
-     * @returns {Promise<string>} The selected option value ('1', '2', '3', '4', '5').
+     * @returns {Promise<string>} The selected option value ('1' to '11').
      */
     async displayMainMenu() {
         this.ui.clearScreen();
         this.ui.drawBorder("VERITAMINAL: Document Verification Game");
 
-        // Display career stats if any games have been played this session
-        if (this.careerStats.gamesCompleted > 0) {
-            console.log(centerText(this.ui.coloredText("CAREER STATISTICS (Current Session)", 'header'), this.ui.width));
-             console.log(centerText(`${this.ui.coloredText('Games Completed:', 'key')} ${this.ui.coloredText(this.careerStats.gamesCompleted, 'value')}`, this.ui.width));
-             console.log(centerText(`${this.ui.coloredText('Total Score:', 'key')} ${this.ui.coloredText(this.careerStats.totalScore.toFixed(2), 'value')}`, this.ui.width));
-             console.log(centerText(`${this.ui.coloredText('Borders Served:', 'key')} ${this.ui.coloredText(this.careerStats.bordersServed.size, 'value')}`, this.ui.width));
-             console.log(centerText(`${this.ui.coloredText('Highest Day:', 'key')} ${this.ui.coloredText(this.careerStats.highestDayReached, 'value')}`, this.ui.width));
+        // Display the career record once a career has been finished
+        const profile = this.profileManager.profile;
+        if (profile.gamesCompleted > 0) {
+            const totals = this.profileManager.getTotals();
+            console.log(centerText(this.ui.coloredText("CAREER RECORD", 'header'), this.ui.width));
+             console.log(centerText(`${this.ui.coloredText('Games Completed:', 'key')} ${this.ui.coloredText(profile.gamesCompleted, 'value')}`, this.ui.width));
+             console.log(centerText(`${this.ui.coloredText('Total Score:', 'key')} ${this.ui.coloredText(profile.totalScore.toFixed(2), 'value')}`, this.ui.width));
+             console.log(centerText(`${this.ui.coloredText('Borders Served:', 'key')} ${this.ui.coloredText(totals.bordersServed, 'value')}`, this.ui.width));
+             console.log(centerText(`${this.ui.coloredText('Highest Day:', 'key')} ${this.ui.coloredText(profile.highestDay, 'value')}`, this.ui.width));
+             console.log(centerText(`${this.ui.coloredText('Accuracy:', 'key')} ${this.ui.coloredText(formatAccuracy(totals.accuracy), 'value')}`, this.ui.width));
             this.ui.drawBorder(null, '-');
         }
 
+        if (isOfflineMode()) {
+            console.log(centerText(this.ui.coloredText("Offline mode: travelers and hints are generated procedurally (no AI provider).", 'dim'), this.ui.width));
+        }
+
         console.log(centerText(this.ui.coloredText("MAIN MENU", 'title'), this.ui.width));
 
         const choices = [
             { name: 'Start New Career', value: '1' },
+            { name: `Daily Challenge (${getDailySeed().replace(/^daily-/, '')} UTC)`, value: '11' },
             { name: 'Continue Previous Career', value: '2' },
             { name: 'View Border Settings Info', value: '3' },
             { name: 'View Game Rules & Commands', value: '4' },
             { name: 'Game Configuration Settings', value: '5' },
-            { name: 'Quit Game', value: '6' },
+            { name: `Custom Rules (${this.settingsManager.customRules.length} set)`, value: '6' },
+            { name: 'Career Record', value: '8' },
+            { name: `Achievements (${this.achievementManager.getProgress().filter(progress => progress.unlocked).length}/${this.achievementManager.getProgress().length})`, value: '9' },
+            { name: 'Leaderboards', value: '10' },
+            { name: 'Quit Game', value: '7' },
         ];
 
         const selection = await this.ui.getListChoice("Select an option:", choices);
-        return selection || '5'; // Default to quit if selection fails
+        return selection || '7'; // Default to quit if selection fails
     }
 
     /**
@@ -112,61 +170,197 @@ class MainMenuManager {
             return false; // Return to main menu
         }
 
-        // Initialize new game with selected border
-        const selectedSetting = await this.gameplayManager.initializeGame(selectedId);
+        // Initialize new game with selected border and the configuration and custom rules set up in the menu
+        this.gameplayManager.settingsManager.updateGameConfig(this.settingsManager.getGameConfig());
+        const selectedSetting = await this.gameplayManager.initializeGame(selectedId, this.seed);
+        this.settingsManager.customRules.forEach(rule => this.gameplayManager.addCustomRule(rule));
+
+        await this._showBriefing("ASSIGNMENT BRIEFING", selectedSetting);
+        return true; // Proceed to gameplay loop
+    }
+
+    /**
+     * Starts today's Daily Challenge: a career whose seed comes from the UTC calendar date, so every player
+     * gets the same border, the same travelers in the same order and the same offline randomness.
+     * It uses the default assignment length and difficulty and no custom rules, so runs are comparable.
+     * @async
+     * @returns {Promise<boolean>} True if the challenge was started.
+     */
+    async startDailyChallenge() {
+        const seed = getDailySeed();
+        const settings = this.settingsManager.getAvailableSettings();
+        const setting = settings[hashSeed(seed) % settings.length];
+
+        this.gameplayManager.settingsManager.resetGameConfig();
+        const selectedSetting = await this.gameplayManager.initializeGame(setting.id, seed);
+
+        await this._showBriefing(`DAILY CHALLENGE - ${seed.replace(/^daily-/, '')} UTC`, selectedSetting);
+        return true; // Proceed to gameplay loop
+    }
+
+    /**
+     * Shows the assignment briefing for a career that has just been initialized: the border, its
+     * configuration and difficulty, the rules in force with their review, and the seed the career runs on.
+     * @async
+     * @param {string} title - Screen title.
+     * @param {object} selectedSetting - The border setting.
+     * @private
+     */
+    async _showBriefing(title, selectedSetting) {
+        const lintReport = this.gameplayManager.lintRules();
+        const gameConfig = this.gameplayManager.settingsManager.getGameConfig();
 
         this.ui.clearScreen();
-        this.ui.drawBorder("ASSIGNMENT BRIEFING");
+        this.ui.drawBorder(title);
         
         this.ui.print(`Assignment: ${this.ui.coloredText(selectedSetting.name, 'header')}`);
         this.ui.print(`Situation: ${this.ui.coloredText(selectedSetting.situation, 'value')}\n`);
         
         // Show game configuration
-        const gameConfig = this.settingsManager.getGameConfig();
         this.ui.print("Assignment Details:", 'header');
         this.ui.print(`- Duration: ${this.ui.coloredText(`${gameConfig.totalDays} days`, 'value')}`);
-        this.ui.print(`- Travelers per day: ${this.ui.coloredText(`${gameConfig.travelersPerDay} people`, 'value')}`);
-        this.ui.print(`- Total travelers: ${this.ui.coloredText(`${gameConfig.totalDays * gameConfig.travelersPerDay} people`, 'value')}\n`);
+        if (gameConfig.timedShifts) {
+            this.ui.print(`- Shift timer: ${this.ui.coloredText(`on, target ${gameConfig.travelersPerDay} travelers a shift`, 'value')}`);
+            describeShiftTimer(gameConfig).forEach(line => this.ui.print(`    ${line}`, 'dim'));
+        } else {
+            this.ui.print(`- Travelers per day: ${this.ui.coloredText(`${gameConfig.travelersPerDay} people`, 'value')}`);
+            this.ui.print(`- Total travelers: ${this.ui.coloredText(`${gameConfig.totalDays * gameConfig.travelersPerDay} people`, 'value')}`);
+        }
+        this.ui.print(`- Difficulty: ${this.ui.coloredText(gameConfig.difficulty.name, 'value')}`);
+        describeDifficulty(gameConfig.difficulty).forEach(line => this.ui.print(`    ${line}`, 'dim'));
+        this.ui.print("- Household:");
+        describeEconomy(gameConfig).forEach(line => this.ui.print(`    ${line}`, 'dim'));
+        if (gameConfig.endConditions.length > 0) {
+            this.ui.print("- End conditions:");
+            gameConfig.endConditions.forEach(condition => this.ui.print(`    ${condition}`, 'value'));
+        }
+        this.ui.print(`- Seed: ${this.ui.coloredText(this.gameplayManager.getSeed(), 'value')} ${this.ui.coloredText(`(replay with --seed ${this.gameplayManager.getSeed()})`, 'dim')}\n`);
         
         this.ui.print("Current Rules:", 'header');
-        this.settingsManager.getAllRules().forEach(rule => this.ui.print(`- ${rule}`, 'value'));
+        this.gameplayManager.settingsManager.getAllRules().forEach(rule => this.ui.print(`- ${rule}`, 'value'));
+        this.ui.displayRuleLint(lintReport);
 
         await this.ui.pressEnterToContinue("\nPress Enter to begin your first shift...");
-        return true; // Proceed to gameplay loop
     }
 
     /**
-     * Handles loading and continuing a previous game career.
+     * Shows the save browser: a preview of every saved career, from which a career can be loaded,
+     * renamed, deleted, exported to a portable file, or imported from one.
      * @async
      * @returns {Promise<boolean>} True if a game was loaded successfully, False otherwise.
      */
     async continuePreviousCareer() {
-        this.ui.clearScreen();
-        this.ui.drawBorder("LOAD PREVIOUS CAREER");
+        const memoryManager = this.gameplayManager.memoryManager;
 
-        const saveFiles = await this._getSaveFiles();
+        while (true) {
+            this.ui.clearScreen();
+            this.ui.drawBorder("SAVED CAREERS");
 
-        if (saveFiles.length === 0) {
-            this.ui.print("No saved games found in the 'saves' directory.", 'warning');
-            await this.ui.pressEnterToContinue();
-            return false;
-        }
+            const slots = await listSaveSlots(memoryManager.savePath);
+            const readable = slots.filter(slot => !slot.error);
+            const loadable = slots.filter(slot => !slot.error || slot.corrupted); // Damaged saves can be restored from a backup
+            if (slots.length === 0) {
+                this.ui.print("No saved games found in the 'saves' directory.\n", 'warning');
+            } else {
+                this.ui.displaySaveSlots(slots);
+            }
 
-        const choices = saveFiles.map(({ name, path }, index) => ({
-            name: `${index + 1}. ${name}`, // Display filename
-            value: path // Return the full path
-        }));
-        choices.push({ name: '0. Return to Main Menu', value: 'back' });
+            const choices = [
+                ...(loadable.length > 0 ? [{ name: 'Load a Career', value: 'load' }] : []),
+                ...(readable.length > 0 ? [{ name: 'Rename a Save', value: 'rename' }] : []),
+                ...(slots.length > 0 ? [{ name: 'Delete a Save', value: 'delete' }] : []),
+                ...(readable.length > 0 ? [{ name: 'Export a Career', value: 'export' }] : []),
+                { name: 'Import a Career', value: 'import' },
+                { name: 'Return to Main Menu', value: 'back' }
+            ];
+            const action = await this.ui.getListChoice("Select an option:", choices);
+            if (!action || action === 'back') {
+                return false; // Return to main menu
+            }
 
+            if (action === 'import') {
+                const source = await this.ui.getTextInput("\nCareer file to import (empty to cancel) > ");
+                if (source) {
+                    try {
+                        const file = await importCareer(memoryManager.savePath, source);
+                        this.ui.print(`\nImported as ${file}.`, 'success');
+                    } catch (error) {
+                        this.ui.print(`\nCould not import ${source}: ${error.message}`, 'error');
+                    }
+                    await this.ui.pressEnterToContinue();
+                }
+                continue;
+            }
 
-        const selectedPath = await this.ui.getListChoice("Select a saved game to load:", choices);
+            const slot = await this.ui.getListChoice(`\nSelect a save to ${action}:`, [
+                ...({ load: loadable, delete: slots }[action] || readable).map(slot => ({ name: slot.name, value: slot })),
+                { name: 'Cancel', value: 'back' }
+            ]);
+            if (!slot || slot === 'back') {
+                continue;
+            }
 
-        if (!selectedPath || selectedPath === 'back') {
-            return false; // Return to main menu
+            try {
+                switch (action) {
+                    case 'load':
+                        if (await this._loadCareer(slot)) {
+                            return true; // Proceed to gameplay loop
+                        }
+                        break;
+                    case 'rename': {
+                        const newName = await this.ui.getTextInput(`\nNew name for ${slot.name} (empty to cancel) > `);
+                        if (newName) {
+                            const file = await renameSaveSlot(memoryManager.savePath, slot.file, newName);
+                            if (memoryManager.currentSessionFile === slot.file) {
+                                memoryManager.setCurrentSessionFile(file);
+                            }
+                            this.ui.print(`\nRenamed to ${file.replace(/\.json$/, '')}.`, 'success');
+                            await this.ui.pressEnterToContinue();
+                        }
+                        break;
+                    }
+                    case 'delete': {
+                        const confirmed = await this.ui.getListChoice(`\nDelete ${slot.name} permanently?`, [
+                            { name: 'Yes, delete it', value: true },
+                            { name: 'No, keep it', value: false }
+                        ]);
+                        if (confirmed) {
+                            await deleteSaveSlot(memoryManager.savePath, slot.file);
+                            if (memoryManager.currentSessionFile === slot.file) {
+                                memoryManager.currentSessionFile = null; // Don't write the deleted career back
+                            }
+                            this.ui.print(`\nDeleted ${slot.name}.`, 'success');
+                            await this.ui.pressEnterToContinue();
+                        }
+                        break;
+                    }
+                    case 'export': {
+                        const defaultTarget = path.join(projectRoot, 'exports', `${slot.name}.career.json`);
+                        const target = await this.ui.getTextInput(`\nExport to (Enter for ${path.relative(process.cwd(), defaultTarget)}) > `);
+                        const written = await exportCareer(memoryManager.savePath, slot.file, target || defaultTarget);
+                        this.ui.print(`\nExported to ${written}.`, 'success');
+                        this.ui.print("Share this file; it can be added with Import a Career.", 'dim');
+                        await this.ui.pressEnterToContinue();
+                        break;
+                    }
+                }
+            } catch (error) {
+                this.ui.print(`\nCould not ${action} ${slot.name}: ${error.message}`, 'error');
+                await this.ui.pressEnterToContinue();
+            }
         }
+    }
 
-        // Load the selected save file
-        const success = await this.gameplayManager.loadGame(selectedPath);
+    /**
+     * Loads a save slot into the game and shows where the career resumes. If the save file is damaged,
+     * offers to restore its most recent valid backup and load that instead.
+     * @async
+     * @param {import('./saves.js').SaveSlot} slot - The slot to load.
+     * @returns {Promise<boolean>} True if the game was loaded.
+     * @private
+     */
+    async _loadCareer(slot) {
+        const success = await this.gameplayManager.loadGame(slot.path);
 
         if (success) {
             this.ui.print("\nGame loaded successfully!", 'success');
@@ -174,13 +368,52 @@ class MainMenuManager {
             const day = this.gameplayManager.memoryManager.memory.gameState.day;
             this.ui.print(`Current Assignment: ${this.ui.coloredText(setting.name, 'header')}`);
             this.ui.print(`Starting Day: ${this.ui.coloredText(day, 'value')}`);
+            const migration = this.gameplayManager.memoryManager.lastMigration;
+            if (migration?.changes.length > 0) {
+                this.ui.print(`\nThis save was upgraded from version ${migration.fromVersion} to ${migration.toVersion}:`, 'warning');
+                migration.changes.forEach(change => this.ui.print(`- ${change}`, 'dim'));
+            }
             await this.ui.pressEnterToContinue();
-            return true; // Proceed to gameplay loop
-        } else {
-            this.ui.print("\nFailed to load the selected game file.", 'error');
+            return true;
+        }
+        const loadError = this.gameplayManager.memoryManager.lastLoadError;
+        if (loadError instanceof SaveIntegrityError) {
+            return await this._offerBackup(slot, loadError);
+        }
+        this.ui.print("\nFailed to load the selected game file.", 'error');
+        await this.ui.pressEnterToContinue();
+        return false;
+    }
+
+    /**
+     * Tells the player a save is damaged and offers to replace it with its most recent valid backup.
+     * @async
+     * @param {import('./saves.js').SaveSlot} slot - The damaged slot.
+     * @param {SaveIntegrityError} loadError - Why the save could not be loaded.
+     * @returns {Promise<boolean>} True if a backup was restored and loaded.
+     * @private
+     */
+    async _offerBackup(slot, loadError) {
+        const memoryManager = this.gameplayManager.memoryManager;
+        this.ui.print(`\nSave "${slot.name}" is damaged: ${loadError.message}`, 'error');
+
+        const backup = await memoryManager.findValidBackup(slot.file);
+        if (!backup) {
+            this.ui.print("No valid backup of this save was found.", 'warning');
             await this.ui.pressEnterToContinue();
             return false;
         }
+        const savedAt = backup.savedAt.slice(0, 16).replace('T', ' ');
+        const restore = await this.ui.getListChoice("\nA backup of this career is available. Restore it?", [
+            { name: `Restore the backup from ${savedAt} (Day ${backup.day}, Score ${Number(backup.score).toFixed(2)})`, value: true },
+            { name: 'Leave the save as it is', value: false }
+        ]);
+        if (!restore) {
+            return false;
+        }
+        await memoryManager.restoreBackup(slot.file, backup.path);
+        this.ui.print("\nBackup restored. Progress made after it was taken is lost.", 'warning');
+        return await this._loadCareer(slot);
     }
 
     /**
@@ -201,6 +434,15 @@ class MainMenuManager {
             this.ui.print("\nDocument Requirements:", 'header');
             setting.document_requirements.forEach(req => this.ui.print(`- ${req}`, 'value'));
 
+            if (setting.regulations?.length > 0) {
+                this.ui.print("\nScheduled Regulation Changes:", 'header');
+                setting.regulations.forEach(regulation => this.ui.print(`- Day ${regulation.day}: ${formatRuleChange({
+                    action: regulation.action,
+                    description: regulation.to || regulation.requirement,
+                    previous: regulation.action === 'modify' ? regulation.requirement : null
+                })}`, 'value'));
+            }
+
             this.ui.print("\nCommon Issues:", 'header');
             setting.common_issues.forEach(issue => this.ui.print(`- ${issue}`, 'value'));
 
@@ -227,12 +469,24 @@ class MainMenuManager {
             this.ui.print("Current Configuration:", 'header');
             this.ui.print(`Assignment Duration: ${this.ui.coloredText(`${config.totalDays} days`, 'value')}`);
             this.ui.print(`Travelers per Day: ${this.ui.coloredText(`${config.travelersPerDay} people`, 'value')}`);
-            this.ui.print(`Total Travelers: ${this.ui.coloredText(`${config.totalDays * config.travelersPerDay} people`, 'value')}\n`);
+            this.ui.print(`Total Travelers: ${this.ui.coloredText(`${config.totalDays * config.travelersPerDay} people`, 'value')}`);
+            this.ui.print(`Difficulty: ${this.ui.coloredText(config.difficulty.name, 'value')}`);
+            describeDifficulty(config.difficulty).forEach(line => this.ui.print(`  ${line}`, 'dim'));
+            this.ui.print(`End Conditions: ${this.ui.coloredText(config.endConditions.length > 0 ? `${config.endConditions.length} set` : 'none', 'value')}`);
+            config.endConditions.forEach(condition => this.ui.print(`  ${condition}`, 'dim'));
+            this.ui.print(`Shift Timer: ${this.ui.coloredText(config.timedShifts ? 'On (travelers per day is a target)' : 'Off', 'value')}`);
+            if (config.timedShifts) {
+                describeShiftTimer(config).forEach(line => this.ui.print(`  ${line}`, 'dim'));
+            }
+            console.log();
 
             const choices = [
                 { name: `Change Assignment Duration (Currently: ${config.totalDays} days)`, value: 'days' },
                 { name: `Change Travelers per Day (Currently: ${config.travelersPerDay} people)`, value: 'travelers' },
-                { name: 'Reset to Defaults (10 days, 5 travelers/day)', value: 'reset' },
+                { name: `Change Difficulty (Currently: ${config.difficulty.name})`, value: 'difficulty' },
+                { name: `Edit End Conditions (Currently: ${config.endConditions.length || 'none'})`, value: 'end_conditions' },
+                { name: `Turn Shift Timer ${config.timedShifts ? 'Off' : 'On'} (Currently: ${config.timedShifts ? 'On' : 'Off'})`, value: 'timer' },
+                { name: 'Reset to Defaults (10 days, 5 travelers/day, Officer, no end conditions, untimed)', value: 'reset' },
                 { name: 'Return to Main Menu', value: 'back' }
             ];
 
@@ -245,6 +499,17 @@ class MainMenuManager {
                 case 'travelers':
                     await this._configureTravelers();
                     break;
+                case 'difficulty':
+                    await this._configureDifficulty();
+                    break;
+                case 'end_conditions':
+                    await this._configureEndConditions();
+                    break;
+                case 'timer':
+                    this.settingsManager.updateGameConfig({ timedShifts: !config.timedShifts });
+                    this.ui.print(`\nShift timer turned ${config.timedShifts ? 'off' : 'on'}!`, 'success');
+                    await this.ui.pressEnterToContinue();
+                    break;
                 case 'reset':
                     this.settingsManager.resetGameConfig();
                     this.ui.print("\nConfiguration reset to defaults!", 'success');
@@ -283,6 +548,11 @@ class MainMenuManager {
         const success = this.settingsManager.updateGameConfig({ totalDays: days });
         if (success) {
             this.ui.print(`\nAssignment duration set to ${days} days!`, 'success');
+            const unreachable = getUnreachableAudits(this.settingsManager.getGameConfig().endConditions, days);
+            if (unreachable.length > 0) {
+                this.ui.print("These audits now fall after the last day and will never happen; remove them under End Conditions:", 'warning');
+                unreachable.forEach(condition => this.ui.print(`  ${condition}`, 'warning'));
+            }
         } else {
             this.ui.print("\nFailed to update configuration.", 'error');
         }
@@ -320,6 +590,252 @@ class MainMenuManager {
         await this.ui.pressEnterToContinue();
     }
 
+    /**
+     * Choose a difficulty preset, or set up a custom difficulty.
+     * @async
+     * @private
+     */
+    async _configureDifficulty() {
+        this.ui.clearScreen();
+        this.ui.drawBorder("CONFIGURE DIFFICULTY");
+
+        const presets = getDifficultyPresets();
+        presets.forEach(preset => {
+            this.ui.print(`${preset.name}: ${this.ui.coloredText(preset.description, 'value')}`, 'header');
+            describeDifficulty(preset).forEach(line => this.ui.print(`  ${line}`, 'dim'));
+        });
+        this.ui.print(`Custom: ${this.ui.coloredText("Set each of these yourself.", 'value')}\n`, 'header');
+
+        const choice = await this.ui.getListChoice("Select a difficulty:", [
+            ...presets.map(preset => ({ name: preset.name, value: preset.id })),
+            { name: 'Custom', value: 'custom' },
+            { name: 'Cancel', value: 'back' }
+        ]);
+        if (!choice || choice === 'back') {
+            return;
+        }
+
+        let difficulty = choice;
+        if (choice === 'custom') {
+            difficulty = await this._editCustomDifficulty(this.settingsManager.getGameConfig().difficulty);
+            if (!difficulty) {
+                return;
+            }
+        }
+
+        const success = this.settingsManager.updateGameConfig({ difficulty });
+        if (success) {
+            this.ui.print(`\nDifficulty set to ${this.settingsManager.getGameConfig().difficulty.name}!`, 'success');
+        } else {
+            this.ui.print("\nFailed to update configuration.", 'error');
+        }
+        await this.ui.pressEnterToContinue();
+    }
+
+    /**
+     * Asks for each value of a custom difficulty, starting from the current one. An empty answer keeps the value shown.
+     * @async
+     * @param {import('./difficulty.js').Difficulty} base - Difficulty whose values are offered.
+     * @returns {Promise<import('./difficulty.js').Difficulty|null>} The custom difficulty, or null if a value was invalid.
+     * @private
+     */
+    async _editCustomDifficulty(base) {
+        this.ui.clearScreen();
+        this.ui.drawBorder("CUSTOM DIFFICULTY");
+        this.ui.print("Press Enter to keep the value in brackets.\n", 'dim');
+
+        const ask = async (label, field, current) => {
+            const [lowest, highest] = CUSTOM_LIMITS[field];
+            const input = await this.ui.getUserInput(`${label} (${lowest}-${highest}) [${current ?? 'no limit'}]: `);
+            if (input === '') {
+                return current;
+            }
+            return field === 'hintsPerDay' && input === 'none' ? null : Number(input);
+        };
+
+        const values = {
+            corruptionLimit: await ask("Corruption that ends the career", 'corruptionLimit', base.corruptionLimit),
+            trustLimit: await ask("Distrust that ends the career", 'trustLimit', base.trustLimit),
+            flawsPerTraveler: {
+                min: await ask("Fewest flaws in forged papers", 'flawsPerTraveler', base.flawsPerTraveler.min),
+                max: await ask("Most flaws in forged papers", 'flawsPerTraveler', base.flawsPerTraveler.max)
+            },
+            flawSubtlety: {
+                min: await ask("Most obvious flaws (1 obvious, 2 careful reading, 3 cross-referencing)", 'flawSubtlety', base.flawSubtlety.min),
+                max: await ask("Subtlest flaws", 'flawSubtlety', base.flawSubtlety.max)
+            },
+            hintsPerDay: await ask("Veritas hints a day, or 'none' for no limit", 'hintsPerDay', base.hintsPerDay),
+            scoreMultiplier: await ask("Points per correct decision", 'scoreMultiplier', base.scoreMultiplier)
+        };
+
+        try {
+            return createCustomDifficulty(values, base);
+        } catch (e) {
+            this.ui.print(`\nInvalid value: ${e.message}`, 'error');
+            await this.ui.pressEnterToContinue();
+            return null;
+        }
+    }
+
+    /**
+     * Manages the custom end conditions of the next career, such as an objective that wins or loses it
+     * early or an audit it must pass. Conditions are validated on entry (see parseEndCondition in outcomes.js).
+     * @async
+     * @private
+     */
+    async _configureEndConditions() {
+        let keepEditing = true;
+
+        while (keepEditing) {
+            this.ui.clearScreen();
+            this.ui.drawBorder("END CONDITIONS");
+
+            const conditions = this.settingsManager.getGameConfig().endConditions;
+            this.ui.print("End conditions apply to the next career you start, on top of its corruption and trust limits and its length.", 'dim');
+            this.ui.print("Careers with end conditions are not ranked on the leaderboards.\n", 'dim');
+            if (conditions.length === 0) {
+                this.ui.print("No end conditions set.", 'warning');
+            } else {
+                conditions.forEach((condition, index) => this.ui.print(`${index + 1}. ${condition}`, 'value'));
+            }
+            console.log();
+
+            const choices = [
+                { name: 'Add an End Condition', value: 'add' },
+                ...(conditions.length > 0 ? [{ name: 'Remove an End Condition', value: 'remove' }] : []),
+                { name: 'Show End Condition Syntax', value: 'syntax' },
+                { name: 'Return to Game Configuration', value: 'back' }
+            ];
+            const selection = await this.ui.getListChoice("Select an option:", choices);
+
+            switch (selection) {
+                case 'add': {
+                    this.ui.clearScreen();
+                    this.ui.drawBorder("ADD END CONDITION");
+                    this.ui.displayEndConditionSyntax();
+                    const conditionText = await this.ui.getUserInput("\nNew end condition (empty to cancel) > ");
+                    if (!conditionText) {
+                        break;
+                    }
+                    try {
+                        const { text } = parseEndCondition(conditionText, this.settingsManager.getGameConfig().totalDays);
+                        if (conditions.includes(text)) {
+                            this.ui.print("\nThat end condition is already set.", 'warning');
+                        } else {
+                            this.settingsManager.updateGameConfig({ endConditions: [...conditions, text] });
+                            this.ui.print(`\nAdded: ${text}`, 'success');
+                        }
+                    } catch (error) {
+                        this.ui.print(`\nInvalid end condition: ${error.message}`, 'error');
+                    }
+                    await this.ui.pressEnterToContinue();
+                    break;
+                }
+                case 'remove': {
+                    const conditionToRemove = await this.ui.getListChoice("Select an end condition to remove:", [
+                        ...conditions.map(condition => ({ name: condition, value: condition })),
+                        { name: 'Cancel', value: 'back' }
+                    ]);
+                    if (conditionToRemove && conditionToRemove !== 'back') {
+                        this.settingsManager.updateGameConfig({ endConditions: conditions.filter(condition => condition !== conditionToRemove) });
+                        this.ui.print(`\nRemoved: ${conditionToRemove}`, 'success');
+                        await this.ui.pressEnterToContinue();
+                    }
+                    break;
+                }
+                case 'syntax':
+                    this.ui.clearScreen();
+                    this.ui.drawBorder("END CONDITION SYNTAX");
+                    this.ui.displayEndConditionSyntax();
+                    this.ui.drawBorder(null, '-');
+                    await this.ui.pressEnterToContinue();
+                    break;
+                case 'back':
+                default:
+                    keepEditing = false;
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Manages the custom rules applied to the next career. Rules are written in the rule syntax,
+     * validated on entry and machine-checked during play.
+     * @async
+     */
+    async customRulesScreen() {
+        let keepEditing = true;
+
+        while (keepEditing) {
+            this.ui.clearScreen();
+            this.ui.drawBorder("CUSTOM RULES");
+
+            const rules = this.settingsManager.customRules;
+            this.ui.print("Your custom rules apply to the next career you start, on top of the border's regulations.\n", 'dim');
+            if (rules.length === 0) {
+                this.ui.print("No custom rules set.", 'warning');
+            } else {
+                rules.forEach((rule, index) => this.ui.print(`${index + 1}. ${rule}`, 'value'));
+            }
+            console.log();
+
+            const choices = [
+                { name: 'Add a Rule', value: 'add' },
+                ...(rules.length > 0 ? [{ name: 'Remove a Rule', value: 'remove' }] : []),
+                { name: 'Show Rule Syntax', value: 'syntax' },
+                { name: 'Return to Main Menu', value: 'back' }
+            ];
+            const selection = await this.ui.getListChoice("Select an option:", choices);
+
+            switch (selection) {
+                case 'add': {
+                    this.ui.clearScreen();
+                    this.ui.drawBorder("ADD CUSTOM RULE");
+                    this.ui.displayRuleSyntax();
+                    const ruleText = await this.ui.getUserInput("\nNew rule (empty to cancel) > ");
+                    if (!ruleText) {
+                        break;
+                    }
+                    try {
+                        parseRule(ruleText);
+                        if (this.settingsManager.addCustomRule(ruleText)) {
+                            this.ui.print(`\nAdded: ${ruleText}`, 'success');
+                        } else {
+                            this.ui.print("\nThat rule is already set.", 'warning');
+                        }
+                    } catch (error) {
+                        this.ui.print(`\nInvalid rule: ${error.message}`, 'error');
+                    }
+                    await this.ui.pressEnterToContinue();
+                    break;
+                }
+                case 'remove': {
+                    const ruleToRemove = await this.ui.getListChoice("Select a rule to remove:", [
+                        ...rules.map(rule => ({ name: rule, value: rule })),
+                        { name: 'Cancel', value: 'back' }
+                    ]);
+                    if (ruleToRemove && ruleToRemove !== 'back') {
+                        this.settingsManager.removeCustomRule(ruleToRemove);
+                        this.ui.print(`\nRemoved: ${ruleToRemove}`, 'success');
+                        await this.ui.pressEnterToContinue();
+                    }
+                    break;
+                }
+                case 'syntax':
+                    this.ui.clearScreen();
+                    this.ui.drawBorder("CUSTOM RULE SYNTAX");
+                    this.ui.displayRuleSyntax();
+                    this.ui.drawBorder(null, '-');
+                    await this.ui.pressEnterToContinue();
+                    break;
+                case 'back':
+                default:
+                    keepEditing = false;
+                    break;
+            }
+        }
+    }
+
     /**
      * Displays the core game rules and commands.
      * @async
@@ -335,9 +851,14 @@ class MainMenuManager {
             "Base Rules: Permit 'P' + 4 digits, Name First + Last.",
             "Border-specific rules will apply.",
             "Process multiple travelers each day.",
-            "Correct decisions improve your score.",
-            "AI judgments determine the 'correct' answer.",
-            "Your career lasts 10 days.",
+            "Correct decisions improve your score; harder difficulties award more points.",
+            "The difficulty sets how subtle forgeries are, how many hints Veritas gives each day, and how many mistakes end your career.",
+            "Each traveler is legitimate or has specific planted flaws; the AI only gives advice.",
+            "Your career lasts 10 days by default (see Config); it ends early if corruption or distrust reach the difficulty's limits.",
+            "End conditions set in Config can win or lose a career early, or audit your record on a given day.",
+            "With the shift timer on, every action costs minutes on the shift clock and travelers you don't reach by the end of the shift cost points.",
+            "Correct decisions earn a wage and mistakes are fined. Each evening you pay the rent and choose which bills to pay; unpaid food and heat make your family ill, and sick family members need medicine.",
+            "Falling behind on the rent gets your family evicted, and losing your whole family ends the career.",
         ];
 
         this.ui.print("Core Gameplay:", 'header');
@@ -349,8 +870,13 @@ class MainMenuManager {
         const commands = [
             { cmd: "approve", desc: "Approve the current traveler" },
             { cmd: "deny", desc: "Deny the current traveler" },
-            { cmd: "hint", desc: "Request a hint from Veritas AI" },
-            { cmd: "rules", desc: "Display current verification rules" },
+            { cmd: "hint", desc: "Request a hint from Veritas AI (limited per day by the difficulty)" },
+            { cmd: "ask", desc: "Question the traveler about their trip and papers" },
+            { cmd: "rule add", desc: "Add a custom rule (see Custom Rules in the main menu)" },
+            { cmd: "rules", desc: "Display current verification rules and end conditions" },
+            { cmd: "ledger", desc: "Show your household's wages, fines and expenses" },
+            { cmd: "undo", desc: "Take back your last decision today" },
+            { cmd: "restart", desc: "Restart the current day" },
             { cmd: "save", desc: "Save your current game progress" },
             { cmd: "help", desc: "Show this help information" },
             { cmd: "quit", desc: "Quit game and return to main menu" }
@@ -365,54 +891,208 @@ class MainMenuManager {
     }
 
     /**
-     * Updates career stats based on a completed game session.
-     * NOTE: These stats are currently not persistent between app runs.
-     * @param {GameplayManager} completedGameManager - The gameplay manager instance from the completed game.
+     * Displays the career record: totals, endings reached and the record at each border.
+     * @async
      */
-    updateCareerStats(completedGameManager) {
-        this.careerStats.gamesCompleted += 1;
-        this.careerStats.totalScore += completedGameManager.score;
+    async viewCareerRecord() {
+        this.ui.clearScreen();
+        this.ui.drawBorder("CAREER RECORD");
 
+        const profile = this.profileManager.profile;
+        if (profile.gamesCompleted === 0) {
+            this.ui.print("No careers finished yet. Your record starts when your first assignment ends.", 'warning');
+            this.ui.drawBorder(null, '-');
+            await this.ui.pressEnterToContinue();
+            return;
+        }
+
+        const totals = this.profileManager.getTotals();
+        this.ui.print("Overall:", 'header');
+        this.ui.print(`- Games completed: ${this.ui.coloredText(profile.gamesCompleted, 'value')}`);
+        this.ui.print(`- Total score: ${this.ui.coloredText(profile.totalScore.toFixed(2), 'value')}`);
+        this.ui.print(`- Highest day reached: ${this.ui.coloredText(profile.highestDay, 'value')}`);
+        this.ui.print(`- Decisions: ${this.ui.coloredText(`${totals.correct} correct of ${totals.decisions} (${formatAccuracy(totals.accuracy)})`, 'value')}`);
+
+        this.ui.print("\nEndings Reached:", 'header');
+        Object.entries(ENDING_TITLES).forEach(([type, title]) => {
+            const count = profile.endings[type] || 0;
+            this.ui.print(`- ${ljust(title, 22)} ${count > 0 ? this.ui.coloredText(`x${count}`, 'value') : this.ui.coloredText('not yet reached', 'dim')}`);
+        });
+        // Endings of custom end conditions are listed only once reached
+        Object.keys(profile.endings)
+            .filter(type => !ENDING_TITLES[type])
+            .forEach(type => this.ui.print(`- ${ljust(getEndingTitle(type), 22)} ${this.ui.coloredText(`x${profile.endings[type]}`, 'value')}`));
+
+        this.ui.print("\nBorders Served:", 'header');
+        Object.values(profile.borders)
+            .sort((a, b) => b.games - a.games || a.name.localeCompare(b.name))
+            .forEach(border => {
+                this.ui.print(border.name, 'key');
+                this.ui.print(`  Games: ${border.games} | Best score: ${border.bestScore.toFixed(2)} | Highest day: ${border.highestDay} | Accuracy: ${formatAccuracy(getAccuracy(border))} (${border.correct}/${border.decisions})`, 'value');
+            });
+
+        this.ui.drawBorder(null, '-');
+        await this.ui.pressEnterToContinue();
+    }
+
+    /**
+     * Lists the achievements, unlocked first, with progress towards the locked ones.
+     * @async
+     */
+    async viewAchievements() {
+        this.ui.clearScreen();
+        this.ui.drawBorder("ACHIEVEMENTS");
+
+        const progress = this.achievementManager.getProgress();
+        [...progress.filter(entry => entry.unlocked), ...progress.filter(entry => !entry.unlocked)].forEach(entry => {
+            const { achievement, current, target, unlocked, unlockedAt } = entry;
+            if (unlocked) {
+                this.ui.print(`${this.ui.coloredText('✓', 'success')} ${this.ui.coloredText(achievement.name, 'header')} ${this.ui.coloredText(`(unlocked ${unlockedAt.slice(0, 10)})`, 'dim')}`);
+            } else {
+                const filled = Math.round((current / target) * 10);
+                this.ui.print(`${this.ui.coloredText('·', 'dim')} ${this.ui.coloredText(achievement.name, 'key')} ${this.ui.coloredText(`[${'#'.repeat(filled)}${'-'.repeat(10 - filled)}] ${current}/${target}`, 'value')}`);
+            }
+            this.ui.print(`  ${achievement.description}`, 'dim');
+        });
+
+        this.ui.drawBorder(null, '-');
+        await this.ui.pressEnterToContinue();
+    }
+
+    /**
+     * Shows the leaderboards: the board to view is picked from those with runs.
+     * @async
+     */
+    async viewLeaderboards() {
+        while (true) {
+            this.ui.clearScreen();
+            this.ui.drawBorder("LEADERBOARDS");
+
+            const boards = this.leaderboardManager.getBoards();
+            if (boards.length === 0) {
+                this.ui.print("No ranked runs yet. Finish a career to get on the board.", 'warning');
+                this.ui.drawBorder(null, '-');
+                await this.ui.pressEnterToContinue();
+                return;
+            }
+
+            const board = await this.ui.getListChoice("Select a board:", [
+                ...boards.map(board => ({
+                    name: `${board.borderName} - ${board.totalDays} days × ${board.travelersPerDay} travelers, ${getBoardDifficultyName(board)}${board.timedShifts ? ', timed' : ''} (${board.entries.length} run${board.entries.length === 1 ? '' : 's'})`,
+                    value: board
+                })),
+                { name: 'Return to Main Menu', value: 'back' }
+            ]);
+            if (!board || board === 'back') {
+                return;
+            }
+
+            this.ui.clearScreen();
+            this.ui.drawBorder(`${board.borderName.toUpperCase()} - ${board.totalDays} DAYS × ${board.travelersPerDay}, ${getBoardDifficultyName(board).toUpperCase()}${board.timedShifts ? ', TIMED' : ''}`);
+            console.log(this.ui.coloredText(`${ljust('#', 4)}${ljust('Name', 14)}${ljust('Score', 9)}${ljust('Accuracy', 10)}${ljust('Ending', 22)}${ljust('Day', 5)}Date`, 'header'));
+            board.entries.forEach((entry, index) => {
+                const accuracy = formatAccuracy(entry.accuracy);
+                const ending = getEndingTitle(entry.ending);
+                console.log(this.ui.coloredText(`${ljust(String(index + 1), 4)}${ljust(entry.name, 14)}${ljust(entry.score.toFixed(2), 9)}${ljust(accuracy, 10)}${ljust(ending, 22)}${ljust(String(entry.day), 5)}${entry.date.slice(0, 10)}`, index === 0 ? 'success' : 'value'));
+            });
+            this.ui.drawBorder(null, '-');
+            await this.ui.pressEnterToContinue();
+        }
+    }
+
+    /**
+     * Ranks a finished career on the leaderboard for its border and configuration, asking for the
+     * player's name the first time a run makes a board. Careers that were rewound, played at a
+     * custom difficulty or given custom end conditions are not ranked.
+     * @async
+     * @param {GameplayManager} completedGameManager - The gameplay manager instance from the completed game.
+     * @param {string} endingType - The ending reached (see ENDINGS in outcomes.js).
+     * @returns {Promise<number|null>} Rank of the run, or null if it was not ranked.
+     */
+    async recordLeaderboardRun(completedGameManager, endingType) {
         const setting = completedGameManager.settingsManager.getCurrentSetting();
-        if (setting) {
-            this.careerStats.bordersServed.add(setting.name);
+        const gameConfig = completedGameManager.settingsManager.getGameConfig();
+        const memoryManager = completedGameManager.memoryManager;
+        const score = completedGameManager.getScore();
+
+        if (memoryManager.getRewindStatus().rewound) {
+            this.ui.print("\nThis career used undo or restart day, so it is not ranked on the leaderboard.", 'dim');
+            return null;
+        }
+        if (gameConfig.difficulty.id === 'custom') {
+            this.ui.print("\nThis career was played at a custom difficulty, so it is not ranked on the leaderboard.", 'dim');
+            return null;
+        }
+        if (gameConfig.endConditions.length > 0) {
+            this.ui.print("\nThis career had custom end conditions, so it is not ranked on the leaderboard.", 'dim');
+            return null;
+        }
+        if (!setting || this.leaderboardManager.getRank(setting.id, gameConfig, score) === null) {
+            this.ui.print(`\nA score of ${score.toFixed(2)} does not make the leaderboard this time.`, 'dim');
+            return null;
         }
 
-        const dayReached = completedGameManager.memoryManager.memory.gameState.day;
-        // If game ended because day > 10, use 10, otherwise use the day it ended.
-        const finalDay = dayReached > completedGameManager.thresholds.daysToComplete
-                       ? completedGameManager.thresholds.daysToComplete
-                       : dayReached;
+        const profile = this.profileManager.profile;
+        if (!profile.playerName) {
+            const name = (await this.ui.getTextInput("\nYou made the leaderboard! Your name or initials > ")).trim().slice(0, 12);
+            if (name) {
+                profile.playerName = name;
+                await this.profileManager.save();
+            }
+        }
 
-        this.careerStats.highestDayReached = Math.max(
-            this.careerStats.highestDayReached,
-            finalDay
+        const gameState = memoryManager.memory.gameState;
+        const rank = this.leaderboardManager.addEntry(
+            { settingId: setting.id, borderName: setting.name, gameConfig },
+            {
+                name: profile.playerName || 'Inspector',
+                score,
+                accuracy: getAccuracy({ decisions: gameState.decisionsMade, correct: gameState.correctDecisions }),
+                ending: endingType,
+                day: Math.min(gameState.day, gameConfig.totalDays),
+                date: new Date().toISOString()
+            }
         );
-         console.log(chalk.blue("MainMenu: Career stats updated for this session."));
+        await this.leaderboardManager.save();
+        this.ui.print(`\nLeaderboard: #${rank} at the ${setting.name} (${gameConfig.totalDays} days × ${gameConfig.travelersPerDay} travelers, ${gameConfig.difficulty.name}${gameConfig.timedShifts ? ', timed' : ''}).`, 'success');
+        return rank;
     }
 
     /**
-     * Gets a list of available save files.
+     * Records a finished career in the persistent career profile. A career is recorded once: the ending
+     * is written to its save, so resuming a finished career does not count it again.
      * @async
-     * @private
-     * @returns {Promise<Array<{name: string, path: string}>>} List of save file objects.
+     * @param {GameplayManager} completedGameManager - The gameplay manager instance from the completed game.
+     * @param {import('./outcomes.js').Outcome} outcome - How the career ended (see OutcomeEngine.evaluate).
+     * @returns {Promise<boolean>} True if the career was recorded, false if it already had been.
      */
-    async _getSaveFiles() {
-        const savesDirPath = path.join(projectRoot, this.gameplayManager.memoryManager.saveDir);
-        try {
-            const files = await fs.readdir(savesDirPath);
-            const jsonFiles = files.filter(file => file.toLowerCase().endsWith('.json'));
-            return jsonFiles.map(file => ({
-                name: file,
-                path: path.join(savesDirPath, file) // Store absolute path
-            })).sort((a, b) => b.name.localeCompare(a.name)); // Sort newest first potentially
-        } catch (error) {
-            // If directory doesn't exist or other error
-            if (error.code !== 'ENOENT') {
-                console.error(chalk.red(`Error reading save directory ${savesDirPath}:`), error);
-            }
-            return []; // Return empty list if directory not found or error
+    async updateCareerStats(completedGameManager, { endingType, completed }) {
+        const setting = completedGameManager.settingsManager.getCurrentSetting();
+        const gameState = completedGameManager.memoryManager.memory.gameState;
+        if (gameState.endedWith) {
+            console.log(chalk.blue(`MainMenu: Career already recorded with the ${gameState.endedWith} ending.`));
+            return false;
         }
+        // A served assignment has already advanced past its last day
+        const totalDays = completedGameManager.settingsManager.getGameConfig().totalDays;
+
+        this.profileManager.recordCareer({
+            settingId: setting?.id ?? 'unknown',
+            borderName: setting?.name ?? 'Unknown border',
+            score: completedGameManager.score,
+            day: Math.min(gameState.day, totalDays),
+            endingType,
+            completed,
+            decisions: gameState.decisionsMade,
+            correct: gameState.correctDecisions
+        });
+        this._handleGameEvent({ type: 'career_end', endingType, completed, hintsUsed: gameState.hintsUsed, rewound: completedGameManager.memoryManager.getRewindStatus().rewound });
+        this.profileChanged = false;
+        await this.profileManager.save();
+        completedGameManager.memoryManager.updateGameState({ endedWith: endingType });
+        await completedGameManager.saveGame();
+        console.log(chalk.blue("MainMenu: Career record updated."));
+        return true;
     }
 }
 
@@ -6,8 +6,15 @@
 
 import fs from 'fs/promises';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import chalk from 'chalk';
+import { summarizeDocument } from './documents.js';
+import { DEFAULT_CALENDAR_START, addDays } from './dates.js';
+import { formatRuleChange } from './settings.js';
+import { NarrativeManager } from './narrative.js';
+import { getDifficultyPreset } from './difficulty.js';
+import { STARTING_SAVINGS, createFamily, formatCredits } from './economy.js';
 
 // Helper to get __dirname in ES Modules
 const __filename = fileURLToPath(import.meta.url);
@@ -15,16 +22,472 @@ const __dirname = path.dirname(__filename);
 // Go one level up from src to get the project root
 const projectRoot = path.resolve(__dirname, '..');
 
+/**
+ * Creates the default memory structure.
+ * @returns {object} Default memory object.
+ */
+function createDefaultMemory() {
+    return {
+        borderSetting: null, // Selected border/country setting
+        gameState: {
+            day: 1,
+            date: null,    // In-world ISO date of the current day (see startCalendar)
+            corruption: 0, // Incorrect approves
+            trust: 0,      // Incorrect denies (represented as negative value)
+            score: 0,
+            travelersProcessedToday: 0,
+            decisionsMade: 0,      // Decisions over the whole career (the decision history is trimmed)
+            correctDecisions: 0,
+            correctToday: 0,
+            hintsUsed: 0,          // Veritas hints requested this career; null if unknown (older saves)
+            hintsToday: 0,         // Veritas hints requested today (limited by the difficulty)
+            shiftMinutes: 0,       // Minutes gone on today's shift clock (timed shifts, see shift.js)
+            endedWith: null,       // Ending type once the finished career has been recorded
+            conditionProgress: {}, // Progress towards the custom end conditions (see outcomes.js)
+            savings: STARTING_SAVINGS, // Household credits (see economy.js)
+            family: createFamily(),    // The inspector's family and their health
+            rentOwed: 0,           // Days of rent owed
+            ledger: [],            // Wages, fines and expenses by day
+            warningsIssued: { corruption: false, trust: false, rent: false, family: false } // Narrative warnings already shown
+        },
+        // Add complete settings data
+        settings: {
+            currentSettingId: null,        // ID of the current border setting
+            customRules: [],               // Custom rules added during gameplay
+            gameConfig: {                  // Game configuration
+                totalDays: 10,
+                travelersPerDay: 5,
+                difficulty: getDifficultyPreset(), // See difficulty.js
+                endConditions: [],             // Custom end conditions (see outcomes.js)
+                timedShifts: false,            // Shift timer (see shift.js)
+                allowCustomization: true
+            }
+        },
+        currentTraveler: null, // { document, aiJudgment } awaiting the inspector's decision
+        random: null,        // { seed, state } of the career's random generator (see random.js)
+        travelerHistory: [], // List of previous travelers (limited size)
+        decisions: [],       // List of player decisions (limited size)
+        narrativeEvents: [], // Key narrative events (limited size)
+        ruleChanges: [],     // History of rule changes (limited size)
+        usedNames: new Set(), // Track used names to prevent repetition
+        rewind: {            // Snapshots for undo and restart day (not part of the snapshots themselves)
+            undo: [],        // Before each decision today (limited size)
+            dayStart: null,  // Start of the current day
+            uses: 0          // Times the career was rewound; rewound careers are kept off leaderboards
+        }
+    };
+}
+
+/**
+ * Converts memory to its JSON save form (the used names Set becomes a list).
+ * @param {object} memory - Memory object.
+ * @returns {object} Save data without the version field.
+ */
+function toSaveData(memory) {
+    return { ...memory, usedNames: Array.from(memory.usedNames) };
+}
+
+// Version of the save format written by saveCurrentSession; saves without a version field are version 1
+const SAVE_VERSION = 12;
+
+// Decisions that can be undone, counting back from the latest one of the day
+const MAX_UNDO_SNAPSHOTS = 5;
+
+// Rolling backups kept per save file (override with VERITAMINAL_SAVE_BACKUPS), in this folder of the saves directory
+const DEFAULT_BACKUP_COUNT = 3;
+const BACKUP_DIR = 'backups';
+
+/**
+ * Raised when a save file is damaged: it is not valid JSON or its content does not match its checksum.
+ */
+class SaveIntegrityError extends Error {
+    /**
+     * @param {string} message - What is wrong with the file.
+     * @param {string} file - Name of the damaged file.
+     */
+    constructor(message, file) {
+        super(message);
+        this.name = 'SaveIntegrityError';
+        this.file = file;
+    }
+}
+
+/**
+ * Migration steps between save versions, applied in order by migrateSave. Each step upgrades a save
+ * from version `from` to `from + 1` in place and returns a note for every change it made.
+ * @type {Array<{from: number, description: string, migrate: function(object): string[]}>}
+ */
+const SAVE_MIGRATIONS = [
+    {
+        from: 1,
+        description: "Versioned format capturing the full engine state",
+        migrate: (save) => {
+            const changes = [];
+            // Only the fields of the version 2 format: later fields are left missing so that the steps
+            // that introduced them derive them from the save (today's defaults would make them skip)
+            const defaults = {
+                borderSetting: null,
+                gameState: { day: 1, date: null, corruption: 0, trust: 0 },
+                settings: {
+                    currentSettingId: null,
+                    customRules: [],
+                    gameConfig: { totalDays: 10, travelersPerDay: 5, allowCustomization: true }
+                },
+                currentTraveler: null,
+                travelerHistory: [],
+                decisions: [],
+                narrativeEvents: [],
+                ruleChanges: [],
+                usedNames: []
+            };
+            const legacyState = save.gameState || {};
+
+            for (const key of Object.keys(defaults)) {
+                if (save[key] === undefined) {
+                    save[key] = defaults[key];
+                    changes.push(`Added missing '${key}' with its default value.`);
+                }
+            }
+            save.settings = { ...defaults.settings, ...save.settings };
+            const gameState = save.gameState = { ...defaults.gameState, ...legacyState };
+
+            if (typeof legacyState.score !== 'number') {
+                // Version 1 kept no score; rebuild it from the decision history (1 point per correct decision)
+                gameState.score = save.decisions.filter(decision => decision.correct).length;
+                changes.push(`Score was not saved; rebuilt as ${gameState.score} from the ${save.decisions.length} recorded decision(s).`);
+            }
+            if (typeof legacyState.travelersProcessedToday !== 'number') {
+                gameState.travelersProcessedToday = Math.min(
+                    save.decisions.filter(decision => decision.day === gameState.day).length,
+                    save.settings.gameConfig.travelersPerDay
+                );
+                changes.push(`In-day progress was not saved; restored ${gameState.travelersProcessedToday} traveler(s) processed on day ${gameState.day} from the decision history.`);
+            }
+            if (!legacyState.warningsIssued) {
+                // Warnings fire at the narrative thresholds, so a save past them has already shown them
+                const { thresholds } = new NarrativeManager();
+                gameState.warningsIssued = {
+                    corruption: gameState.corruption >= thresholds.corruptionWarning,
+                    trust: gameState.trust <= thresholds.trustWarning
+                };
+                changes.push(`Narrative warnings were not saved; marked as ${gameState.warningsIssued.corruption ? 'issued' : 'not issued'} (corruption) and ${gameState.warningsIssued.trust ? 'issued' : 'not issued'} (trust) from the current state.`);
+            }
+
+            // Version 1 rule changes only had a description
+            const legacyChanges = save.ruleChanges.filter(change => !('action' in change)).length;
+            if (legacyChanges > 0) {
+                save.ruleChanges = save.ruleChanges.map(change => ({ action: null, previous: null, check: null, ...change }));
+                changes.push(`Converted ${legacyChanges} rule change(s) to structured rule changes.`);
+            }
+            return changes;
+        }
+    },
+    {
+        from: 2,
+        description: "Checksum embedded in the save file",
+        migrate: () => ["The save had no checksum, so its integrity could not be verified; one is added the next time the game saves."]
+    },
+    {
+        from: 3,
+        description: "Rewind snapshots for undo and restart day",
+        migrate: (save) => {
+            if (save.rewind) {
+                return [];
+            }
+            save.rewind = toSaveData(createDefaultMemory()).rewind;
+            return ["No rewind snapshots were saved; undo and restart day become available from the next decision."];
+        }
+    },
+    {
+        from: 4,
+        description: "Career decision counters for the career profile",
+        migrate: (save) => {
+            const gameState = save.gameState;
+            if (typeof gameState.decisionsMade === 'number') {
+                return [];
+            }
+            // Every traveler of a finished day was decided, and each correct decision scored 1 point
+            const { travelersPerDay } = save.settings.gameConfig;
+            gameState.decisionsMade = (gameState.day - 1) * travelersPerDay + gameState.travelersProcessedToday;
+            gameState.correctDecisions = Math.min(Math.round(gameState.score), gameState.decisionsMade);
+            return [`Decision counts were not saved; derived ${gameState.correctDecisions} correct out of ${gameState.decisionsMade} from the day and score.`];
+        }
+    },
+    {
+        from: 5,
+        description: "Daily accuracy and hint use for achievements",
+        migrate: (save) => {
+            const gameState = save.gameState;
+            if (typeof gameState.correctToday === 'number') {
+                return [];
+            }
+            gameState.correctToday = Math.min(
+                save.decisions.filter(decision => decision.day === gameState.day && decision.correct).length,
+                gameState.travelersProcessedToday
+            );
+            gameState.hintsUsed = null;
+            return [
+                `Today's correct decisions were not saved; restored ${gameState.correctToday} from the decision history.`,
+                "Hint use was not saved, so this career cannot earn achievements for playing without hints."
+            ];
+        }
+    },
+    {
+        from: 6,
+        description: "Finished careers are recorded once",
+        migrate: (save) => {
+            save.gameState.endedWith ??= null; // Nothing to note: older finished careers are recorded on their next ending
+            return [];
+        }
+    },
+    {
+        from: 7,
+        description: "Seeded random generator state",
+        migrate: (save) => {
+            if (save.random) {
+                return [];
+            }
+            save.random = null;
+            return ["The career had no random seed; a new one is drawn, so it cannot be replayed from the start."];
+        }
+    },
+    {
+        from: 8,
+        description: "Difficulty levels",
+        migrate: (save) => {
+            if (save.settings.gameConfig.difficulty) {
+                return [];
+            }
+            const difficulty = save.settings.gameConfig.difficulty = getDifficultyPreset();
+            save.gameState.hintsToday ??= 0;
+            return [`The career had no difficulty; it continues at ${difficulty.name} difficulty, which matches its game-over limits but allows ${difficulty.hintsPerDay} Veritas hints a day.`];
+        }
+    },
+    {
+        from: 9,
+        description: "Custom end conditions",
+        migrate: (save) => {
+            if (save.settings.gameConfig.endConditions) {
+                return [];
+            }
+            save.settings.gameConfig.endConditions = [];
+            save.gameState.conditionProgress ??= {};
+            return ["The career had no custom end conditions; it ends only at its corruption and trust limits or when the assignment is served."];
+        }
+    },
+    {
+        from: 10,
+        description: "Shift timer",
+        migrate: (save) => {
+            if (save.settings.gameConfig.timedShifts !== undefined) {
+                return [];
+            }
+            save.settings.gameConfig.timedShifts = false;
+            save.gameState.shiftMinutes ??= 0;
+            return ["The career continues with untimed shifts."];
+        }
+    },
+    {
+        from: 11,
+        description: "Household economy",
+        migrate: (save) => {
+            if (save.gameState.ledger) {
+                return [];
+            }
+            Object.assign(save.gameState, { savings: STARTING_SAVINGS, family: createFamily(), rentOwed: 0, ledger: [] });
+            return [`The household starts paying its way from today, with ${formatCredits(STARTING_SAVINGS)} in savings and a healthy family.`];
+        }
+    }
+];
+
+/**
+ * Computes the checksum of save data (everything except the checksum field itself).
+ * @param {object} save - Save data.
+ * @returns {string} Hex SHA-256 digest.
+ */
+function computeChecksum(save) {
+    const { checksum, ...content } = save;
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+/**
+ * Verifies the checksum of parsed save data. Saves from before version 3 carry no checksum and pass
+ * unverified, as do saves from newer versions, which migrateSave refuses.
+ * @param {object} data - Parsed save file.
+ * @param {string} file - File name, for error messages.
+ * @returns {object} The save data without the checksum field.
+ * @throws {SaveIntegrityError} If the checksum is missing or does not match.
+ */
+function verifySave(data, file) {
+    const { checksum, ...save } = data || {};
+    if (save.version > SAVE_VERSION) {
+        return save;
+    }
+    if (checksum === undefined) {
+        if ((save.version ?? 1) >= 3) {
+            throw new SaveIntegrityError(`${file} has no checksum.`, file);
+        }
+        return save;
+    }
+    if (computeChecksum(data) !== checksum) {
+        throw new SaveIntegrityError(`${file} does not match its checksum; it was damaged or edited.`, file);
+    }
+    return save;
+}
+
+/**
+ * Reads and verifies a save file.
+ * @async
+ * @param {string} filePath - Absolute path of the save file.
+ * @returns {Promise<object>} The save data (not yet migrated), without the checksum field.
+ * @throws {SaveIntegrityError} If the file is not valid JSON or fails its checksum.
+ */
+async function readSaveFile(filePath) {
+    const file = path.basename(filePath);
+    const text = await fs.readFile(filePath, 'utf8');
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new SaveIntegrityError(`${file} is not valid JSON (${e.message}).`, file);
+    }
+    return verifySave(data, file);
+}
+
+/**
+ * Writes a file atomically: the data goes to a temporary file that is flushed to disk and then
+ * renamed over the target, so a crash leaves either the old or the new file, never half of one.
+ * @async
+ * @param {string} filePath - Absolute path of the file.
+ * @param {string} data - File content.
+ */
+async function writeFileAtomic(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+    const handle = await fs.open(tempPath, 'w');
+    try {
+        await handle.writeFile(data, 'utf8');
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Gets the path of a backup of a save file (backup 1 is the most recent).
+ * @param {string} savePath - Absolute path of the saves directory.
+ * @param {string} file - Save file name.
+ * @param {number} index - Backup number.
+ * @returns {string}
+ */
+function getBackupPath(savePath, file, index) {
+    return path.join(savePath, BACKUP_DIR, `${file.replace(/\.json$/i, '')}.${index}.json`);
+}
+
+/**
+ * Lists the backups of a save file, most recent first.
+ * @async
+ * @param {string} savePath - Absolute path of the saves directory.
+ * @param {string} file - Save file name.
+ * @returns {Promise<Array<{index: number, path: string}>>}
+ */
+async function listBackups(savePath, file) {
+    const name = file.replace(/\.json$/i, '');
+    const files = await fs.readdir(path.join(savePath, BACKUP_DIR)).catch(() => []);
+    return files
+        .filter(backup => backup.startsWith(`${name}.`) && /^\d+\.json$/.test(backup.slice(name.length + 1)))
+        .map(backup => ({ index: parseInt(backup.slice(name.length + 1)), path: path.join(savePath, BACKUP_DIR, backup) }))
+        .sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Shifts the backups of a save file down by one and copies the current file in as backup 1,
+ * dropping backups beyond the limit. A damaged current file is not backed up, so it cannot push
+ * a good backup out.
+ * @async
+ * @param {string} savePath - Absolute path of the saves directory.
+ * @param {string} file - Save file name.
+ * @param {number} keep - Number of backups to keep.
+ * @returns {Promise<boolean>} True if the current file was backed up.
+ */
+async function rotateBackups(savePath, file, keep) {
+    try {
+        await readSaveFile(path.join(savePath, file));
+    } catch (e) {
+        if (!(e instanceof SaveIntegrityError)) {
+            throw e;
+        }
+        console.warn(chalk.yellow(`Not backing up ${file}: ${e.message} The existing backups are kept.`));
+        return false;
+    }
+    await fs.mkdir(path.join(savePath, BACKUP_DIR), { recursive: true });
+    for (const backup of (await listBackups(savePath, file)).reverse()) {
+        if (backup.index >= keep) {
+            await fs.unlink(backup.path);
+        } else {
+            await fs.rename(backup.path, getBackupPath(savePath, file, backup.index + 1));
+        }
+    }
+    await fs.copyFile(path.join(savePath, file), getBackupPath(savePath, file, 1));
+    return true;
+}
+
+/**
+ * Reads the backup count from the environment.
+ * @returns {number}
+ */
+function getBackupCountFromEnv() {
+    const value = parseInt(process.env.VERITAMINAL_SAVE_BACKUPS);
+    return isNaN(value) || value < 0 ? DEFAULT_BACKUP_COUNT : value;
+}
+
+/**
+ * Upgrades parsed save data to the current save version, one migration step at a time.
+ * @param {object} save - Parsed save file; upgraded in place.
+ * @returns {{save: object, fromVersion: number, changes: string[]}} The upgraded save, the version it
+ *   was written in and a note for every change made.
+ * @throws {Error} If the save is not an object or was written by a newer version of the game.
+ */
+function migrateSave(save) {
+    if (!save || typeof save !== 'object' || Array.isArray(save)) {
+        throw new Error("Save file does not contain a saved game.");
+    }
+    const fromVersion = save.version ?? 1;
+    if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+        throw new Error(`Save version ${JSON.stringify(fromVersion)} is not recognised.`);
+    }
+    if (fromVersion > SAVE_VERSION) {
+        throw new Error(`Save version ${fromVersion} is newer than this game supports (version ${SAVE_VERSION}).`);
+    }
+
+    const changes = [];
+    for (let version = fromVersion; version < SAVE_VERSION; version++) {
+        const step = SAVE_MIGRATIONS.find(migration => migration.from === version);
+        if (!step) {
+            throw new Error(`No migration from save version ${version}.`);
+        }
+        step.migrate(save).forEach(change => changes.push(`v${version} -> v${version + 1}: ${change}`));
+        save.version = version + 1;
+    }
+    return { save, fromVersion, changes };
+}
+
 class MemoryManager {
     /**
      * Manages the game's memory and narrative continuity.
      * @param {string} [saveDir="saves"] - Directory relative to project root to store save files.
+     * @param {number} [backupCount] - Rolling backups kept per save file; defaults to VERITAMINAL_SAVE_BACKUPS or 3.
      */
-    constructor(saveDir = "saves") {
+    constructor(saveDir = "saves", backupCount = getBackupCountFromEnv()) {
         this.saveDir = saveDir;
+        this.backupCount = backupCount;
         this.savePath = path.join(projectRoot, this.saveDir);
         this.memory = this.getDefaultMemory();
         this.currentSessionFile = null; // Track current session save file
+        /** @type {{fromVersion: number, toVersion: number, changes: string[]}|null} */
+        this.lastMigration = null; // Migration applied by the last loadGame
+        /** @type {Error|null} */
+        this.lastLoadError = null; // Why the last loadGame failed (a SaveIntegrityError for a damaged file)
         this._ensureSaveDirectory(); // Call async method without await in constructor (best practice)
     }
 
@@ -33,29 +496,7 @@ class MemoryManager {
      * @returns {object} Default memory object.
      */
     getDefaultMemory() {
-        return {
-            borderSetting: null, // Selected border/country setting
-            gameState: {
-                day: 1,
-                corruption: 0, // Incorrect approves
-                trust: 0       // Incorrect denies (represented as negative value)
-            },
-            // Add complete settings data
-            settings: {
-                currentSettingId: null,        // ID of the current border setting
-                customRules: [],               // Custom rules added during gameplay
-                gameConfig: {                  // Game configuration
-                    totalDays: 10,
-                    travelersPerDay: 5,
-                    allowCustomization: true
-                }
-            },
-            travelerHistory: [], // List of previous travelers (limited size)
-            decisions: [],       // List of player decisions (limited size)
-            narrativeEvents: [], // Key narrative events (limited size)
-            ruleChanges: [],     // History of rule changes (limited size)
-            usedNames: new Set() // Track used names to prevent repetition
-        };
+        return createDefaultMemory();
     }
 
     /**
@@ -94,7 +535,7 @@ class MemoryManager {
             this.memory.settings.customRules = [...settingsData.customRules];
         }
         if (settingsData.gameConfig) {
-            this.memory.settings.gameConfig = { ...settingsData.gameConfig };
+            this.memory.settings.gameConfig = structuredClone(settingsData.gameConfig);
         }
     }
 
@@ -106,7 +547,7 @@ class MemoryManager {
         return {
             currentSettingId: this.memory.settings.currentSettingId,
             customRules: [...this.memory.settings.customRules],
-            gameConfig: { ...this.memory.settings.gameConfig }
+            gameConfig: structuredClone(this.memory.settings.gameConfig)
         };
     }
 
@@ -115,7 +556,7 @@ class MemoryManager {
      * @param {object} travelerData - The traveler document data.
      * @param {string} decision - The player's decision ('approve'/'deny').
      * @param {boolean} isCorrect - Whether the decision was correct.
-     * @param {object} aiJudgment - AI's evaluation of the document.
+     * @param {object} aiJudgment - AI's advisory evaluation of the document.
      */
     addTraveler(travelerData, decision, isCorrect, aiJudgment) {
         if (!travelerData || !travelerData.name) {
@@ -131,11 +572,7 @@ class MemoryManager {
 
         // Add to traveler history (limit size)
         this.memory.travelerHistory.push({
-            traveler: { // Store only essential parts if needed to save space
-                name: travelerData.name,
-                permit: travelerData.permit,
-                // backstory: travelerData.backstory // Optional: exclude if too long
-            },
+            traveler: summarizeDocument(travelerData), // Typed fields only; backstory excluded to save space
             timestamp: timestamp,
             day: this.memory.gameState.day
         });
@@ -148,6 +585,7 @@ class MemoryManager {
             travelerName: travelerData.name,
             decision: decision,
             correct: isCorrect,
+            plantedFlaws: (travelerData.ground_truth?.flaws || []).map(flaw => flaw.type),
             aiJudgment: { // Store key parts of AI judgment
                 decision: aiJudgment?.decision,
                 confidence: aiJudgment?.confidence,
@@ -180,13 +618,17 @@ class MemoryManager {
     }
 
     /**
-     * Adds a rule change to the history.
-     * @param {string} ruleDescription - Description of the rule change.
+     * Adds a structured rule change to the history.
+     * @param {import('./settings.js').RuleChange} change - The rule change.
      */
-    addRuleChange(ruleDescription) {
+    addRuleChange(change) {
         this.memory.ruleChanges.push({
-            description: ruleDescription,
+            action: change.action,
+            description: change.description,
+            previous: change.previous ?? null,
+            check: change.check ?? null,
             day: this.memory.gameState.day,
+            date: this.getCurrentDate(),
             timestamp: new Date().toISOString()
         });
          // Limit rule changes (keep last 10)
@@ -207,6 +649,20 @@ class MemoryManager {
         return false;
     }
 
+    /**
+     * Removes a custom rule from the settings.
+     * @param {string} ruleDescription - Description of the custom rule.
+     * @returns {boolean} True if the rule was removed.
+     */
+    removeCustomRule(ruleDescription) {
+        const rules = this.memory.settings.customRules;
+        if (!rules.includes(ruleDescription)) {
+            return false;
+        }
+        this.memory.settings.customRules = rules.filter(rule => rule !== ruleDescription);
+        return true;
+    }
+
     /**
      * Updates the game state.
      * @param {object} stateUpdates - Updates to apply to the game state (e.g., { corruption: 1 }).
@@ -216,10 +672,100 @@ class MemoryManager {
     }
 
     /**
-     * Advances to the next day.
+     * Records the traveler awaiting a decision, so a saved game resumes with the same traveler.
+     * @param {object|null} document - The current document, or null once it has been decided.
+     * @param {import('./api.js').AIJudgment|null} [aiJudgment=null] - The AI's advisory opinion on it.
+     */
+    setCurrentTraveler(document, aiJudgment = null) {
+        this.memory.currentTraveler = document ? { document, aiJudgment } : null;
+    }
+
+    /**
+     * Records a snapshot of the engine state that the career can be rewound to. A 'decision' snapshot
+     * is taken before each decision and can be restored with undo; a 'day_start' snapshot is taken when
+     * a day begins, and replaces the undo history so that undo never crosses into the previous day.
+     * The caller must have written the gameplay state into memory first (see GameplayManager.takeSnapshot).
+     * @param {('decision'|'day_start')} kind - What the snapshot marks.
+     */
+    takeSnapshot(kind) {
+        const { rewind, ...memory } = this.memory;
+        const snapshot = {
+            kind,
+            day: memory.gameState.day,
+            travelersProcessedToday: memory.gameState.travelersProcessedToday,
+            traveler: memory.currentTraveler?.document?.name ?? null,
+            takenAt: new Date().toISOString(),
+            state: structuredClone(toSaveData(memory))
+        };
+        if (kind === 'day_start') {
+            rewind.dayStart = snapshot;
+            rewind.undo = [];
+        } else {
+            rewind.undo.push(snapshot);
+            rewind.undo = rewind.undo.slice(-MAX_UNDO_SNAPSHOTS);
+        }
+    }
+
+    /**
+     * Rewinds memory to a snapshot: the latest 'decision' snapshot (undo) or the 'day_start' one.
+     * The career is marked as rewound.
+     * @param {('decision'|'day_start')} kind - Which snapshot to restore.
+     * @returns {object|null} The restored snapshot (without its state), or null if there is none.
+     */
+    restoreSnapshot(kind) {
+        const { rewind } = this.memory;
+        const snapshot = kind === 'day_start' ? rewind.dayStart : rewind.undo.pop();
+        if (!snapshot) {
+            return null;
+        }
+        if (kind === 'day_start') {
+            rewind.undo = [];
+        }
+        const { state, ...summary } = snapshot;
+        const memory = structuredClone(state);
+        this.memory = { ...memory, usedNames: new Set(memory.usedNames), rewind: { ...rewind, uses: rewind.uses + 1 } };
+        console.log(chalk.yellow(`Rewound to ${kind === 'day_start' ? 'the start of' : 'a decision on'} day ${summary.day}.`));
+        return summary;
+    }
+
+    /**
+     * Gets what can currently be rewound.
+     * @returns {{undoAvailable: number, canRestartDay: boolean, rewound: boolean}}
+     */
+    getRewindStatus() {
+        const { rewind } = this.memory;
+        return { undoAvailable: rewind.undo.length, canRestartDay: Boolean(rewind.dayStart), rewound: rewind.uses > 0 };
+    }
+
+    /**
+     * Starts the in-world calendar on day 1.
+     * @param {string} [startDate] - ISO date of day 1; defaults to DEFAULT_CALENDAR_START.
+     */
+    startCalendar(startDate = DEFAULT_CALENDAR_START) {
+        this.memory.gameState.date = startDate;
+    }
+
+    /**
+     * Gets the in-world date of the current day. Saves without a date derive it
+     * from the border setting's calendar start.
+     * @returns {string} ISO date.
+     */
+    getCurrentDate() {
+        const gameState = this.memory.gameState;
+        if (!gameState.date) {
+            const start = this.memory.borderSetting?.calendar_start || DEFAULT_CALENDAR_START;
+            gameState.date = addDays(start, gameState.day - 1);
+        }
+        return gameState.date;
+    }
+
+    /**
+     * Advances to the next day (and the calendar with it).
      */
     advanceDay() {
+        const date = this.getCurrentDate();
         this.memory.gameState.day += 1;
+        this.memory.gameState.date = addDays(date, 1);
     }
 
     /**
@@ -240,6 +786,7 @@ class MemoryManager {
         // Add current game state
         context.push(`\nCURRENT GAME STATE:`);
         context.push(`- Day: ${this.memory.gameState.day}`);
+        context.push(`- Today's Date: ${this.getCurrentDate()}`);
         context.push(`- Assignment Length: ${this.memory.settings.gameConfig.totalDays} days`);
         context.push(`- Travelers per Day: ${this.memory.settings.gameConfig.travelersPerDay}`);
         context.push(`- Corruption Score (Incorrect Approvals): ${this.memory.gameState.corruption}`);
@@ -256,8 +803,8 @@ class MemoryManager {
         // Add recent rules (if any)
         if (this.memory.ruleChanges.length > 0) {
             context.push("\nRECENT RULE CHANGES:");
-            this.memory.ruleChanges.slice(-maxItems).forEach(rule => {
-                context.push(`- Day ${rule.day}: ${rule.description}`);
+            this.memory.ruleChanges.slice(-maxItems).forEach(change => {
+                context.push(`- Day ${change.day}: ${formatRuleChange(change)}`);
             });
         }
 
@@ -269,6 +816,16 @@ class MemoryManager {
             });
         }
 
+        // Add recent travelers (typed document fields)
+        if (this.memory.travelerHistory.length > 0) {
+            context.push("\nRECENT TRAVELERS:");
+            this.memory.travelerHistory.slice(-maxItems).forEach(entry => {
+                const traveler = entry.traveler;
+                const papers = (traveler.papers || []).join(', ') || 'N/A';
+                context.push(`- Day ${entry.day}: ${traveler.name} (${traveler.nationality || 'N/A'}, ${traveler.occupation || 'N/A'}), purpose: ${traveler.purpose_of_visit || 'N/A'}, permit ${traveler.permit}, expires ${traveler.expiry_date || 'N/A'}, papers: ${papers}`);
+            });
+        }
+
         // Add recent decisions
         if (this.memory.decisions.length > 0) {
             context.push("\nRECENT DECISIONS:");
@@ -313,51 +870,69 @@ class MemoryManager {
     }
 
     /**
-     * Loads a saved game from a file.
+     * Loads a saved game from a file, verifying its checksum and migrating older save versions to the
+     * current one. The migration notes are kept in `lastMigration` for the caller to report. On failure
+     * the current memory is left as it was and the reason is kept in `lastLoadError`; a damaged file
+     * can then be replaced by one of its backups (see findValidBackup and restoreBackup).
      * @async
      * @param {string} filepath - Absolute path to the save file.
      * @returns {Promise<boolean>} True if load was successful, False otherwise.
      */
     async loadGame(filepath) {
+        this.lastLoadError = null;
         try {
             if (!path.isAbsolute(filepath)) {
                  console.error(chalk.red(`Load game error: Filepath must be absolute. Got: ${filepath}`));
                  return false;
             }
-             const data = await fs.readFile(filepath, 'utf8');
-            const loadedMemory = JSON.parse(data);
-
-            // Convert usedNames list back to Set, handle potential absence in old saves
-            loadedMemory.usedNames = new Set(loadedMemory.usedNames || []);
-
-             // Ensure essential keys exist, merging with defaults if necessary
-             this.memory = {
-                ...this.getDefaultMemory(), // Start with defaults
-                ...loadedMemory, // Overwrite with loaded data
-                gameState: { // Ensure gameState and its keys exist
-                     ...(this.getDefaultMemory().gameState),
-                     ...(loadedMemory.gameState || {})
-                },
-                settings: { // Ensure settings and its keys exist (backwards compatibility)
-                    ...(this.getDefaultMemory().settings),
-                    ...(loadedMemory.settings || {})
-                },
-                usedNames: loadedMemory.usedNames // Make sure the Set is preserved
-             };
+            const { save, fromVersion, changes } = migrateSave(await readSaveFile(filepath));
+            this.lastMigration = { fromVersion, toVersion: SAVE_VERSION, changes };
+            changes.forEach(change => console.log(chalk.yellow(`Save migration: ${change}`)));
 
+            const { version, ...memory } = save;
+            this.memory = { ...memory, usedNames: new Set(memory.usedNames) };
 
             // Set the loaded file as the current session file
             this.setCurrentSessionFile(path.basename(filepath));
-            console.log(chalk.green(`Game loaded successfully from ${path.basename(filepath)}`));
+            console.log(chalk.green(`Game loaded successfully from ${path.basename(filepath)} (save version ${fromVersion}${changes.length > 0 ? `, migrated to ${SAVE_VERSION}` : ''})`));
             return true;
         } catch (e) {
+            this.lastLoadError = e;
             console.error(chalk.red(`Failed to load game from ${filepath}: ${e.message}`));
-            // Reset to default memory if load fails? Or leave as is? Let's reset.
-            this.resetMemory();
             return false;
         }
     }
 
+    /**
+     * Finds the most recent backup of a save file that passes its integrity check.
+     * @async
+     * @param {string} file - Save file name.
+     * @returns {Promise<{path: string, index: number, savedAt: string, day: number, score: number}|null>} The backup, or null.
+     */
+    async findValidBackup(file) {
+        for (const backup of await listBackups(this.savePath, file)) {
+            try {
+                const { save } = migrateSave(await readSaveFile(backup.path));
+                const savedAt = (await fs.stat(backup.path)).mtime.toISOString();
+                return { ...backup, savedAt, day: save.gameState.day, score: save.gameState.score };
+            } catch (e) {
+                console.warn(chalk.yellow(`Skipping damaged backup ${path.basename(backup.path)}: ${e.message}`));
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Replaces a save file with one of its backups.
+     * @async
+     * @param {string} file - Save file name.
+     * @param {string} backupPath - Absolute path of the backup.
+     */
+    async restoreBackup(file, backupPath) {
+        await writeFileAtomic(path.join(this.savePath, file), await fs.readFile(backupPath, 'utf8'));
+        console.log(chalk.green(`Restored ${file} from backup ${path.basename(backupPath)}`));
+    }
+
     /**
      * Resets the game memory to default values, preserving the save directory path.
      */
@@ -407,14 +982,17 @@ class MemoryManager {
             // Ensure save directory exists before writing
             await this._ensureSaveDirectory();
 
-            // Convert Set to Array for JSON serialization
-            const memoryToSave = {
-                ...this.memory,
-                usedNames: Array.from(this.memory.usedNames)
-            };
-
+            // Convert Set to Array for JSON serialization and seal the content with a checksum
+            const memoryToSave = { version: SAVE_VERSION, ...toSaveData(this.memory) };
+            memoryToSave.checksum = computeChecksum(memoryToSave);
             const data = JSON.stringify(memoryToSave, null, 2); // Pretty print JSON
-            await fs.writeFile(filePath, data, 'utf8');
+
+            // Keep the previous versions of the file, then replace it in one step
+            const exists = await fs.access(filePath).then(() => true, () => false);
+            if (exists && this.backupCount > 0) {
+                await rotateBackups(this.savePath, this.currentSessionFile, this.backupCount);
+            }
+            await writeFileAtomic(filePath, data);
             console.log(chalk.green(`Session updated: ${this.currentSessionFile}`));
             return true;
         } catch (e) {
@@ -433,4 +1011,14 @@ class MemoryManager {
     }
 }
 
-export { MemoryManager };
\ No newline at end of file
+export {
+    MemoryManager,
+    SaveIntegrityError,
+    migrateSave,
+    readSaveFile,
+    verifySave,
+    writeFileAtomic,
+    listBackups,
+    getBackupPath,
+    SAVE_VERSION
+};
\ No newline at end of file
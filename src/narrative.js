@@ -1,54 +1,69 @@
 /**
  * Narrative module for Veritaminal
- * Handles the story state, narrative branching, and game-over conditions.
+ * Handles the story state and narrative branching.
  * Note: Actual narrative text generation is handled by api.js. This manages state.
+ * When and how the career ends is decided by the outcome engine (see outcomes.js); the narrative warns
+ * the inspector before the corruption and trust limits and before the household falls apart.
  */
 
 import chalk from 'chalk';
+import { OutcomeEngine } from './outcomes.js';
+import { isSick } from './economy.js';
 // Import API function if needed, but it's currently called from main loop
 // import { generateNarrativeUpdate } from './api.js';
 
 class NarrativeManager {
     /**
      * Manages the narrative elements and story branching based on game state.
+     * @param {OutcomeEngine} [outcomeEngine=new OutcomeEngine()] - The career's outcome engine; sets the warning
+     *   thresholds and the ending path.
      */
-    constructor() {
+    constructor(outcomeEngine = new OutcomeEngine()) {
+        this.outcomeEngine = outcomeEngine;
         this.storyState = {
             corruption: 0,      // Tracks incorrect approves
             trust: 0,           // Tracks incorrect denies (negative value)
             day: 1,             // Current day
+            date: null,         // In-world ISO date of the current day
+            rentOwed: 0,        // Days of rent owed (see economy.js)
+            family: [],         // The inspector's family and their health
             endingPath: "neutral" // Current tendency: "neutral", "corrupt", "strict"
         };
 
-        // Thresholds for state changes and game over
-        this.thresholds = {
-            corruptionWarning: 2,
-            corruptionGameOver: 5,
-            trustWarning: -2, // Trust goes negative
-            trustGameOver: -5,
-            daysToComplete: 10
-        };
+        // Thresholds for state changes and game over (trust thresholds are negative)
+        this.thresholds = outcomeEngine.thresholds;
 
-         // Tracks if warnings have been issued (could be stored in memoryManager if persistence needed)
+         // Tracks if warnings have been issued (persisted in the saved gameState, see syncState)
         this.warningsIssued = {
             corruption: false,
-            trust: false
+            trust: false,
+            rent: false,
+            family: false
         };
     }
 
     /**
      * Updates the internal narrative state based on gameplay state changes.
      * This should be called *after* memoryManager updates the state.
-     * @param {object} gameState - The current gameState from MemoryManager { day, corruption, trust }.
+     * @param {object} gameState - The current gameState from MemoryManager { day, date, corruption, trust, rentOwed, family, warningsIssued }.
      */
     syncState(gameState) {
+        if (gameState.warningsIssued) {
+            // The saved flags are authoritative, so a rewound state takes back the warnings issued after it
+            this.warningsIssued = { corruption: false, trust: false, rent: false, family: false, ...gameState.warningsIssued };
+        }
         this.storyState.day = gameState.day;
+        this.storyState.date = gameState.date ?? null;
         this.storyState.corruption = gameState.corruption;
         this.storyState.trust = gameState.trust;
+        this.storyState.rentOwed = gameState.rentOwed || 0;
+        this.storyState.family = gameState.family || [];
         this._updateEndingPath(); // Recalculate path based on synced state
          // Reset warnings if state drops below warning threshold (optional)
          if (this.storyState.corruption < this.thresholds.corruptionWarning) this.warningsIssued.corruption = false;
          if (this.storyState.trust > this.thresholds.trustWarning) this.warningsIssued.trust = false;
+         if (this.storyState.rentOwed === 0) this.warningsIssued.rent = false;
+         if (!this.storyState.family.some(isSick)) this.warningsIssued.family = false;
     }
 
     /**
@@ -56,13 +71,7 @@ class NarrativeManager {
      * @private
      */
     _updateEndingPath() {
-        if (this.storyState.corruption >= this.thresholds.corruptionWarning +1) { // Tend towards corrupt if well past warning
-            this.storyState.endingPath = "corrupt";
-        } else if (this.storyState.trust <= this.thresholds.trustWarning -1) { // Tend towards strict if well past warning
-            this.storyState.endingPath = "strict";
-        } else {
-            this.storyState.endingPath = "neutral";
-        }
+        this.storyState.endingPath = this.outcomeEngine.getEndingPath(this.storyState);
     }
 
     /**
@@ -85,6 +94,19 @@ class NarrativeManager {
             return "A dismissed traveler glares back. \"You'll regret this rigidity!\""; // Example milestone text
         }
 
+        // Check household warnings (the rent falls behind or a family member falls sick at the end of a day)
+        if (this.storyState.rentOwed > 0 && !this.warningsIssued.rent) {
+            this.warningsIssued.rent = true;
+            console.log(chalk.magenta("Narrative Milestone: Rent Warning Triggered"));
+            return "A note from the landlord is pinned to your door. \"Pay what you owe, or find somewhere else to live.\"";
+        }
+        const sick = this.storyState.family.find(isSick);
+        if (sick && !this.warningsIssued.family) {
+            this.warningsIssued.family = true;
+            console.log(chalk.magenta("Narrative Milestone: Family Warning Triggered"));
+            return `Your ${sick.name.toLowerCase()} coughed through the night. Without medicine, it will only get worse.`;
+        }
+
         // Check for promotion milestone (example)
         if (this.storyState.day === 5 && this.storyState.endingPath === 'neutral') {
              // Could add a flag like `promotion_offered` if needed
@@ -97,60 +119,6 @@ class NarrativeManager {
     }
 
 
-    /**
-     * Checks if the game should end based on the current state.
-     * @returns {{isGameOver: boolean, endingType: string|null, endingMessage: string|null}}
-     */
-    checkGameOver() {
-        // Check corruption game over
-        if (this.storyState.corruption >= this.thresholds.corruptionGameOver) {
-            return {
-                isGameOver: true,
-                endingType: "bad_corrupt",
-                endingMessage: "Internal affairs officers escort you away. Your career ends in disgrace due to overwhelming evidence of corruption."
-            };
-        }
-
-        // Check trust game over
-        if (this.storyState.trust <= this.thresholds.trustGameOver) {
-            return {
-                isGameOver: true,
-                endingType: "bad_strict",
-                endingMessage: "You are reassigned to a remote outpost. Your overly strict enforcement caused too many diplomatic complaints."
-            };
-        }
-
-        // Check winning condition (Completed required days) - Handled by gameplayManager checking day > 10
-
-        // Game continues
-        return { isGameOver: false, endingType: null, endingMessage: null };
-    }
-
-     /**
-     * Gets the ending details if the game is completed normally (passed day limit).
-     * @returns {{endingType: string, endingMessage: string}}
-     */
-     getNormalEnding() {
-        switch (this.storyState.endingPath) {
-            case "corrupt":
-                return {
-                    endingType: "neutral_corrupt",
-                    endingMessage: "You completed your assignment, lining your pockets along the way. You avoided arrest, but live with the compromises you made."
-                };
-            case "strict":
-                return {
-                    endingType: "neutral_strict",
-                    endingMessage: "You completed your assignment with rigid adherence to the rules. The border is secure, but perhaps at the cost of compassion."
-                };
-            default: // neutral
-                return {
-                    endingType: "good",
-                    endingMessage: "You skillfully navigated the complexities of the border, balancing security and fairness. Your commendable service earns you recognition."
-                };
-        }
-    }
-
-
     /**
      * Gets a summary string of the current narrative state.
      * @returns {string} Summary of the story state.
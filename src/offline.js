@@ -0,0 +1,583 @@
+/**
+ * Offline module for Veritaminal
+ * Procedurally generates travelers, Veritas hints, judgments and narrative updates
+ * from templates seeded by the BORDER_SETTINGS data, so the game is playable without an AI provider.
+ */
+
+import chalk from 'chalk';
+import { DEFAULT_CALENDAR_START, addDays, addYears } from './dates.js';
+import { findPaperDiscrepancies, findDateIssues } from './papers.js';
+import { random, randomInt, pick } from './random.js';
+
+// --- Template Tables ---
+
+// Name pools shared across settings
+const FIRST_NAMES = [
+    "Alex", "Sam", "Jordan", "Morgan", "Casey", "Taylor", "Chris", "Dana",
+    "Elena", "Tomas", "Ingrid", "Rafael", "Amara", "Viktor", "Lena", "Omar",
+    "Noor", "Mateo", "Sofia", "Idris", "Hana", "Pavel", "Zara", "Felix",
+    "Mira", "Anton", "Leila", "Jonas", "Yara", "Emil"
+];
+const LAST_NAMES = [
+    "Smith", "Jones", "Garcia", "Chen", "Patel", "Müller", "Kim", "Singh",
+    "Novak", "Haddad", "Lindqvist", "Okafor", "Petrov", "Moreau", "Tanaka", "Costa",
+    "Brennan", "Halvorsen", "Rahimi", "Kowalski", "Ferreira", "Dubois", "Sato", "Abebe",
+    "Varga", "Ortiz", "Nakamura", "Engel", "Mensah", "Larsen"
+];
+
+// Generic backstories (extended from the original API fallback templates); {name} and {purpose} are substituted
+const BACKSTORY_TEMPLATES = [
+    "{name} is seeking entry for {purpose} under standard procedures.",
+    "{name} is traveling for {purpose} and expects a short stay.",
+    "{name} states the visit is for {purpose}.",
+    "{name} is crossing for {purpose} and carries a neatly organized folder of papers.",
+    "{name} says the trip for {purpose} was planned months ago.",
+    "{name} looks tired after a long journey and explains the visit is for {purpose}."
+];
+
+// Occupations for purposes without setting-specific ones
+const GENERIC_OCCUPATIONS = ["clerk", "mechanic", "teacher", "merchant", "student", "cook"];
+
+// Generic additional fields (from the original API fallback table; visa type is now the purpose of visit)
+const POSSIBLE_FIELDS = {
+    "stay_duration": ["3 days", "1 week", "10 days", "30 days"],
+    "entry_count": ["Single", "Multiple"]
+};
+
+/**
+ * Per-setting flavor keyed by BORDER_SETTINGS id.
+ * - purposes: visit purposes; those listed in `credential.appliesTo` need the credential.
+ * - backstories: setting-specific backstories keyed by the purpose they imply.
+ * - credential: the setting-specific paper derived from the setting's document requirements
+ *   (`field` is the credential key, `title` the name of the border paper carrying it).
+ * - nationalities: nationalities seen at the crossing, mapped to the authority issuing their papers.
+ * - occupations: plausible occupations keyed by purpose of visit.
+ * - places/officials: nouns used by narrative templates.
+ */
+const SETTING_TEMPLATES = {
+    eastokan_westoria: {
+        purposes: ["business", "tourism", "family visit", "agricultural trade", "transit"],
+        backstories: {
+            "agricultural trade": "{name} represents a Westorian grain cooperative negotiating new export quotas.",
+            "family visit": "{name} is an Eastokan machinist visiting relatives on a Westorian farm.",
+            "business": "{name} is attending a trade fair despite the ongoing tariff dispute."
+        },
+        credential: {
+            field: "trade_visa_stamp",
+            title: "Trade Visa",
+            appliesTo: ["business", "agricultural trade"],
+            valid: ["Stamped - Ministry of Trade", "Stamped - Westoria Customs"],
+            forged: ["Stamp smudged and unsigned", "Stamped - Ministry of Commerse"]
+        },
+        nationalities: {
+            "Eastokan": "Eastokan Ministry of the Interior",
+            "Westorian": "Westoria Bureau of Travel"
+        },
+        occupations: {
+            "business": ["sales director", "factory owner"],
+            "tourism": ["schoolteacher", "retired machinist"],
+            "family visit": ["machinist", "nurse"],
+            "agricultural trade": ["grain broker", "cooperative manager"],
+            "transit": ["truck driver", "railway clerk"]
+        },
+        places: ["the customs hall", "the freight lane", "the Westorian side of the gate"],
+        officials: ["a trade ministry observer", "your shift supervisor", "a customs inspector"]
+    },
+    northland_southoria: {
+        purposes: ["humanitarian work", "refugee resettlement", "family reunification", "medical aid", "reconstruction work"],
+        backstories: {
+            "family reunification": "{name} fled the fighting in the northern provinces and seeks to rejoin their family.",
+            "medical aid": "{name} coordinates a field clinic run by an international relief agency.",
+            "reconstruction work": "{name} is an engineer helping to rebuild bridges destroyed in the conflict."
+        },
+        credential: {
+            field: "h_class_authorization",
+            title: "H-Class Authorization",
+            appliesTo: ["humanitarian work", "medical aid"],
+            valid: ["H-Class #H-2231 (Relief Council)", "H-Class #H-4410 (Relief Council)"],
+            forged: ["H-Class #2231", "Humanitarian pass (self-issued)"]
+        },
+        nationalities: {
+            "Northlander": "Northland Civil Registry",
+            "Southorian": "Southoria Department of Citizenship"
+        },
+        occupations: {
+            "humanitarian work": ["aid coordinator", "logistics officer"],
+            "refugee resettlement": ["former farmer", "shopkeeper"],
+            "family reunification": ["seamstress", "electrician"],
+            "medical aid": ["field surgeon", "nurse"],
+            "reconstruction work": ["civil engineer", "bricklayer"]
+        },
+        places: ["the refugee intake tent", "the reconciliation checkpoint", "the aid convoy lane"],
+        officials: ["a relief council liaison", "a peacekeeping officer", "your shift supervisor"]
+    },
+    oceania_continent: {
+        purposes: ["tourism", "commercial transport", "family visit", "fishing trip", "business"],
+        backstories: {
+            "business": "{name} is a ferry regular who runs a souvenir stall on the island.",
+            "commercial transport": "{name} drives a delivery van carrying island produce to mainland markets.",
+            "tourism": "{name} booked a week-long diving holiday on the reefs of Oceania."
+        },
+        credential: {
+            field: "cargo_manifest",
+            title: "Cargo Manifest",
+            appliesTo: ["commercial transport", "business"],
+            valid: ["Manifest #CM-7781 (sealed)", "Manifest #CM-3302 (sealed)"],
+            forged: ["Manifest unsealed, items crossed out", "Manifest #CM-?? (handwritten)"]
+        },
+        nationalities: {
+            "Oceanian": "Oceania Passport Office",
+            "Continental": "Continental Travel Authority"
+        },
+        occupations: {
+            "tourism": ["accountant", "dive instructor"],
+            "commercial transport": ["delivery driver", "freight broker"],
+            "family visit": ["fisherman", "hotel receptionist"],
+            "fishing trip": ["angler", "boat mechanic"],
+            "business": ["souvenir vendor", "restaurant owner"]
+        },
+        places: ["the ferry ramp", "the vehicle inspection bay", "the passenger terminal"],
+        officials: ["a harbor master", "a smuggling task force agent", "your shift supervisor"]
+    },
+    alpinia_metropol: {
+        purposes: ["scientific research", "mountaineering expedition", "tourism", "mineral survey", "family visit"],
+        backstories: {
+            "scientific research": "{name} is a glaciologist returning to a monitoring station above the pass.",
+            "mountaineering expedition": "{name} leads a small climbing party attempting the northern ridge.",
+            "family visit": "{name} is visiting a cousin who sells alpine cheese in the Metropol markets."
+        },
+        credential: {
+            field: "research_authorization",
+            title: "Research Authorization",
+            appliesTo: ["scientific research", "mineral survey", "mountaineering expedition"],
+            valid: ["RA-Alpinia Institute #5512", "RA-Alpinia Institute #1209"],
+            forged: ["RA-Alpinia Instutite #5512", "Research letter (unstamped)"]
+        },
+        nationalities: {
+            "Alpinian": "Alpinia Federal Chancery",
+            "Metropolitan": "Metropol City Registrar"
+        },
+        occupations: {
+            "scientific research": ["glaciologist", "botanist"],
+            "mountaineering expedition": ["mountain guide", "expedition photographer"],
+            "tourism": ["architect", "software developer"],
+            "mineral survey": ["geologist", "survey technician"],
+            "family visit": ["cheesemaker", "bank clerk"]
+        },
+        places: ["the snowbound checkpoint hut", "the equipment inspection shed", "the pass gate"],
+        officials: ["an environmental warden", "a mountain rescue officer", "your shift supervisor"]
+    },
+    desert_emirates_republic: {
+        purposes: ["energy sector work", "diplomatic mission", "business", "tourism", "family visit"],
+        backstories: {
+            "energy sector work": "{name} is a pipeline engineer rotating onto a two-week offshore shift.",
+            "diplomatic mission": "{name} is attached to a trade delegation negotiating refinery contracts.",
+            "tourism": "{name} is visiting the old souks before returning to the Republic."
+        },
+        credential: {
+            field: "sector_clearance",
+            title: "Sector Clearance",
+            appliesTo: ["energy sector work", "diplomatic mission"],
+            valid: ["Clearance EC-Level 2 (verified)", "Diplomatic immunity (verified)"],
+            forged: ["Clearance EC-Level 9", "Diplomatic immunity (unverified)"]
+        },
+        nationalities: {
+            "Emirati": "Emirates Directorate of Residency",
+            "Republican": "Republic Interior Ministry"
+        },
+        occupations: {
+            "energy sector work": ["pipeline engineer", "refinery technician"],
+            "diplomatic mission": ["trade attaché", "embassy secretary"],
+            "business": ["import merchant", "contract lawyer"],
+            "tourism": ["photographer", "university lecturer"],
+            "family visit": ["pharmacist", "taxi driver"]
+        },
+        places: ["the diplomatic lane", "the energy workers' gate", "the air-conditioned processing hall"],
+        officials: ["an embassy attaché", "an energy ministry auditor", "your shift supervisor"]
+    },
+    frozen_archipelago_mainland: {
+        purposes: ["traditional fishing", "cultural exchange", "family visit", "artifact transport", "trade"],
+        backstories: {
+            "traditional fishing": "{name} fishes the traditional waters each winter as their family has for generations.",
+            "artifact transport": "{name} is bringing carvings to a heritage exhibition on the mainland.",
+            "family visit": "{name} is crossing the ice bridge to visit elders in the island villages."
+        },
+        credential: {
+            field: "tribal_verification",
+            title: "Tribal Verification",
+            appliesTo: ["traditional fishing", "cultural exchange", "artifact transport"],
+            valid: ["Verified by Council of Elders", "Heritage certificate #HC-118"],
+            forged: ["Verified by Counsel of Elders", "Heritage certificate (photocopy)"]
+        },
+        nationalities: {
+            "Archipelagic": "Archipelago Council Registry",
+            "Mainlander": "Mainland Identity Bureau"
+        },
+        occupations: {
+            "traditional fishing": ["ice fisher", "net maker"],
+            "cultural exchange": ["storyteller", "museum curator"],
+            "family visit": ["sled builder", "teacher"],
+            "artifact transport": ["carver", "heritage courier"],
+            "trade": ["fur trader", "general store owner"]
+        },
+        places: ["the ice bridge checkpoint", "the heritage inspection tent", "the sled lane"],
+        officials: ["a tribal council representative", "a heritage officer", "your shift supervisor"]
+    }
+};
+
+// --- Helpers ---
+
+/**
+ * Substitutes {placeholders} in a template string.
+ * @param {string} template - Template containing {key} placeholders.
+ * @param {object} values - Values to substitute.
+ * @returns {string} The filled template.
+ */
+function fill(template, values) {
+    const filled = template.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+    return filled.charAt(0).toUpperCase() + filled.slice(1);
+}
+
+/**
+ * Gets the template set for a setting, deriving a generic one from the setting data
+ * when the setting has no hand-written templates.
+ * @param {object} setting - The border setting.
+ * @returns {object} Template set.
+ */
+function getSettingTemplates(setting) {
+    if (setting?.id && SETTING_TEMPLATES[setting.id]) {
+        return SETTING_TEMPLATES[setting.id];
+    }
+    // Derive a credential from the first setting-specific requirement (skip the shared permit rule)
+    const requirement = (setting?.document_requirements || []).find(req => !/^Permit must/i.test(req)) || "Special authorization";
+    return {
+        purposes: ["business", "tourism", "family visit", "transit"],
+        backstories: {},
+        credential: {
+            // e.g. "Scientific personnel require research authorization" -> "research_authorization"
+            field: requirement.toLowerCase().replace(/[^a-z\s-]/g, '').split(/\s+/).slice(-2).join('_'),
+            title: requirement.replace(/[^A-Za-z\s-]/g, '').split(/\s+/).slice(-2).map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '),
+            appliesTo: ["business"],
+            valid: ["Verified"],
+            forged: ["Unverified"]
+        },
+        nationalities: {
+            "Resident": "National Passport Office",
+            "Foreign": "Foreign Travel Bureau"
+        },
+        occupations: {},
+        places: ["the checkpoint"],
+        officials: ["your shift supervisor"]
+    };
+}
+
+/**
+ * Formats a field key for prose (e.g. "trade_visa_stamp" -> "trade visa stamp").
+ * @param {string} field - The field key.
+ * @returns {string}
+ */
+function humanizeField(field) {
+    return field.replace(/_/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+}
+
+/**
+ * Checks the permit format ('P' followed by 4 digits).
+ * @param {string} permit - The permit number.
+ * @returns {boolean}
+ */
+function isValidPermitFormat(permit) {
+    return typeof permit === 'string' && /^P\d{4}$/.test(permit);
+}
+
+// --- Generators ---
+
+/**
+ * Generates a full name from the offline name pools, avoiding names already used. The names to avoid
+ * come from the saved career (not from this process), so a seed gives the same names however the
+ * career was reached: started fresh, rewound or loaded.
+ * @param {Set<string>|string[]} [usedNames=new Set()] - Names to avoid.
+ * @returns {string} A first and last name.
+ */
+function generateOfflineName(usedNames = new Set()) {
+    const used = new Set(usedNames);
+    let name;
+    let attempts = 0;
+    do {
+        name = `${pick(FIRST_NAMES)} ${pick(LAST_NAMES)}`;
+        attempts += 1;
+    } while (used.has(name) && attempts < 50);
+    return name;
+}
+
+/**
+ * Generates a passport number: two letters from the nationality and six digits (e.g. "EA-204817").
+ * @param {string} nationality - The nationality.
+ * @returns {string}
+ */
+function generatePassportNumber(nationality) {
+    const prefix = nationality.replace(/[^A-Za-z]/g, '').slice(0, 2).toUpperCase();
+    return `${prefix}-${String(randomInt(0, 999999)).padStart(6, '0')}`;
+}
+
+/**
+ * Generates the typed identity fields of a traveler: birth date, nationality, passport number, issuing authority,
+ * issue/expiry dates, permit expiry and an occupation matching the purpose of visit. Papers are valid on the reference date.
+ * @param {object} setting - The border setting.
+ * @param {string} purpose - Purpose of visit.
+ * @param {string} [referenceDate=DEFAULT_CALENDAR_START] - ISO date (the current game date) the papers must be valid on.
+ * @returns {{date_of_birth: string, nationality: string, passport_number: string, issuing_authority: string, issue_date: string, expiry_date: string, permit_expiry: string, occupation: string}}
+ */
+function generateOfflineIdentity(setting, purpose, referenceDate = DEFAULT_CALENDAR_START) {
+    const templates = getSettingTemplates(setting);
+    const nationality = pick(Object.keys(templates.nationalities));
+    const issueDate = addDays(referenceDate, -randomInt(30, 1800));
+    return {
+        date_of_birth: addDays(addYears(referenceDate, -randomInt(18, 70)), -randomInt(0, 364)),
+        nationality,
+        passport_number: generatePassportNumber(nationality),
+        issuing_authority: templates.nationalities[nationality],
+        issue_date: issueDate,
+        expiry_date: addYears(issueDate, 5), // Passports run five years
+        permit_expiry: addDays(referenceDate, randomInt(7, 90)),
+        occupation: pick(templates.occupations[purpose] || GENERIC_OCCUPATIONS)
+    };
+}
+
+/**
+ * Generates a clean, internally consistent traveler document for a border setting.
+ * Planted flaws are applied afterwards by documents.js.
+ * @param {object} setting - The border setting.
+ * @param {string} permit - The permit number to put on the document.
+ * @param {string|null} [purpose=null] - Purpose of visit; picked from the setting templates when null.
+ * @param {string} [currentDate=DEFAULT_CALENDAR_START] - Current game date (ISO) the papers must be valid on.
+ * @param {Set<string>|string[]} [usedNames=new Set()] - Names already used in the career (see generateOfflineName).
+ * @returns {import('./documents.js').TravelerDocument} The document.
+ */
+function generateOfflineDocument(setting, permit, purpose = null, currentDate = DEFAULT_CALENDAR_START, usedNames = new Set()) {
+    const templates = getSettingTemplates(setting);
+    const name = generateOfflineName(usedNames);
+    purpose = purpose || pick(templates.purposes);
+    const identity = generateOfflineIdentity(setting, purpose, currentDate);
+
+    const backstoryPool = templates.backstories[purpose]
+        ? [...BACKSTORY_TEMPLATES, templates.backstories[purpose], templates.backstories[purpose]] // Favor flavor text
+        : BACKSTORY_TEMPLATES;
+    const backstory = fill(pick(backstoryPool), { name, purpose });
+
+    const additional_fields = {};
+
+    // Add 1-2 generic fields
+    const fieldKeys = Object.keys(POSSIBLE_FIELDS);
+    const numFields = Math.floor(random() * 2) + 1;
+    for (let i = 0; i < numFields; i++) {
+        const key = pick(fieldKeys);
+        additional_fields[key] = pick(POSSIBLE_FIELDS[key]);
+    }
+
+    const credentials = {};
+    if (templates.credential.appliesTo.includes(purpose)) {
+        credentials[templates.credential.field] = pick(templates.credential.valid);
+    }
+
+    console.log(chalk.blue(`Offline: Generated document for ${name}`));
+    return { name, permit, ...identity, purpose_of_visit: purpose, credentials, backstory, additional_fields };
+}
+
+/**
+ * Finds issues in a document with the mechanical checks used by the offline judge and hints.
+ * @param {object} doc - The traveler document.
+ * @param {object} setting - The border setting.
+ * @param {string|null} [currentDate=null] - Current game date (ISO); expiry checks are skipped without it.
+ * @returns {Array<{field: string, description: string}>} Issues found (empty if the document looks clean).
+ */
+function findOfflineIssues(doc, setting, currentDate = null) {
+    const templates = getSettingTemplates(setting);
+    const issues = [];
+    const credentials = doc.credentials || {};
+    const name = String(doc.name || '').trim();
+
+    if (!isValidPermitFormat(doc.permit)) {
+        issues.push({ field: 'permit', description: `Invalid permit format: ${doc.permit}` });
+    }
+    if (name.split(/\s+/).length < 2) {
+        issues.push({ field: 'name', description: `Name lacks a surname: ${name}` });
+    } else if (doc.backstory && !doc.backstory.includes(name)) {
+        issues.push({ field: 'backstory', description: `Backstory does not match the name ${name}` });
+    }
+
+    findPaperDiscrepancies(doc).forEach(discrepancy => {
+        issues.push({ field: discrepancy.field, description: discrepancy.description });
+    });
+    if (currentDate) {
+        issues.push(...findDateIssues(doc, currentDate));
+    }
+
+    const credential = templates.credential;
+    const purpose = doc.purpose_of_visit;
+    if (purpose && credential.appliesTo.includes(purpose)) {
+        const value = credentials[credential.field];
+        if (!value) {
+            issues.push({ field: credential.field, description: `Missing ${credential.title} for ${purpose}` });
+        } else if (!credential.valid.includes(value)) {
+            issues.push({ field: credential.field, description: `Questionable ${humanizeField(credential.field)}: ${value}` });
+        }
+    }
+    return issues;
+}
+
+/**
+ * Judges a document procedurally.
+ * @param {object} doc - The traveler document.
+ * @param {object} setting - The border setting.
+ * @param {string|null} [currentDate=null] - Current game date (ISO).
+ * @returns {import('./api.js').AIJudgment} The judgment.
+ */
+function judgeOfflineDocument(doc, setting, currentDate = null) {
+    const issues = findOfflineIssues(doc, setting, currentDate);
+    if (issues.length > 0) {
+        return {
+            decision: 'deny',
+            confidence: Math.min(0.95, 0.75 + issues.length * 0.1),
+            reasoning: `${doc.name}'s papers show problems: ${issues.map(issue => issue.description.charAt(0).toLowerCase() + issue.description.slice(1)).join('; ')}.`,
+            suspicious_elements: issues.map(issue => issue.description)
+        };
+    }
+    return {
+        decision: 'approve',
+        confidence: 0.8,
+        reasoning: `${doc.name}'s permit, identity and supporting papers are consistent with ${setting?.name || 'border'} requirements.`,
+        suspicious_elements: []
+    };
+}
+
+/**
+ * Generates a subtle Veritas hint procedurally.
+ * @param {object} doc - The traveler document.
+ * @param {object} setting - The border setting.
+ * @param {string|null} [currentDate=null] - Current game date (ISO).
+ * @returns {string} The hint.
+ */
+function generateOfflineHint(doc, setting, currentDate = null) {
+    const issues = findOfflineIssues(doc, setting, currentDate);
+    if (issues.length > 0) {
+        const issue = pick(issues);
+        const field = humanizeField(issue.field);
+        return fill(pick([
+            "One might take a second look at the {field} presented by {name}.",
+            "Interesting detail... the {field} deserves closer attention.",
+            "The {field} on {name}'s papers seems unusual for this crossing."
+        ]), { field, name: doc.name });
+    }
+    const commonIssue = pick(setting?.common_issues || ["forged papers"]).toLowerCase();
+    return fill(pick([
+        "Reports of {issue} are common here, yet {name}'s papers appear orderly.",
+        "Nothing in {name}'s file stands out. Still, one might keep {issue} in mind.",
+        "{name}'s story and papers seem to align. One might note that is not always the case here."
+    ]), { issue: commonIssue, name: doc.name });
+}
+
+/**
+ * Generates a traveler's answer to the inspector's questions procedurally. A traveler whose papers
+ * have a problem the offline checks can see turns evasive about it.
+ * @param {object} doc - The traveler document.
+ * @param {object} setting - The border setting.
+ * @param {string|null} [currentDate=null] - Current game date (ISO).
+ * @returns {string} The answer, in the traveler's voice.
+ */
+function generateOfflineAnswer(doc, setting, currentDate = null) {
+    const purpose = doc.purpose_of_visit || "a visit";
+    const values = {
+        name: doc.name,
+        occupation: doc.occupation || "traveler",
+        purpose,
+        Purpose: purpose.charAt(0).toUpperCase() + purpose.slice(1), // Opening a quoted sentence
+        nationality: doc.nationality || "foreign",
+        place: pick(getSettingTemplates(setting).places)
+    };
+    const issues = findOfflineIssues(doc, setting, currentDate);
+    if (issues.length > 0) {
+        values.field = humanizeField(pick(issues).field);
+        return fill(pick([
+            "\"{Purpose}, like it says,\" {name} answers, then goes quiet when you ask about the {field}.",
+            "{name} talks at length about their work as a {occupation}, but changes the subject when the {field} comes up.",
+            "\"Is something wrong with my {field}?\" {name} asks before you have finished the question."
+        ]), values);
+    }
+    return fill(pick([
+        "\"I'm a {occupation}, {nationality} born, here for {purpose},\" {name} says, and waits.",
+        "{name} explains the trip without hesitation: {purpose}, then straight on past {place}.",
+        "\"Same as every time,\" {name} shrugs. \"{Purpose}. My papers are all there.\""
+    ]), values);
+}
+
+/**
+ * Generates a narrative update procedurally.
+ * @param {object} currentState - Current story state { day, corruption, trust }.
+ * @param {string} decision - Player's decision ('approve'/'deny').
+ * @param {boolean} isCorrect - Whether the decision was correct.
+ * @param {object|null} doc - The traveler document (may be null).
+ * @param {object|null} setting - The border setting (may be null).
+ * @returns {string} The narrative update.
+ */
+function generateOfflineNarrative(currentState, decision, isCorrect, doc, setting) {
+    const templates = getSettingTemplates(setting);
+    const values = {
+        name: doc?.name || "the traveler",
+        place: pick(templates.places),
+        official: pick(templates.officials)
+    };
+
+    const narratives = {
+        approve: {
+            correct: [
+                "{name} steps through {place} with a grateful nod.",
+                "{name} collects their papers and disappears into the crowd beyond {place}.",
+                "{official} barely looks up as {name} passes. Routine work, done right."
+            ],
+            incorrect: [
+                "{name} hurries past {place} a little too quickly. {official} makes a note.",
+                "Later that shift, {official} asks who let {name} through.",
+                "{name} slips past {place}. Somewhere, a report is being written."
+            ]
+        },
+        deny: {
+            correct: [
+                "{name} protests, but the flaws in their papers are plain. {official} nods at you.",
+                "{name} is escorted back from {place}. The queue moves on.",
+                "{official} takes {name}'s papers for further inspection."
+            ],
+            incorrect: [
+                "{name} leaves {place} in disbelief, clutching papers that seemed in order.",
+                "A complaint about {name}'s refusal reaches {official} before the shift ends.",
+                "{name} is turned away from {place}. Murmurs spread through the queue."
+            ]
+        }
+    };
+
+    const bucket = narratives[decision === 'approve' ? 'approve' : 'deny'][isCorrect ? 'correct' : 'incorrect'];
+    let narrative = fill(pick(bucket), values);
+
+    // Build tension as the career goes badly
+    const corruption = currentState?.corruption ?? 0;
+    const trust = currentState?.trust ?? 0;
+    if (corruption >= 3) {
+        narrative += " Rumors of bribes at your booth are spreading.";
+    } else if (trust <= -3) {
+        narrative += " Travelers whisper about the harshest agent on the line.";
+    }
+    return narrative;
+}
+
+export {
+    generateOfflineName,
+    generateOfflineDocument,
+    generateOfflineIdentity,
+    generatePassportNumber,
+    judgeOfflineDocument,
+    generateOfflineHint,
+    generateOfflineAnswer,
+    generateOfflineNarrative,
+    findOfflineIssues,
+    getSettingTemplates,
+    SETTING_TEMPLATES
+};
@@ -0,0 +1,359 @@
+/**
+ * Outcomes module for Veritaminal
+ * The outcome engine decides when and how a career ends. Every way a career can end is a condition:
+ * the corruption and trust limits set by the difficulty, the household falling apart (see economy.js),
+ * completing the configured number of days, and the custom end conditions of the career, such as "win: deny 3 travelers where nationality is
+ * Westorian" or "audit on day 8: corruption at most 2". The gameplay loop and the narrative both ask
+ * this engine, so endings and the thresholds behind them are decided in one place.
+ * Progress towards custom end conditions is kept in the saved gameState (`conditionProgress`).
+ */
+
+import chalk from 'chalk';
+import { parseRule, evaluateCheck } from './rules.js';
+import { getDifficultyPreset, getThresholds } from './difficulty.js';
+import { EVICTION_AFTER_DAYS, isFamilyLost } from './economy.js';
+
+/**
+ * @typedef {object} Ending
+ * @property {string} title - Display title.
+ * @property {string} message - Final message shown when the career ends.
+ * @property {boolean} completed - Whether the ending counts as a completed assignment.
+ */
+
+/** @type {Object<string, Ending>} */
+const ENDINGS = {
+    good: {
+        title: "Commendable Service",
+        message: "You skillfully navigated the complexities of the border, balancing security and fairness. Your commendable service earns you recognition.",
+        completed: true
+    },
+    neutral_corrupt: {
+        title: "Lined Pockets",
+        message: "You completed your assignment, lining your pockets along the way. You avoided arrest, but live with the compromises you made.",
+        completed: true
+    },
+    neutral_strict: {
+        title: "By the Book",
+        message: "You completed your assignment with rigid adherence to the rules. The border is secure, but perhaps at the cost of compassion.",
+        completed: true
+    },
+    bad_corrupt: {
+        title: "Disgraced",
+        message: "Internal affairs officers escort you away. Your career ends in disgrace due to overwhelming evidence of corruption.",
+        completed: false
+    },
+    bad_strict: {
+        title: "Reassigned",
+        message: "You are reassigned to a remote outpost. Your overly strict enforcement caused too many diplomatic complaints.",
+        completed: false
+    },
+    evicted: {
+        title: "Evicted",
+        message: "The landlord has waited long enough. Your family is turned out into the street, and the ministry has no use for an inspector without an address.",
+        completed: false
+    },
+    family_lost: {
+        title: "Alone",
+        message: "Your family did not survive the hardship of your posting. You hand in your badge and leave the border behind.",
+        completed: false
+    },
+    objective_met: {
+        title: "Mission Accomplished",
+        message: "Your orders are carried out and you are recalled with honors before the assignment runs its course.",
+        completed: true
+    },
+    objective_failed: {
+        title: "Relieved of Duty",
+        message: "Your superiors have seen enough. You are relieved of duty before the assignment runs its course.",
+        completed: false
+    },
+    audit_failed: {
+        title: "Failed Audit",
+        message: "The auditors close their files and ask for your badge. Your post goes to someone with a cleaner record.",
+        completed: false
+    }
+};
+
+// Titles of the built-in endings, reachable in every career, keyed by ending type
+const ENDING_TITLES = Object.fromEntries(
+    ['good', 'neutral_corrupt', 'neutral_strict', 'bad_corrupt', 'bad_strict', 'evicted', 'family_lost'].map(type => [type, ENDINGS[type].title])
+);
+
+// Custom end condition syntax (see parseEndCondition)
+const DECISIONS_PATTERN = /^(win|lose)\s*:\s*(approve|deny)\s+(\d+)\s+travell?ers?(?:\s+where\s+(.+))?$/i;
+const AUDIT_PATTERN = /^audit\s+on\s+day\s+(\d+)\s*:\s*(corruption|trust|accuracy)\s+(at most|at least)\s+(-?\d+(?:\.\d+)?)(%?)$/i;
+
+// Examples of custom end conditions, shown on the end conditions screen
+const END_CONDITION_EXAMPLES = [
+    "win: deny 3 travelers where nationality is Westorian",
+    "lose: approve 2 travelers where purpose of visit is business",
+    "audit on day 8: corruption at most 2",
+    "audit on day 5: accuracy at least 80%"
+];
+
+/**
+ * @typedef {object} EndCondition
+ * @property {string} text - The condition in its canonical spelling; also its key in `conditionProgress`.
+ * @property {('decisions'|'audit')} kind - Counts decisions, or audits the record at the end of a day.
+ * @property {('win'|'lose')} [result] - For 'decisions': whether reaching the count wins or loses the career.
+ * @property {('approve'|'deny')} [decision] - For 'decisions': the decision counted.
+ * @property {number} [count] - For 'decisions': decisions needed.
+ * @property {import('./rules.js').RuleCheck|null} [where] - For 'decisions': travelers counted (null for any).
+ * @property {number} [day] - For 'audit': the day whose end the audit falls on.
+ * @property {('corruption'|'trust'|'accuracy')} [stat] - For 'audit': the statistic audited.
+ * @property {('at most'|'at least')} [op] - For 'audit': how the statistic is compared.
+ * @property {number} [value] - For 'audit': the required value (accuracy as a fraction).
+ */
+
+/**
+ * @typedef {object} Outcome
+ * @property {boolean} isGameOver - Whether the career has ended.
+ * @property {string|null} endingType - Key in ENDINGS.
+ * @property {string|null} endingMessage - Final message.
+ * @property {boolean} completed - Whether the ending counts as a completed assignment.
+ * @property {('limit'|'household'|'audit'|'objective'|'assignment'|null)} reason - What ended the career.
+ */
+
+/**
+ * Parses a custom end condition.
+ * Syntax: `win|lose: approve|deny <n> travelers [where <rule>]`, where the rule (see parseRule in
+ * rules.js) picks the travelers counted, or `audit on day <n>: corruption|trust|accuracy at most|at least <value>`.
+ * @param {string} text - The condition as written.
+ * @param {number|null} [totalDays=null] - Length of the assignment; audits after its last day are rejected.
+ * @returns {EndCondition}
+ * @throws {Error} If the condition is not valid end condition syntax, or audits a day the assignment never reaches.
+ */
+function parseEndCondition(text, totalDays = null) {
+    const condition = String(text ?? '').trim().replace(/\s+/g, ' ');
+    const decisions = condition.match(DECISIONS_PATTERN);
+    if (decisions) {
+        const [, result, decision, count, where] = decisions;
+        if (Number(count) < 1) {
+            throw new Error("The number of travelers must be at least 1.");
+        }
+        let check = null;
+        if (where) {
+            try {
+                check = parseRule(where);
+            } catch (e) {
+                throw new Error(`In 'where': ${e.message}`);
+            }
+        }
+        const text = `${result.toLowerCase()}: ${decision.toLowerCase()} ${Number(count)} traveler${Number(count) === 1 ? '' : 's'}${where ? ` where ${where}` : ''}`;
+        return { text, kind: 'decisions', result: result.toLowerCase(), decision: decision.toLowerCase(), count: Number(count), where: check };
+    }
+
+    const audit = condition.match(AUDIT_PATTERN);
+    if (audit) {
+        const [, day, stat, op, value, percent] = audit;
+        const statName = stat.toLowerCase();
+        if (Number(day) < 1) {
+            throw new Error("The audit day must be at least 1.");
+        }
+        if (totalDays !== null && Number(day) > totalDays) {
+            throw new Error(`The assignment lasts ${totalDays} days, so an audit on day ${Number(day)} would never happen.`);
+        }
+        if (percent && statName !== 'accuracy') {
+            throw new Error("Only accuracy is given as a percentage.");
+        }
+        const required = statName === 'accuracy' && (percent || Number(value) > 1) ? Number(value) / 100 : Number(value);
+        const text = `audit on day ${Number(day)}: ${statName} ${op.toLowerCase()} ${formatAuditedValue(statName, required)}`;
+        return { text, kind: 'audit', day: Number(day), stat: statName, op: op.toLowerCase(), value: required };
+    }
+
+    throw new Error(`Not an end condition. Try e.g. '${END_CONDITION_EXAMPLES[0]}' or '${END_CONDITION_EXAMPLES[2]}'.`);
+}
+
+/**
+ * Lists the audits among a career's end conditions that fall after its last day.
+ * @param {string[]} endConditions - End conditions as stored in the game configuration.
+ * @param {number} totalDays - Length of the assignment.
+ * @returns {string[]} The unreachable audits.
+ */
+function getUnreachableAudits(endConditions, totalDays) {
+    return endConditions.filter(text => {
+        const condition = parseEndCondition(text);
+        return condition.kind === 'audit' && condition.day > totalDays;
+    });
+}
+
+/**
+ * Gets the display title of an ending.
+ * @param {string} endingType - Key in ENDINGS.
+ * @returns {string}
+ */
+function getEndingTitle(endingType) {
+    return ENDINGS[endingType]?.title ?? endingType;
+}
+
+/**
+ * Reads an audited statistic from the game state.
+ * @param {object} gameState - The saved gameState.
+ * @param {('corruption'|'trust'|'accuracy')} stat - The statistic.
+ * @returns {number}
+ */
+function getAuditedValue(gameState, stat) {
+    if (stat === 'accuracy') {
+        return gameState.decisionsMade > 0 ? gameState.correctDecisions / gameState.decisionsMade : 1;
+    }
+    return gameState[stat];
+}
+
+/**
+ * Formats an audited statistic for display.
+ * @param {('corruption'|'trust'|'accuracy')} stat - The statistic.
+ * @param {number} value - Its value.
+ * @returns {string}
+ */
+function formatAuditedValue(stat, value) {
+    return stat === 'accuracy' ? `${Math.round(value * 1000) / 10}%` : String(value);
+}
+
+class OutcomeEngine {
+    /**
+     * Decides when and how a career ends.
+     * @param {object} [config={}] - The career's configuration.
+     * @param {import('./difficulty.js').Difficulty} [config.difficulty=getDifficultyPreset()] - Sets the corruption and trust limits.
+     * @param {number} [config.totalDays=10] - Days in the assignment.
+     * @param {string[]} [config.endConditions=[]] - Custom end conditions (see parseEndCondition).
+     */
+    constructor({ difficulty = getDifficultyPreset(), totalDays = 10, endConditions = [] } = {}) {
+        this.thresholds = getThresholds(difficulty);
+        this.totalDays = totalDays;
+        /** @type {EndCondition[]} */
+        this.conditions = endConditions.map(text => parseEndCondition(text));
+    }
+
+    /**
+     * Gets the ending the inspector is heading for: corrupt or strict once well past a warning level.
+     * @param {{corruption: number, trust: number}} state - Current corruption and trust.
+     * @returns {('neutral'|'corrupt'|'strict')}
+     */
+    getEndingPath(state) {
+        if (state.corruption >= this.thresholds.corruptionWarning + 1) { // Tend towards corrupt if well past warning
+            return "corrupt";
+        }
+        if (state.trust <= this.thresholds.trustWarning - 1) { // Tend towards strict if well past warning
+            return "strict";
+        }
+        return "neutral";
+    }
+
+    /**
+     * Counts a decision towards the custom end conditions it matches.
+     * @param {Object<string, number|string>} progress - The saved `conditionProgress`.
+     * @param {object} document - The traveler's document.
+     * @param {('approve'|'deny')} decision - The inspector's decision.
+     * @param {import('./rules.js').RuleContext} [context={}] - Evaluation context for `where` rules.
+     * @returns {Object<string, number|string>} The updated progress.
+     */
+    recordDecision(progress, document, decision, context = {}) {
+        const updated = { ...progress };
+        this.conditions
+            .filter(condition => condition.kind === 'decisions' && condition.decision === decision)
+            .filter(condition => !condition.where || evaluateCheck(condition.where, document, context).passed)
+            .forEach(condition => {
+                updated[condition.text] = (updated[condition.text] || 0) + 1;
+            });
+        return updated;
+    }
+
+    /**
+     * Runs the audits that fall at the end of a day.
+     * @param {object} gameState - The saved gameState at the end of the day.
+     * @param {number} day - The day that is ending.
+     * @returns {{progress: Object<string, number|string>, audits: Array<{condition: EndCondition, passed: boolean, message: string}>}}
+     */
+    runAudits(gameState, day) {
+        const progress = { ...gameState.conditionProgress };
+        const audits = this.conditions
+            .filter(condition => condition.kind === 'audit' && condition.day === day)
+            .map(condition => {
+                const value = getAuditedValue(gameState, condition.stat);
+                const passed = condition.op === 'at most' ? value <= condition.value : value >= condition.value;
+                progress[condition.text] = passed ? 'passed' : 'failed';
+                const message = `Day ${day} audit ${passed ? 'passed' : 'failed'}: ${condition.stat} ${formatAuditedValue(condition.stat, value)}, required ${condition.op} ${formatAuditedValue(condition.stat, condition.value)}.`;
+                console.log((passed ? chalk.green : chalk.red)(`Outcomes: ${message}`));
+                return { condition, passed, message };
+            });
+        return { progress, audits };
+    }
+
+    /**
+     * Decides whether the career has ended, checking in order: the corruption and trust limits,
+     * unpaid rent and the loss of the family, failed audits, custom conditions that lose, custom conditions that win, and the end of the assignment.
+     * @param {object} gameState - The saved gameState.
+     * @returns {Outcome}
+     */
+    evaluate(gameState) {
+        const progress = gameState.conditionProgress || {};
+        const ending = (endingType, reason, message = ENDINGS[endingType].message) => ({
+            isGameOver: true, endingType, endingMessage: message, completed: ENDINGS[endingType].completed, reason
+        });
+        const reached = (result) => this.conditions.find(condition =>
+            condition.kind === 'decisions' && condition.result === result && (progress[condition.text] || 0) >= condition.count);
+
+        if (gameState.corruption >= this.thresholds.corruptionGameOver) {
+            return ending('bad_corrupt', 'limit');
+        }
+        if (gameState.trust <= this.thresholds.trustGameOver) {
+            return ending('bad_strict', 'limit');
+        }
+        if ((gameState.rentOwed || 0) >= EVICTION_AFTER_DAYS) {
+            return ending('evicted', 'household');
+        }
+        if (isFamilyLost(gameState.family || [])) {
+            return ending('family_lost', 'household');
+        }
+        const failedAudit = this.conditions.find(condition => condition.kind === 'audit' && progress[condition.text] === 'failed');
+        if (failedAudit) {
+            return ending('audit_failed', 'audit', `${ENDINGS.audit_failed.message} (Audit on day ${failedAudit.day}: ${failedAudit.stat} ${failedAudit.op} ${formatAuditedValue(failedAudit.stat, failedAudit.value)}.)`);
+        }
+        const lost = reached('lose');
+        if (lost) {
+            return ending('objective_failed', 'objective', `${ENDINGS.objective_failed.message} (${lost.text})`);
+        }
+        const won = reached('win');
+        if (won) {
+            return ending('objective_met', 'objective', `${ENDINGS.objective_met.message} (${won.text})`);
+        }
+        if (gameState.day > this.totalDays) {
+            return this.getNormalEnding(gameState);
+        }
+        return { isGameOver: false, endingType: null, endingMessage: null, completed: false, reason: null };
+    }
+
+    /**
+     * Gets the ending of an assignment served to the end, from the path the inspector is on.
+     * @param {{corruption: number, trust: number}} state - Final corruption and trust.
+     * @returns {Outcome}
+     */
+    getNormalEnding(state) {
+        const endingType = { corrupt: 'neutral_corrupt', strict: 'neutral_strict', neutral: 'good' }[this.getEndingPath(state)];
+        return { isGameOver: true, endingType, endingMessage: ENDINGS[endingType].message, completed: true, reason: 'assignment' };
+    }
+
+    /**
+     * Describes the custom end conditions with the progress made towards them.
+     * @param {Object<string, number|string>} [progress={}] - The saved `conditionProgress`.
+     * @returns {string[]} One line per condition.
+     */
+    describeProgress(progress = {}) {
+        return this.conditions.map(condition => {
+            const state = progress[condition.text];
+            return condition.kind === 'decisions'
+                ? `${condition.text} (${Math.min(state || 0, condition.count)}/${condition.count})`
+                : `${condition.text} (${state ?? 'pending'})`;
+        });
+    }
+}
+
+export {
+    OutcomeEngine,
+    parseEndCondition,
+    getUnreachableAudits,
+    getEndingTitle,
+    ENDINGS,
+    ENDING_TITLES,
+    END_CONDITION_EXAMPLES
+};
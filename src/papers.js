@@ -0,0 +1,188 @@
+/**
+ * Papers module for Veritaminal
+ * Assembles the bundle of papers a traveler presents (passport, entry permit and the border-specific paper)
+ * from the typed document, cross-references fields that appear on more than one paper and checks
+ * printed dates against the game calendar.
+ */
+
+import { isValidDate, compareDates } from './dates.js';
+
+/**
+ * @typedef {object} Paper
+ * @property {('passport'|'entry_permit'|'border_paper')} type - Paper type.
+ * @property {string} title - Title shown to the player (e.g. "Trade Visa").
+ * @property {Object<string, string>} fields - Field values keyed by TravelerDocument field key
+ *   (the border paper also carries the credential keyed by the credential field).
+ */
+
+// Document fields printed on each paper, in display order
+const PAPER_LAYOUTS = {
+    passport: {
+        title: 'Passport',
+        fields: ['name', 'date_of_birth', 'nationality', 'passport_number', 'issuing_authority', 'issue_date', 'expiry_date']
+    },
+    entry_permit: {
+        title: 'Entry Permit',
+        fields: ['permit', 'name', 'passport_number', 'nationality', 'purpose_of_visit', 'occupation', 'permit_expiry']
+    },
+    border_paper: {
+        title: null, // Taken from the setting's credential
+        fields: ['name', 'date_of_birth', 'passport_number']
+    }
+};
+
+/**
+ * Formats a field key as a label (e.g. "passport_number" -> "Passport number").
+ * @param {string} field - The field key.
+ * @returns {string}
+ */
+function formatFieldName(field) {
+    const text = field.replace(/_/g, ' ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Builds the papers for a document. The border paper is included only when the traveler
+ * holds the setting's credential.
+ * @param {import('./documents.js').TravelerDocument} doc - The typed document.
+ * @param {{field: string, title: string}} credential - The setting's credential definition.
+ * @returns {Paper[]} The papers, passport first.
+ */
+function assemblePapers(doc, credential) {
+    const fromLayout = (type, title) => ({
+        type,
+        title,
+        fields: Object.fromEntries(PAPER_LAYOUTS[type].fields.map(key => [key, String(doc[key] ?? '')]))
+    });
+
+    const papers = [
+        fromLayout('passport', PAPER_LAYOUTS.passport.title),
+        fromLayout('entry_permit', PAPER_LAYOUTS.entry_permit.title)
+    ];
+    const credentialValue = doc.credentials?.[credential.field];
+    if (credentialValue) {
+        const borderPaper = fromLayout('border_paper', credential.title);
+        borderPaper.fields[credential.field] = credentialValue;
+        papers.push(borderPaper);
+    }
+    return papers;
+}
+
+/**
+ * Gets a paper from a document by type.
+ * @param {import('./documents.js').TravelerDocument} doc - The document.
+ * @param {string} type - Paper type.
+ * @returns {Paper|null}
+ */
+function getPaper(doc, type) {
+    return (doc?.papers || []).find(paper => paper.type === type) || null;
+}
+
+/**
+ * Sets a field on the document and on every paper that prints it, keeping the papers in agreement.
+ * Credential fields are stored under `doc.credentials`.
+ * @param {import('./documents.js').TravelerDocument} doc - The document.
+ * @param {string} key - Field key.
+ * @param {string} value - New value.
+ */
+function setDocumentField(doc, key, value) {
+    if (doc.credentials && key in doc.credentials) {
+        doc.credentials[key] = value;
+    } else {
+        doc[key] = value;
+    }
+    (doc.papers || []).forEach(paper => {
+        if (key in paper.fields) {
+            paper.fields[key] = value;
+        }
+    });
+}
+
+/**
+ * Sets a field on a single paper only, creating a discrepancy with the other papers.
+ * @param {import('./documents.js').TravelerDocument} doc - The document.
+ * @param {string} type - Paper type.
+ * @param {string} key - Field key.
+ * @param {string} value - New value.
+ */
+function setPaperField(doc, type, key, value) {
+    const paper = getPaper(doc, type);
+    if (paper) {
+        paper.fields[key] = value;
+    }
+}
+
+/**
+ * Removes a paper from a document.
+ * @param {import('./documents.js').TravelerDocument} doc - The document.
+ * @param {string} type - Paper type.
+ */
+function removePaper(doc, type) {
+    doc.papers = (doc.papers || []).filter(paper => paper.type !== type);
+}
+
+/**
+ * Cross-references the papers: every field printed on more than one paper must have the same value.
+ * @param {import('./documents.js').TravelerDocument} doc - The document.
+ * @returns {Array<{field: string, papers: string[], description: string}>} One entry per disagreeing field.
+ */
+function findPaperDiscrepancies(doc) {
+    const occurrences = new Map(); // field -> [{paper, value}]
+    (doc?.papers || []).forEach(paper => {
+        Object.entries(paper.fields).forEach(([field, value]) => {
+            if (!occurrences.has(field)) {
+                occurrences.set(field, []);
+            }
+            occurrences.get(field).push({ paper, value });
+        });
+    });
+
+    const discrepancies = [];
+    occurrences.forEach((entries, field) => {
+        if (new Set(entries.map(entry => entry.value)).size > 1) {
+            discrepancies.push({
+                field,
+                papers: entries.map(entry => entry.paper.type),
+                description: `${formatFieldName(field)} differs between papers: ${entries.map(entry => `${entry.paper.title} says '${entry.value}'`).join(', ')}`
+            });
+        }
+    });
+    return discrepancies;
+}
+
+/**
+ * Checks the dates printed on the papers against the current game date: the passport and
+ * entry permit must not be expired and the passport must not be issued in the future.
+ * @param {import('./documents.js').TravelerDocument} doc - The document.
+ * @param {string} currentDate - Current game date (ISO).
+ * @returns {Array<{field: string, description: string}>} Date issues found.
+ */
+function findDateIssues(doc, currentDate) {
+    const issues = [];
+    const passport = getPaper(doc, 'passport');
+    const permit = getPaper(doc, 'entry_permit');
+    const before = (a, b) => isValidDate(a) && isValidDate(b) && compareDates(a, b) < 0;
+
+    if (passport && before(passport.fields.expiry_date, currentDate)) {
+        issues.push({ field: 'expiry_date', description: `Passport expired on ${passport.fields.expiry_date}` });
+    }
+    if (passport && before(currentDate, passport.fields.issue_date)) {
+        issues.push({ field: 'issue_date', description: `Passport issue date ${passport.fields.issue_date} is in the future` });
+    }
+    if (permit && before(permit.fields.permit_expiry, currentDate)) {
+        issues.push({ field: 'permit_expiry', description: `Entry permit expired on ${permit.fields.permit_expiry}` });
+    }
+    return issues;
+}
+
+export {
+    PAPER_LAYOUTS,
+    assemblePapers,
+    getPaper,
+    setDocumentField,
+    setPaperField,
+    removePaper,
+    findPaperDiscrepancies,
+    findDateIssues,
+    formatFieldName
+};
@@ -0,0 +1,196 @@
+/**
+ * Profile module for Veritaminal
+ * Keeps the player's career record across app launches: games completed, total score, borders served,
+ * highest day reached, endings reached, decision accuracy per border, and achievement progress (see
+ * achievements.js). The record is stored in a single profile file, separate from the save slots, and
+ * is updated whenever a career ends.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+import { writeFileAtomic } from './memory.js';
+
+// Get the directory name of the current module
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+// Go one level up from src to get the project root
+const projectRoot = path.resolve(__dirname, '..');
+
+// Version of the profile file format
+const PROFILE_VERSION = 1;
+
+/**
+ * @typedef {object} BorderRecord
+ * @property {string} name - Border name.
+ * @property {number} games - Careers finished at this border.
+ * @property {number} completed - Assignments completed at this border (served to the end or objective met).
+ * @property {number} decisions - Decisions made at this border.
+ * @property {number} correct - Correct decisions made at this border.
+ * @property {number} bestScore - Best final score at this border.
+ * @property {number} highestDay - Highest day reached at this border.
+ */
+
+/**
+ * @typedef {object} CareerResult
+ * @property {string} settingId - ID of the border setting.
+ * @property {string} borderName - Border name.
+ * @property {number} score - Final score.
+ * @property {number} day - Last day served (capped at the assignment length).
+ * @property {string} endingType - Ending reached (see ENDINGS in outcomes.js).
+ * @property {boolean} completed - Whether the assignment was completed: served to the end, or its objective met.
+ * @property {number} decisions - Decisions made during the career.
+ * @property {number} correct - Correct decisions made during the career.
+ */
+
+/**
+ * Creates an empty career profile.
+ * @returns {object} Default profile.
+ */
+function createDefaultProfile() {
+    return {
+        version: PROFILE_VERSION,
+        gamesCompleted: 0,
+        totalScore: 0,
+        highestDay: 0,
+        endings: {},  // Ending type -> times reached
+        borders: {},  // Setting ID -> BorderRecord
+        stats: {},    // Achievement counters (see COUNTERS in achievements.js)
+        achievements: {}, // Achievement ID -> { unlockedAt }
+        playerName: null, // Name or initials entered for the leaderboards
+        updatedAt: null
+    };
+}
+
+/**
+ * Gets the decision accuracy of a record.
+ * @param {{decisions: number, correct: number}} record - A border record or the profile totals.
+ * @returns {number|null} Fraction of correct decisions, or null if no decisions were made.
+ */
+function getAccuracy(record) {
+    return record.decisions > 0 ? record.correct / record.decisions : null;
+}
+
+/**
+ * Reads a versioned JSON record file. A missing file gives null; an unreadable one, or one written by a
+ * newer version, is set aside (renamed with a .damaged suffix) so it is not overwritten, and gives null.
+ * @async
+ * @param {string} filePath - Absolute path of the file.
+ * @param {number} version - Newest format version this game understands.
+ * @param {string} label - What the file holds, for log messages (e.g. "Profile").
+ * @returns {Promise<object|null>} The parsed data, or null.
+ */
+async function readRecordFile(filePath, version, label) {
+    let text;
+    try {
+        text = await fs.readFile(filePath, 'utf8');
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            console.error(chalk.red(`${label}: Could not read ${filePath}: ${e.message}`));
+        }
+        return null;
+    }
+    try {
+        const data = JSON.parse(text);
+        if (data?.version > version) {
+            throw new Error(`${label} version ${data.version} is newer than this game supports (version ${version}).`);
+        }
+        return data;
+    } catch (e) {
+        const damagedFile = filePath.replace(/\.json$/, `.damaged-${Date.now()}.json`);
+        console.error(chalk.red(`${label}: ${e.message} Moved it to ${path.basename(damagedFile)} and started a new one.`));
+        await fs.rename(filePath, damagedFile).catch(() => {});
+        return null;
+    }
+}
+
+/**
+ * Writes a JSON record file atomically, creating its directory if needed.
+ * @async
+ * @param {string} filePath - Absolute path of the file.
+ * @param {object} data - Data to write.
+ * @param {string} label - What the file holds, for log messages.
+ * @returns {Promise<boolean>} True if the file was written.
+ */
+async function writeRecordFile(filePath, data, label) {
+    try {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+        return true;
+    } catch (e) {
+        console.error(chalk.red(`${label}: Failed to save ${filePath}: ${e.message}`));
+        return false;
+    }
+}
+
+class ProfileManager {
+    /**
+     * Manages the persistent career profile.
+     * @param {string} [profileDir="profile"] - Directory relative to project root to store the profile in.
+     */
+    constructor(profileDir = "profile") {
+        this.profilePath = path.join(projectRoot, profileDir);
+        this.profileFile = path.join(this.profilePath, 'career.json');
+        this.profile = createDefaultProfile();
+    }
+
+    /**
+     * Loads the profile from disk. A missing or unreadable profile starts empty (see readRecordFile).
+     * @async
+     * @returns {Promise<object>} The loaded profile.
+     */
+    async load() {
+        const data = await readRecordFile(this.profileFile, PROFILE_VERSION, "Profile");
+        this.profile = { ...createDefaultProfile(), ...data, version: PROFILE_VERSION };
+        return this.profile;
+    }
+
+    /**
+     * Writes the profile to disk.
+     * @async
+     * @returns {Promise<boolean>} True if the profile was saved.
+     */
+    async save() {
+        return await writeRecordFile(this.profileFile, this.profile, "Profile");
+    }
+
+    /**
+     * Adds a finished career to the profile.
+     * @param {CareerResult} result - How the career ended.
+     */
+    recordCareer(result) {
+        const profile = this.profile;
+        profile.gamesCompleted += 1;
+        profile.totalScore = Math.round((profile.totalScore + result.score) * 100) / 100;
+        profile.highestDay = Math.max(profile.highestDay, result.day);
+        profile.endings[result.endingType] = (profile.endings[result.endingType] || 0) + 1;
+
+        const border = profile.borders[result.settingId] ||= {
+            name: result.borderName, games: 0, completed: 0, decisions: 0, correct: 0, bestScore: 0, highestDay: 0
+        };
+        border.name = result.borderName;
+        border.games += 1;
+        border.completed = (border.completed || 0) + (result.completed ? 1 : 0);
+        border.decisions += result.decisions;
+        border.correct += result.correct;
+        border.bestScore = Math.max(border.bestScore, result.score);
+        border.highestDay = Math.max(border.highestDay, result.day);
+
+        profile.updatedAt = new Date().toISOString();
+        console.log(chalk.blue(`Profile: Recorded a ${result.endingType} ending at the ${result.borderName} (score ${result.score}).`));
+    }
+
+    /**
+     * Gets the totals across all borders.
+     * @returns {{bordersServed: number, decisions: number, correct: number, accuracy: number|null}}
+     */
+    getTotals() {
+        const borders = Object.values(this.profile.borders);
+        const decisions = borders.reduce((sum, border) => sum + border.decisions, 0);
+        const correct = borders.reduce((sum, border) => sum + border.correct, 0);
+        return { bordersServed: borders.length, decisions, correct, accuracy: getAccuracy({ decisions, correct }) };
+    }
+}
+
+export { ProfileManager, getAccuracy, readRecordFile, writeRecordFile, PROFILE_VERSION };
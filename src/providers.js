@@ -0,0 +1,312 @@
+/**
+ * Providers module for Veritaminal
+ * Defines the LLM provider interface used by api.js and the concrete providers:
+ * Google Gemini, OpenAI-compatible endpoints (llama.cpp, Ollama, etc.) and a scripted stub.
+ */
+
+import { GoogleGenAI, Type } from '@google/genai';
+import fs from 'fs';
+import chalk from 'chalk';
+
+// Default models per provider (overridable with VERITAMINAL_MODEL)
+const DEFAULT_MODELS = {
+    gemini: 'gemini-2.0-flash',
+    openai: 'local-model', // llama.cpp ignores the name, Ollama needs a real one (e.g. 'llama3.1')
+    scripted: 'scripted'
+};
+
+// Default base URL for OpenAI-compatible servers (llama.cpp server default port)
+const DEFAULT_OPENAI_BASE_URL = 'http://localhost:8080/v1';
+
+/**
+ * @typedef {object} GenerationRequest
+ * @property {string} prompt - The user prompt.
+ * @property {string} systemType - Key of the system instruction used (e.g. "ai_judgment").
+ * @property {string} systemInstruction - The resolved system instruction text.
+ * @property {number} maxTokens - Maximum number of tokens for the response.
+ * @property {number} temperature - Generation temperature.
+ * @property {string|null} responseMimeType - 'application/json' for JSON mode, otherwise null.
+ * @property {object|null} responseSchema - Provider-neutral JSON schema (lowercase JSON Schema types).
+ * @property {AbortSignal} [signal] - Optional signal used by the transport to cancel timed-out calls.
+ */
+
+/**
+ * Base class for LLM providers. Subclasses implement `generate`.
+ */
+class LLMProvider {
+    /**
+     * @param {string} name - Provider identifier ('gemini', 'openai', 'scripted').
+     * @param {string} model - Model name used by this provider.
+     */
+    constructor(name, model) {
+        this.name = name;
+        this.model = model;
+    }
+
+    /**
+     * Generates raw text for a request. JSON mode responses are returned as raw text
+     * and parsed by the caller.
+     * @async
+     * @param {GenerationRequest} request - The generation request.
+     * @returns {Promise<string>} The raw response text.
+     */
+    async generate(request) {
+        throw new Error(`Provider "${this.name}" does not implement generate().`);
+    }
+
+    /**
+     * Human readable description for logs and status displays.
+     * @returns {string}
+     */
+    describe() {
+        return `${this.name} (${this.model})`;
+    }
+}
+
+/**
+ * Converts a provider-neutral JSON schema into the Gemini schema format (Type enum).
+ * @param {object|null} schema - Neutral schema.
+ * @returns {object|null} Gemini schema.
+ */
+function toGeminiSchema(schema) {
+    if (!schema || typeof schema !== 'object') return null;
+    const converted = { ...schema };
+    if (schema.type) {
+        converted.type = Type[String(schema.type).toUpperCase()] || Type.STRING;
+    }
+    if (schema.properties) {
+        converted.properties = Object.fromEntries(
+            Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+        );
+    }
+    if (schema.items) {
+        converted.items = toGeminiSchema(schema.items);
+    }
+    return converted;
+}
+
+/**
+ * Google Gemini provider using @google/genai.
+ */
+class GeminiProvider extends LLMProvider {
+    /**
+     * @param {object} options
+     * @param {string} options.apiKey - Gemini API key.
+     * @param {string} [options.model] - Model name.
+     */
+    constructor({ apiKey, model = DEFAULT_MODELS.gemini }) {
+        super('gemini', model);
+        this.ai = new GoogleGenAI({ apiKey: apiKey });
+    }
+
+    async generate(request) {
+        const response = await this.ai.models.generateContent({
+            model: this.model,
+            contents: request.prompt,
+            config: {
+                maxOutputTokens: request.maxTokens,
+                temperature: request.temperature,
+                systemInstruction: request.systemInstruction,
+                responseMimeType: request.responseMimeType,
+                responseSchema: toGeminiSchema(request.responseSchema),
+                abortSignal: request.signal,
+            }
+        });
+        return response.text ?? '';
+    }
+}
+
+/**
+ * Provider for OpenAI-compatible chat completion endpoints (llama.cpp server, Ollama, vLLM, ...).
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+    /**
+     * @param {object} options
+     * @param {string} [options.baseUrl] - Base URL including the /v1 prefix.
+     * @param {string} [options.apiKey] - Optional bearer token.
+     * @param {string} [options.model] - Model name.
+     */
+    constructor({ baseUrl = DEFAULT_OPENAI_BASE_URL, apiKey = null, model = DEFAULT_MODELS.openai }) {
+        super('openai', model);
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+    }
+
+    async generate(request) {
+        const body = {
+            model: this.model,
+            messages: [
+                { role: 'system', content: request.systemInstruction },
+                { role: 'user', content: request.prompt }
+            ],
+            max_tokens: request.maxTokens,
+            temperature: request.temperature
+        };
+
+        // JSON-schema mode: llama.cpp and Ollama both accept the json_schema response format. Not strict:
+        // the neutral schemas leave out additionalProperties, keep optional fields and use number formats,
+        // which OpenAI's strict mode rejects
+        if (request.responseMimeType === 'application/json') {
+            body.response_format = request.responseSchema
+                ? { type: 'json_schema', json_schema: { name: request.systemType, schema: request.responseSchema, strict: false } }
+                : { type: 'json_object' };
+        }
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body),
+            signal: request.signal
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text().catch(() => '');
+            const error = new Error(`OpenAI-compatible endpoint returned ${response.status}: ${errorText.slice(0, 200)}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        const data = await response.json();
+        return data?.choices?.[0]?.message?.content ?? '';
+    }
+}
+
+/**
+ * Builds a placeholder value that satisfies a neutral JSON schema.
+ * @param {object|null} schema - Neutral schema.
+ * @param {string} [key='value'] - Property name, used to make string values readable.
+ * @returns {any} A value matching the schema.
+ */
+function sampleFromSchema(schema, key = 'value') {
+    if (!schema) return `Scripted ${key}`;
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+    switch (schema.type) {
+        case 'object':
+            return Object.fromEntries(
+                Object.entries(schema.properties || {}).map(([prop, value]) => [prop, sampleFromSchema(value, prop)])
+            );
+        case 'array':
+            return [];
+        case 'number':
+            return 0.5;
+        case 'integer':
+            return 1;
+        case 'boolean':
+            return false;
+        default:
+            return `Scripted ${key}`;
+    }
+}
+
+/**
+ * Scripted stub provider. Serves canned responses per system type from a script,
+ * cycling through each list, or synthesizes schema-conforming placeholders.
+ *
+ * Script format: `{ "ai_judgment": [ {...}, ... ], "veritas_assistant": ["..."], "default": "..." }`.
+ */
+class ScriptedProvider extends LLMProvider {
+    /**
+     * @param {object} options
+     * @param {object} [options.script={}] - Map of system type to a response or list of responses.
+     */
+    constructor({ script = {} } = {}) {
+        super('scripted', DEFAULT_MODELS.scripted);
+        this.script = script;
+        this.cursors = {}; // Next response index per system type
+    }
+
+    /**
+     * Loads a script from a JSON file.
+     * @param {string} filepath - Path to the script file.
+     * @returns {ScriptedProvider}
+     */
+    static fromFile(filepath) {
+        const script = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+        return new ScriptedProvider({ script });
+    }
+
+    async generate(request) {
+        const entry = this.script[request.systemType] ?? this.script.default;
+
+        let response;
+        if (Array.isArray(entry) && entry.length > 0) {
+            const index = this.cursors[request.systemType] || 0;
+            response = entry[index % entry.length];
+            this.cursors[request.systemType] = index + 1;
+        } else if (entry !== undefined && !Array.isArray(entry)) {
+            response = entry;
+        } else if (request.responseMimeType === 'application/json') {
+            response = sampleFromSchema(request.responseSchema);
+        } else {
+            response = 'Scripted response.';
+        }
+
+        return typeof response === 'string' ? response : JSON.stringify(response);
+    }
+}
+
+/**
+ * Creates the provider selected by configuration. Options fall back to environment variables:
+ * VERITAMINAL_PROVIDER, VERITAMINAL_MODEL, GEMINI_API_KEY, OPENAI_BASE_URL, OPENAI_API_KEY
+ * and VERITAMINAL_SCRIPT_FILE.
+ * @param {object} [config={}] - Explicit configuration overriding the environment.
+ * @param {string} [config.provider] - 'gemini' | 'openai' | 'scripted' | 'offline'.
+ * @param {string} [config.model] - Model name.
+ * @returns {LLMProvider|null} The configured provider, or null when offline mode is selected.
+ * @throws {Error} If the provider is unknown or misconfigured.
+ */
+function createProvider(config = {}) {
+    const env = process.env;
+    const providerName = String(config.provider || env.VERITAMINAL_PROVIDER || 'gemini').toLowerCase();
+    const model = config.model || env.VERITAMINAL_MODEL || undefined;
+
+    switch (providerName) {
+        case 'gemini': {
+            const apiKey = config.apiKey || env.GEMINI_API_KEY;
+            if (!apiKey) {
+                const error = new Error('No API key found. Please set GEMINI_API_KEY in your .env file.');
+                error.code = 'MISSING_API_KEY';
+                throw error;
+            }
+            return new GeminiProvider({ apiKey, model });
+        }
+        case 'openai':
+        case 'local':
+        case 'ollama':
+        case 'llamacpp':
+            return new OpenAICompatibleProvider({
+                baseUrl: config.baseUrl || env.OPENAI_BASE_URL || DEFAULT_OPENAI_BASE_URL,
+                apiKey: config.apiKey || env.OPENAI_API_KEY || null,
+                model
+            });
+        case 'scripted':
+        case 'stub': {
+            const scriptFile = config.scriptFile || env.VERITAMINAL_SCRIPT_FILE;
+            if (scriptFile) {
+                console.log(chalk.blue(`Loading scripted provider responses from ${scriptFile}`));
+                return ScriptedProvider.fromFile(scriptFile);
+            }
+            return new ScriptedProvider({ script: config.script || {} });
+        }
+        case 'offline':
+            return null;
+        default:
+            throw new Error(`Unknown AI provider "${providerName}". Use gemini, openai, scripted or offline.`);
+    }
+}
+
+export {
+    LLMProvider,
+    GeminiProvider,
+    OpenAICompatibleProvider,
+    ScriptedProvider,
+    createProvider,
+    toGeminiSchema,
+    sampleFromSchema,
+    DEFAULT_MODELS
+};
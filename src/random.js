@@ -0,0 +1,143 @@
+/**
+ * Random module for Veritaminal
+ * One seedable random number generator for all game randomness outside the AI: traveler plans,
+ * planted flaws, offline content and judgments. Every career runs on a seed (drawn at random unless
+ * one is given with --seed or by the Daily Challenge), and the generator state is kept in the save,
+ * so a seed replays the same travelers in the same order and a resumed career continues the sequence.
+ */
+
+// Generator state (mulberry32): the seed it started from and its current 32-bit state
+let currentSeed = null;
+let state = 0;
+
+/**
+ * Hashes a seed string to a 32-bit generator state (FNV-1a).
+ * @param {string} text - The seed.
+ * @returns {number} Unsigned 32-bit hash.
+ */
+function hashSeed(text) {
+    let hash = 0x811c9dc5;
+    for (const char of String(text)) {
+        hash ^= char.codePointAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Starts the generator from a seed.
+ * @param {string|number|null} [seed=null] - The seed; null draws a new random seed.
+ * @returns {string} The seed in use.
+ */
+function seedRandom(seed = null) {
+    currentSeed = seed === null || seed === undefined || seed === ''
+        ? Math.floor(Math.random() * 0x100000000).toString(16).padStart(8, '0')
+        : String(seed);
+    state = hashSeed(currentSeed);
+    return currentSeed;
+}
+
+/**
+ * Returns the next random number in [0, 1), like Math.random().
+ * @returns {number}
+ */
+function random() {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Returns a random integer between min and max, inclusive.
+ * @param {number} min - Lowest value.
+ * @param {number} max - Highest value.
+ * @returns {number}
+ */
+function randomInt(min, max) {
+    return min + Math.floor(random() * (max - min + 1));
+}
+
+/**
+ * Picks a random element from a list.
+ * @param {Array} list - The list to pick from.
+ * @returns {any} A random element.
+ */
+function pick(list) {
+    return list[Math.floor(random() * list.length)];
+}
+
+/**
+ * Returns a shuffled copy of a list (Fisher-Yates).
+ * @param {Array} list - The list to shuffle.
+ * @returns {Array} A new list with the same elements in random order.
+ */
+function shuffle(list) {
+    const shuffled = [...list];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+/**
+ * Gets the generator state, for saving.
+ * @returns {{seed: string, state: number}}
+ */
+function getRandomState() {
+    return { seed: currentSeed, state };
+}
+
+/**
+ * Restores a generator state saved with getRandomState.
+ * @param {{seed: string, state: number}} saved - The saved state.
+ */
+function setRandomState(saved) {
+    currentSeed = saved.seed;
+    state = saved.state | 0;
+}
+
+/**
+ * Runs a function with the generator started from a fixed seed, then puts the previous state back,
+ * so the function's draws neither depend on nor disturb the career's sequence.
+ * @param {string} seed - The seed for the function.
+ * @param {function(): any} fn - Synchronous function to run.
+ * @returns {any} What the function returns.
+ */
+function withSeed(seed, fn) {
+    const saved = getRandomState();
+    seedRandom(seed);
+    try {
+        return fn();
+    } finally {
+        setRandomState(saved);
+    }
+}
+
+/**
+ * Gets the Daily Challenge seed for a calendar date in UTC, so every player gets the same one
+ * whatever their time zone.
+ * @param {Date} [date=new Date()] - The day.
+ * @returns {string} e.g. "daily-2024-05-01".
+ */
+function getDailySeed(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `daily-${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+}
+
+seedRandom(); // Usable before a career picks its seed
+
+export {
+    seedRandom,
+    random,
+    randomInt,
+    pick,
+    shuffle,
+    hashSeed,
+    getRandomState,
+    setRandomState,
+    withSeed,
+    getDailySeed
+};
@@ -0,0 +1,343 @@
+/**
+ * Rules module for Veritaminal
+ * Compiles the declarative rule checks found in the setting data into functions that
+ * verify a traveler's papers.
+ *
+ * A check is a plain object with a `type`:
+ * - `present`  `{ field }` - the field is printed and non-empty.
+ * - `pattern`  `{ field, pattern, flags? }` - the field matches a regular expression.
+ * - `one_of`   `{ field, values, ignore_case? }` - the field is one of the listed values.
+ * - `none_of`  `{ field, values, ignore_case? }` - the field is none of the listed values.
+ * - `date`     `{ field, op, than, days?, years? }` - the date field is `before`, `on_or_before`, `after`
+ *   or `on_or_after` another date field (`than: "today"` is the current game date), optionally shifted
+ *   by a number of days or years (e.g. `than: "today", days: 180` for "valid for 180 more days").
+ * - `same`     `{ fields }` - every listed field that is printed has the same value (cross-paper equality).
+ * - `when`     `{ if, then }` - the `then` check applies only when the `if` check passes.
+ * - `all`      `{ checks }` - every listed check passes.
+ *
+ * Fields are addressed as `papers.<paper type>.<field>` (e.g. `papers.passport.expiry_date`),
+ * `credentials.<field>` or a top-level document field (e.g. `purpose_of_visit`).
+ *
+ * Player-authored rules are written in a small readable syntax that `parseRule` compiles into checks,
+ * e.g. "nationality is not Westorian" or "if purpose of visit is business then border_paper.trade_visa_stamp is present".
+ */
+
+import { getPaper, PAPER_LAYOUTS } from './papers.js';
+import { isValidDate, compareDates, addDays, addYears } from './dates.js';
+
+/**
+ * @typedef {object} RuleCheck
+ * @property {('present'|'pattern'|'one_of'|'none_of'|'date'|'same'|'when'|'all')} type - Check type.
+ */
+
+/**
+ * @typedef {object} RuleContext
+ * @property {string} [date] - Current game date (ISO), used by `today`.
+ */
+
+/**
+ * @typedef {object} CheckResult
+ * @property {boolean} passed - Whether the document passes the check.
+ * @property {string|null} field - Field that violates the check, when it fails.
+ */
+
+const DATE_OPERATORS = {
+    before: (cmp) => cmp < 0,
+    on_or_before: (cmp) => cmp <= 0,
+    after: (cmp) => cmp > 0,
+    on_or_after: (cmp) => cmp >= 0
+};
+
+/**
+ * Resolves a field address against a document.
+ * @param {import('./documents.js').TravelerDocument} doc - The document.
+ * @param {string} field - Field address.
+ * @param {RuleContext} [context={}] - Evaluation context.
+ * @returns {string|undefined} The field value, or undefined if it is not printed.
+ */
+function resolveField(doc, field, context = {}) {
+    if (field === 'today') {
+        return context.date;
+    }
+    const [root, ...rest] = field.split('.');
+    if (root === 'papers') {
+        const [type, key] = rest;
+        return getPaper(doc, type)?.fields[key];
+    }
+    if (root === 'credentials') {
+        return doc?.credentials?.[rest.join('.')];
+    }
+    return doc?.[field];
+}
+
+/**
+ * Gets the field key of a field address (e.g. "papers.passport.name" -> "name"), so that the same
+ * field can be matched across papers and credentials.
+ * @param {string} field - Field address.
+ * @returns {string}
+ */
+function getFieldKey(field) {
+    return String(field).split('.').pop();
+}
+
+/**
+ * Evaluates a check against a document.
+ * @param {RuleCheck} check - The check.
+ * @param {import('./documents.js').TravelerDocument} doc - The document.
+ * @param {RuleContext} [context={}] - Evaluation context.
+ * @returns {CheckResult}
+ */
+function evaluateCheck(check, doc, context = {}) {
+    const value = (field) => resolveField(doc, field, context);
+    const result = (passed, field = null) => ({ passed, field: passed ? null : field });
+
+    switch (check.type) {
+        case 'present': {
+            const fieldValue = value(check.field);
+            return result(typeof fieldValue === 'string' && fieldValue.trim() !== '', check.field);
+        }
+        case 'pattern':
+            return result(new RegExp(check.pattern, check.flags).test(value(check.field) ?? ''), check.field);
+        case 'one_of':
+        case 'none_of': {
+            const normalize = (text) => check.ignore_case ? String(text ?? '').toLowerCase() : text;
+            const listed = check.values.map(normalize).includes(normalize(value(check.field)));
+            return result(check.type === 'one_of' ? listed : !listed, check.field);
+        }
+        case 'date': {
+            const left = value(check.field);
+            let right = value(check.than);
+            if (!isValidDate(left)) {
+                return result(false, check.field);
+            }
+            // Nothing to compare against (e.g. no game date yet)
+            if (!isValidDate(right)) {
+                return result(true);
+            }
+            right = addDays(addYears(right, check.years || 0), check.days || 0);
+            return result(DATE_OPERATORS[check.op](compareDates(left, right)), check.field);
+        }
+        case 'same': {
+            const printed = check.fields.filter(field => value(field) !== undefined);
+            const mismatch = printed.find(field => value(field) !== value(printed[0]));
+            return result(!mismatch, mismatch);
+        }
+        case 'when':
+            return evaluateCheck(check.if, doc, context).passed
+                ? evaluateCheck(check.then, doc, context)
+                : result(true);
+        case 'all':
+            return check.checks.map(inner => evaluateCheck(inner, doc, context)).find(inner => !inner.passed) || result(true);
+        default:
+            throw new Error(`Unknown rule check type "${check.type}".`);
+    }
+}
+
+/**
+ * Validates a check so that malformed setting data fails when rules are built rather than
+ * when a traveler is inspected.
+ * @param {RuleCheck} check - The check.
+ * @throws {Error} If the check is malformed.
+ */
+function validateCheck(check) {
+    const require = (condition, message) => {
+        if (!condition) {
+            throw new Error(`Invalid rule check ${JSON.stringify(check)}: ${message}`);
+        }
+    };
+
+    require(check && typeof check === 'object', 'check must be an object');
+    switch (check.type) {
+        case 'present':
+            require(typeof check.field === 'string', 'field is required');
+            break;
+        case 'pattern':
+            require(typeof check.field === 'string', 'field is required');
+            new RegExp(check.pattern, check.flags); // Throws on a bad pattern
+            break;
+        case 'one_of':
+        case 'none_of':
+            require(typeof check.field === 'string', 'field is required');
+            require(Array.isArray(check.values) && check.values.length > 0, 'values must be a non-empty list');
+            break;
+        case 'date':
+            require(typeof check.field === 'string' && typeof check.than === 'string', 'field and than are required');
+            require(check.op in DATE_OPERATORS, `op must be one of ${Object.keys(DATE_OPERATORS).join(', ')}`);
+            require([check.days, check.years].every(offset => offset === undefined || Number.isInteger(offset)), 'days and years must be whole numbers');
+            break;
+        case 'same':
+            require(Array.isArray(check.fields) && check.fields.length > 1, 'fields must list at least two fields');
+            break;
+        case 'when':
+            validateCheck(check.if);
+            validateCheck(check.then);
+            break;
+        case 'all':
+            require(Array.isArray(check.checks) && check.checks.length > 0, 'checks must be a non-empty list');
+            check.checks.forEach(validateCheck);
+            break;
+        default:
+            require(false, `unknown type "${check.type}"`);
+    }
+}
+
+/**
+ * Compiles a check into a function usable as a Rule check function.
+ * @param {RuleCheck} check - The check.
+ * @returns {function(object, RuleContext=): boolean}
+ * @throws {Error} If the check is malformed.
+ */
+function compileCheck(check) {
+    validateCheck(check);
+    return (doc, context = {}) => evaluateCheck(check, doc, context).passed;
+}
+
+// --- Rule syntax ---
+
+// Paper types a rule can name, in the order a plain field is looked up
+const PAPER_TYPES = Object.keys(PAPER_LAYOUTS);
+
+// Statement operators, longest first so that "is on or before" wins over "is"
+const STATEMENT_PATTERN = /^(.+?)\s+(is present|is required|matches|is not one of|is one of|is on or before|is on or after|is before|is after|agrees on all papers|is not|is)(?:\s+(.*))?$/i;
+
+const DATE_OFFSET_PATTERN = /^(.+?)\s*([+-])\s*(\d+)\s*(days?|years?)$/i;
+
+const RULE_SYNTAX_EXAMPLES = [
+    "nationality is not Westorian",
+    "occupation is one of engineer, trader or farmer",
+    "passport.expiry_date is on or after today + 30 days",
+    "date of birth is before today - 21 years",
+    "name matches ^[A-Z]",
+    "occupation matches /^(engineer|trader)$/i",
+    "passport_number agrees on all papers",
+    "if purpose of visit is business then border_paper.trade_visa_stamp is present"
+];
+
+/**
+ * Resolves a field named in a player-authored rule to a field address. Accepts `<paper>.<field>`,
+ * `credentials.<field>` or a plain document field (spaces allowed, e.g. "date of birth"), which is read
+ * from the first paper that prints it.
+ * @param {string} text - Field as written.
+ * @returns {string} Field address.
+ * @throws {Error} If the field is unknown.
+ */
+function parseFieldReference(text) {
+    const name = text.trim().toLowerCase().replace(/\s+/g, '_');
+    const [root, key] = name.split('.');
+    if (key && (PAPER_TYPES.includes(root) || root === 'credentials')) {
+        return root === 'credentials' ? `credentials.${key}` : `papers.${root}.${key}`;
+    }
+    const paperType = PAPER_TYPES.find(type => PAPER_LAYOUTS[type].fields.includes(name));
+    if (!key && paperType) {
+        return `papers.${paperType}.${name}`;
+    }
+    const known = [...new Set(PAPER_TYPES.flatMap(type => PAPER_LAYOUTS[type].fields))];
+    throw new Error(`Unknown field "${text.trim()}". Use one of ${known.join(', ')}, or <paper>.<field> with a paper of ${PAPER_TYPES.join(', ')}.`);
+}
+
+/**
+ * Splits a value list such as "a, b or c" and strips quotes.
+ * @param {string} text - The list as written.
+ * @returns {string[]}
+ */
+function parseValueList(text) {
+    return text.split(/\s*,\s*|\s+or\s+/i)
+        .map(value => value.trim().replace(/^["']|["']$/g, ''))
+        .filter(value => value !== '');
+}
+
+/**
+ * Parses a single statement (no "if ... then").
+ * @param {string} text - The statement.
+ * @returns {RuleCheck}
+ * @throws {Error} If the statement is not valid rule syntax.
+ */
+function parseStatement(text) {
+    const match = STATEMENT_PATTERN.exec(text.trim());
+    if (!match) {
+        throw new Error(`Cannot read "${text.trim()}". Expected "<field> is <value>", "<field> matches <pattern>", "<field> is before <date>" and similar.`);
+    }
+    const [, fieldText, operatorText, argument = ''] = match;
+    const field = parseFieldReference(fieldText);
+    const operator = operatorText.toLowerCase();
+    const requireArgument = () => {
+        if (!argument.trim()) {
+            throw new Error(`"${operator}" needs a value in "${text.trim()}".`);
+        }
+        return argument.trim();
+    };
+    const rejectArgument = () => {
+        if (argument.trim()) {
+            throw new Error(`"${operator}" takes no value, but "${argument.trim()}" follows it in "${text.trim()}".`);
+        }
+    };
+
+    switch (operator) {
+        case 'is present':
+        case 'is required':
+            rejectArgument();
+            return { type: 'present', field };
+        case 'agrees on all papers':
+            rejectArgument();
+            return { type: 'same', fields: PAPER_TYPES.map(type => `papers.${type}.${field.split('.').pop()}`) };
+        case 'matches': {
+            // Patterns are case-sensitive; written as /.../i they ignore case
+            const pattern = requireArgument();
+            const literal = /^\/(.*)\/(i?)$/.exec(pattern);
+            if (!literal) {
+                return { type: 'pattern', field, pattern };
+            }
+            return literal[2] ? { type: 'pattern', field, pattern: literal[1], flags: 'i' } : { type: 'pattern', field, pattern: literal[1] };
+        }
+        case 'is one of':
+        case 'is':
+            return { type: 'one_of', field, values: parseValueList(requireArgument()), ignore_case: true };
+        case 'is not one of':
+        case 'is not':
+            return { type: 'none_of', field, values: parseValueList(requireArgument()), ignore_case: true };
+        default: {
+            // Date comparisons: "<field> is before today - 18 years"
+            const op = operator.replace(/^is /, '').replace(/ /g, '_');
+            let reference = requireArgument();
+            const check = { type: 'date', field, op };
+            const offset = DATE_OFFSET_PATTERN.exec(reference);
+            if (offset) {
+                const [, base, sign, amount, unit] = offset;
+                check[unit.toLowerCase().startsWith('day') ? 'days' : 'years'] = Number(sign + amount);
+                reference = base;
+            }
+            check.than = reference.trim().toLowerCase() === 'today' ? 'today' : parseFieldReference(reference);
+            return check;
+        }
+    }
+}
+
+/**
+ * Parses a player-authored rule into a validated rule check.
+ * Syntax: `<statement>` or `if <statement> then <statement>` (see RULE_SYNTAX_EXAMPLES).
+ * @param {string} text - The rule as written.
+ * @returns {RuleCheck}
+ * @throws {Error} If the rule is not valid rule syntax.
+ */
+function parseRule(text) {
+    const source = String(text ?? '').trim();
+    if (!source) {
+        throw new Error('Rule is empty.');
+    }
+    const conditional = /^if\s+(.+?)\s+then\s+(.+)$/i.exec(source);
+    const check = conditional
+        ? { type: 'when', if: parseStatement(conditional[1]), then: parseStatement(conditional[2]) }
+        : parseStatement(source);
+    validateCheck(check);
+    return check;
+}
+
+export {
+    resolveField,
+    getFieldKey,
+    evaluateCheck,
+    validateCheck,
+    compileCheck,
+    parseRule,
+    RULE_SYNTAX_EXAMPLES
+};
@@ -0,0 +1,208 @@
+/**
+ * Saves module for Veritaminal
+ * Manages the save slots in the saves directory: reads a preview of every saved career and
+ * renames, deletes, exports and imports careers. An exported career is a single portable file
+ * that can be shared and imported into another player's saves. Backups of a save travel with it
+ * when it is renamed or deleted.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import { migrateSave, readSaveFile, verifySave, listBackups, getBackupPath, SaveIntegrityError } from './memory.js';
+
+// Marks an exported career file
+const CAREER_EXPORT_FORMAT = 'veritaminal-career';
+
+/**
+ * @typedef {object} SaveSlot
+ * @property {string} file - Save file name (e.g. "my_career.json").
+ * @property {string} path - Absolute path of the save file.
+ * @property {string} name - Slot name (the file name without extension).
+ * @property {string|null} border - Name of the border the career is set at.
+ * @property {number|null} day - Current day.
+ * @property {number|null} totalDays - Assignment length in days.
+ * @property {number|null} score - Score.
+ * @property {number|null} trust - Trust.
+ * @property {number|null} corruption - Corruption.
+ * @property {string} lastPlayed - When the save was last written (ISO timestamp).
+ * @property {number|null} version - Save version the file was written in.
+ * @property {string|null} error - Why the save cannot be read, if it cannot.
+ * @property {boolean} corrupted - Whether the file is damaged (bad JSON or checksum mismatch).
+ * @property {boolean} rewound - Whether the career used undo or restart day.
+ */
+
+/**
+ * Turns a player-chosen name into a safe slot name.
+ * @param {string} name - Name as entered.
+ * @returns {string} Slot name (letters, digits, spaces, dots, dashes and underscores).
+ * @throws {Error} If nothing usable is left.
+ */
+function toSlotName(name) {
+    const slotName = String(name ?? '').trim().replace(/\.json$/i, '').replace(/[^\w .-]+/g, '_').replace(/^[\s._]+|[\s_]+$/g, '');
+    if (!slotName) {
+        throw new Error("Save name cannot be empty.");
+    }
+    return slotName;
+}
+
+/**
+ * Finds a file name in the saves directory that is not taken, adding a number if needed.
+ * @param {string} savePath - Absolute path of the saves directory.
+ * @param {string} slotName - Preferred slot name.
+ * @returns {Promise<string>} File name.
+ */
+async function getFreeFileName(savePath, slotName) {
+    const existing = new Set((await fs.readdir(savePath).catch(() => [])).map(file => file.toLowerCase()));
+    let file = `${slotName}.json`;
+    for (let n = 2; existing.has(file.toLowerCase()); n++) {
+        file = `${slotName}-${n}.json`;
+    }
+    return file;
+}
+
+/**
+ * Reads the preview of a save file without loading it into the game.
+ * @param {string} filePath - Absolute path of the save file.
+ * @returns {Promise<SaveSlot>}
+ */
+async function readSaveSlot(filePath) {
+    const file = path.basename(filePath);
+    const slot = {
+        file, path: filePath, name: file.replace(/\.json$/i, ''),
+        border: null, day: null, totalDays: null, score: null, trust: null, corruption: null,
+        lastPlayed: null, version: null, error: null, corrupted: false, rewound: false
+    };
+    try {
+        slot.lastPlayed = (await fs.stat(filePath)).mtime.toISOString();
+        const { save, fromVersion } = migrateSave(await readSaveFile(filePath));
+        slot.version = fromVersion;
+        slot.border = save.borderSetting?.name || save.settings.currentSettingId;
+        slot.day = save.gameState.day;
+        slot.totalDays = save.settings.gameConfig?.totalDays ?? null;
+        slot.score = save.gameState.score;
+        slot.trust = save.gameState.trust;
+        slot.corruption = save.gameState.corruption;
+        slot.rewound = save.rewind.uses > 0;
+    } catch (e) {
+        slot.error = e.message;
+        slot.corrupted = e instanceof SaveIntegrityError;
+    }
+    return slot;
+}
+
+/**
+ * Lists the save slots in the saves directory, most recently played first.
+ * @param {string} savePath - Absolute path of the saves directory.
+ * @returns {Promise<SaveSlot[]>}
+ */
+async function listSaveSlots(savePath) {
+    try {
+        const files = (await fs.readdir(savePath)).filter(file => file.toLowerCase().endsWith('.json'));
+        const slots = await Promise.all(files.map(file => readSaveSlot(path.join(savePath, file))));
+        return slots.sort((a, b) => String(b.lastPlayed).localeCompare(String(a.lastPlayed)) || a.name.localeCompare(b.name));
+    } catch (error) {
+        // If directory doesn't exist or other error
+        if (error.code !== 'ENOENT') {
+            console.error(chalk.red(`Error reading save directory ${savePath}:`), error);
+        }
+        return [];
+    }
+}
+
+/**
+ * Renames a save slot along with its backups.
+ * @param {string} savePath - Absolute path of the saves directory.
+ * @param {string} file - Current file name.
+ * @param {string} newName - New slot name.
+ * @returns {Promise<string>} The new file name.
+ * @throws {Error} If the name is empty or another save already has it.
+ */
+async function renameSaveSlot(savePath, file, newName) {
+    const newFile = `${toSlotName(newName)}.json`;
+    if (newFile === file) {
+        return file;
+    }
+    const taken = (await fs.readdir(savePath)).some(existing => existing.toLowerCase() === newFile.toLowerCase() && existing !== file);
+    if (taken) {
+        throw new Error(`A save named "${toSlotName(newName)}" already exists.`);
+    }
+    await fs.rename(path.join(savePath, file), path.join(savePath, newFile));
+    for (const backup of await listBackups(savePath, file)) {
+        await fs.rename(backup.path, getBackupPath(savePath, newFile, backup.index));
+    }
+    console.log(chalk.blue(`Saves: Renamed ${file} to ${newFile}`));
+    return newFile;
+}
+
+/**
+ * Deletes a save slot and its backups.
+ * @param {string} savePath - Absolute path of the saves directory.
+ * @param {string} file - File name.
+ * @returns {Promise<void>}
+ */
+async function deleteSaveSlot(savePath, file) {
+    await fs.unlink(path.join(savePath, file));
+    for (const backup of await listBackups(savePath, file)) {
+        await fs.unlink(backup.path);
+    }
+    console.log(chalk.blue(`Saves: Deleted ${file}`));
+}
+
+/**
+ * Exports a save slot as a portable career file.
+ * @param {string} savePath - Absolute path of the saves directory.
+ * @param {string} file - File name of the slot to export.
+ * @param {string} destination - Path of the career file to write; missing directories are created.
+ * @returns {Promise<string>} Absolute path of the written file.
+ * @throws {Error} If the save cannot be read, is damaged, or the file cannot be written.
+ */
+async function exportCareer(savePath, file, destination) {
+    await readSaveFile(path.join(savePath, file)); // Refuse to pass on a damaged save
+    const save = JSON.parse(await fs.readFile(path.join(savePath, file), 'utf8'));
+    const career = {
+        format: CAREER_EXPORT_FORMAT,
+        name: file.replace(/\.json$/i, ''),
+        exportedAt: new Date().toISOString(),
+        save
+    };
+    const target = path.resolve(destination);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, JSON.stringify(career, null, 2), 'utf8');
+    console.log(chalk.blue(`Saves: Exported ${file} to ${target}`));
+    return target;
+}
+
+/**
+ * Imports a career file (or a plain save file) into the saves directory as a new slot.
+ * The save is checked the same way loading checks it, so broken files are refused up front.
+ * @param {string} savePath - Absolute path of the saves directory.
+ * @param {string} source - Path of the career file.
+ * @returns {Promise<string>} File name of the new slot.
+ * @throws {Error} If the file cannot be read or does not contain a usable save.
+ */
+async function importCareer(savePath, source) {
+    const data = JSON.parse(await fs.readFile(path.resolve(source), 'utf8'));
+    const isCareer = data?.format === CAREER_EXPORT_FORMAT;
+    const save = isCareer ? data.save : data;
+    if (typeof save?.gameState?.day !== 'number') {
+        throw new Error("File does not contain a saved career.");
+    }
+    migrateSave(verifySave(structuredClone(save), path.basename(source))); // Throws if this game cannot load it
+
+    await fs.mkdir(savePath, { recursive: true });
+    const file = await getFreeFileName(savePath, toSlotName(isCareer && data.name ? data.name : path.basename(source).replace(/(\.career)?\.json$/i, '')));
+    await fs.writeFile(path.join(savePath, file), JSON.stringify(save, null, 2), 'utf8');
+    console.log(chalk.blue(`Saves: Imported ${source} as ${file}`));
+    return file;
+}
+
+export {
+    listSaveSlots,
+    readSaveSlot,
+    renameSaveSlot,
+    deleteSaveSlot,
+    exportCareer,
+    importCareer,
+    CAREER_EXPORT_FORMAT
+};
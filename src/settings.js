@@ -7,23 +7,63 @@
 import chalk from 'chalk'; // Using chalk directly for any potential inline styling needed
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { parseRule } from './rules.js';
+import { getDifficultyPreset, createCustomDifficulty } from './difficulty.js';
+import { parseEndCondition, getUnreachableAudits } from './outcomes.js';
 
 // Helper to get __dirname in ES Modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Predefined border settings for the game
+// Permit rule shared by every border
+const PERMIT_REQUIREMENT = "Permit must start with 'P' followed by 4 digits";
+const PERMIT_FORMAT_CHECK = { "type": "pattern", "field": "papers.entry_permit.permit", "pattern": "^P\\d{4}$" };
+
+// Predefined border settings for the game.
+// `checks` maps a document requirement to the rule check (see rules.js) that enforces it;
+// requirements without a check are left to the inspector's judgment.
+// `regulations` is the timeline of rule changes: from its `day` on, each entry adds a requirement,
+// modifies one (replacing it with `to`) or retires one; `check` is the rule check of the new requirement.
 const BORDER_SETTINGS = [
     {
         "id": "eastokan_westoria",
         "name": "Eastokan-Westoria Border",
+        "calendar_start": "1984-09-03",
         "situation": "Tense relations due to recent trade disputes. Increased scrutiny on business travelers.",
         "description": "The border between the industrial nation of Eastokan and the agricultural country of Westoria. Recent trade disputes have heightened tensions.",
         "document_requirements": [
-            "Permit must start with 'P' followed by 4 digits",
+            PERMIT_REQUIREMENT,
             "Travelers must have both first and last names",
             "Business travelers require a trade visa stamp"
         ],
+        "checks": {
+            [PERMIT_REQUIREMENT]: PERMIT_FORMAT_CHECK,
+            "Travelers must have both first and last names": { "type": "pattern", "field": "papers.passport.name", "pattern": "^\\S+(\\s+\\S+)+$" },
+            "Business travelers require a trade visa stamp": {
+                "type": "when",
+                "if": { "type": "one_of", "field": "purpose_of_visit", "values": ["business"] },
+                "then": { "type": "one_of", "field": "papers.border_paper.trade_visa_stamp", "values": ["Stamped - Ministry of Trade", "Stamped - Westoria Customs"] }
+            }
+        },
+        "regulations": [
+            {
+                "day": 4,
+                "action": "modify",
+                "requirement": "Business travelers require a trade visa stamp",
+                "to": "Business and agricultural trade travelers require a trade visa stamp",
+                "check": {
+                    "type": "when",
+                    "if": { "type": "one_of", "field": "purpose_of_visit", "values": ["business", "agricultural trade"] },
+                    "then": { "type": "one_of", "field": "papers.border_paper.trade_visa_stamp", "values": ["Stamped - Ministry of Trade", "Stamped - Westoria Customs"] }
+                }
+            },
+            {
+                "day": 7,
+                "action": "add",
+                "requirement": "Passports must have been issued within the last 4 years",
+                "check": { "type": "date", "field": "papers.passport.issue_date", "op": "on_or_after", "than": "today", "years": -4 }
+            }
+        ],
         "common_issues": [
             "Forged business credentials",
             "Expired permits",
@@ -33,13 +73,35 @@ const BORDER_SETTINGS = [
     {
         "id": "northland_southoria",
         "name": "Northland-Southoria Border",
+        "calendar_start": "1991-04-15",
         "situation": "Post-conflict reconciliation with humanitarian crisis. Focus on refugee documentation.",
         "description": "Following the peace treaty ending the 5-year conflict, this border handles many refugees and humanitarian workers.",
         "document_requirements": [
-            "Permit must start with 'P' followed by 4 digits",
+            PERMIT_REQUIREMENT,
             "Humanitarian workers need special H-class authorization",
             "Refugee documents must include origin verification"
         ],
+        "checks": {
+            [PERMIT_REQUIREMENT]: PERMIT_FORMAT_CHECK,
+            "Humanitarian workers need special H-class authorization": {
+                "type": "when",
+                "if": { "type": "one_of", "field": "purpose_of_visit", "values": ["humanitarian work", "medical aid"] },
+                "then": { "type": "one_of", "field": "papers.border_paper.h_class_authorization", "values": ["H-Class #H-2231 (Relief Council)", "H-Class #H-4410 (Relief Council)"] }
+            }
+        },
+        "regulations": [
+            {
+                "day": 3,
+                "action": "retire",
+                "requirement": "Refugee documents must include origin verification"
+            },
+            {
+                "day": 6,
+                "action": "add",
+                "requirement": "Entry permits must remain valid for at least 14 more days",
+                "check": { "type": "date", "field": "papers.entry_permit.permit_expiry", "op": "on_or_after", "than": "today", "days": 14 }
+            }
+        ],
         "common_issues": [
             "Missing refugee documentation",
             "Impersonation of humanitarian workers",
@@ -49,13 +111,35 @@ const BORDER_SETTINGS = [
     {
         "id": "oceania_continent",
         "name": "Oceania-Continent Ferry Checkpoint",
+        "calendar_start": "1988-06-20",
         "situation": "Tourism boom with increasing smuggling concerns. Focus on contraband detection.",
         "description": "This busy checkpoint manages traffic between the island nation of Oceania and the mainland Continent. Tourism is booming, but smuggling is on the rise.",
         "document_requirements": [
-            "Permit must start with 'P' followed by 4 digits",
+            PERMIT_REQUIREMENT,
             "Tourist visas require verification stamps",
             "Commercial transport requires cargo manifests"
         ],
+        "checks": {
+            [PERMIT_REQUIREMENT]: PERMIT_FORMAT_CHECK,
+            "Commercial transport requires cargo manifests": {
+                "type": "when",
+                "if": { "type": "one_of", "field": "purpose_of_visit", "values": ["commercial transport", "business"] },
+                "then": { "type": "one_of", "field": "papers.border_paper.cargo_manifest", "values": ["Manifest #CM-7781 (sealed)", "Manifest #CM-3302 (sealed)"] }
+            }
+        },
+        "regulations": [
+            {
+                "day": 3,
+                "action": "add",
+                "requirement": "Passports must remain valid for at least 180 more days",
+                "check": { "type": "date", "field": "papers.passport.expiry_date", "op": "on_or_after", "than": "today", "days": 180 }
+            },
+            {
+                "day": 5,
+                "action": "retire",
+                "requirement": "Tourist visas require verification stamps"
+            }
+        ],
         "common_issues": [
             "Overstayed tourist visas",
             "Undeclared commercial activity",
@@ -65,13 +149,40 @@ const BORDER_SETTINGS = [
     {
         "id": "alpinia_metropol",
         "name": "Alpinia-Metropol Mountain Pass",
+        "calendar_start": "1986-07-07",
         "situation": "High-altitude border crossing with strict environmental regulations. Monitoring scientific expeditions and rare mineral trafficking.",
         "description": "The challenging mountain pass between the alpine nation of Alpinia and the city-state of Metropol. Environmental protection and scientific research permits are heavily regulated.",
         "document_requirements": [
-            "Permit must start with 'P' followed by 4 digits",
+            PERMIT_REQUIREMENT,
             "Scientific personnel require research authorization",
             "Environmental impact assessments mandatory for expeditions"
         ],
+        "checks": {
+            [PERMIT_REQUIREMENT]: PERMIT_FORMAT_CHECK,
+            "Scientific personnel require research authorization": {
+                "type": "when",
+                "if": { "type": "one_of", "field": "purpose_of_visit", "values": ["scientific research", "mineral survey"] },
+                "then": { "type": "one_of", "field": "papers.border_paper.research_authorization", "values": ["RA-Alpinia Institute #5512", "RA-Alpinia Institute #1209"] }
+            }
+        },
+        "regulations": [
+            {
+                "day": 4,
+                "action": "retire",
+                "requirement": "Environmental impact assessments mandatory for expeditions"
+            },
+            {
+                "day": 6,
+                "action": "modify",
+                "requirement": "Scientific personnel require research authorization",
+                "to": "Scientific personnel and mountaineering expeditions require research authorization",
+                "check": {
+                    "type": "when",
+                    "if": { "type": "one_of", "field": "purpose_of_visit", "values": ["scientific research", "mineral survey", "mountaineering expedition"] },
+                    "then": { "type": "one_of", "field": "papers.border_paper.research_authorization", "values": ["RA-Alpinia Institute #5512", "RA-Alpinia Institute #1209"] }
+                }
+            }
+        ],
         "common_issues": [
             "Forged research credentials",
             "Undeclared scientific equipment",
@@ -81,13 +192,40 @@ const BORDER_SETTINGS = [
     {
         "id": "desert_emirates_republic",
         "name": "Desert Emirates-Republic Checkpoint",
+        "calendar_start": "1989-11-13",
         "situation": "Oil-rich region with complex diplomatic relations. Focus on energy sector workers and diplomatic immunity abuse.",
         "description": "The bustling border between the wealthy Desert Emirates and the industrial Republic. Energy trade dominates, but diplomatic tensions create security challenges.",
         "document_requirements": [
-            "Permit must start with 'P' followed by 4 digits",
+            PERMIT_REQUIREMENT,
             "Energy sector workers need specialized clearance",
             "Diplomatic personnel require verified immunity status"
         ],
+        "checks": {
+            [PERMIT_REQUIREMENT]: PERMIT_FORMAT_CHECK,
+            "Energy sector workers need specialized clearance": {
+                "type": "when",
+                "if": { "type": "one_of", "field": "purpose_of_visit", "values": ["energy sector work"] },
+                "then": { "type": "one_of", "field": "papers.border_paper.sector_clearance", "values": ["Clearance EC-Level 2 (verified)", "Diplomatic immunity (verified)"] }
+            },
+            "Diplomatic personnel require verified immunity status": {
+                "type": "when",
+                "if": { "type": "one_of", "field": "purpose_of_visit", "values": ["diplomatic mission"] },
+                "then": { "type": "one_of", "field": "papers.border_paper.sector_clearance", "values": ["Clearance EC-Level 2 (verified)", "Diplomatic immunity (verified)"] }
+            }
+        },
+        "regulations": [
+            {
+                "day": 4,
+                "action": "add",
+                "requirement": "Entry permits must remain valid for at least 14 more days",
+                "check": { "type": "date", "field": "papers.entry_permit.permit_expiry", "op": "on_or_after", "than": "today", "days": 14 }
+            },
+            {
+                "day": 7,
+                "action": "retire",
+                "requirement": "Diplomatic personnel require verified immunity status"
+            }
+        ],
         "common_issues": [
             "Abuse of diplomatic immunity",
             "Forged energy sector credentials",
@@ -97,13 +235,46 @@ const BORDER_SETTINGS = [
     {
         "id": "frozen_archipelago_mainland",
         "name": "Frozen Archipelago-Mainland Ice Bridge",
+        "calendar_start": "1985-01-14",
         "situation": "Seasonal ice bridge crossing with indigenous rights concerns. Monitoring cultural artifacts and traditional fishing permits.",
         "description": "The temporary ice bridge connecting the indigenous territories of Frozen Archipelago to the Mainland. Cultural preservation and traditional rights create unique documentation challenges.",
         "document_requirements": [
-            "Permit must start with 'P' followed by 4 digits",
+            PERMIT_REQUIREMENT,
             "Indigenous travelers need tribal verification",
             "Cultural artifacts require heritage documentation"
         ],
+        "checks": {
+            [PERMIT_REQUIREMENT]: PERMIT_FORMAT_CHECK,
+            "Indigenous travelers need tribal verification": {
+                "type": "when",
+                "if": { "type": "one_of", "field": "purpose_of_visit", "values": ["traditional fishing", "cultural exchange"] },
+                "then": { "type": "one_of", "field": "papers.border_paper.tribal_verification", "values": ["Verified by Council of Elders", "Heritage certificate #HC-118"] }
+            },
+            "Cultural artifacts require heritage documentation": {
+                "type": "when",
+                "if": { "type": "one_of", "field": "purpose_of_visit", "values": ["artifact transport"] },
+                "then": { "type": "one_of", "field": "papers.border_paper.tribal_verification", "values": ["Verified by Council of Elders", "Heritage certificate #HC-118"] }
+            }
+        },
+        "regulations": [
+            {
+                "day": 3,
+                "action": "modify",
+                "requirement": "Cultural artifacts require heritage documentation",
+                "to": "Cultural artifacts require a heritage certificate",
+                "check": {
+                    "type": "when",
+                    "if": { "type": "one_of", "field": "purpose_of_visit", "values": ["artifact transport"] },
+                    "then": { "type": "one_of", "field": "papers.border_paper.tribal_verification", "values": ["Heritage certificate #HC-118"] }
+                }
+            },
+            {
+                "day": 6,
+                "action": "add",
+                "requirement": "Passports must remain valid for at least 180 more days",
+                "check": { "type": "date", "field": "papers.passport.expiry_date", "op": "on_or_after", "than": "today", "days": 180 }
+            }
+        ],
         "common_issues": [
             "Forged tribal credentials",
             "Illegal cultural artifact trafficking",
@@ -112,6 +283,33 @@ const BORDER_SETTINGS = [
     }
 ];
 
+/**
+ * @typedef {object} RuleChange
+ * @property {('add'|'modify'|'retire')} action - What the change does.
+ * @property {string} description - The new requirement (or the retired one).
+ * @property {string|null} previous - The requirement a modification replaces.
+ * @property {import('./rules.js').RuleCheck|null} check - Rule check of the new requirement.
+ */
+
+/**
+ * Formats a rule change as a single line (e.g. "CHANGED: old -> new").
+ * Changes recorded by older saves only carry a description.
+ * @param {RuleChange} change - The rule change.
+ * @returns {string}
+ */
+function formatRuleChange(change) {
+    switch (change.action) {
+        case 'add':
+            return `NEW: ${change.description}`;
+        case 'modify':
+            return `CHANGED: ${change.previous} -> ${change.description}`;
+        case 'retire':
+            return `RETIRED: ${change.description}`;
+        default:
+            return change.description;
+    }
+}
+
 class SettingsManager {
     /**
      * Manages game settings and border configurations.
@@ -122,11 +320,15 @@ class SettingsManager {
         this.availableSettings = BORDER_SETTINGS;
         /** @type {string[]} */
         this.customRules = [];
+        this.currentDay = 1; // Assignment day, selects the regulations in force
         
         // Game configuration settings
         this.gameConfig = {
             totalDays: 10,           // Total days to complete the assignment
             travelersPerDay: 5,      // Number of travelers to process per day
+            difficulty: getDifficultyPreset(), // Difficulty preset or custom difficulty (see difficulty.js)
+            endConditions: [],       // Custom end conditions as written (see outcomes.js)
+            timedShifts: false,      // Shift timer: shifts end by the clock, travelersPerDay is a target (see shift.js)
             allowCustomization: true  // Whether players can modify these settings
         };
         // Note: UI instance removed here; display logic belongs in ui.js
@@ -150,6 +352,7 @@ class SettingsManager {
         if (setting) {
             this.currentSetting = setting;
             this.customRules = []; // Reset custom rules when changing setting
+            this.currentDay = 1;
             return setting;
         }
 
@@ -157,6 +360,7 @@ class SettingsManager {
         console.warn(chalk.yellow(`Setting ID '${settingId}' not found. Using default.`));
         this.currentSetting = this.availableSettings[0];
         this.customRules = [];
+        this.currentDay = 1;
         return this.currentSetting;
     }
 
@@ -174,7 +378,8 @@ class SettingsManager {
     }
 
     /**
-     * Add a custom rule to the current setting.
+     * Add a custom rule to the current setting. Custom rules are written in the rule syntax
+     * (see parseRule in rules.js); callers validate them before adding.
      * @param {string} ruleDescription - Description of the rule.
      * @returns {boolean} True if the rule was added successfully.
      */
@@ -189,13 +394,122 @@ class SettingsManager {
         return false;
     }
 
+    /**
+     * Remove a custom rule from the current setting.
+     * @param {string} ruleDescription - Description of the rule.
+     * @returns {boolean} True if the rule was removed.
+     */
+    removeCustomRule(ruleDescription) {
+        const index = this.customRules.indexOf(ruleDescription);
+        if (index === -1) {
+            return false;
+        }
+        this.customRules.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Set the assignment day used to pick the regulations in force.
+     * @param {number} day - Current day (1-based).
+     */
+    setCurrentDay(day) {
+        this.currentDay = Math.max(1, parseInt(day) || 1);
+    }
+
+    /**
+     * Get the document requirements in force on a day, applying the setting's regulation timeline
+     * to its base requirements.
+     * @param {number} [day=this.currentDay] - Assignment day.
+     * @returns {Array<{description: string, check: import('./rules.js').RuleCheck|null}>}
+     */
+    getActiveRequirements(day = this.currentDay) {
+        const setting = this.getCurrentSetting();
+        const checks = setting.checks || {};
+        let requirements = setting.document_requirements.map(description => ({ description, check: checks[description] || null }));
+
+        [...(setting.regulations || [])]
+            .sort((a, b) => a.day - b.day)
+            .filter(regulation => regulation.day <= day)
+            .forEach(regulation => {
+                switch (regulation.action) {
+                    case 'add':
+                        requirements.push({ description: regulation.requirement, check: regulation.check || null });
+                        break;
+                    case 'modify':
+                        requirements = requirements.map(req => req.description === regulation.requirement
+                            ? { description: regulation.to, check: regulation.check || null }
+                            : req);
+                        break;
+                    case 'retire':
+                        requirements = requirements.filter(req => req.description !== regulation.requirement);
+                        break;
+                    default:
+                        console.warn(chalk.yellow(`Unknown regulation action '${regulation.action}' in ${setting.id}.`));
+                }
+            });
+        return requirements;
+    }
+
+    /**
+     * Get the checked requirements of the current setting that are not in force on a day:
+     * scheduled for a later day, replaced or retired.
+     * @param {number} [day=this.currentDay] - Assignment day.
+     * @returns {Array<{description: string, check: import('./rules.js').RuleCheck}>}
+     */
+    getInactiveRequirements(day = this.currentDay) {
+        const setting = this.getCurrentSetting();
+        const checks = setting.checks || {};
+        const active = new Set(this.getActiveRequirements(day).map(req => req.description));
+        const all = [
+            ...setting.document_requirements.map(description => ({ description, check: checks[description] || null })),
+            ...(setting.regulations || [])
+                .filter(regulation => regulation.action !== 'retire')
+                .map(regulation => ({ description: regulation.to || regulation.requirement, check: regulation.check || null }))
+        ];
+        return all.filter(req => req.check && !active.has(req.description));
+    }
+
+    /**
+     * Get the regulation changes that take effect on a day.
+     * @param {number} [day=this.currentDay] - Assignment day.
+     * @returns {RuleChange[]}
+     */
+    getRegulationChanges(day = this.currentDay) {
+        return (this.getCurrentSetting().regulations || [])
+            .filter(regulation => regulation.day === day)
+            .map(regulation => ({
+                action: regulation.action,
+                description: regulation.to || regulation.requirement,
+                previous: regulation.action === 'modify' ? regulation.requirement : null,
+                check: regulation.check || null
+            }));
+    }
+
     /**
      * Get all rules for the current setting.
-     * @returns {string[]} Combined list of default and custom rules.
+     * @returns {string[]} Combined list of requirements in force and custom rules.
      */
     getAllRules() {
-        const setting = this.getCurrentSetting();
-        return [...setting.document_requirements, ...this.customRules];
+        return [...this.getActiveRequirements().map(req => req.description), ...this.customRules];
+    }
+
+    /**
+     * Get all rules for the current setting together with their rule checks.
+     * @returns {Array<{description: string, check: import('./rules.js').RuleCheck|null, custom: boolean}>}
+     *   Requirements in force and custom rules; `check` is null for rules that are not machine-checked.
+     */
+    getRuleDefinitions() {
+        const compileCustomRule = (description) => {
+            try {
+                return parseRule(description);
+            } catch (e) {
+                return null; // Free-text rules from older saves stay descriptive
+            }
+        };
+        return [
+            ...this.getActiveRequirements().map(req => ({ ...req, custom: false })),
+            ...this.customRules.map(description => ({ description, check: compileCustomRule(description), custom: true }))
+        ];
     }
 
     /**
@@ -209,7 +523,7 @@ class SettingsManager {
         context.push(`SITUATION: ${setting.situation}`);
 
         context.push("\nDOCUMENT REQUIREMENTS:");
-        setting.document_requirements.forEach(req => context.push(`- ${req}`));
+        this.getActiveRequirements().forEach(req => context.push(`- ${req.description}`));
 
         if (this.customRules.length > 0) {
             context.push("\nADDITIONAL RULES:");
@@ -224,12 +538,15 @@ class SettingsManager {
      * @returns {object} Current game configuration.
      */
     getGameConfig() {
-        return { ...this.gameConfig }; // Return a copy to prevent external modification
+        return structuredClone(this.gameConfig); // Return a copy to prevent external modification
     }
 
     /**
      * Update game configuration settings.
-     * @param {object} newConfig - New configuration values { totalDays?, travelersPerDay? }.
+     * @param {object} newConfig - New configuration values { totalDays?, travelersPerDay?, difficulty?, endConditions?, timedShifts? }.
+     *   `difficulty` is a preset ID or a difficulty object; a custom difficulty is checked by createCustomDifficulty.
+     *   `endConditions` replaces the custom end conditions; it is rejected as a whole if one fails parseEndCondition,
+     *   including audits after the assignment's last day. Shortening the assignment past a set audit only warns.
      * @returns {boolean} True if configuration was updated successfully.
      */
     updateGameConfig(newConfig) {
@@ -260,8 +577,44 @@ class SettingsManager {
             }
         }
 
+        if (newConfig.difficulty !== undefined) {
+            const { difficulty } = newConfig;
+            try {
+                const resolved = typeof difficulty === 'string'
+                    ? getDifficultyPreset(difficulty)
+                    : difficulty?.id === 'custom' ? createCustomDifficulty(difficulty) : getDifficultyPreset(difficulty?.id);
+                if (!resolved) {
+                    throw new Error(`Unknown difficulty '${difficulty?.id ?? difficulty}'.`);
+                }
+                this.gameConfig.difficulty = resolved;
+                updated = true;
+            } catch (e) {
+                console.warn(chalk.yellow(`Invalid difficulty: ${e.message}`));
+            }
+        }
+
+        if (newConfig.endConditions !== undefined) {
+            try {
+                // Stored in canonical spelling, so equivalent spellings of a condition are one condition
+                this.gameConfig.endConditions = [...new Set(newConfig.endConditions.map(text => parseEndCondition(text, this.gameConfig.totalDays).text))];
+                updated = true;
+            } catch (e) {
+                console.warn(chalk.yellow(`Invalid end condition: ${e.message}`));
+            }
+        }
+
+        const unreachable = getUnreachableAudits(this.gameConfig.endConditions, this.gameConfig.totalDays);
+        if (newConfig.totalDays !== undefined && unreachable.length > 0) {
+            console.warn(chalk.yellow(`These audits fall after the last day and will never happen: ${unreachable.join('; ')}`));
+        }
+
+        if (newConfig.timedShifts !== undefined) {
+            this.gameConfig.timedShifts = Boolean(newConfig.timedShifts);
+            updated = true;
+        }
+
         if (updated) {
-            console.log(chalk.green(`Game configuration updated: ${this.gameConfig.totalDays} days, ${this.gameConfig.travelersPerDay} travelers per day.`));
+            console.log(chalk.green(`Game configuration updated: ${this.gameConfig.totalDays} days, ${this.gameConfig.travelersPerDay} travelers per day, ${this.gameConfig.difficulty.name} difficulty${this.gameConfig.timedShifts ? ', timed shifts' : ''}.`));
         }
 
         return updated;
@@ -273,6 +626,9 @@ class SettingsManager {
     resetGameConfig() {
         this.gameConfig.totalDays = 10;
         this.gameConfig.travelersPerDay = 5;
+        this.gameConfig.difficulty = getDifficultyPreset();
+        this.gameConfig.endConditions = [];
+        this.gameConfig.timedShifts = false;
         console.log(chalk.blue("Game configuration reset to defaults."));
     }
 
@@ -281,8 +637,8 @@ class SettingsManager {
      * @returns {string} Formatted configuration info.
      */
     getGameConfigSummary() {
-        return `Assignment Duration: ${this.gameConfig.totalDays} days\nTravelers per Day: ${this.gameConfig.travelersPerDay} people`;
+        return `Assignment Duration: ${this.gameConfig.totalDays} days\nTravelers per Day: ${this.gameConfig.travelersPerDay} people\nDifficulty: ${this.gameConfig.difficulty.name}\nEnd Conditions: ${this.gameConfig.endConditions.length || 'none'}\nShift Timer: ${this.gameConfig.timedShifts ? 'on' : 'off'}`;
     }
 }
 
-export { SettingsManager };
\ No newline at end of file
+export { SettingsManager, formatRuleChange, BORDER_SETTINGS };
\ No newline at end of file
@@ -0,0 +1,80 @@
+/**
+ * Shift module for Veritaminal
+ * The optional shift timer. With it on, each shift runs on an in-game clock: every decision and every
+ * closer look (flipping papers, reading the rulebook, asking Veritas, interrogating the traveler) costs
+ * minutes, and the shift ends when the clock runs out rather than after a fixed number of travelers.
+ * The travelers per day of the game configuration become the shift's target; travelers still waiting
+ * when the shift ends cost points. The clock is kept in the saved gameState (`shiftMinutes`).
+ */
+
+// The shift starts at 08:00 (minutes after midnight)
+const SHIFT_START = 8 * 60;
+
+// Shift length per traveler in the day's target, so the target can be met with time for a few closer looks
+const MINUTES_PER_TARGET_TRAVELER = 30;
+
+// Minutes each action takes off the shift clock
+const TIME_COSTS = {
+    decision: 20,    // Greeting the traveler, reading the papers and stamping them
+    paper: 2,        // Flipping to another paper
+    rules: 5,        // Looking something up in the rulebook
+    hint: 10,        // Waiting for Veritas
+    interrogate: 10  // Questioning the traveler
+};
+
+// Points lost per traveler short of the target when the shift ends, times the difficulty's points per decision
+const UNREACHED_PENALTY = 1;
+
+/**
+ * Gets the length of a timed shift.
+ * @param {number} travelersPerDay - The shift's target.
+ * @returns {number} Minutes in the shift.
+ */
+function getShiftLength(travelersPerDay) {
+    return travelersPerDay * MINUTES_PER_TARGET_TRAVELER;
+}
+
+/**
+ * Formats a time of day on the shift clock.
+ * @param {number} minutesIntoShift - Minutes since the shift started.
+ * @returns {string} e.g. "09:40".
+ */
+function formatClock(minutesIntoShift) {
+    const time = SHIFT_START + minutesIntoShift;
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(Math.floor(time / 60) % 24)}:${pad(time % 60)}`;
+}
+
+/**
+ * Formats a duration.
+ * @param {number} minutes - The duration.
+ * @returns {string} e.g. "1h 20m" or "45m".
+ */
+function formatDuration(minutes) {
+    return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m` : `${minutes}m`;
+}
+
+/**
+ * Describes the shift timer for a game configuration, one line per fact.
+ * @param {{travelersPerDay: number}} gameConfig - The game configuration.
+ * @returns {string[]}
+ */
+function describeShiftTimer(gameConfig) {
+    const length = getShiftLength(gameConfig.travelersPerDay);
+    return [
+        `Shifts run ${formatClock(0)}-${formatClock(length)} with a target of ${gameConfig.travelersPerDay} travelers`,
+        `A decision takes ${TIME_COSTS.decision}m, flipping a paper ${TIME_COSTS.paper}m, the rulebook ${TIME_COSTS.rules}m, a hint ${TIME_COSTS.hint}m, questioning ${TIME_COSTS.interrogate}m`,
+        `Each traveler short of the target when the shift ends costs ${UNREACHED_PENALTY} decision's points`
+    ];
+}
+
+export {
+    SHIFT_START,
+    MINUTES_PER_TARGET_TRAVELER,
+    TIME_COSTS,
+    UNREACHED_PENALTY,
+    getShiftLength,
+    formatClock,
+    formatDuration,
+    describeShiftTimer
+};
@@ -0,0 +1,245 @@
+/**
+ * Transport module for Veritaminal
+ * Wraps AI provider calls with per-call timeouts, exponential backoff on 429/5xx
+ * and a circuit breaker that degrades the session to offline content after repeated failures.
+ */
+
+import chalk from 'chalk';
+
+// Default transport configuration (overridable via VERITAMINAL_AI_* environment variables)
+const DEFAULT_TRANSPORT_CONFIG = {
+    timeoutMs: 20000,        // Per-attempt timeout
+    maxRetries: 3,           // Retries after the first attempt (only for retryable errors)
+    baseDelayMs: 500,        // First backoff delay, doubled each retry
+    maxDelayMs: 8000,        // Backoff ceiling
+    failureThreshold: 3,     // Consecutive failed calls before the circuit opens
+    cooldownMs: 120000       // Time before a degraded session probes the provider again
+};
+
+/**
+ * Raised when a call exceeds its timeout.
+ */
+class AITimeoutError extends Error {
+    /**
+     * @param {number} timeoutMs - The timeout that was exceeded.
+     */
+    constructor(timeoutMs) {
+        super(`AI request timed out after ${timeoutMs}ms`);
+        this.name = 'AITimeoutError';
+    }
+}
+
+/**
+ * Raised instead of calling the provider while the circuit is open.
+ */
+class AIDegradedError extends Error {
+    constructor() {
+        super('AI transport is degraded; using offline content');
+        this.name = 'AIDegradedError';
+    }
+}
+
+/**
+ * Extracts an HTTP status code from a provider error.
+ * Gemini errors carry it in the message ("got status: 429 ..."), fetch-based providers set `status`.
+ * @param {Error} error - The provider error.
+ * @returns {number|null} The status code, or null if unknown.
+ */
+function getErrorStatus(error) {
+    if (typeof error?.status === 'number') return error.status;
+    const match = /got status:\s*(\d{3})/.exec(error?.message || '');
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * Checks whether an error is worth retrying (rate limits, server errors, timeouts, network failures).
+ * @param {Error} error - The provider error.
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+    if (error instanceof AITimeoutError) return true;
+    const status = getErrorStatus(error);
+    if (status !== null) {
+        return status === 429 || status >= 500;
+    }
+    // fetch() network failures surface as TypeError("fetch failed") with a system error cause
+    return (error?.name === 'TypeError' && /fetch failed/i.test(error.message))
+        || ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN'].includes(error?.cause?.code || error?.code);
+}
+
+/**
+ * Reads the transport configuration from environment variables.
+ * @returns {object} Partial configuration.
+ */
+function getTransportConfigFromEnv() {
+    const env = process.env;
+    const config = {};
+    const numeric = {
+        timeoutMs: env.VERITAMINAL_AI_TIMEOUT_MS,
+        maxRetries: env.VERITAMINAL_AI_MAX_RETRIES,
+        failureThreshold: env.VERITAMINAL_AI_FAILURE_THRESHOLD
+    };
+    Object.entries(numeric).forEach(([key, value]) => {
+        if (value !== undefined && !isNaN(parseInt(value))) {
+            config[key] = parseInt(value);
+        }
+    });
+    return config;
+}
+
+class AITransport {
+    /**
+     * Manages retries, timeouts and the circuit breaker for AI calls.
+     * @param {object} [config={}] - Overrides for DEFAULT_TRANSPORT_CONFIG.
+     */
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_TRANSPORT_CONFIG, ...config };
+        this.state = 'closed';            // 'closed' (healthy), 'open' (degraded), 'half_open' (probing)
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        /** @type {string|null} */
+        this.lastError = null;
+        /** @type {Array<function(string): void>} */
+        this.listeners = [];
+        this.sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Registers a callback invoked with the new state whenever the circuit changes state.
+     * @param {function(string): void} listener - State change listener.
+     */
+    onStateChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Whether the session is currently using degraded offline content.
+     * @returns {boolean}
+     */
+    isDegraded() {
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.config.cooldownMs) {
+            this._setState('half_open'); // Allow one probe call through
+        }
+        return this.state === 'open';
+    }
+
+    /**
+     * Status summary for display.
+     * @returns {{state: string, consecutiveFailures: number, lastError: string|null}}
+     */
+    getStatus() {
+        return {
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            lastError: this.lastError
+        };
+    }
+
+    /**
+     * Closes the circuit and clears failure counters.
+     */
+    reset() {
+        this.consecutiveFailures = 0;
+        this.lastError = null;
+        this.openedAt = null;
+        this._setState('closed');
+    }
+
+    /**
+     * Runs a provider call with timeout, retries and circuit breaking.
+     * @async
+     * @param {function(AbortSignal): Promise<any>} operation - The call; must honor the abort signal.
+     * @param {string} [label='AI request'] - Label for logs.
+     * @returns {Promise<any>} The operation's result.
+     * @throws {AIDegradedError} If the circuit is open.
+     * @throws {Error} The last error once retries are exhausted.
+     */
+    async send(operation, label = 'AI request') {
+        if (this.isDegraded()) {
+            throw new AIDegradedError();
+        }
+
+        let lastError = null;
+        for (let attempt = 0; attempt <= this.config.maxRetries; attempt++) {
+            try {
+                const result = await this._withTimeout(operation);
+                this._recordSuccess();
+                return result;
+            } catch (error) {
+                lastError = error;
+                const canRetry = isRetryableError(error) && attempt < this.config.maxRetries && this.state !== 'half_open';
+                if (!canRetry) {
+                    break;
+                }
+                const delay = Math.min(this.config.maxDelayMs, this.config.baseDelayMs * 2 ** attempt)
+                    * (0.75 + Math.random() * 0.5); // Jitter
+                console.warn(chalk.yellow(`Transport: ${label} failed (${error.message}). Retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${this.config.maxRetries}).`));
+                await this.sleep(delay);
+            }
+        }
+
+        this._recordFailure(lastError);
+        throw lastError;
+    }
+
+    /**
+     * Runs an operation with an abort signal that fires after the configured timeout.
+     * @async
+     * @private
+     */
+    async _withTimeout(operation) {
+        const controller = new AbortController();
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                controller.abort();
+                reject(new AITimeoutError(this.config.timeoutMs));
+            }, this.config.timeoutMs);
+        });
+        try {
+            return await Promise.race([operation(controller.signal), timeout]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /** @private */
+    _recordSuccess() {
+        this.consecutiveFailures = 0;
+        if (this.state !== 'closed') {
+            console.log(chalk.green("Transport: AI provider recovered. Leaving degraded mode."));
+            this.openedAt = null;
+            this._setState('closed');
+        }
+    }
+
+    /** @private */
+    _recordFailure(error) {
+        this.consecutiveFailures += 1;
+        this.lastError = error?.message || String(error);
+        if (this.state === 'half_open' || this.consecutiveFailures >= this.config.failureThreshold) {
+            if (this.state !== 'open') {
+                console.error(chalk.red(`Transport: ${this.consecutiveFailures} consecutive AI failures. Switching to degraded offline content.`));
+            }
+            this.openedAt = Date.now();
+            this._setState('open');
+        }
+    }
+
+    /** @private */
+    _setState(state) {
+        if (this.state === state) return;
+        this.state = state;
+        this.listeners.forEach(listener => listener(state));
+    }
+}
+
+export {
+    AITransport,
+    AITimeoutError,
+    AIDegradedError,
+    isRetryableError,
+    getErrorStatus,
+    getTransportConfigFromEnv,
+    DEFAULT_TRANSPORT_CONFIG
+};
@@ -7,6 +7,12 @@
 import chalk from 'chalk';
 import readlineSync from 'readline-sync';
 import os from 'os';
+import { DOCUMENT_FIELDS } from './documents.js';
+import { formatLongDate } from './dates.js';
+import { RULE_SYNTAX_EXAMPLES } from './rules.js';
+import { END_CONDITION_EXAMPLES } from './outcomes.js';
+import { formatDuration } from './shift.js';
+import { HEALTH_LEVELS, formatCredits, getLedgerItemName } from './economy.js';
 
 // Helper function for centering text
 function centerText(text, width) {
@@ -22,6 +28,14 @@ function ljust(text, width) {
      return text + ' '.repeat(padding);
 }
 
+// Style of each family health level (see HEALTH_LEVELS in economy.js)
+const HEALTH_STYLES = ['dim', 'error', 'error', 'warning', 'warning', 'success'];
+
+// Helper function for turning field keys into labels (e.g. "trade_visa_stamp" -> "Trade Visa Stamp")
+function formatFieldLabel(field) {
+    return field.replace(/_/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').replace(/\b\w/g, l => l.toUpperCase());
+}
+
 class TerminalUI {
     /**
      * Manages the terminal-based user interface.
@@ -128,20 +142,39 @@ class TerminalUI {
     }
 
     /**
-     * Displays a document to the player.
-     * @param {object} document - The document object { name, permit, backstory, additional_fields? }.
+     * Displays a traveler's papers to the player, one paper per page.
+     * @param {import('./documents.js').TravelerDocument} document - The typed traveler document.
+     * @param {number} [page=0] - Index of the paper to show (clamped to the available papers).
      */
-    displayDocument(document) {
+    displayDocument(document, page = 0) {
         if (!document) {
             this.print("Error displaying document.", 'error');
             return;
         }
         this.clearScreen();
-        this.drawBorder("TRAVELER DOCUMENT");
+        this.drawBorder("TRAVELER PAPERS");
+
+        const papers = document.papers || [];
+        if (papers.length > 0) {
+            const current = Math.max(0, Math.min(page, papers.length - 1));
+            // Tab bar: the current paper is highlighted
+            const tabs = papers.map((paper, index) => index === current
+                ? this.coloredText(`[${index + 1}] ${paper.title}`, 'header')
+                : this.coloredText(` ${index + 1}  ${paper.title}`, 'normal'));
+            console.log(tabs.join('   '));
+            console.log(`\n${this.coloredText(papers[current].title.toUpperCase(), 'header')}`);
+
+            Object.entries(papers[current].fields).forEach(([key, value]) => {
+                const label = DOCUMENT_FIELDS.find(field => field.key === key)?.label || formatFieldLabel(key);
+                console.log(`${this.coloredText(ljust(label + ':', 24), 'key')} ${this.coloredText(value || 'N/A', 'value')}`);
+            });
+        } else {
+            DOCUMENT_FIELDS.forEach(({ key, label }) => {
+                console.log(`${this.coloredText(ljust(label + ':', 24), 'key')} ${this.coloredText(document[key] || 'N/A', 'value')}`);
+            });
+        }
 
-        console.log(`${this.coloredText(ljust('Name:', 10), 'key')} ${this.coloredText(document.name || 'N/A', 'value')}`);
-        console.log(`${this.coloredText(ljust('Permit:', 10), 'key')} ${this.coloredText(document.permit || 'N/A', 'value')}`);
-        console.log(`\n${this.coloredText('Backstory:', 'key')}`);
+        console.log(`\n${this.coloredText("Traveler's Statement:", 'key')}`);
         console.log(this.coloredText(document.backstory || 'No backstory provided.', 'value'));
 
         const additionalFields = document.additional_fields || {};
@@ -150,14 +183,26 @@ class TerminalUI {
         if (fieldKeys.length > 0) {
             console.log(`\n${this.coloredText('Additional Information:', 'header')}`);
             fieldKeys.forEach(field => {
-                const keyText = field.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()) + ':'; // Format key nicely
-                console.log(`${this.coloredText(ljust(keyText, 20), 'key')} ${this.coloredText(additionalFields[field], 'value')}`);
+                console.log(`${this.coloredText(ljust(formatFieldLabel(field) + ':', 24), 'key')} ${this.coloredText(additionalFields[field], 'value')}`);
             });
         }
 
+        if (papers.length > 1) {
+            console.log(`\n${this.coloredText("Type 'next', 'prev' or a paper number to flip between papers.", 'hint')}`);
+        }
         this.drawBorder(null, '-'); // Use different char for internal separator
     }
 
+    /**
+     * Displays the traveler's answer to the inspector's questions.
+     * @param {string} name - The traveler's name.
+     * @param {string} answer - The answer.
+     */
+    displayTravelerAnswer(name, answer) {
+        console.log(`\n${this.coloredText(`You question ${name}:`, 'key')}`);
+        console.log(this.coloredText(answer, 'value'));
+    }
+
     /**
      * Displays a hint from Veritas.
      * @param {string} hint - The hint text.
@@ -180,12 +225,203 @@ class TerminalUI {
             this.print("No specific rules currently active.", 'warning');
         } else {
             rules.forEach((rule, index) => {
-                console.log(`${this.coloredText(String(index + 1) + '. ' + rule.name + ':', 'key')} ${this.coloredText(rule.description, 'normal')}`);
+                // Machine-checked rules are verified automatically; the rest rely on the inspector
+                const tag = rule.machineChecked
+                    ? this.coloredText('[checked]', 'success')
+                    : this.coloredText('[manual] ', 'warning');
+                console.log(`${tag} ${this.coloredText(String(index + 1) + '. ' + rule.name + ':', 'key')} ${this.coloredText(rule.description, 'normal')}`);
             });
+            console.log(`\n${this.coloredText('[checked]', 'success')} ${this.coloredText('verified against the papers', 'dim')}   ${this.coloredText('[manual]', 'warning')} ${this.coloredText('your judgment only', 'dim')}`);
+        }
+        this.drawBorder(null, '-');
+    }
+
+    /**
+     * Displays the career's custom end conditions with the progress made towards them. Shows nothing if there are none.
+     * @param {string[]} conditions - One line per condition (see OutcomeEngine.describeProgress).
+     */
+    displayEndConditions(conditions) {
+        if (conditions.length === 0) {
+            return;
+        }
+        this.print("\nEnd Conditions:", 'header');
+        conditions.forEach(condition => this.print(`- ${condition}`, 'value'));
+        this.drawBorder(null, '-');
+    }
+
+    /**
+     * Displays the end-of-day household screen: the day's pay, the savings, the family's health and
+     * tonight's bills, marking the ones chosen so far.
+     * @param {number} day - The day that is ending.
+     * @param {{savings: number, family: import('./economy.js').FamilyMember[], today: import('./economy.js').LedgerEntry[]}} household - See GameplayManager.getHousehold.
+     * @param {Array<import('./economy.js').Expense & {id: string, owed: number}>} expenses - Bills due tonight.
+     * @param {string[]} selected - IDs of the optional bills chosen so far.
+     * @param {string|null} [notice=null] - Message shown below the bills.
+     */
+    displayEvening(day, household, expenses, selected, notice = null) {
+        this.clearScreen();
+        this.drawBorder(`EVENING OF DAY ${day}`);
+
+        this.print("Today's pay:", 'header');
+        if (household.today.length === 0) {
+            this.print("  Nothing earned today.", 'dim');
+        }
+        household.today.forEach(entry => {
+            console.log(`  ${ljust(`${getLedgerItemName(entry.item)} (${entry.count})`, 14)} ${this.coloredText(formatCredits(entry.amount, true), entry.amount < 0 ? 'error' : 'success')}`);
+        });
+        console.log(`  ${ljust('Savings', 14)} ${this.coloredText(formatCredits(household.savings), household.savings < 0 ? 'error' : 'value')}`);
+
+        this.print("\nFamily:", 'header');
+        household.family.forEach(member => {
+            console.log(`  ${ljust(member.name, 14)} ${this.coloredText(HEALTH_LEVELS[member.health], HEALTH_STYLES[member.health])}`);
+        });
+
+        this.print("\nBills:", 'header');
+        let total = 0;
+        expenses.forEach(expense => {
+            // The rent is taken whenever the savings cover it
+            const paying = expense.required ? household.savings >= expense.owed : selected.includes(expense.id);
+            total += paying ? expense.owed : 0;
+            const mark = paying ? this.coloredText('[x]', 'success') : this.coloredText(expense.required ? '[!]' : '[ ]', expense.required ? 'error' : 'dim');
+            console.log(`  ${mark} ${ljust(expense.name, 10)} ${ljust(formatCredits(expense.owed), 8)} ${this.coloredText(expense.description, 'dim')}`);
+        });
+        console.log(`\n  ${this.coloredText('Paying:', 'key')} ${this.coloredText(formatCredits(total), 'value')} | ${this.coloredText('Savings after:', 'key')} ${this.coloredText(formatCredits(household.savings - total), 'value')}`);
+        if (notice) {
+            this.print(`\n${notice}`, 'warning');
+        }
+        this.drawBorder(null, '-');
+    }
+
+    /**
+     * Displays the career's ledger, one line per day, most recent last.
+     * @param {import('./economy.js').LedgerEntry[]} ledger - The ledger.
+     * @param {number} savings - Current savings.
+     * @param {number} [days=10] - Days to show.
+     */
+    displayLedger(ledger, savings, days = 10) {
+        this.clearScreen();
+        this.drawBorder("HOUSEHOLD LEDGER");
+        const byDay = new Map();
+        ledger.forEach(entry => byDay.set(entry.day, [...(byDay.get(entry.day) || []), entry]));
+        if (byDay.size === 0) {
+            this.print("No entries yet.", 'dim');
         }
+        [...byDay.entries()].slice(-days).forEach(([day, entries]) => {
+            const net = entries.reduce((sum, entry) => sum + entry.amount, 0);
+            const items = entries.map(entry => `${getLedgerItemName(entry.item)} ${this.coloredText(formatCredits(entry.amount, true), entry.amount < 0 ? 'error' : 'success')}`);
+            console.log(`${this.coloredText(ljust(`Day ${day}:`, 8), 'key')} ${items.join(', ')} ${this.coloredText(`(net ${formatCredits(net, true)})`, 'dim')}`);
+        });
+        console.log(`\n${this.coloredText('Savings:', 'key')} ${this.coloredText(formatCredits(savings), savings < 0 ? 'error' : 'value')}`);
         this.drawBorder(null, '-');
     }
 
+    /**
+     * Displays the morning bulletin listing the rule changes that took effect today.
+     * @param {number} day - Current day.
+     * @param {string|null} date - Current game date (ISO).
+     * @param {import('./settings.js').RuleChange[]} changes - Rule changes in effect from today.
+     */
+    displayBulletin(day, date, changes) {
+        this.drawBorder("MORNING BULLETIN");
+        this.print(`Day ${day}${date ? ` (${formatLongDate(date)})` : ''}: the following regulations take effect today.\n`, 'border_info');
+
+        const labels = { add: ['NEW', 'success'], modify: ['CHANGED', 'warning'], retire: ['RETIRED', 'dim'] };
+        changes.forEach(change => {
+            const [label, style] = labels[change.action] || ['NOTICE', 'normal'];
+            console.log(`${this.coloredText(ljust(label, 8), style)} ${this.coloredText(change.description, 'normal')}`);
+            if (change.previous) {
+                console.log(`${' '.repeat(9)}${this.coloredText(`(was: ${change.previous})`, 'dim')}`);
+            }
+        });
+        this.print("\nType 'rules' during your shift to review every rule in force.", 'hint');
+        this.drawBorder(null, '-');
+    }
+
+    /**
+     * Displays the rule linter's findings: contradicting rules and rules the generated travelers
+     * do not exercise.
+     * @param {import('./lint.js').LintReport} report - The lint report.
+     */
+    displayRuleLint(report) {
+        this.print("\nRule Review:", 'header');
+        if (report.conflicts.length === 0 && report.coverage.length === 0) {
+            this.print(`- No conflicts; every checked rule was exercised by ${report.sampleSize} sample travelers.`, 'success');
+            return;
+        }
+        report.conflicts.forEach(({ severity, rules, description }) => {
+            const [mark, style] = severity === 'error' ? ['✗', 'error'] : ['!', 'warning'];
+            console.log(`  ${this.coloredText(mark, style)} ${this.coloredText(rules.map(rule => rule.name).join(' vs ') + ':', 'key')} ${this.coloredText(description, 'normal')}`);
+        });
+        report.coverage.forEach(({ rule, description }) => {
+            console.log(`  ${this.coloredText('?', 'warning')} ${this.coloredText(rule.name + ':', 'key')} ${this.coloredText(description, 'dim')}`);
+        });
+        this.print(`  (Coverage measured on ${report.sampleSize} sample travelers.)`, 'dim');
+    }
+
+    /**
+     * Displays a preview of each save slot: border, day, score, trust, corruption, whether it was rewound
+     * and when it was last played.
+     * @param {import('./saves.js').SaveSlot[]} slots - The save slots.
+     */
+    displaySaveSlots(slots) {
+        slots.forEach((slot, index) => {
+            const lastPlayed = slot.lastPlayed ? slot.lastPlayed.slice(0, 16).replace('T', ' ') : 'unknown';
+            console.log(`${this.coloredText(`${index + 1}. ${slot.name}`, 'key')} ${this.coloredText(`(last played ${lastPlayed})`, 'dim')}`);
+            if (slot.corrupted) {
+                console.log(`   ${this.coloredText(`Damaged: ${slot.error} Load it to restore a backup.`, 'error')}`);
+                return;
+            }
+            if (slot.error) {
+                console.log(`   ${this.coloredText(`Unreadable: ${slot.error}`, 'error')}`);
+                return;
+            }
+            const day = slot.totalDays ? `${slot.day}/${slot.totalDays}` : slot.day;
+            console.log(`   ${this.coloredText(slot.border || 'Unknown border', 'value')} | Day ${day} | Score ${Number(slot.score).toFixed(2)} | Trust ${slot.trust} | Corruption ${slot.corruption}${slot.rewound ? ' | Rewound' : ''}`);
+        });
+        console.log();
+    }
+
+    /**
+     * Displays a short boxed notice that stands out from the surrounding output, e.g. an unlocked achievement.
+     * @param {string} title - Headline of the notice.
+     * @param {string} message - One line of detail.
+     */
+    displayToast(title, message) {
+        const width = Math.min(this.width, Math.max(title.length, message.length) + 6);
+        const line = (text, style) => `${this.coloredText('*', 'warning')}  ${this.coloredText(ljust(text, width - 6), style)}  ${this.coloredText('*', 'warning')}`;
+        console.log('\n' + this.coloredText('*'.repeat(width), 'warning'));
+        console.log(line(title, 'success'));
+        console.log(line(message, 'dim'));
+        console.log(this.coloredText('*'.repeat(width), 'warning'));
+    }
+
+    /** Displays the syntax for custom rules with examples. */
+    displayRuleSyntax() {
+        this.print("Custom Rule Syntax:", 'header');
+        this.print("  <field> is <value>            <field> is not <value>", 'value');
+        this.print("  <field> is one of <a, b or c> <field> is not one of <a, b or c>", 'value');
+        this.print("  <field> is present            <field> matches <pattern>", 'value');
+        this.print("  <field> is before|after|on or before|on or after today|<field> [+|- N days|years]", 'value');
+        this.print("  <field> agrees on all papers  if <statement> then <statement>", 'value');
+        this.print("Fields: name, date of birth, nationality, passport number, issuing authority, issue date,", 'dim');
+        this.print("expiry date, permit, purpose of visit, occupation, permit expiry, or <paper>.<field>", 'dim');
+        this.print("with a paper of passport, entry_permit or border_paper. Values ignore case; patterns do", 'dim');
+        this.print("not, unless written as /<pattern>/i.", 'dim');
+        this.print("\nExamples:", 'header');
+        RULE_SYNTAX_EXAMPLES.forEach(example => this.print(`  ${example}`, 'command'));
+    }
+
+    /** Displays the syntax of custom end conditions, with examples. */
+    displayEndConditionSyntax() {
+        this.print("End Condition Syntax:", 'header');
+        this.print("  win|lose: approve|deny <n> travelers [where <rule>]", 'value');
+        this.print("  audit on day <n>: corruption|trust|accuracy at most|at least <value>", 'value');
+        this.print("A 'where' rule uses the custom rule syntax and picks the travelers counted. An audit", 'dim');
+        this.print("checks your record at the end of its day; failing it ends the career. Accuracy is a percentage.", 'dim');
+        this.print("\nExamples:", 'header');
+        END_CONDITION_EXAMPLES.forEach(example => this.print(`  ${example}`, 'command'));
+    }
+
     /** Displays help information. */
     displayHelp() {
         this.clearScreen();
@@ -194,8 +430,16 @@ class TerminalUI {
         const commands = [
             { cmd: "approve", desc: "Approve the current traveler's entry." },
             { cmd: "deny", desc: "Deny the current traveler's entry." },
-            { cmd: "hint", desc: "Request a hint from Veritas AI assistant." },
-            { cmd: "rules", desc: "Display current verification rules for this border." },
+            { cmd: "next", desc: "Show the traveler's next paper." },
+            { cmd: "prev", desc: "Show the traveler's previous paper." },
+            { cmd: "1, 2, 3", desc: "Show the paper with that number." },
+            { cmd: "hint", desc: "Request a hint from Veritas AI assistant (limited per day by the difficulty)." },
+            { cmd: "ask", desc: "Question the traveler about their trip and papers." },
+            { cmd: "rule add", desc: "Add a custom rule, e.g. 'rule add nationality is not Westorian'." },
+            { cmd: "rules", desc: "Display current verification rules for this border and your end conditions." },
+            { cmd: "ledger", desc: "Show your household's wages, fines and expenses by day." },
+            { cmd: "undo", desc: "Take back your last decision today (the career is marked as rewound)." },
+            { cmd: "restart", desc: "Restart the current day from its first traveler (marks the career as rewound)." },
             { cmd: "save", desc: "Save your current game progress." },
             { cmd: "quit", desc: "Quit the current game and return to the main menu." },
             { cmd: "help", desc: "Show this help information." },
@@ -211,28 +455,74 @@ class TerminalUI {
      * Displays feedback based on the player's decision.
      * @param {boolean} isCorrect - Whether the decision was correct.
      * @param {string} narrativeUpdate - The narrative update text.
-     * @param {object|null} aiJudgment - The AI's judgment for comparison.
+     * @param {object|null} aiJudgment - The AI's advisory judgment for comparison.
+     * @param {import('./documents.js').GroundTruth|null} [groundTruth=null] - The document's planted ground truth.
+     * @param {import('./gameplay.js').RuleBreakdown|null} [ruleBreakdown=null] - Per-rule results for the document.
      */
-    displayFeedback(isCorrect, narrativeUpdate, aiJudgment) {
+    displayFeedback(isCorrect, narrativeUpdate, aiJudgment, groundTruth = null, ruleBreakdown = null) {
         console.log("\n" + this.coloredText("-".repeat(this.width), 'border')); // Separator
         if (isCorrect) {
             this.print("✓ Correct Decision!", 'success');
         } else {
             this.print("✗ Incorrect Decision!", 'error');
-            if (aiJudgment) {
-                 this.print(`  (AI would have decided: ${this.coloredText(aiJudgment.decision.toUpperCase(), 'warning')})`, 'dim');
+        }
+
+        if (groundTruth) {
+            if (groundTruth.legitimate) {
+                this.print("  This traveler's papers were in order.", 'dim');
+            } else if (!ruleBreakdown) {
+                this.print("  Planted flaws:", 'dim');
+                groundTruth.flaws.forEach(flaw => this.print(`  - ${this.coloredText(flaw.description, 'warning')}`));
             }
         }
 
+        if (ruleBreakdown) {
+            this.displayRuleBreakdown(ruleBreakdown);
+        }
+
         this.print(`\n${narrativeUpdate}`, 'normal'); // Display narrative consequence
 
         if (!isCorrect && aiJudgment) {
-            this.print("\n--- AI Assessment ---", 'header');
+            const expected = groundTruth ? (groundTruth.legitimate ? 'approve' : 'deny') : null;
+            const agreement = expected === null ? '' : aiJudgment.decision === expected ? ' (matched the correct decision)' : ' (also incorrect)';
+            this.print(`\n--- AI Advisory Opinion: ${aiJudgment.decision.toUpperCase()}${agreement} ---`, 'header');
             this.printReasoning(aiJudgment.reasoning, aiJudgment.confidence, aiJudgment.suspicious_elements);
         }
          console.log(this.coloredText("-".repeat(this.width), 'border') + "\n");
     }
 
+    /**
+     * Displays the result of every rule for the decided document: failures show the violating
+     * field and the planted flaw they trace back to.
+     * @param {import('./gameplay.js').RuleBreakdown} breakdown - Per-rule results.
+     */
+    displayRuleBreakdown(breakdown) {
+        this.print("\nRule Check:", 'header');
+        breakdown.results.forEach(({ rule, status, field, paper, value, flaw }) => {
+            if (status === 'pass') {
+                console.log(`  ${this.coloredText('✓', 'success')} ${this.coloredText(rule.name, 'dim')}`);
+            } else if (status === 'manual') {
+                console.log(`  ${this.coloredText('?', 'warning')} ${this.coloredText(`${rule.name} (manual): ${rule.description}`, 'dim')}`);
+            } else {
+                console.log(`  ${this.coloredText('✗', 'error')} ${this.coloredText(rule.name + ':', 'key')} ${this.coloredText(rule.description, 'normal')}`);
+                if (field) {
+                    const key = field.split('.').pop();
+                    const label = DOCUMENT_FIELDS.find(f => f.key === key)?.label || formatFieldLabel(key);
+                    const location = paper ? `${paper} › ${label}` : label;
+                    console.log(`      ${this.coloredText(location + ':', 'key')} ${this.coloredText(value ?? 'missing', 'error')}`);
+                }
+                // Regulation flaws are the rule failure itself; only planted flaws add information
+                if (flaw && flaw.type !== 'regulation') {
+                    console.log(`      ${this.coloredText('Planted flaw:', 'dim')} ${this.coloredText(flaw.description, 'warning')}`);
+                }
+            }
+        });
+        if (breakdown.uncaughtFlaws.length > 0) {
+            this.print("  Not caught by any checked rule:", 'dim');
+            breakdown.uncaughtFlaws.forEach(flaw => this.print(`  - ${this.coloredText(flaw.description, 'warning')}`));
+        }
+    }
+
      /**
      * Displays AI reasoning details.
      * @param {string} reasoning - The AI's reasoning text.
@@ -263,7 +553,9 @@ class TerminalUI {
         this.clearScreen();
         this.drawBorder("ASSIGNMENT COMPLETE / CAREER OVER");
 
-        const endingStyle = endingType.startsWith('good') ? 'success' : endingType.includes('corrupt') ? 'error' : endingType.includes('strict') ? 'warning' : 'normal';
+        const endingStyle = endingType.startsWith('good') || endingType === 'objective_met' ? 'success'
+            : endingType.includes('corrupt') || endingType.endsWith('_failed') || endingType === 'evicted' || endingType === 'family_lost' ? 'error'
+            : endingType.includes('strict') ? 'warning' : 'normal';
 
         console.log(centerText(this.coloredText(endingMessage, endingStyle), this.width));
         console.log("\n" + centerText(this.coloredText(`Final Score: ${finalScore.toFixed(2)}`, 'value'), this.width) + "\n");
@@ -272,29 +564,75 @@ class TerminalUI {
     }
 
     /**
-     * Displays status information (Day, Score, Narrative State).
+     * Displays status information (Day and date, Score, hints left, shift clock, household, Narrative State, AI backend).
      * @param {number} day - Current day.
      * @param {number} score - Current score.
      * @param {string} stateSummary - Summary string from NarrativeManager.
+     * @param {{mode: string, provider: string, lastError: string|null}|null} [aiStatus=null] - AI status from api.getAIStatus().
+     * @param {string|null} [date=null] - Current in-world date (ISO).
+     * @param {number|null} [hintsLeft=null] - Veritas hints left today, or null if there is no limit.
+     * @param {{clock: string, minutesLeft: number, processed: number, target: number}|null} [shift=null] - Today's
+     *   timed shift (see GameplayManager.getShiftStatus), or null if shifts are not timed.
+     * @param {{savings: number, family: import('./economy.js').FamilyMember[]}|null} [household=null] - The household
+     *   (see GameplayManager.getHousehold).
      */
-    displayStatus(day, score, stateSummary) {
+    displayStatus(day, score, stateSummary, aiStatus = null, date = null, hintsLeft = null, shift = null, household = null) {
         this.drawBorder(null, '-'); // Separator before status
-        const dayStr = `${this.coloredText('Day:', 'key')} ${this.coloredText(String(day), 'value')}`;
+        const dayText = date ? `${day} (${formatLongDate(date)})` : String(day);
+        const dayStr = `${this.coloredText('Day:', 'key')} ${this.coloredText(dayText, 'value')}`;
         const scoreStr = `${this.coloredText('Score:', 'key')} ${this.coloredText(score.toFixed(2), 'value')}`;
         const stateStr = this.coloredText(stateSummary, 'border_info');
 
-        console.log(`${dayStr} | ${scoreStr}`);
+        const hintsStr = hintsLeft === null ? '' : ` | ${this.coloredText('Hints left:', 'key')} ${this.coloredText(String(hintsLeft), hintsLeft === 0 ? 'warning' : 'value')}`;
+
+        console.log(`${dayStr} | ${scoreStr}${hintsStr}`);
+        if (shift) {
+            const timeLeft = shift.minutesLeft > 0
+                ? this.coloredText(`${formatDuration(shift.minutesLeft)} left`, shift.minutesLeft <= 30 ? 'warning' : 'value')
+                : this.coloredText('shift over after this traveler', 'error');
+            const travelers = this.coloredText(`${shift.processed} of ${shift.target}`, shift.processed >= shift.target ? 'success' : 'value');
+            console.log(`${this.coloredText('Clock:', 'key')} ${this.coloredText(shift.clock, 'value')} (${timeLeft}) | ${this.coloredText('Travelers:', 'key')} ${travelers}`);
+        }
+        if (household) {
+            const family = household.family.map(member => `${member.name} ${this.coloredText(HEALTH_LEVELS[member.health], HEALTH_STYLES[member.health])}`).join(', ');
+            console.log(`${this.coloredText('Savings:', 'key')} ${this.coloredText(formatCredits(household.savings), household.savings < 0 ? 'error' : 'value')} | ${this.coloredText('Family:', 'key')} ${family}`);
+        }
         console.log(stateStr);
+        const aiStatusLine = this.formatAIStatus(aiStatus);
+        if (aiStatusLine) {
+            console.log(aiStatusLine);
+        }
         this.drawBorder(null, '='); // Main border after status
     }
 
+    /**
+     * Formats the AI status line. Returns null when the AI is healthy (nothing to report).
+     * @param {{mode: string, provider: string, lastError: string|null}|null} aiStatus - AI status.
+     * @returns {string|null} Formatted status line.
+     */
+    formatAIStatus(aiStatus) {
+        if (!aiStatus) return null;
+        switch (aiStatus.mode) {
+            case 'degraded': {
+                const reason = aiStatus.lastError ? ` (${aiStatus.lastError.slice(0, 60)})` : '';
+                return this.coloredText(`⚠ AI DEGRADED: ${aiStatus.provider} unavailable${reason}. Using offline content.`, 'warning');
+            }
+            case 'offline':
+                return this.coloredText('AI: offline mode (procedural content)', 'dim');
+            case 'replay':
+                return this.coloredText('AI: replaying recorded cassette', 'dim');
+            default:
+                return null;
+        }
+    }
+
     /**
      * Uses readline-sync to get the user's next command.
      * @async
      * @param {string} [message='Enter command > '] - The prompt message.
      * @returns {Promise<string>} The user's command (lowercase, trimmed).
      */
-    async getUserInput(message = 'Enter command (approve, deny, hint, rules, save, quit, help) > ') {
+    async getUserInput(message = 'Enter command (approve, deny, next, prev, hint, ask, rules, save, quit, help) > ') {
         try {
             const input = readlineSync.question(this.coloredText(message, 'hint'));
             return input.trim().toLowerCase();
@@ -304,6 +642,21 @@ class TerminalUI {
         }
     }
 
+    /**
+     * Uses readline-sync to read free text such as a file path or a name, keeping its case.
+     * @async
+     * @param {string} message - The prompt message.
+     * @returns {Promise<string>} The text entered (trimmed), or an empty string on error.
+     */
+    async getTextInput(message) {
+        try {
+            return readlineSync.question(this.coloredText(message, 'hint')).trim();
+        } catch (error) {
+            console.error(chalk.red("\nInput error occurred."), error);
+            return "";
+        }
+    }
+
     /**
      * Uses readline-sync to present a list of choices.
      * @async
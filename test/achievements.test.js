@@ -0,0 +1,39 @@
+/**
+ * Achievement tests for Veritaminal
+ * Feeds gameplay events to the achievement manager and checks the counted statistics.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AchievementManager } from '../src/achievements.js';
+import { ProfileManager } from '../src/profile.js';
+
+const FORGED_DENIAL = { type: 'decision', decision: 'deny', isCorrect: true, flaws: [{ type: 'permit_format' }] };
+
+test('decisions of a career that has not been rewound are counted', () => {
+    const achievements = new AchievementManager(new ProfileManager());
+    achievements.handleEvent({ ...FORGED_DENIAL, rewound: false });
+    assert.equal(achievements.getStat('forgedPermitsCaught'), 1);
+});
+
+test('replaying a decision after undo does not count it again', () => {
+    const achievements = new AchievementManager(new ProfileManager());
+    achievements.handleEvent({ ...FORGED_DENIAL, rewound: false });
+    for (let round = 0; round < 10; round++) {
+        achievements.handleEvent({ ...FORGED_DENIAL, rewound: true });
+    }
+    assert.equal(achievements.getStat('forgedPermitsCaught'), 1);
+    assert.equal(achievements.getProgress().find(entry => entry.achievement.id === 'forgery_hunter').unlocked, false);
+});
+
+test('a restarted day is not counted as a perfect day', () => {
+    const achievements = new AchievementManager(new ProfileManager());
+    achievements.handleEvent({ type: 'day_end', day: 1, decisions: 5, correct: 5, unreached: 0, died: 0, rewound: true });
+    assert.equal(achievements.getStat('perfectDays'), 0);
+});
+
+test('a migrated career with unknown hint use is not hintless', () => {
+    const achievements = new AchievementManager(new ProfileManager());
+    achievements.handleEvent({ type: 'career_end', endingType: 'good', completed: true, hintsUsed: null, rewound: false });
+    assert.equal(achievements.getStat('hintlessCareers'), 0);
+});
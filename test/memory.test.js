@@ -0,0 +1,73 @@
+/**
+ * Save migration tests for Veritaminal
+ * Runs old saves through migrateSave and checks the fields each step derives.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { MemoryManager, migrateSave, readSaveFile, listBackups, SAVE_VERSION } from '../src/memory.js';
+
+/**
+ * Builds a version 1 save: no version field, a bare gameState and a decision history.
+ * @returns {object}
+ */
+function createVersion1Save() {
+    return {
+        borderSetting: null,
+        gameState: { day: 1, corruption: 1, trust: 0 },
+        settings: {
+            currentSettingId: null,
+            customRules: [],
+            gameConfig: { totalDays: 10, travelersPerDay: 5, allowCustomization: true }
+        },
+        travelerHistory: [],
+        decisions: [true, true, false, true].map(correct => ({ day: 1, decision: 'approve', correct })),
+        narrativeEvents: [],
+        ruleChanges: [],
+        usedNames: []
+    };
+}
+
+test('a version 1 save gets its decision counts derived from its history', () => {
+    const { save, fromVersion, changes } = migrateSave(createVersion1Save());
+    assert.equal(fromVersion, 1);
+    assert.equal(save.version, SAVE_VERSION);
+    assert.equal(save.gameState.score, 3);
+    assert.equal(save.gameState.decisionsMade, 4);
+    assert.equal(save.gameState.correctDecisions, 3);
+    assert.equal(save.gameState.correctToday, 3);
+    assert.ok(changes.some(change => change.startsWith('v4 -> v5:')));
+    assert.ok(changes.some(change => change.startsWith('v5 -> v6:')));
+});
+
+test('a version 1 save has unknown hint use', () => {
+    const { save } = migrateSave(createVersion1Save());
+    assert.equal(save.gameState.hintsUsed, null);
+});
+
+test('a version 1 save starts the household economy', () => {
+    const { save, changes } = migrateSave(createVersion1Save());
+    assert.deepEqual(save.gameState.ledger, []);
+    assert.ok(changes.some(change => change.startsWith('v11 -> v12:')));
+});
+
+test('saving over a damaged file keeps the good backups', async () => {
+    const memoryManager = new MemoryManager(`saves/test-backups-${process.pid}`, 2);
+    try {
+        await memoryManager.startNewSession('career.json');
+        await memoryManager.saveCurrentSession();
+        await memoryManager.saveCurrentSession();
+        await fs.writeFile(path.join(memoryManager.savePath, 'career.json'), '{"version": 12, "checksum": "0"', 'utf8');
+        await memoryManager.saveCurrentSession();
+
+        const backups = await listBackups(memoryManager.savePath, 'career.json');
+        assert.equal(backups.length, 2);
+        for (const backup of backups) {
+            await readSaveFile(backup.path); // Throws on a damaged backup
+        }
+    } finally {
+        await fs.rm(memoryManager.savePath, { recursive: true, force: true });
+    }
+});
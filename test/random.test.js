@@ -0,0 +1,14 @@
+/**
+ * Random generator tests for Veritaminal
+ * Checks the seeds that must be the same for every player.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDailySeed } from '../src/random.js';
+
+test('the Daily Challenge seed follows the UTC date', () => {
+    // Late evening of 1 May west of Greenwich is already 2 May in UTC
+    assert.equal(getDailySeed(new Date('2024-05-02T03:00:00Z')), 'daily-2024-05-02');
+    assert.equal(getDailySeed(new Date('2024-05-01T23:59:59Z')), 'daily-2024-05-01');
+});
@@ -0,0 +1,34 @@
+/**
+ * Rule syntax tests for Veritaminal
+ * Parses player-authored rules and checks them against traveler documents.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRule, evaluateCheck } from '../src/rules.js';
+
+/**
+ * Builds a document whose passport prints a name.
+ * @param {string} name - The traveler's name.
+ * @returns {object}
+ */
+function createDocument(name) {
+    return { papers: [{ type: 'passport', fields: { name } }] };
+}
+
+test('a pattern is case-sensitive', () => {
+    const check = parseRule('name matches ^[A-Z]');
+    assert.equal(evaluateCheck(check, createDocument('Alice Smith')).passed, true);
+    assert.equal(evaluateCheck(check, createDocument('alice smith')).passed, false);
+});
+
+test('a pattern written as /.../i ignores case', () => {
+    const check = parseRule('name matches /^[A-Z]/i');
+    assert.equal(evaluateCheck(check, createDocument('alice smith')).passed, true);
+});
+
+test('text after an operator that takes no value is rejected', () => {
+    assert.throws(() => parseRule('permit is present now'), /takes no value/);
+    assert.throws(() => parseRule('passport_number agrees on all papers today'), /takes no value/);
+    assert.deepEqual(parseRule('permit is present'), { type: 'present', field: 'papers.entry_permit.permit' });
+});